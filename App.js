@@ -2,9 +2,9 @@ import React, { useEffect, useState } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
-import { Provider as PaperProvider } from 'react-native-paper';
+import { Provider as PaperProvider, TextInput, Button } from 'react-native-paper';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
-import { View, Text, ActivityIndicator, StyleSheet } from 'react-native';
+import { View, Text, ActivityIndicator, StyleSheet, Alert, AppState } from 'react-native';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import {
   useFonts,
@@ -18,18 +18,32 @@ import {
 } from '@expo-google-fonts/open-sans';
 
 import { getPaperTheme, getColors, fonts } from './src/theme';
-import { initDatabase } from './src/database/database';
+import { initDatabase, unlockDatabase } from './src/database/database';
 import { ThemeProvider, useTheme } from './src/context/ThemeContext';
+import { AppLockProvider, useAppLock, eraseAllData } from './src/context/AppLockContext';
+import {
+  configureNotifications,
+  rescheduleReminders,
+  subscribeToNotificationResponses,
+  processNotificationResponses,
+} from './src/utils/reminders';
 
 // Import screens
 import LogScreen from './src/screens/LogScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import SymptomsScreen from './src/screens/SymptomsScreen';
+import QuestionnaireScreen from './src/screens/QuestionnaireScreen';
+import CrisisResourcesScreen from './src/screens/CrisisResourcesScreen';
+import CorrelationScreen from './src/screens/CorrelationScreen';
+import LockScreen from './src/screens/LockScreen';
 
 // Import components
 import TabNavigator from './src/components/TabNavigator';
 
 const Stack = createStackNavigator();
 
+configureNotifications();
+
 // Loading screen component
 function LoadingScreen({ colors }) {
   return (
@@ -54,9 +68,92 @@ function ErrorScreen({ error, onRetry, colors }) {
   );
 }
 
+// Passcode screen for a database encrypted with the user's passcode
+function UnlockScreen({ onUnlocked, colors }) {
+  const [passcode, setPasscode] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [unlockError, setUnlockError] = useState('');
+
+  const handleUnlock = async () => {
+    if (!passcode) return;
+    setUnlocking(true);
+    setUnlockError('');
+    try {
+      await unlockDatabase(passcode);
+      onUnlocked();
+    } catch (err) {
+      setUnlockError(err.name === 'DatabaseKeyError' ? 'Incorrect passcode' : err.message);
+      setPasscode('');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const handleForgotPasscode = () => {
+    Alert.alert(
+      'Erase All Data?',
+      'Your data is encrypted with your passcode and cannot be recovered without it. Erasing starts a new, empty journal.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Erase',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await eraseAllData();
+              onUnlocked();
+            } catch (err) {
+              setUnlockError(err.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={[styles.errorContainer, { backgroundColor: colors.background }]}>
+      <Icon name="lock" size={48} color={colors.primary} />
+      <Text style={[styles.errorTitle, { color: colors.text }]}>Enter Passcode</Text>
+      <Text style={[styles.errorText, { color: colors.textSecondary }]}>
+        Your data is encrypted with your passcode
+      </Text>
+      <TextInput
+        mode="outlined"
+        value={passcode}
+        onChangeText={(text) => {
+          setPasscode(text);
+          setUnlockError('');
+        }}
+        onSubmitEditing={handleUnlock}
+        secureTextEntry
+        autoFocus
+        error={!!unlockError}
+        style={styles.passcodeInput}
+      />
+      {unlockError ? (
+        <Text style={[styles.errorText, { color: colors.error }]}>{unlockError}</Text>
+      ) : null}
+      <Button
+        mode="contained"
+        onPress={handleUnlock}
+        loading={unlocking}
+        disabled={unlocking || !passcode}
+        style={styles.unlockButton}
+      >
+        Unlock
+      </Button>
+      <Text style={[styles.retryText, { color: colors.primary }]} onPress={handleForgotPasscode}>
+        Forgot passcode?
+      </Text>
+    </View>
+  );
+}
+
 // Main App Content - separated to use theme context
 function AppContent() {
   const { isDarkMode, isLoading: themeLoading } = useTheme();
+  const { isLocked: isAppLocked, isLoading: lockLoading } = useAppLock();
   const colors = getColors(isDarkMode);
   const paperTheme = getPaperTheme(isDarkMode);
 
@@ -70,6 +167,7 @@ function AppContent() {
 
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [isLocked, setIsLocked] = useState(false);
 
   useEffect(() => {
     async function setup() {
@@ -77,8 +175,12 @@ function AppContent() {
         await initDatabase();
         setIsLoading(false);
       } catch (err) {
-        console.error('Database initialization error:', err);
-        setError(err.message);
+        if (err.name === 'DatabaseLockedError') {
+          setIsLocked(true);
+        } else {
+          console.error('Database initialization error:', err);
+          setError(err.message);
+        }
         setIsLoading(false);
       }
     }
@@ -86,6 +188,25 @@ function AppContent() {
     setup();
   }, []);
 
+  // Reminder actions are queued until the database is open
+  useEffect(() => {
+    const subscription = subscribeToNotificationResponses();
+    return () => subscription.remove();
+  }, []);
+
+  // Keep the reminder window filled while the app is in use
+  const isReady = !isLoading && !isLocked && !error;
+  useEffect(() => {
+    if (!isReady) return;
+
+    processNotificationResponses();
+    rescheduleReminders();
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') rescheduleReminders();
+    });
+    return () => subscription.remove();
+  }, [isReady]);
+
   const handleRetry = () => {
     setIsLoading(true);
     setError(null);
@@ -97,7 +218,7 @@ function AppContent() {
       });
   };
 
-  if (themeLoading || isLoading || !fontsLoaded) {
+  if (themeLoading || lockLoading || isLoading || !fontsLoaded) {
     return (
       <PaperProvider theme={paperTheme}>
         <LoadingScreen colors={colors} />
@@ -105,6 +226,27 @@ function AppContent() {
     );
   }
 
+  // The navigator is unmounted while locked so none of its screens stay
+  // reachable, and nothing erased after too many attempts is shown again
+  if (isAppLocked) {
+    return (
+      <SafeAreaProvider>
+        <PaperProvider theme={paperTheme}>
+          <LockScreen />
+          <StatusBar style={isDarkMode ? 'light' : 'dark'} />
+        </PaperProvider>
+      </SafeAreaProvider>
+    );
+  }
+
+  if (isLocked) {
+    return (
+      <PaperProvider theme={paperTheme}>
+        <UnlockScreen onUnlocked={() => setIsLocked(false)} colors={colors} />
+      </PaperProvider>
+    );
+  }
+
   if (error) {
     return (
       <PaperProvider theme={paperTheme}>
@@ -128,6 +270,26 @@ function AppContent() {
               component={SettingsScreen}
               options={{ headerShown: false }}
             />
+            <Stack.Screen
+              name="Symptoms"
+              component={SymptomsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Questionnaire"
+              component={QuestionnaireScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="CrisisResources"
+              component={CrisisResourcesScreen}
+              options={{ headerShown: false, presentation: 'modal' }}
+            />
+            <Stack.Screen
+              name="Correlation"
+              component={CorrelationScreen}
+              options={{ headerShown: false }}
+            />
             <Stack.Screen
               name="Log"
               component={LogScreen}
@@ -146,7 +308,9 @@ function AppContent() {
 export default function App() {
   return (
     <ThemeProvider>
-      <AppContent />
+      <AppLockProvider>
+        <AppContent />
+      </AppLockProvider>
     </ThemeProvider>
   );
 }
@@ -182,4 +346,12 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  passcodeInput: {
+    alignSelf: 'stretch',
+    marginTop: 24,
+  },
+  unlockButton: {
+    alignSelf: 'stretch',
+    marginTop: 16,
+  },
 });
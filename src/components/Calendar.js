@@ -1,6 +1,7 @@
 import React, { useRef, useCallback, useState, useEffect, useImperativeHandle, forwardRef } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
 import { spacing } from '../theme';
+import { PREDICTION_DAY_TYPES } from '../utils/predictions';
 
 const DAYS_OF_WEEK = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
 const VISIBLE_ROWS = 5;
@@ -9,6 +10,7 @@ const Calendar = forwardRef(function Calendar({
   calendarDays,
   periodDays,
   loggedDays,
+  predictionDays,
   selectedDate,
   onDayPress,
   onLoadPrevious,
@@ -79,6 +81,7 @@ const Calendar = forwardRef(function Calendar({
     const isToday = day.dateString === todayString;
     const isFuture = day.dateString > todayString;
     const isSelected = day.dateString === selectedDate;
+    const prediction = predictionDays?.get(day.dateString);
 
     // Base style determined by day type
     let style = {};
@@ -104,6 +107,33 @@ const Calendar = forwardRef(function Calendar({
         };
       }
     }
+    // Forecast period days
+    else if (isFuture && prediction === PREDICTION_DAY_TYPES.period) {
+      style = {
+        backgroundColor: colors.calendarPredicted,
+        textColor: colors.text,
+        borderColor: colors.calendarPredictedBorder,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+      };
+    }
+    // Days within the forecast range
+    else if (isFuture && prediction === PREDICTION_DAY_TYPES.possible) {
+      style = {
+        backgroundColor: colors.calendarFuture,
+        textColor: colors.textLight,
+        borderColor: colors.calendarPredictedBorder,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+      };
+    }
+    // Estimated fertile window
+    else if (isFuture && prediction === PREDICTION_DAY_TYPES.fertile) {
+      style = {
+        backgroundColor: colors.calendarFertile,
+        textColor: colors.textLight,
+      };
+    }
     // Future dates
     else if (isFuture) {
       style = {
@@ -139,6 +169,7 @@ const Calendar = forwardRef(function Calendar({
     if (isSelected) {
       style.borderColor = colors.calendarToday;
       style.borderWidth = 2;
+      style.borderStyle = 'solid';
     }
 
     return style;
@@ -222,6 +253,7 @@ const Calendar = forwardRef(function Calendar({
                   dayStyle.borderWidth && {
                     borderWidth: dayStyle.borderWidth,
                     borderColor: dayStyle.borderColor,
+                    borderStyle: dayStyle.borderStyle || 'solid',
                   },
                 ]}
               >
@@ -2,6 +2,8 @@ import React, { useMemo, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Animated, Dimensions } from 'react-native';
 import { BlurView } from 'expo-blur';
 import { fonts } from '../theme';
+import { PREDICTION_DAY_TYPES } from '../utils/predictions';
+import { parseDate, addDays, getWeekday } from '../utils/dates';
 
 const SCREEN_WIDTH = Dimensions.get('window').width;
 
@@ -19,31 +21,22 @@ const COLORS = {
   noEntryCircle: 'rgba(32, 31, 45, 0.05)',
   futureCircle: 'rgba(32, 31, 45, 0.05)',
   periodLink: 'rgba(254, 154, 170, 0.2)',
+  predictedCircle: 'rgba(251, 121, 142, 0.15)',
+  predictedBorder: 'rgba(251, 121, 142, 0.7)',
+  fertileCircle: 'rgba(111, 108, 198, 0.12)',
 };
 
-function toDateString(date) {
-  return date.toISOString().split('T')[0];
-}
-
-function startOfWeekMonday(date) {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  const day = d.getDay(); // 0..6 (Sun..Sat)
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-  d.setDate(diff);
-  return d;
-}
-
-function addDays(date, days) {
-  const d = new Date(date);
-  d.setDate(d.getDate() + days);
-  return d;
+// Date string of the Monday on or before `dateString`
+function startOfWeekMonday(dateString) {
+  const day = getWeekday(dateString); // 0..6 (Sun..Sat)
+  return addDays(dateString, day === 0 ? -6 : 1 - day);
 }
 
 export default function CalendarWeekStrip({
   selectedDateString,
   periodDays,
   loggedDays,
+  predictionDays,
   onSelectDateString,
   onChangeWeek,
   textColor = '#201F2D',
@@ -57,14 +50,11 @@ export default function CalendarWeekStrip({
   const slideAnim = useRef(new Animated.Value(0)).current;
   const prevWeekStart = useRef(null);
 
-  const weekStart = useMemo(() => startOfWeekMonday(selectedDate), [selectedDate]);
+  const weekStart = useMemo(() => startOfWeekMonday(selectedDateString), [selectedDateString]);
 
   // Animate when week changes
   useEffect(() => {
-    const currentWeekStr = toDateString(weekStart);
-    const prevWeekStr = prevWeekStart.current ? toDateString(prevWeekStart.current) : null;
-
-    if (prevWeekStr && currentWeekStr !== prevWeekStr) {
+    if (prevWeekStart.current && weekStart !== prevWeekStart.current) {
       const direction = weekStart > prevWeekStart.current ? 1 : -1;
 
       // Snap to off-screen, then spring in
@@ -100,8 +90,7 @@ export default function CalendarWeekStrip({
     const ranges = [];
     let rangeStart = null;
 
-    weekDays.forEach((d, idx) => {
-      const ds = toDateString(d);
+    weekDays.forEach((ds, idx) => {
       const isPeriod = periodDays?.has?.(ds);
 
       if (isPeriod && rangeStart === null) {
@@ -124,11 +113,21 @@ export default function CalendarWeekStrip({
     const isLogged = loggedDays?.has?.(dateString);
     const today = new Date().toISOString().split('T')[0];
     const isFuture = dateString > today;
+    const prediction = isFuture ? predictionDays?.get?.(dateString) : null;
 
     let bg = COLORS.noEntryCircle;
     let opacity = 1;
+    let predictionStyle = null;
 
-    if (isFuture) {
+    if (prediction === PREDICTION_DAY_TYPES.period) {
+      bg = COLORS.predictedCircle;
+      predictionStyle = styles.dayCirclePredicted;
+    } else if (prediction === PREDICTION_DAY_TYPES.possible) {
+      bg = COLORS.futureCircle;
+      predictionStyle = styles.dayCirclePredicted;
+    } else if (prediction === PREDICTION_DAY_TYPES.fertile) {
+      bg = COLORS.fertileCircle;
+    } else if (isFuture) {
       bg = COLORS.futureCircle;
       opacity = 0.5;
     } else if (isPeriod) {
@@ -140,6 +139,7 @@ export default function CalendarWeekStrip({
     return [
       styles.dayCircle,
       { backgroundColor: bg, opacity },
+      predictionStyle,
       isSelected && styles.dayCircleSelected,
     ];
   };
@@ -195,8 +195,7 @@ export default function CalendarWeekStrip({
             />
           ))}
 
-          {weekDays.map((d) => {
-            const ds = toDateString(d);
+          {weekDays.map((ds) => {
             const isSelected = ds === selectedDateString;
             const today = new Date().toISOString().split('T')[0];
             const isFuture = ds > today;
@@ -206,7 +205,7 @@ export default function CalendarWeekStrip({
             const circleStyle = getCircleStyle(ds, isSelected);
             const dateText = (
               <Text style={[styles.dayText, isFuture && styles.dayTextFuture]}>
-                {d.getDate()}
+                {parseDate(ds).getUTCDate()}
               </Text>
             );
 
@@ -306,8 +305,14 @@ const createStyles = (textColor) =>
       justifyContent: 'center',
       overflow: 'hidden',
     },
+    dayCirclePredicted: {
+      borderWidth: 1.5,
+      borderStyle: 'dashed',
+      borderColor: COLORS.predictedBorder,
+    },
     dayCircleSelected: {
       borderWidth: 2,
+      borderStyle: 'solid',
       borderColor: 'rgba(32, 31, 45, 0.6)',
     },
     dayText: {
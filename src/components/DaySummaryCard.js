@@ -2,14 +2,16 @@ import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { spacing, borderRadius } from '../theme';
-import { SYMPTOMS, PERIOD_FLOW_OPTIONS } from '../utils/constants';
+import { PERIOD_FLOW_OPTIONS } from '../utils/constants';
+import { getSymptomName } from '../utils/symptoms';
 
 export default function DaySummaryCard({
   date,
   logData,
   isPeriodDay,
   onPress,
-  colors
+  colors,
+  symptomRegistry,
 }) {
   const styles = createStyles(colors);
 
@@ -49,10 +51,9 @@ export default function DaySummaryCard({
   // Get symptom names from logged symptoms
   const getSymptomNames = () => {
     if (!logData?.symptoms || logData.symptoms.length === 0) return [];
-    return logData.symptoms.map(s => {
-      const symptom = SYMPTOMS.find(sym => sym.id === s.symptom_id);
-      return symptom ? symptom.name : s.symptom_id;
-    }).slice(0, 3); // Show max 3 symptoms
+    return logData.symptoms
+      .map(s => getSymptomName(s.symptom_id, symptomRegistry))
+      .slice(0, 3); // Show max 3 symptoms
   };
 
   // Get mood emoji based on value (1-10)
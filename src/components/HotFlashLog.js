@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Chip, Button, Dialog, Portal } from 'react-native-paper';
+
+import { getColors, spacing } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { SEVERITY_LABELS, HOT_FLASH_DURATIONS, HOT_FLASH_QUICK_INTENSITY } from '../utils/constants';
+import { formatReminderTime, toReminderTime } from '../utils/reminderSchedule';
+import { parseTriggers } from '../utils/hotFlashes';
+import { getTriggerCatalog, getTriggerLabel } from '../utils/triggers';
+import TimePickerDialog from './TimePickerDialog';
+
+export default function HotFlashLog({ episodes, customTriggers = [], onLogEpisode, onDeleteEpisode }) {
+  const { isDarkMode } = useTheme();
+  const colors = getColors(isDarkMode);
+  const styles = createStyles(colors);
+
+  const [dialogVisible, setDialogVisible] = useState(false);
+  const [timeVisible, setTimeVisible] = useState(false);
+  const [time, setTime] = useState('09:00');
+  const [intensity, setIntensity] = useState(HOT_FLASH_QUICK_INTENSITY);
+  const [duration, setDuration] = useState(null);
+  const [triggers, setTriggers] = useState([]);
+
+  const openDialog = () => {
+    const now = new Date();
+    setTime(toReminderTime(now.getHours(), now.getMinutes() - (now.getMinutes() % 5)));
+    setIntensity(HOT_FLASH_QUICK_INTENSITY);
+    setDuration(null);
+    setTriggers([]);
+    setDialogVisible(true);
+  };
+
+  const toggleTrigger = (id) => {
+    setTriggers(triggers.includes(id) ? triggers.filter((t) => t !== id) : [...triggers, id]);
+  };
+
+  const handleLog = () => {
+    onLogEpisode({ time, intensity, durationMinutes: duration, triggers });
+    setDialogVisible(false);
+  };
+
+  const getEpisodeLabel = (episode) => {
+    const startedAt = new Date(episode.started_at);
+    return [
+      formatReminderTime(toReminderTime(startedAt.getHours(), startedAt.getMinutes())),
+      SEVERITY_LABELS[episode.intensity - 1]?.label,
+      episode.duration_minutes ? `${episode.duration_minutes} min` : null,
+      ...parseTriggers(episode).map((id) => getTriggerLabel(id, customTriggers)),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+  };
+
+  return (
+    <View>
+      <View style={styles.header}>
+        <Text style={styles.summary}>
+          {episodes.length === 0
+            ? 'No hot flashes logged'
+            : `${episodes.length} hot flash${episodes.length === 1 ? '' : 'es'}`}
+        </Text>
+        <Button mode="text" compact icon="plus" onPress={openDialog}>
+          Log Hot Flash
+        </Button>
+      </View>
+      {episodes.length > 0 && (
+        <View style={styles.chips}>
+          {episodes.map((episode) => (
+            <Chip
+              key={episode.id}
+              icon="fire"
+              compact
+              onClose={() => onDeleteEpisode(episode.id)}
+              style={[
+                styles.episodeChip,
+                { backgroundColor: SEVERITY_LABELS[episode.intensity - 1]?.color },
+              ]}
+            >
+              {getEpisodeLabel(episode)}
+            </Chip>
+          ))}
+        </View>
+      )}
+
+      <Portal>
+        <Dialog visible={dialogVisible} onDismiss={() => setDialogVisible(false)}>
+          <Dialog.Title>Log Hot Flash</Dialog.Title>
+          <Dialog.Content>
+            <Button
+              mode="outlined"
+              icon="clock-outline"
+              onPress={() => setTimeVisible(true)}
+              style={styles.timeButton}
+            >
+              Started at {formatReminderTime(time)}
+            </Button>
+
+            <Text style={styles.label}>Intensity</Text>
+            <View style={styles.chips}>
+              {SEVERITY_LABELS.map((level) => (
+                <Chip
+                  key={level.value}
+                  compact
+                  selected={intensity === level.value}
+                  onPress={() => setIntensity(level.value)}
+                  style={intensity === level.value ? { backgroundColor: level.color } : undefined}
+                >
+                  {level.label}
+                </Chip>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Duration</Text>
+            <View style={styles.chips}>
+              {HOT_FLASH_DURATIONS.map((minutes) => (
+                <Chip
+                  key={minutes}
+                  compact
+                  selected={duration === minutes}
+                  onPress={() => setDuration(duration === minutes ? null : minutes)}
+                >
+                  {minutes} min
+                </Chip>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Triggers (optional)</Text>
+            <View style={styles.chips}>
+              {getTriggerCatalog(customTriggers).map((trigger) => (
+                <Chip
+                  key={trigger.id}
+                  compact
+                  icon={trigger.icon}
+                  selected={triggers.includes(trigger.id)}
+                  onPress={() => toggleTrigger(trigger.id)}
+                >
+                  {trigger.label}
+                </Chip>
+              ))}
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setDialogVisible(false)}>Cancel</Button>
+            <Button onPress={handleLog}>Log</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <TimePickerDialog
+          visible={timeVisible}
+          title="Hot Flash Started At"
+          time={time}
+          onDismiss={() => setTimeVisible(false)}
+          onConfirm={(value) => {
+            setTime(value);
+            setTimeVisible(false);
+          }}
+        />
+      </Portal>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  summary: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  episodeChip: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  timeButton: {
+    marginBottom: spacing.sm,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+});
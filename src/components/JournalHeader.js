@@ -16,6 +16,7 @@ export default function JournalHeader({
   selectedDateString,
   periodDays,
   loggedDays,
+  predictionDays,
   onSelectDateString,
   onChangeWeek,
 }) {
@@ -40,6 +41,7 @@ export default function JournalHeader({
         selectedDateString={selectedDateString}
         periodDays={periodDays}
         loggedDays={loggedDays}
+        predictionDays={predictionDays}
         onSelectDateString={onSelectDateString}
         onChangeWeek={onChangeWeek}
         textColor={COLORS.heavy}
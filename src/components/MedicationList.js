@@ -1,29 +1,42 @@
 import React, { useState } from 'react';
-import { View, StyleSheet, FlatList } from 'react-native';
+import { View, StyleSheet, FlatList, TouchableOpacity, Alert } from 'react-native';
 import {
   Text,
   Surface,
-  Checkbox,
+  Chip,
   IconButton,
   Button,
   Dialog,
   Portal,
   TextInput,
   Menu,
+  Switch,
 } from 'react-native-paper';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 
 import { getColors, spacing, borderRadius } from '../theme';
 import { useTheme } from '../context/ThemeContext';
 import { MEDICATION_FREQUENCIES } from '../utils/constants';
+import {
+  WEEKDAYS,
+  formatReminderTime,
+  toReminderTime,
+  getDefaultReminderTimes,
+  getMedicationReminder,
+} from '../utils/reminderSchedule';
+import { getDosesPerDay } from '../utils/adherence';
+import { requestReminderPermission } from '../utils/reminders';
+import TimePickerDialog from './TimePickerDialog';
 
 export default function MedicationList({
   medications,
-  medicationLogs,
-  onMedicationLogChange,
+  date,
+  medicationDoses,
+  onLogDose,
+  onDeleteDose,
   onAddMedication,
   onEditMedication,
-  onDeleteMedication,
+  onArchiveMedication,
   editable = true,
 }) {
   const { isDarkMode } = useTheme();
@@ -37,31 +50,64 @@ export default function MedicationList({
   const [newMedDose, setNewMedDose] = useState('');
   const [newMedFrequency, setNewMedFrequency] = useState('daily');
   const [frequencyMenuVisible, setFrequencyMenuVisible] = useState(false);
+  const [newMedReminderEnabled, setNewMedReminderEnabled] = useState(false);
+  const [newMedReminderTimes, setNewMedReminderTimes] = useState(getDefaultReminderTimes('daily'));
+  const [newMedReminderWeekday, setNewMedReminderWeekday] = useState(1);
+  const [editingTimeIndex, setEditingTimeIndex] = useState(null);
+  const [doseMedication, setDoseMedication] = useState(null);
+  const [doseTime, setDoseTime] = useState('09:00');
+  const [doseAmount, setDoseAmount] = useState('');
+  const [doseReason, setDoseReason] = useState('');
+  const [doseTimeVisible, setDoseTimeVisible] = useState(false);
+
+  const getDoses = (medicationId) =>
+    medicationDoses.filter((dose) => dose.medication_id === medicationId);
 
-  const isTaken = (medicationId) => {
-    const log = medicationLogs.find((l) => l.medicationId === medicationId);
-    return log ? log.taken : false;
+  const openDoseDialog = (medication) => {
+    const now = new Date();
+    setDoseMedication(medication);
+    setDoseTime(toReminderTime(now.getHours(), now.getMinutes() - (now.getMinutes() % 5)));
+    setDoseAmount(medication.dose || '');
+    setDoseReason('');
   };
 
-  const toggleTaken = (medicationId) => {
-    const existing = medicationLogs.find((l) => l.medicationId === medicationId);
-    if (existing) {
-      onMedicationLogChange(
-        medicationLogs.map((l) =>
-          l.medicationId === medicationId ? { ...l, taken: !l.taken } : l
-        )
-      );
-    } else {
-      onMedicationLogChange([
-        ...medicationLogs,
-        { medicationId, taken: true, notes: null },
-      ]);
-    }
+  const handleLogDose = () => {
+    onLogDose(doseMedication.id, {
+      time: doseTime,
+      amount: doseAmount.trim(),
+      reason: doseMedication.frequency === 'as_needed' ? doseReason.trim() : '',
+    });
+    setDoseMedication(null);
+  };
+
+  const getDoseSummary = (medication) => {
+    const count = getDoses(medication.id).length;
+    const perDay = getDosesPerDay(medication.frequency);
+    if (perDay >= 1) return `${count} of ${perDay} doses`;
+    return count === 1 ? '1 dose' : `${count} doses`;
+  };
+
+  // Doses logged before times were recorded only know their day
+  const getDoseLabel = (medication, dose) => {
+    const takenAt = dose.taken_at ? new Date(dose.taken_at) : null;
+    return [
+      takenAt ? formatReminderTime(toReminderTime(takenAt.getHours(), takenAt.getMinutes())) : 'Taken',
+      dose.amount && dose.amount !== medication.dose ? dose.amount : null,
+      dose.reason,
+    ]
+      .filter(Boolean)
+      .join(' · ');
   };
 
+  const getFormReminder = () => ({
+    enabled: newMedReminderEnabled && newMedReminderTimes.length > 0,
+    times: newMedReminderTimes,
+    weekday: newMedFrequency === 'weekly' ? newMedReminderWeekday : null,
+  });
+
   const handleAddMedication = () => {
     if (newMedName.trim()) {
-      onAddMedication(newMedName.trim(), newMedDose.trim(), newMedFrequency);
+      onAddMedication(newMedName.trim(), newMedDose.trim(), newMedFrequency, getFormReminder());
       resetForm();
       setAddDialogVisible(false);
     }
@@ -74,7 +120,8 @@ export default function MedicationList({
         newMedName.trim(),
         newMedDose.trim(),
         newMedFrequency,
-        true
+        true,
+        getFormReminder()
       );
       resetForm();
       setEditDialogVisible(false);
@@ -86,6 +133,10 @@ export default function MedicationList({
     setNewMedName(medication.name);
     setNewMedDose(medication.dose || '');
     setNewMedFrequency(medication.frequency || 'daily');
+    const reminder = getMedicationReminder(medication);
+    setNewMedReminderEnabled(reminder.enabled);
+    setNewMedReminderTimes(reminder.times);
+    setNewMedReminderWeekday(reminder.weekday ?? 1);
     setEditDialogVisible(true);
   };
 
@@ -93,22 +144,118 @@ export default function MedicationList({
     setNewMedName('');
     setNewMedDose('');
     setNewMedFrequency('daily');
+    setNewMedReminderEnabled(false);
+    setNewMedReminderTimes(getDefaultReminderTimes('daily'));
+    setNewMedReminderWeekday(1);
     setEditingMedication(null);
   };
 
+  // Dose times follow the frequency, so changing it starts from its defaults
+  const handleFrequencyChange = (frequency) => {
+    setNewMedFrequency(frequency);
+    setNewMedReminderTimes(getDefaultReminderTimes(frequency));
+    setFrequencyMenuVisible(false);
+  };
+
+  const handleReminderToggle = async (value) => {
+    if (value && !(await requestReminderPermission())) {
+      Alert.alert(
+        'Notifications Are Off',
+        'Allow notifications for Peri Tracker in your device settings to get dose reminders.'
+      );
+      return;
+    }
+    setNewMedReminderEnabled(value);
+  };
+
+  const handleReminderTimeChange = (time) => {
+    setNewMedReminderTimes(
+      newMedReminderTimes.map((current, index) => (index === editingTimeIndex ? time : current))
+    );
+    setEditingTimeIndex(null);
+  };
+
+  // Editing the dose or frequency starts a new entry in the medication's history
+  const isDoseChange = () =>
+    !!editingMedication &&
+    (newMedDose.trim() !== (editingMedication.dose || '') ||
+      newMedFrequency !== (editingMedication.frequency || 'daily'));
+
   const getFrequencyLabel = (value) => {
     const freq = MEDICATION_FREQUENCIES.find((f) => f.value === value);
     return freq ? freq.label : value;
   };
 
+  const getReminderLabel = (medication) => {
+    const reminder = getMedicationReminder(medication);
+    if (!reminder.enabled) return null;
+    const times = reminder.times.map(formatReminderTime).join(', ');
+    const weekday = WEEKDAYS.find((d) => d.value === reminder.weekday);
+    return weekday ? `${weekday.label}s at ${times}` : times;
+  };
+
+  // Reminder fields shared by the add and edit dialogs
+  const renderReminderFields = () => {
+    if (getDefaultReminderTimes(newMedFrequency).length === 0) {
+      return <Text style={styles.reminderHint}>No reminders for this frequency</Text>;
+    }
+
+    return (
+      <>
+        <View style={styles.reminderRow}>
+          <Text style={styles.reminderLabel}>Dose reminders</Text>
+          <Switch
+            value={newMedReminderEnabled}
+            onValueChange={handleReminderToggle}
+            color={colors.primary}
+          />
+        </View>
+        {newMedReminderEnabled && (
+          <>
+            <View style={styles.reminderTimes}>
+              {newMedReminderTimes.map((time, index) => (
+                <Button
+                  key={index}
+                  mode="outlined"
+                  compact
+                  icon="bell-outline"
+                  onPress={() => setEditingTimeIndex(index)}
+                >
+                  {formatReminderTime(time)}
+                </Button>
+              ))}
+            </View>
+            {newMedFrequency === 'weekly' && (
+              <View style={styles.weekdays}>
+                {WEEKDAYS.map((day) => (
+                  <TouchableOpacity
+                    key={day.value}
+                    style={[styles.weekday, newMedReminderWeekday === day.value && styles.weekdaySelected]}
+                    onPress={() => setNewMedReminderWeekday(day.value)}
+                    accessibilityLabel={day.label}
+                    activeOpacity={0.7}
+                  >
+                    <Text
+                      style={[
+                        styles.weekdayText,
+                        newMedReminderWeekday === day.value && styles.weekdayTextSelected,
+                      ]}
+                    >
+                      {day.short}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+          </>
+        )}
+      </>
+    );
+  };
+
   const renderMedicationItem = ({ item }) => (
     <Surface style={styles.medicationCard} elevation={1}>
-      <View style={styles.medicationInfo}>
-        <Checkbox
-          status={isTaken(item.id) ? 'checked' : 'unchecked'}
-          onPress={() => toggleTaken(item.id)}
-          color={colors.primary}
-        />
+      <View style={styles.medicationHeader}>
         <View style={styles.medicationDetails}>
           <Text style={styles.medicationName}>{item.name}</Text>
           {item.dose && (
@@ -117,22 +264,51 @@ export default function MedicationList({
           <Text style={styles.medicationFrequency}>
             {getFrequencyLabel(item.frequency)}
           </Text>
+          {getReminderLabel(item) && (
+            <View style={styles.medicationReminder}>
+              <Icon name="bell-outline" size={12} color={colors.textLight} />
+              <Text style={styles.medicationFrequency}>{getReminderLabel(item)}</Text>
+            </View>
+          )}
         </View>
+
+        {editable && (
+          <View style={styles.medicationActions}>
+            <IconButton
+              icon="pencil"
+              size={20}
+              onPress={() => openEditDialog(item)}
+            />
+            <IconButton
+              icon="archive-outline"
+              size={20}
+              iconColor={colors.error}
+              accessibilityLabel="Stop medication"
+              onPress={() => onArchiveMedication(item.id)}
+            />
+          </View>
+        )}
       </View>
 
-      {editable && (
-        <View style={styles.medicationActions}>
-          <IconButton
-            icon="pencil"
-            size={20}
-            onPress={() => openEditDialog(item)}
-          />
-          <IconButton
-            icon="delete"
-            size={20}
-            iconColor={colors.error}
-            onPress={() => onDeleteMedication(item.id)}
-          />
+      <View style={styles.doseRow}>
+        <Text style={styles.doseSummary}>{getDoseSummary(item)}</Text>
+        <Button mode="text" compact icon="plus" onPress={() => openDoseDialog(item)}>
+          Log Dose
+        </Button>
+      </View>
+      {getDoses(item.id).length > 0 && (
+        <View style={styles.doses}>
+          {getDoses(item.id).map((dose) => (
+            <Chip
+              key={dose.id}
+              icon="check"
+              compact
+              onClose={() => onDeleteDose(dose.id)}
+              style={styles.doseChip}
+            >
+              {getDoseLabel(item, dose)}
+            </Chip>
+          ))}
         </View>
       )}
     </Surface>
@@ -145,7 +321,7 @@ export default function MedicationList({
           <Icon name="pill" size={48} color={colors.textLight} />
           <Text style={styles.emptyText}>No medications added yet</Text>
           <Text style={styles.emptySubtext}>
-            Add your medications to track daily intake
+            Add your medications to log each dose you take
           </Text>
         </Surface>
       ) : (
@@ -210,14 +386,12 @@ export default function MedicationList({
               {MEDICATION_FREQUENCIES.map((freq) => (
                 <Menu.Item
                   key={freq.value}
-                  onPress={() => {
-                    setNewMedFrequency(freq.value);
-                    setFrequencyMenuVisible(false);
-                  }}
+                  onPress={() => handleFrequencyChange(freq.value)}
                   title={freq.label}
                 />
               ))}
             </Menu>
+            {renderReminderFields()}
           </Dialog.Content>
           <Dialog.Actions>
             <Button
@@ -275,14 +449,18 @@ export default function MedicationList({
               {MEDICATION_FREQUENCIES.map((freq) => (
                 <Menu.Item
                   key={freq.value}
-                  onPress={() => {
-                    setNewMedFrequency(freq.value);
-                    setFrequencyMenuVisible(false);
-                  }}
+                  onPress={() => handleFrequencyChange(freq.value)}
                   title={freq.label}
                 />
               ))}
             </Menu>
+            {renderReminderFields()}
+            {isDoseChange() && (
+              <Text style={styles.reminderHint}>
+                Saved in this medication's history as a change from{' '}
+                {new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}
+              </Text>
+            )}
           </Dialog.Content>
           <Dialog.Actions>
             <Button
@@ -298,6 +476,62 @@ export default function MedicationList({
             </Button>
           </Dialog.Actions>
         </Dialog>
+
+        {/* Log Dose Dialog */}
+        <Dialog visible={!!doseMedication} onDismiss={() => setDoseMedication(null)}>
+          <Dialog.Title>Log {doseMedication?.name}</Dialog.Title>
+          <Dialog.Content>
+            <Button
+              mode="outlined"
+              icon="clock-outline"
+              onPress={() => setDoseTimeVisible(true)}
+              style={styles.input}
+            >
+              Taken at {formatReminderTime(doseTime)}
+            </Button>
+            <TextInput
+              label="Amount"
+              value={doseAmount}
+              onChangeText={setDoseAmount}
+              mode="outlined"
+              placeholder="e.g., 100mg"
+              style={styles.input}
+            />
+            {doseMedication?.frequency === 'as_needed' && (
+              <TextInput
+                label="Reason (optional)"
+                value={doseReason}
+                onChangeText={setDoseReason}
+                mode="outlined"
+                placeholder="e.g., headache"
+                style={styles.input}
+              />
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setDoseMedication(null)}>Cancel</Button>
+            <Button onPress={handleLogDose}>Log</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <TimePickerDialog
+          visible={doseTimeVisible}
+          title="Dose Taken At"
+          time={doseTime}
+          onDismiss={() => setDoseTimeVisible(false)}
+          onConfirm={(time) => {
+            setDoseTime(time);
+            setDoseTimeVisible(false);
+          }}
+        />
+
+        <TimePickerDialog
+          visible={editingTimeIndex !== null}
+          title="Dose Time"
+          time={newMedReminderTimes[editingTimeIndex]}
+          onDismiss={() => setEditingTimeIndex(null)}
+          onConfirm={handleReminderTimeChange}
+        />
       </Portal>
     </View>
   );
@@ -308,20 +542,18 @@ const createStyles = (colors) => StyleSheet.create({
     flex: 1,
   },
   medicationCard: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'space-between',
     padding: spacing.sm,
     marginBottom: spacing.sm,
     borderRadius: borderRadius.md,
     backgroundColor: colors.surface,
   },
-  medicationInfo: {
+  medicationHeader: {
     flexDirection: 'row',
     alignItems: 'center',
-    flex: 1,
+    justifyContent: 'space-between',
   },
   medicationDetails: {
+    flex: 1,
     marginLeft: spacing.sm,
   },
   medicationName: {
@@ -340,6 +572,26 @@ const createStyles = (colors) => StyleSheet.create({
   medicationActions: {
     flexDirection: 'row',
   },
+  doseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginLeft: spacing.sm,
+  },
+  doseSummary: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  doses: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginLeft: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  doseChip: {
+    backgroundColor: colors.surfaceVariant,
+  },
   emptyState: {
     padding: spacing.xl,
     alignItems: 'center',
@@ -366,4 +618,54 @@ const createStyles = (colors) => StyleSheet.create({
   frequencyButton: {
     marginTop: spacing.sm,
   },
+  medicationReminder: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  reminderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  reminderLabel: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  reminderHint: {
+    marginTop: spacing.md,
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  reminderTimes: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  weekdays: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  weekday: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.surfaceVariant,
+  },
+  weekdaySelected: {
+    backgroundColor: colors.primary,
+  },
+  weekdayText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  weekdayTextSelected: {
+    color: '#FFFFFF',
+  },
 });
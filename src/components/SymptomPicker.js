@@ -4,9 +4,14 @@ import { Chip, Text, Surface } from 'react-native-paper';
 
 import { getColors, spacing, borderRadius } from '../theme';
 import { useTheme } from '../context/ThemeContext';
-import { SYMPTOMS, SEVERITY_LABELS } from '../utils/constants';
+import { SEVERITY_LABELS } from '../utils/constants';
+import { buildSymptomRegistry } from '../utils/symptoms';
 
-export default function SymptomPicker({ selectedSymptoms, onSymptomsChange }) {
+export default function SymptomPicker({
+  selectedSymptoms,
+  onSymptomsChange,
+  symptomRegistry = buildSymptomRegistry(),
+}) {
   const { isDarkMode } = useTheme();
   const colors = getColors(isDarkMode);
   const styles = createStyles(colors);
@@ -28,6 +33,9 @@ export default function SymptomPicker({ selectedSymptoms, onSymptomsChange }) {
     }
   };
 
+  // Hidden symptoms still show on days they were logged
+  const symptoms = symptomRegistry.filter((s) => !s.hidden || isSelected(s.id));
+
   const setSeverity = (symptomId, severity) => {
     onSymptomsChange(
       selectedSymptoms.map((s) =>
@@ -39,7 +47,7 @@ export default function SymptomPicker({ selectedSymptoms, onSymptomsChange }) {
   return (
     <View style={styles.container}>
       <View style={styles.symptomsGrid}>
-        {SYMPTOMS.map((symptom) => {
+        {symptoms.map((symptom) => {
           const selected = isSelected(symptom.id);
           const severity = getSymptomSeverity(symptom.id);
           const severityColor = selected
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Button, Dialog, IconButton } from 'react-native-paper';
+
+import { getColors, spacing } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { parseReminderTime, toReminderTime, formatReminderTime } from '../utils/reminderSchedule';
+
+// Minutes the time moves by per step
+const MINUTE_STEP = 5;
+
+// Dialog for picking a 24-hour 'HH:MM' time. Render it inside a Portal.
+export default function TimePickerDialog({ visible, title, time, onDismiss, onConfirm }) {
+  const { isDarkMode } = useTheme();
+  const colors = getColors(isDarkMode);
+  const styles = createStyles(colors);
+
+  const [draft, setDraft] = useState({ hour: 9, minute: 0 });
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(parseReminderTime(time) || { hour: 9, minute: 0 });
+    }
+  }, [visible, time]);
+
+  const step = (field, delta) => {
+    const limit = field === 'hour' ? 24 : 60;
+    setDraft((current) => ({ ...current, [field]: (current[field] + delta + limit) % limit }));
+  };
+
+  return (
+    <Dialog visible={visible} onDismiss={onDismiss}>
+      <Dialog.Title>{title}</Dialog.Title>
+      <Dialog.Content>
+        <View style={styles.picker}>
+          <View style={styles.column}>
+            <IconButton icon="chevron-up" onPress={() => step('hour', 1)} />
+            <Text style={styles.value}>{String(draft.hour).padStart(2, '0')}</Text>
+            <IconButton icon="chevron-down" onPress={() => step('hour', -1)} />
+          </View>
+          <Text style={styles.value}>:</Text>
+          <View style={styles.column}>
+            <IconButton icon="chevron-up" onPress={() => step('minute', MINUTE_STEP)} />
+            <Text style={styles.value}>{String(draft.minute).padStart(2, '0')}</Text>
+            <IconButton icon="chevron-down" onPress={() => step('minute', -MINUTE_STEP)} />
+          </View>
+        </View>
+        <Text style={styles.formatted}>
+          {formatReminderTime(toReminderTime(draft.hour, draft.minute))}
+        </Text>
+      </Dialog.Content>
+      <Dialog.Actions>
+        <Button onPress={onDismiss}>Cancel</Button>
+        <Button onPress={() => onConfirm(toReminderTime(draft.hour, draft.minute))}>Save</Button>
+      </Dialog.Actions>
+    </Dialog>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  picker: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  column: {
+    alignItems: 'center',
+  },
+  value: {
+    fontSize: 32,
+    fontWeight: '600',
+    color: colors.text,
+    marginHorizontal: spacing.sm,
+  },
+  formatted: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+});
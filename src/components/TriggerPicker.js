@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Chip, Text, Button, Dialog, Portal, TextInput } from 'react-native-paper';
+
+import { getColors, spacing } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { getTriggerCatalog } from '../utils/triggers';
+
+export default function TriggerPicker({
+  selectedTriggers,
+  customTriggers = [],
+  onTriggersChange,
+  onAddTrigger,
+  onRemoveTrigger,
+}) {
+  const { isDarkMode } = useTheme();
+  const colors = getColors(isDarkMode);
+  const styles = createStyles(colors);
+
+  const [addDialogVisible, setAddDialogVisible] = useState(false);
+  const [newTriggerName, setNewTriggerName] = useState('');
+
+  const catalog = getTriggerCatalog(customTriggers);
+
+  const toggleTrigger = (triggerId) => {
+    if (selectedTriggers.includes(triggerId)) {
+      onTriggersChange(selectedTriggers.filter((t) => t !== triggerId));
+    } else {
+      onTriggersChange([...selectedTriggers, triggerId]);
+    }
+  };
+
+  const closeAddDialog = () => {
+    setNewTriggerName('');
+    setAddDialogVisible(false);
+  };
+
+  const handleAddTrigger = () => {
+    if (newTriggerName.trim()) {
+      onAddTrigger(newTriggerName.trim());
+      closeAddDialog();
+    }
+  };
+
+  return (
+    <View>
+      <View style={styles.chips}>
+        {catalog.map((trigger) => {
+          const selected = selectedTriggers.includes(trigger.id);
+          return (
+            <Chip
+              key={trigger.id}
+              icon={trigger.icon}
+              mode={selected ? 'flat' : 'outlined'}
+              selected={selected}
+              onPress={() => toggleTrigger(trigger.id)}
+              onLongPress={trigger.custom ? () => onRemoveTrigger(trigger) : undefined}
+              style={selected && { backgroundColor: colors.primaryLight }}
+            >
+              {trigger.label}
+            </Chip>
+          );
+        })}
+        <Chip icon="plus" mode="outlined" onPress={() => setAddDialogVisible(true)}>
+          Add Trigger
+        </Chip>
+      </View>
+      {catalog.some((trigger) => trigger.custom) && (
+        <Text style={styles.hint}>Long-press one of your own triggers to remove it.</Text>
+      )}
+
+      <Portal>
+        <Dialog visible={addDialogVisible} onDismiss={closeAddDialog}>
+          <Dialog.Title>Add Trigger</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Trigger Name"
+              value={newTriggerName}
+              onChangeText={setNewTriggerName}
+              mode="outlined"
+              placeholder="e.g., Red meat"
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={closeAddDialog}>Cancel</Button>
+            <Button onPress={handleAddTrigger}>Add</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+}
+
+const createStyles = (colors) => StyleSheet.create({
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+  },
+});
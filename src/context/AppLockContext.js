@@ -0,0 +1,261 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+
+import { eraseDatabase } from '../database/database';
+import { cancelAllReminders } from '../utils/reminders';
+import { createPinRecord, verifyPin, needsRehash } from '../utils/pin';
+
+const AppLockContext = createContext();
+
+export const LOCK_SETTINGS_STORAGE_KEY = '@peri_tracker_lock_settings';
+const PIN_STORAGE_KEY = 'peri_tracker_pin';
+const FAILED_ATTEMPTS_STORAGE_KEY = 'peri_tracker_pin_failed_attempts';
+const RETRY_AT_STORAGE_KEY = 'peri_tracker_pin_retry_at';
+
+const SECURE_STORE_OPTIONS = {
+  keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+};
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+export const MAX_FAILED_ATTEMPTS = 10;
+
+// Wait before the next PIN attempt once this many have failed in a row (ms).
+// Attempts after the last step wait as long as it does.
+const RETRY_DELAYS = [
+  { attempts: 5, delay: 30 * 1000 },
+  { attempts: 6, delay: 60 * 1000 },
+  { attempts: 7, delay: 5 * 60 * 1000 },
+  { attempts: 8, delay: 15 * 60 * 1000 },
+  { attempts: 9, delay: 60 * 60 * 1000 },
+];
+
+// Time in the background before the app locks again (ms)
+export const AUTO_LOCK_OPTIONS = [
+  { value: 0, label: 'Immediately' },
+  { value: 60 * 1000, label: 'After 1 minute' },
+  { value: 5 * 60 * 1000, label: 'After 5 minutes' },
+  { value: 15 * 60 * 1000, label: 'After 15 minutes' },
+  { value: 60 * 60 * 1000, label: 'After 1 hour' },
+];
+
+const DEFAULT_LOCK_SETTINGS = {
+  autoLockTimeout: 60 * 1000,
+  wipeOnFailure: false,
+};
+
+export function isValidPin(pin) {
+  return new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(pin);
+}
+
+/**
+ * How long to wait before the next PIN attempt after `failedAttempts` in a row (ms)
+ */
+export function getRetryDelay(failedAttempts) {
+  const step = RETRY_DELAYS.filter((s) => failedAttempts >= s.attempts).pop();
+  return step ? step.delay : 0;
+}
+
+/**
+ * Erase the database along with what would give its contents away: pending
+ * reminders, which name medications, and the saved preferences
+ */
+export async function eraseAllData() {
+  await eraseDatabase();
+  await cancelAllReminders();
+  await AsyncStorage.clear();
+}
+
+/**
+ * Whether the app should lock again after being in the background
+ */
+export function shouldRelock(backgroundedAt, now, autoLockTimeout) {
+  if (backgroundedAt === null) return false;
+  return now - backgroundedAt >= autoLockTimeout;
+}
+
+export function AppLockProvider({ children }) {
+  const [pinRecord, setPinRecord] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_LOCK_SETTINGS);
+  const [isLocked, setIsLocked] = useState(false);
+  const [failedAttempts, setFailedAttempts] = useState(0);
+  const [retryAt, setRetryAt] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const backgroundedAt = useRef(null);
+
+  useEffect(() => {
+    loadLockState();
+  }, []);
+
+  const loadLockState = async () => {
+    try {
+      const [storedPin, storedAttempts, storedRetryAt, storedSettings] = await Promise.all([
+        SecureStore.getItemAsync(PIN_STORAGE_KEY, SECURE_STORE_OPTIONS),
+        SecureStore.getItemAsync(FAILED_ATTEMPTS_STORAGE_KEY, SECURE_STORE_OPTIONS),
+        SecureStore.getItemAsync(RETRY_AT_STORAGE_KEY, SECURE_STORE_OPTIONS),
+        AsyncStorage.getItem(LOCK_SETTINGS_STORAGE_KEY),
+      ]);
+
+      if (storedSettings !== null) {
+        setSettings({ ...DEFAULT_LOCK_SETTINGS, ...JSON.parse(storedSettings) });
+      }
+      setFailedAttempts(parseInt(storedAttempts, 10) || 0);
+      setRetryAt(parseInt(storedRetryAt, 10) || null);
+
+      if (storedPin !== null) {
+        setPinRecord(JSON.parse(storedPin));
+        setIsLocked(true);
+      }
+    } catch (error) {
+      console.error('Error loading app lock settings:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Re-lock after the configured time in the background
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (!pinRecord) return;
+
+      if (nextState === 'background') {
+        backgroundedAt.current = Date.now();
+      } else if (nextState === 'active') {
+        if (shouldRelock(backgroundedAt.current, Date.now(), settings.autoLockTimeout)) {
+          setIsLocked(true);
+        }
+        backgroundedAt.current = null;
+      }
+    });
+
+    return () => subscription.remove();
+  }, [pinRecord, settings.autoLockTimeout]);
+
+  // Kept in the secure store so restarting the app doesn't skip the wait
+  const saveFailedAttempts = async (count, nextRetryAt = null) => {
+    setFailedAttempts(count);
+    setRetryAt(nextRetryAt);
+    await SecureStore.setItemAsync(FAILED_ATTEMPTS_STORAGE_KEY, String(count), SECURE_STORE_OPTIONS);
+    if (nextRetryAt) {
+      await SecureStore.setItemAsync(RETRY_AT_STORAGE_KEY, String(nextRetryAt), SECURE_STORE_OPTIONS);
+    } else {
+      await SecureStore.deleteItemAsync(RETRY_AT_STORAGE_KEY, SECURE_STORE_OPTIONS);
+    }
+  };
+
+  const saveSettings = async (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    await AsyncStorage.setItem(LOCK_SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const removePin = async () => {
+    await Promise.all([
+      SecureStore.deleteItemAsync(PIN_STORAGE_KEY, SECURE_STORE_OPTIONS),
+      SecureStore.deleteItemAsync(FAILED_ATTEMPTS_STORAGE_KEY, SECURE_STORE_OPTIONS),
+      SecureStore.deleteItemAsync(RETRY_AT_STORAGE_KEY, SECURE_STORE_OPTIONS),
+    ]);
+    setPinRecord(null);
+    setFailedAttempts(0);
+    setRetryAt(null);
+    setIsLocked(false);
+  };
+
+  const checkPin = useCallback((pin) => verifyPin(pin, pinRecord), [pinRecord]);
+
+  const savePinRecord = async (pin) => {
+    const record = await createPinRecord(pin);
+    await SecureStore.setItemAsync(PIN_STORAGE_KEY, JSON.stringify(record), SECURE_STORE_OPTIONS);
+    setPinRecord(record);
+  };
+
+  /**
+   * Try to unlock with a PIN. Returns { success, attemptsLeft, retryAt, wiped },
+   * where retryAt is when the next attempt can be made after several have failed.
+   */
+  const unlock = async (pin) => {
+    if (retryAt && Date.now() < retryAt) {
+      return { success: false, retryAt };
+    }
+
+    if (await checkPin(pin)) {
+      await saveFailedAttempts(0);
+      // Only the unlock knows the PIN, so older hashes are upgraded here
+      if (needsRehash(pinRecord)) await savePinRecord(pin);
+      setIsLocked(false);
+      return { success: true };
+    }
+
+    const attempts = failedAttempts + 1;
+    if (settings.wipeOnFailure && attempts >= MAX_FAILED_ATTEMPTS) {
+      await eraseAllData();
+      await removePin();
+      setSettings(DEFAULT_LOCK_SETTINGS);
+      return { success: false, wiped: true };
+    }
+
+    const delay = getRetryDelay(attempts);
+    const nextRetryAt = delay > 0 ? Date.now() + delay : null;
+    await saveFailedAttempts(attempts, nextRetryAt);
+    return {
+      success: false,
+      attemptsLeft: settings.wipeOnFailure ? MAX_FAILED_ATTEMPTS - attempts : null,
+      retryAt: nextRetryAt,
+    };
+  };
+
+  const setPin = async (pin) => {
+    if (!isValidPin(pin)) {
+      throw new Error(`PIN must be ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digits`);
+    }
+    await savePinRecord(pin);
+    await saveFailedAttempts(0);
+  };
+
+  const changePin = async (currentPin, newPin) => {
+    if (!(await checkPin(currentPin))) {
+      throw new Error('Current PIN is incorrect');
+    }
+    await setPin(newPin);
+  };
+
+  const disablePin = async (currentPin) => {
+    if (!(await checkPin(currentPin))) {
+      throw new Error('PIN is incorrect');
+    }
+    await removePin();
+  };
+
+  return (
+    <AppLockContext.Provider
+      value={{
+        isLockEnabled: !!pinRecord,
+        isLocked: !!pinRecord && isLocked,
+        isLoading,
+        pinLength: pinRecord?.length || null,
+        failedAttempts,
+        retryAt,
+        autoLockTimeout: settings.autoLockTimeout,
+        wipeOnFailure: settings.wipeOnFailure,
+        unlock,
+        setPin,
+        changePin,
+        disablePin,
+        setAutoLockTimeout: (autoLockTimeout) => saveSettings({ autoLockTimeout }),
+        setWipeOnFailure: (wipeOnFailure) => saveSettings({ wipeOnFailure }),
+      }}
+    >
+      {children}
+    </AppLockContext.Provider>
+  );
+}
+
+export function useAppLock() {
+  const context = useContext(AppLockContext);
+  if (!context) {
+    throw new Error('useAppLock must be used within an AppLockProvider');
+  }
+  return context;
+}
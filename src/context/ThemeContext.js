@@ -37,7 +37,9 @@ export function ThemeProvider({ children }) {
   };
 
   return (
-    <ThemeContext.Provider value={{ isDarkMode, toggleTheme, isLoading }}>
+    <ThemeContext.Provider
+      value={{ isDarkMode, toggleTheme, isLoading, reloadTheme: loadThemePreference }}
+    >
       {children}
     </ThemeContext.Provider>
   );
@@ -0,0 +1,219 @@
+import {
+  eraseDatabase,
+  saveDailyLog,
+  addMedication,
+  addMedicationDose,
+  recordMedicationReminderAction,
+  addHotFlashEpisode,
+  deleteHotFlashEpisode,
+  getHotFlashEpisodes,
+  getDailyLog,
+  startPeriod,
+  endPeriod,
+  updatePeriod,
+  deletePeriod,
+  getMenopauseStatus,
+  saveQuestionnaireResponse,
+  getAllData,
+  importAllData,
+  clearAllData,
+  getSymptomRegistry,
+} from '../database';
+import { createFixtureDatabase } from '../../../test/fixtures/databases';
+
+jest.mock('expo-sqlite', () => ({ deleteDatabaseAsync: jest.fn() }));
+jest.mock('../encryption', () => ({
+  openEncryptedDatabase: () => mockOpenDatabase(),
+  resetKeySource: jest.fn(),
+  DatabaseKeyError: class DatabaseKeyError extends Error {},
+}));
+
+// Replaced by tests that start from an older database
+let mockOpenDatabase = () => require('../../../test/sqlite').openTestDatabase();
+let db;
+
+beforeEach(async () => {
+  // Every test starts from an empty in-memory database
+  db = await eraseDatabase();
+});
+
+async function countRows(table) {
+  const row = await db.getFirstAsync(`SELECT COUNT(*) AS count FROM ${table}`);
+  return row.count;
+}
+
+function log(date, fields = {}) {
+  return {
+    date,
+    periodFlow: 'none',
+    moodOverall: 5,
+    exerciseLevel: 'light',
+    foodQuality: 'good',
+    symptoms: [],
+    triggers: [],
+    ...fields,
+  };
+}
+
+describe('clearAllData', () => {
+  it('leaves nothing of the logged data behind', async () => {
+    await saveDailyLog(log('2024-03-01', { symptoms: [{ symptomId: 'hot_flashes', severity: 3 }], triggers: ['caffeine'] }));
+    const medicationId = await addMedication('Estradiol', '1mg', 'daily', null, '2024-02-01');
+    await addMedicationDose(medicationId, { date: '2024-03-01', takenAt: '2024-03-01T08:00:00.000Z' });
+    await recordMedicationReminderAction(medicationId, {
+      date: '2024-03-02',
+      scheduledAt: '2024-03-02T08:00:00.000Z',
+      action: 'skipped',
+    });
+    await addHotFlashEpisode({ date: '2024-03-01', startedAt: '2024-03-01T14:00:00.000Z', intensity: 3 });
+    await startPeriod('2024-02-20');
+    await saveQuestionnaireResponse('greene', '2024-03-01', { 1: 2 });
+
+    await clearAllData();
+
+    for (const table of [
+      'daily_logs',
+      'symptoms',
+      'log_triggers',
+      'medications',
+      'medication_doses',
+      'medication_events',
+      'medication_reminder_events',
+      'hot_flash_episodes',
+      'cycle_periods',
+      'milestones',
+      'questionnaire_responses',
+      'questionnaire_answers',
+    ]) {
+      expect([table, await countRows(table)]).toEqual([table, 0]);
+    }
+  });
+});
+
+describe('importAllData', () => {
+  it('recognises questionnaire responses it imported before', async () => {
+    await saveQuestionnaireResponse('greene', '2024-03-01', { 1: 2 });
+    const data = await getAllData();
+    // A response that was never completed
+    data.questionnaireResponses.push({ id: 99, questionnaire_id: 'mrs', date: '2024-03-02', completed_at: null });
+    data.questionnaireAnswers.push({ id: 99, response_id: 99, item: 1, value: 1 });
+
+    await importAllData(data, 'merge');
+    await importAllData(data, 'merge');
+
+    expect(await countRows('questionnaire_responses')).toBe(2);
+    expect(await countRows('questionnaire_answers')).toBe(2);
+  });
+});
+
+describe('getMenopauseStatus', () => {
+  async function logPeriod(startDate, endDate) {
+    const id = await startPeriod(startDate);
+    await endPeriod(id, endDate);
+    return id;
+  }
+
+  it('records the final period once 12 months have passed and flags later bleeding', async () => {
+    await logPeriod('2023-01-10', '2023-01-14');
+    expect((await getMenopauseStatus('2023-12-01')).isPostmenopausal).toBe(false);
+    expect((await getMenopauseStatus('2024-02-01')).isPostmenopausal).toBe(true);
+
+    await logPeriod('2024-03-01', '2024-03-02');
+    const status = await getMenopauseStatus('2024-03-05');
+
+    expect(status.isPostmenopausal).toBe(true);
+    expect(status.finalPeriodDate).toBe('2023-01-14');
+    expect(status.bleedingDates).toEqual(['2024-03-01']);
+  });
+
+  it('works the final period out again when one is backfilled inside the year', async () => {
+    await logPeriod('2023-01-10', '2023-01-14');
+    expect((await getMenopauseStatus('2024-02-01')).finalPeriodDate).toBe('2023-01-14');
+
+    await logPeriod('2023-06-01', '2023-06-05');
+    const status = await getMenopauseStatus('2024-02-01');
+
+    expect(status.isPostmenopausal).toBe(false);
+    expect(status.bleedingDates).toEqual([]);
+    expect((await getMenopauseStatus('2024-06-05')).finalPeriodDate).toBe('2023-06-05');
+  });
+
+  it('works the final period out again when its period is edited or removed', async () => {
+    await logPeriod('2022-06-01', '2022-06-05');
+    const id = await logPeriod('2023-01-10', '2023-01-14');
+    expect((await getMenopauseStatus('2024-02-01')).finalPeriodDate).toBe('2023-01-14');
+
+    await updatePeriod(id, '2023-01-10', '2023-01-16');
+    expect((await getMenopauseStatus('2024-02-01')).finalPeriodDate).toBe('2023-01-16');
+
+    await deletePeriod(id);
+    expect((await getMenopauseStatus('2024-02-01')).finalPeriodDate).toBe('2022-06-05');
+  });
+});
+
+describe('hot flash episodes', () => {
+  function episode(intensity, time = '14:00') {
+    return { date: '2024-03-01', startedAt: `2024-03-01T${time}:00.000Z`, intensity };
+  }
+
+  async function hotFlashSeverity() {
+    const entry = await getDailyLog('2024-03-01');
+    return entry?.symptoms.find((s) => s.symptom_id === 'hot_flashes')?.severity ?? null;
+  }
+
+  it('are kept without creating an entry for their day', async () => {
+    await addHotFlashEpisode(episode(3));
+
+    expect(await getDailyLog('2024-03-01')).toBeNull();
+    expect(await getHotFlashEpisodes('2024-03-01')).toHaveLength(1);
+  });
+
+  it('set the hot_flashes severity of an existing entry from the episode count', async () => {
+    await saveDailyLog(log('2024-03-01'));
+
+    expect(await addHotFlashEpisode(episode(5))).toBe(1);
+    expect(await addHotFlashEpisode(episode(1, '15:00'))).toBe(2);
+    expect(await addHotFlashEpisode(episode(1, '16:00'))).toBe(2);
+    expect(await addHotFlashEpisode(episode(1, '17:00'))).toBe(3);
+    expect(await hotFlashSeverity()).toBe(3);
+  });
+
+  it('lower the severity again when removed, and clear it with the last one', async () => {
+    await saveDailyLog(log('2024-03-01', { symptoms: [{ symptomId: 'hot_flashes', severity: 5 }] }));
+    await addHotFlashEpisode(episode(3));
+    await addHotFlashEpisode(episode(3, '15:00'));
+    expect(await hotFlashSeverity()).toBe(2);
+
+    const [first, second] = await getHotFlashEpisodes('2024-03-01');
+    expect(await deleteHotFlashEpisode(first.id)).toBe(1);
+    expect(await hotFlashSeverity()).toBe(1);
+
+    expect(await deleteHotFlashEpisode(second.id)).toBeNull();
+    expect(await hotFlashSeverity()).toBeNull();
+  });
+});
+
+describe('symptom catalog version', () => {
+  const openDatabase = mockOpenDatabase;
+
+  afterEach(() => {
+    mockOpenDatabase = openDatabase;
+  });
+
+  async function isHidden(symptomId) {
+    return (await getSymptomRegistry()).find((s) => s.id === symptomId).hidden;
+  }
+
+  it('shows the whole catalog in a new database', async () => {
+    expect(await isHidden('palpitations')).toBe(false);
+    expect(await isHidden('hot_flashes')).toBe(false);
+  });
+
+  it('hides symptoms added since an upgraded database started', async () => {
+    mockOpenDatabase = () => createFixtureDatabase(11);
+    await eraseDatabase();
+
+    expect(await isHidden('palpitations')).toBe(true);
+    expect(await isHidden('hot_flashes')).toBe(false);
+  });
+});
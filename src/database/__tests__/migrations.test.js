@@ -0,0 +1,176 @@
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  MigrationError,
+  runMigrations,
+  getSchemaVersion,
+} from '../migrations';
+import { openTestDatabase } from '../../../test/sqlite';
+import {
+  LEGACY_VERSION,
+  FIXTURE_VERSIONS,
+  LOGS,
+  SYMPTOMS,
+  MEDICATIONS,
+  createFixtureDatabase,
+} from '../../../test/fixtures/databases';
+
+// Tables, their columns and indexes, independent of the order columns were added in
+async function describeSchema(db) {
+  const tables = await db.getAllAsync(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  );
+  const schema = {};
+  for (const { name } of tables) {
+    const columns = await db.getAllAsync(`PRAGMA table_info(${name})`);
+    schema[name] = columns
+      .map((c) => `${c.name} ${c.type}${c.notnull ? ' NOT NULL' : ''}${c.pk ? ' PRIMARY KEY' : ''}`)
+      .sort();
+  }
+  const indexes = await db.getAllAsync(
+    "SELECT name, tbl_name FROM sqlite_master WHERE type = 'index' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  );
+  return { schema, indexes };
+}
+
+describe('runMigrations', () => {
+  let currentSchema;
+
+  beforeAll(async () => {
+    const db = await openTestDatabase();
+    await runMigrations(db);
+    currentSchema = await describeSchema(db);
+    await db.closeAsync();
+  });
+
+  it('creates the current schema in an empty database', async () => {
+    const db = await openTestDatabase();
+
+    const applied = await runMigrations(db);
+
+    expect(applied).toEqual(MIGRATIONS.map((m) => m.version));
+    expect(await getSchemaVersion(db)).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('does nothing on a database that is up to date', async () => {
+    const db = await openTestDatabase();
+    await runMigrations(db);
+
+    expect(await runMigrations(db)).toEqual([]);
+  });
+
+  describe.each(FIXTURE_VERSIONS)('from version %i', (version) => {
+    let db;
+    let applied;
+
+    beforeAll(async () => {
+      db = await createFixtureDatabase(version);
+      applied = await runMigrations(db);
+    });
+
+    afterAll(() => db.closeAsync());
+
+    it('applies every later migration', async () => {
+      // Legacy databases already have the lifestyle columns of migrations 2 and 3
+      const from = version === LEGACY_VERSION ? 3 : version;
+      expect(applied).toEqual(MIGRATIONS.filter((m) => m.version > from).map((m) => m.version));
+      expect(await getSchemaVersion(db)).toBe(CURRENT_SCHEMA_VERSION);
+    });
+
+    it('ends up with the current schema', async () => {
+      expect(await describeSchema(db)).toEqual(currentSchema);
+    });
+
+    it('keeps daily logs and symptoms', async () => {
+      const logs = await db.getAllAsync(
+        'SELECT date, period_flow, mood_overall, sleep_hours, notes FROM daily_logs ORDER BY date'
+      );
+      expect(logs).toEqual(LOGS.map(({ cycle_day, ...log }) => log));
+
+      const symptoms = await db.getAllAsync(
+        `SELECT dl.date, s.symptom_id, s.severity FROM symptoms s
+         JOIN daily_logs dl ON s.log_id = dl.id ORDER BY dl.date`
+      );
+      expect(symptoms).toEqual(SYMPTOMS);
+    });
+
+    it('has a cycle day on every log after a period start', async () => {
+      const logs = await db.getAllAsync('SELECT date, cycle_day FROM daily_logs ORDER BY date');
+      expect(logs).toEqual(LOGS.map(({ date, cycle_day }) => ({ date, cycle_day })));
+    });
+
+    it('keeps medications, periods and custom symptoms', async () => {
+      const medications = await db.getAllAsync(
+        'SELECT id, name, dose, frequency, created_at FROM medications ORDER BY id'
+      );
+      expect(medications).toEqual(MEDICATIONS);
+      expect(await db.getFirstAsync('SELECT COUNT(*) AS count FROM cycle_periods')).toEqual({ count: 2 });
+      expect(await db.getFirstAsync('SELECT name FROM custom_symptoms')).toEqual({ name: 'Brain zaps' });
+    });
+
+    it('has a dose for every medication taken', async () => {
+      const doses = await db.getAllAsync(
+        'SELECT medication_id, date, amount, notes FROM medication_doses ORDER BY date'
+      );
+      expect(doses).toEqual([
+        { medication_id: 1, date: '2024-01-03', amount: '1mg', notes: 'With breakfast' },
+        { medication_id: 1, date: '2024-01-30', amount: '1mg', notes: null },
+      ]);
+    });
+
+    it('has a start event for every medication', async () => {
+      const events = await db.getAllAsync(
+        'SELECT medication_id, date, type, dose, frequency FROM medication_events ORDER BY medication_id'
+      );
+      expect(events).toEqual(
+        MEDICATIONS.map((m) => ({
+          medication_id: m.id,
+          date: m.created_at.slice(0, 10),
+          type: 'started',
+          dose: m.dose,
+          frequency: m.frequency,
+        }))
+      );
+    });
+  });
+
+  it('copies ticked-off medication days into doses without a time', async () => {
+    const db = await createFixtureDatabase(6);
+    await runMigrations(db);
+
+    const doses = await db.getAllAsync('SELECT taken_at FROM medication_doses');
+    expect(doses).toEqual([{ taken_at: null }, { taken_at: null }]);
+  });
+
+  it('turns archived built-in symptoms into hidden ones', async () => {
+    const db = await createFixtureDatabase(11);
+    await runMigrations(db);
+
+    const settings = await db.getAllAsync(
+      'SELECT symptom_id, name, sort_order, hidden FROM symptom_settings ORDER BY sort_order'
+    );
+    expect(settings).toEqual([
+      { symptom_id: 'hot_flashes', name: 'Flushes', sort_order: 1, hidden: null },
+      { symptom_id: 'joint_pain', name: null, sort_order: 2, hidden: 1 },
+    ]);
+  });
+
+  it('rolls back a failed migration and reports where it stopped', async () => {
+    const db = await createFixtureDatabase(12);
+    const failing = {
+      version: CURRENT_SCHEMA_VERSION + 1,
+      name: 'failing',
+      up: async (database) => {
+        await database.execAsync('CREATE TABLE half_done (id INTEGER)');
+        throw new Error('disk full');
+      },
+    };
+
+    const error = await runMigrations(db, [...MIGRATIONS, failing]).catch((e) => e);
+
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error.fromVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(await getSchemaVersion(db)).toBe(CURRENT_SCHEMA_VERSION);
+    expect(await db.getFirstAsync("SELECT name FROM sqlite_master WHERE name = 'half_done'")).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+// Cycle day calculation for daily logs
+//
+// A log's cycle day is the number of days since the most recent period start
+// on or before its date (the start date itself is day 1). Logs from before the
+// first recorded period have no cycle day. These helpers take an open database
+// so they can run inside the caller's withDatabase() call or transaction.
+
+// Cycle day of daily_logs.date, evaluated per row in an UPDATE
+const CYCLE_DAY_EXPRESSION = `(
+  SELECT CAST(julianday(daily_logs.date) - julianday(MAX(cp.start_date)) AS INTEGER) + 1
+  FROM cycle_periods cp
+  WHERE cp.start_date <= daily_logs.date
+)`;
+
+/**
+ * Cycle day for a date, or null when no period starts on or before it
+ */
+export async function getCycleDayForDate(db, date) {
+  const row = await db.getFirstAsync(
+    `SELECT CAST(julianday(?) - julianday(MAX(start_date)) AS INTEGER) + 1 as cycle_day
+     FROM cycle_periods
+     WHERE start_date <= ?`,
+    [date, date]
+  );
+  return row?.cycle_day ?? null;
+}
+
+/**
+ * Recalculate the stored cycle day of every log on or after `fromDate`
+ * (all logs when no date is given). A period start only affects the logs
+ * that follow it, so callers pass the earliest start date that changed.
+ */
+export async function recalculateCycleDays(db, fromDate = null) {
+  const result = await db.runAsync(
+    `UPDATE daily_logs SET cycle_day = ${CYCLE_DAY_EXPRESSION}
+     WHERE ? IS NULL OR date >= ?`,
+    [fromDate, fromDate]
+  );
+  return result.changes;
+}
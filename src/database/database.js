@@ -1,5 +1,25 @@
 import * as SQLite from 'expo-sqlite';
 
+import { runMigrations, getSchemaVersion } from './migrations';
+import { getCycleDayForDate, recalculateCycleDays } from './cycleDays';
+import { findFinalMenstrualPeriod, POSTMENOPAUSE_MONTHS } from '../utils/menopauseStage';
+import { addMonths } from '../utils/dates';
+import { calculateAdherence } from '../utils/adherence';
+import { buildSymptomRegistry } from '../utils/symptoms';
+import { SYMPTOM_CATALOG_VERSION } from '../utils/constants';
+import { getHotFlashSeverity } from '../utils/hotFlashes';
+import {
+  openEncryptedDatabase,
+  changeDatabaseKey,
+  setSessionPasscode,
+  resetKeySource,
+  isSessionPasscode,
+  DatabaseKeyError,
+} from './encryption';
+
+const DATABASE_NAME = 'peritracker.db';
+const SYMPTOM_CATALOG_VERSION_KEY = 'symptom_catalog_version';
+
 let db = null;
 let isInitializing = false;
 
@@ -16,91 +36,13 @@ export async function initDatabase() {
   isInitializing = true;
 
   try {
-    db = await SQLite.openDatabaseAsync('peritracker.db');
-
-  // Create tables
-  await db.execAsync(`
-    PRAGMA journal_mode = WAL;
-
-    CREATE TABLE IF NOT EXISTS daily_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      date TEXT UNIQUE NOT NULL,
-      cycle_day INTEGER,
-      period_flow TEXT DEFAULT 'none',
-      mood_overall INTEGER,
-      mood_anxiety INTEGER,
-      mood_energy INTEGER,
-      sleep_hours REAL,
-      sleep_quality INTEGER,
-      exercise_level TEXT DEFAULT 'none',
-      food_quality TEXT DEFAULT 'fair',
-      notes TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS symptoms (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      log_id INTEGER NOT NULL,
-      symptom_id TEXT NOT NULL,
-      severity INTEGER NOT NULL CHECK (severity >= 1 AND severity <= 5),
-      FOREIGN KEY (log_id) REFERENCES daily_logs(id) ON DELETE CASCADE
-    );
-
-    CREATE TABLE IF NOT EXISTS medications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      dose TEXT,
-      frequency TEXT,
-      active INTEGER DEFAULT 1,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS medication_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      log_id INTEGER NOT NULL,
-      medication_id INTEGER NOT NULL,
-      taken INTEGER DEFAULT 0,
-      notes TEXT,
-      FOREIGN KEY (log_id) REFERENCES daily_logs(id) ON DELETE CASCADE,
-      FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
-    );
-
-    CREATE TABLE IF NOT EXISTS cycle_periods (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      start_date TEXT NOT NULL,
-      end_date TEXT,
-      length INTEGER,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS custom_symptoms (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      symptom_id TEXT UNIQUE NOT NULL,
-      name TEXT NOT NULL,
-      category TEXT DEFAULT 'custom',
-      icon TEXT DEFAULT 'plus',
-      active INTEGER DEFAULT 1
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_daily_logs_date ON daily_logs(date);
-    CREATE INDEX IF NOT EXISTS idx_symptoms_log_id ON symptoms(log_id);
-    CREATE INDEX IF NOT EXISTS idx_cycle_periods_dates ON cycle_periods(start_date, end_date);
-  `);
-
-    // Run migrations for columns that may not exist in older databases
-    const migrations = [
-      "ALTER TABLE daily_logs ADD COLUMN exercise_level TEXT DEFAULT 'none'",
-      "ALTER TABLE daily_logs ADD COLUMN food_quality TEXT DEFAULT 'fair'",
-    ];
-
-    for (const migration of migrations) {
-      try {
-        await db.execAsync(migration);
-      } catch (e) {
-        // Column already exists, ignore error
-      }
-    }
+    db = await openEncryptedDatabase(DATABASE_NAME);
+
+    await db.execAsync('PRAGMA journal_mode = WAL;');
+
+    // Create or upgrade tables
+    const applied = await runMigrations(db);
+    await recordSymptomCatalogVersion(db, applied.includes(1));
 
     return db;
   } catch (error) {
@@ -111,6 +53,39 @@ export async function initDatabase() {
   }
 }
 
+// Remember the symptom catalog version a database started with, so built-in
+// symptoms added after it start out hidden (see buildSymptomRegistry). Databases
+// from before it was recorded started with the first catalog version.
+async function recordSymptomCatalogVersion(db, isNewDatabase) {
+  await db.runAsync(
+    'INSERT OR IGNORE INTO app_settings (key, value) VALUES (?, ?)',
+    [SYMPTOM_CATALOG_VERSION_KEY, String(isNewDatabase ? SYMPTOM_CATALOG_VERSION : 1)]
+  );
+}
+
+// Open a passcode-encrypted database with the passcode entered by the user
+export async function unlockDatabase(passcode) {
+  setSessionPasscode(passcode);
+  try {
+    return await initDatabase();
+  } catch (error) {
+    setSessionPasscode(null);
+    throw error;
+  }
+}
+
+// Delete the database file and start again with an empty one.
+// Used when the passcode has been forgotten or the app lock wipes the data.
+export async function eraseDatabase() {
+  if (db) {
+    await db.closeAsync();
+    db = null;
+  }
+  await SQLite.deleteDatabaseAsync(DATABASE_NAME);
+  await resetKeySource();
+  return initDatabase();
+}
+
 // Get database instance - will reinitialize if connection is lost
 export function getDatabase() {
   if (!db) {
@@ -154,19 +129,26 @@ export async function getDailyLog(date) {
       [log.id]
     );
 
-    // Get medication logs
-    const medicationLogs = await db.getAllAsync(
-      `SELECT ml.*, m.name, m.dose
-       FROM medication_logs ml
-       JOIN medications m ON ml.medication_id = m.id
-       WHERE ml.log_id = ?`,
+    const triggers = await db.getAllAsync(
+      'SELECT trigger_id FROM log_triggers WHERE log_id = ?',
       [log.id]
     );
 
+    // Get medication doses taken that day
+    const medicationDoses = await db.getAllAsync(
+      `SELECT md.*, m.name, m.dose
+       FROM medication_doses md
+       JOIN medications m ON md.medication_id = m.id
+       WHERE md.date = ?
+       ORDER BY md.taken_at`,
+      [date]
+    );
+
     return {
       ...log,
       symptoms,
-      medicationLogs,
+      triggers: triggers.map((t) => t.trigger_id),
+      medicationDoses,
     };
   });
 }
@@ -175,7 +157,6 @@ export async function saveDailyLog(data) {
   return withDatabase(async (db) => {
     const {
       date,
-      cycleDay,
       periodFlow,
       moodOverall,
       moodAnxiety,
@@ -186,7 +167,7 @@ export async function saveDailyLog(data) {
       foodQuality,
       notes,
       symptoms,
-      medicationLogs,
+      triggers,
     } = data;
 
     // Check if log exists for this date
@@ -195,6 +176,8 @@ export async function saveDailyLog(data) {
       [date]
     );
 
+    const cycleDay = await getCycleDayForDate(db, date);
+
     let logId;
 
     if (existing) {
@@ -217,9 +200,9 @@ export async function saveDailyLog(data) {
       );
       logId = existing.id;
 
-      // Delete existing symptoms and medication logs
+      // Delete existing symptoms and triggers
       await db.runAsync('DELETE FROM symptoms WHERE log_id = ?', [logId]);
-      await db.runAsync('DELETE FROM medication_logs WHERE log_id = ?', [logId]);
+      await db.runAsync('DELETE FROM log_triggers WHERE log_id = ?', [logId]);
     } else {
       // Insert new log
       const result = await db.runAsync(
@@ -249,12 +232,12 @@ export async function saveDailyLog(data) {
       }
     }
 
-    // Insert medication logs
-    if (medicationLogs && medicationLogs.length > 0) {
-      for (const medLog of medicationLogs) {
+    // Insert triggers
+    if (triggers && triggers.length > 0) {
+      for (const triggerId of triggers) {
         await db.runAsync(
-          'INSERT INTO medication_logs (log_id, medication_id, taken, notes) VALUES (?, ?, ?, ?)',
-          [logId, medLog.medicationId, medLog.taken ? 1 : 0, medLog.notes || null]
+          'INSERT INTO log_triggers (log_id, trigger_id) VALUES (?, ?)',
+          [logId, triggerId]
         );
       }
     }
@@ -265,7 +248,13 @@ export async function saveDailyLog(data) {
 
 export async function deleteDailyLog(date) {
   return withDatabase(async (db) => {
+    await db.runAsync(
+      'DELETE FROM log_triggers WHERE log_id IN (SELECT id FROM daily_logs WHERE date = ?)',
+      [date]
+    );
     await db.runAsync('DELETE FROM daily_logs WHERE date = ?', [date]);
+    await db.runAsync('DELETE FROM medication_doses WHERE date = ?', [date]);
+    await db.runAsync('DELETE FROM hot_flash_episodes WHERE date = ?', [date]);
   });
 }
 
@@ -284,18 +273,25 @@ export async function getLogsInRange(startDate, endDate) {
       `SELECT * FROM symptoms WHERE log_id IN (${logIds.join(',')})`
     );
 
-    const medicationLogs = await db.getAllAsync(
-      `SELECT ml.*, m.name, m.dose
-       FROM medication_logs ml
-       JOIN medications m ON ml.medication_id = m.id
-       WHERE ml.log_id IN (${logIds.join(',')})`
+    const triggers = await db.getAllAsync(
+      `SELECT * FROM log_triggers WHERE log_id IN (${logIds.join(',')})`
+    );
+
+    const medicationDoses = await db.getAllAsync(
+      `SELECT md.*, m.name, m.dose
+       FROM medication_doses md
+       JOIN medications m ON md.medication_id = m.id
+       WHERE md.date >= ? AND md.date <= ?
+       ORDER BY md.taken_at`,
+      [startDate, endDate]
     );
 
-    // Group symptoms and medication logs by log_id
+    // Group symptoms and triggers by log_id and medication doses by date
     return logs.map((log) => ({
       ...log,
       symptoms: symptoms.filter((s) => s.log_id === log.id),
-      medicationLogs: medicationLogs.filter((m) => m.log_id === log.id),
+      triggers: triggers.filter((t) => t.log_id === log.id).map((t) => t.trigger_id),
+      medicationDoses: medicationDoses.filter((d) => d.date === log.date),
     }));
   });
 }
@@ -332,28 +328,317 @@ export async function getMedications(activeOnly = true) {
   });
 }
 
-export async function addMedication(name, dose, frequency) {
+// Column values for a reminder given as { enabled, times: ['HH:MM'], weekday }
+function getReminderColumns(reminder) {
+  return [
+    reminder?.enabled ? 1 : 0,
+    reminder?.times?.length ? reminder.times.join(',') : null,
+    reminder?.weekday ?? null,
+  ];
+}
+
+// Add to a medication's history. Several edits on one day make a single
+// change, and an edit on the day it was started just corrects the start.
+async function recordMedicationEvent(db, medicationId, { date, type, dose, frequency }) {
+  if (type === 'changed') {
+    const sameDay = await db.getFirstAsync(
+      `SELECT id FROM medication_events
+       WHERE medication_id = ? AND date = ? AND type IN ('started', 'changed')
+       ORDER BY id DESC`,
+      [medicationId, date]
+    );
+    if (sameDay) {
+      await db.runAsync(
+        'UPDATE medication_events SET dose = ?, frequency = ? WHERE id = ?',
+        [dose || null, frequency, sameDay.id]
+      );
+      return;
+    }
+  }
+
+  await db.runAsync(
+    'INSERT INTO medication_events (medication_id, date, type, dose, frequency) VALUES (?, ?, ?, ?, ?)',
+    [medicationId, date, type, dose || null, frequency]
+  );
+}
+
+/**
+ * Add a medication started on `startDate`. Adding one with the name of a
+ * stopped medication starts that one again, so its history carries on.
+ */
+export async function addMedication(
+  name,
+  dose,
+  frequency,
+  reminder = null,
+  startDate = new Date().toISOString().split('T')[0]
+) {
+  return withDatabase(async (db) => {
+    let id;
+    await db.withTransactionAsync(async () => {
+      const stopped = await db.getFirstAsync(
+        'SELECT id FROM medications WHERE active = 0 AND LOWER(name) = LOWER(?)',
+        [name]
+      );
+      if (stopped) {
+        id = stopped.id;
+        await db.runAsync(
+          `UPDATE medications SET name = ?, dose = ?, frequency = ?, active = 1,
+             reminders_enabled = ?, reminder_times = ?, reminder_weekday = ?
+           WHERE id = ?`,
+          [name, dose, frequency, ...getReminderColumns(reminder), id]
+        );
+      } else {
+        const result = await db.runAsync(
+          `INSERT INTO medications (name, dose, frequency, reminders_enabled, reminder_times, reminder_weekday)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [name, dose, frequency, ...getReminderColumns(reminder)]
+        );
+        id = result.lastInsertRowId;
+      }
+      await recordMedicationEvent(db, id, { date: startDate, type: 'started', dose, frequency });
+    });
+    return id;
+  });
+}
+
+/**
+ * Update a medication. A new dose or frequency, or starting or stopping it,
+ * is recorded in its history as of `date`. The reminder is left unchanged when none is given.
+ */
+export async function updateMedication(
+  id,
+  name,
+  dose,
+  frequency,
+  active,
+  reminder = null,
+  date = new Date().toISOString().split('T')[0]
+) {
+  return withDatabase(async (db) => {
+    const current = await db.getFirstAsync('SELECT * FROM medications WHERE id = ?', [id]);
+    if (!current) return;
+
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        'UPDATE medications SET name = ?, dose = ?, frequency = ?, active = ? WHERE id = ?',
+        [name, dose, frequency, active ? 1 : 0, id]
+      );
+      if (reminder) {
+        await db.runAsync(
+          `UPDATE medications SET reminders_enabled = ?, reminder_times = ?, reminder_weekday = ?
+           WHERE id = ?`,
+          [...getReminderColumns(reminder), id]
+        );
+      }
+
+      let type = null;
+      if (active && !current.active) {
+        type = 'started';
+      } else if (!active && current.active) {
+        type = 'stopped';
+      } else if (active && ((dose || null) !== (current.dose || null) || frequency !== current.frequency)) {
+        type = 'changed';
+      }
+      if (type) {
+        await recordMedicationEvent(db, id, { date, type, dose, frequency });
+      }
+    });
+  });
+}
+
+/**
+ * Stop a medication as of `date` instead of deleting it. It leaves the
+ * medication list, but its doses and history stay for reports and insights.
+ */
+export async function archiveMedication(id, date = new Date().toISOString().split('T')[0]) {
+  return withDatabase(async (db) => {
+    const medication = await db.getFirstAsync(
+      'SELECT * FROM medications WHERE id = ? AND active = 1',
+      [id]
+    );
+    if (!medication) return;
+
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('UPDATE medications SET active = 0 WHERE id = ?', [id]);
+      await recordMedicationEvent(db, id, {
+        date,
+        type: 'stopped',
+        dose: medication.dose,
+        frequency: medication.frequency,
+      });
+    });
+  });
+}
+
+/**
+ * History of every medication, oldest first, with the medication's name
+ */
+export async function getMedicationEvents() {
+  return withDatabase(async (db) => {
+    return db.getAllAsync(
+      `SELECT me.*, m.name
+       FROM medication_events me
+       JOIN medications m ON me.medication_id = m.id
+       ORDER BY me.date, me.id`
+    );
+  });
+}
+
+// ============ Medication Doses ============
+
+export async function getMedicationDoses(date) {
+  return withDatabase(async (db) => {
+    return db.getAllAsync(
+      `SELECT md.*, m.name, m.dose
+       FROM medication_doses md
+       JOIN medications m ON md.medication_id = m.id
+       WHERE md.date = ?
+       ORDER BY md.taken_at`,
+      [date]
+    );
+  });
+}
+
+/**
+ * Log a dose of a medication on `date`. takenAt is an ISO timestamp; amount
+ * defaults to the medication's dose and reason is for as-needed doses.
+ */
+export async function addMedicationDose(medicationId, { date, takenAt, amount = null, reason = null }) {
   return withDatabase(async (db) => {
     const result = await db.runAsync(
-      'INSERT INTO medications (name, dose, frequency) VALUES (?, ?, ?)',
-      [name, dose, frequency]
+      `INSERT INTO medication_doses (medication_id, date, taken_at, amount, reason)
+       VALUES (?, ?, ?, IFNULL(?, (SELECT dose FROM medications WHERE id = ?)), ?)`,
+      [medicationId, date, takenAt, amount || null, medicationId, reason || null]
     );
     return result.lastInsertRowId;
   });
 }
 
-export async function updateMedication(id, name, dose, frequency, active) {
+export async function deleteMedicationDose(id) {
+  return withDatabase(async (db) => {
+    await db.runAsync('DELETE FROM medication_doses WHERE id = ?', [id]);
+  });
+}
+
+/**
+ * Record what the user did with a dose reminder: 'taken', 'snoozed' or 'skipped'.
+ * Taken doses are also logged as a dose on `date`.
+ * Returns false when the medication no longer exists.
+ */
+export async function recordMedicationReminderAction(medicationId, { date, scheduledAt, action }) {
   return withDatabase(async (db) => {
+    const medication = await db.getFirstAsync('SELECT id FROM medications WHERE id = ?', [medicationId]);
+    if (!medication) return false;
+
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        `INSERT INTO medication_reminder_events (medication_id, date, scheduled_at, action)
+         VALUES (?, ?, ?, ?)`,
+        [medicationId, date, scheduledAt, action]
+      );
+      if (action !== 'taken') return;
+
+      await db.runAsync(
+        `INSERT INTO medication_doses (medication_id, date, taken_at, amount)
+         VALUES (?, ?, ?, (SELECT dose FROM medications WHERE id = ?))`,
+        [medicationId, date, new Date().toISOString(), medicationId]
+      );
+    });
+    return true;
+  });
+}
+
+// ============ Hot Flashes ============
+
+// Set the day's hot_flashes symptom from its number of episodes (see
+// getHotFlashSeverity), replacing any severity logged by hand. Once the last
+// episode is removed the symptom goes too. Days without an entry aren't given one.
+// Returns the symptom's severity, or null when it isn't set.
+async function syncHotFlashSymptom(db, date) {
+  const log = await db.getFirstAsync('SELECT id FROM daily_logs WHERE date = ?', [date]);
+  if (!log) return null;
+
+  const row = await db.getFirstAsync(
+    'SELECT COUNT(*) as count FROM hot_flash_episodes WHERE date = ?',
+    [date]
+  );
+  const severity = getHotFlashSeverity(row.count);
+
+  await db.runAsync(
+    "DELETE FROM symptoms WHERE log_id = ? AND symptom_id = 'hot_flashes'",
+    [log.id]
+  );
+  if (severity !== null) {
     await db.runAsync(
-      'UPDATE medications SET name = ?, dose = ?, frequency = ?, active = ? WHERE id = ?',
-      [name, dose, frequency, active ? 1 : 0, id]
+      "INSERT INTO symptoms (log_id, symptom_id, severity) VALUES (?, 'hot_flashes', ?)",
+      [log.id, severity]
+    );
+  }
+  return severity;
+}
+
+export async function getHotFlashEpisodes(date) {
+  return withDatabase(async (db) => {
+    return db.getAllAsync(
+      'SELECT * FROM hot_flash_episodes WHERE date = ? ORDER BY started_at',
+      [date]
+    );
+  });
+}
+
+export async function getHotFlashEpisodesInRange(startDate, endDate) {
+  return withDatabase(async (db) => {
+    return db.getAllAsync(
+      'SELECT * FROM hot_flash_episodes WHERE date >= ? AND date <= ? ORDER BY started_at',
+      [startDate, endDate]
     );
   });
 }
 
-export async function deleteMedication(id) {
+/**
+ * Log a hot flash on `date`. startedAt is an ISO timestamp and triggers a list
+ * of trigger ids. When the day has an entry its hot_flashes symptom is updated
+ * to the new episode count. Returns the symptom's severity, or null when the
+ * day has no entry.
+ */
+export async function addHotFlashEpisode({
+  date,
+  startedAt,
+  durationMinutes = null,
+  intensity,
+  triggers = [],
+  notes = null,
+}) {
   return withDatabase(async (db) => {
-    await db.runAsync('DELETE FROM medications WHERE id = ?', [id]);
+    let severity;
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        `INSERT INTO hot_flash_episodes (date, started_at, duration_minutes, intensity, triggers, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [date, startedAt, durationMinutes, intensity, triggers.join(',') || null, notes || null]
+      );
+      severity = await syncHotFlashSymptom(db, date);
+    });
+    return severity;
+  });
+}
+
+/**
+ * Remove a hot flash and update its day's hot_flashes symptom to the episodes
+ * left. Returns the symptom's severity, or null when it isn't set.
+ */
+export async function deleteHotFlashEpisode(id) {
+  return withDatabase(async (db) => {
+    const episode = await db.getFirstAsync('SELECT date FROM hot_flash_episodes WHERE id = ?', [id]);
+    if (!episode) return null;
+
+    let severity;
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('DELETE FROM hot_flash_episodes WHERE id = ?', [id]);
+      severity = await syncHotFlashSymptom(db, episode.date);
+    });
+    return severity;
   });
 }
 
@@ -368,6 +653,12 @@ export async function getCyclePeriods(limit = 12) {
   });
 }
 
+export async function getAllCyclePeriods() {
+  return withDatabase(async (db) => {
+    return db.getAllAsync('SELECT * FROM cycle_periods ORDER BY start_date ASC');
+  });
+}
+
 export async function startPeriod(startDate) {
   return withDatabase(async (db) => {
     // Check if there's an unclosed period
@@ -396,6 +687,9 @@ export async function startPeriod(startDate) {
       'INSERT INTO cycle_periods (start_date) VALUES (?)',
       [startDate]
     );
+    await recalculateCycleDays(db, startDate);
+    // Closing an open period moves its end date too
+    await reviewFinalPeriodMilestone(db, unclosed ? [unclosed.start_date, startDate] : [startDate]);
     return result.lastInsertRowId;
   });
 }
@@ -416,10 +710,34 @@ export async function endPeriod(id, endDate) {
         'UPDATE cycle_periods SET end_date = ?, length = ? WHERE id = ?',
         [endDate, length, id]
       );
+      await reviewFinalPeriodMilestone(db, [period.start_date]);
     }
   });
 }
 
+export async function updatePeriod(id, startDate, endDate) {
+  return withDatabase(async (db) => {
+    const period = await db.getFirstAsync(
+      'SELECT start_date FROM cycle_periods WHERE id = ?',
+      [id]
+    );
+    if (!period) return;
+
+    const length = endDate
+      ? Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1
+      : null;
+
+    await db.runAsync(
+      'UPDATE cycle_periods SET start_date = ?, end_date = ?, length = ? WHERE id = ?',
+      [startDate, endDate, length, id]
+    );
+
+    // Logs after whichever start date is earlier may now be in a different cycle
+    await recalculateCycleDays(db, startDate < period.start_date ? startDate : period.start_date);
+    await reviewFinalPeriodMilestone(db, [period.start_date, startDate]);
+  });
+}
+
 export async function getCurrentPeriod() {
   return withDatabase(async (db) => {
     return db.getFirstAsync(
@@ -430,7 +748,15 @@ export async function getCurrentPeriod() {
 
 export async function deletePeriod(id) {
   return withDatabase(async (db) => {
+    const period = await db.getFirstAsync(
+      'SELECT start_date FROM cycle_periods WHERE id = ?',
+      [id]
+    );
+    if (!period) return;
+
     await db.runAsync('DELETE FROM cycle_periods WHERE id = ?', [id]);
+    await recalculateCycleDays(db, period.start_date);
+    await reviewFinalPeriodMilestone(db, [period.start_date]);
   });
 }
 
@@ -447,6 +773,72 @@ export async function getPeriodsInRange(startDate, endDate) {
   });
 }
 
+// ============ Milestones ============
+
+const FINAL_MENSTRUAL_PERIOD = 'final_menstrual_period';
+
+/**
+ * Clear the final menstrual period milestone when a period starting on or
+ * before the day it was confirmed is logged, changed or removed, so it is
+ * worked out again from the periods as they now stand.
+ */
+async function reviewFinalPeriodMilestone(db, startDates) {
+  const milestone = await db.getFirstAsync(
+    'SELECT date FROM milestones WHERE type = ?',
+    [FINAL_MENSTRUAL_PERIOD]
+  );
+  if (!milestone) return;
+
+  const confirmedOn = addMonths(milestone.date, POSTMENOPAUSE_MONTHS);
+  if (startDates.some((date) => date <= confirmedOn)) {
+    await db.runAsync('DELETE FROM milestones WHERE type = ?', [FINAL_MENSTRUAL_PERIOD]);
+  }
+}
+
+/**
+ * Menopause status from the final menstrual period milestone, recording it
+ * the first time 12 months have passed since the last logged period.
+ * Bleeding logged after the milestone is returned so it can be flagged.
+ */
+export async function getMenopauseStatus(today = new Date().toISOString().split('T')[0]) {
+  return withDatabase(async (db) => {
+    let milestone = await db.getFirstAsync(
+      'SELECT * FROM milestones WHERE type = ?',
+      [FINAL_MENSTRUAL_PERIOD]
+    );
+
+    if (!milestone) {
+      const periods = await db.getAllAsync('SELECT * FROM cycle_periods ORDER BY start_date ASC');
+      const finalPeriodDate = findFinalMenstrualPeriod(periods, { today });
+      if (finalPeriodDate) {
+        await db.runAsync(
+          'INSERT INTO milestones (type, date) VALUES (?, ?)',
+          [FINAL_MENSTRUAL_PERIOD, finalPeriodDate]
+        );
+        milestone = { type: FINAL_MENSTRUAL_PERIOD, date: finalPeriodDate };
+      }
+    }
+
+    if (!milestone) {
+      return { isPostmenopausal: false, finalPeriodDate: null, bleedingDates: [] };
+    }
+
+    const bleeding = await db.getAllAsync(
+      `SELECT date FROM daily_logs WHERE date > ? AND period_flow IS NOT NULL AND period_flow != 'none'
+       UNION
+       SELECT start_date as date FROM cycle_periods WHERE start_date > ?
+       ORDER BY date ASC`,
+      [milestone.date, milestone.date]
+    );
+
+    return {
+      isPostmenopausal: true,
+      finalPeriodDate: milestone.date,
+      bleedingDates: bleeding.map((row) => row.date),
+    };
+  });
+}
+
 // ============ Statistics ============
 
 export async function getSymptomStats(startDate, endDate) {
@@ -524,28 +916,77 @@ export async function getCycleStats() {
   });
 }
 
-export async function getMedicationCompliance(startDate, endDate) {
+/**
+ * Adherence of each medication taken between two dates - see calculateAdherence()
+ */
+export async function getMedicationAdherence(startDate, endDate, today = new Date().toISOString().split('T')[0]) {
   return withDatabase(async (db) => {
-    return db.getAllAsync(
-      `SELECT
-        m.id, m.name, m.dose,
-        COUNT(ml.id) as total_logs,
-        SUM(ml.taken) as taken_count
-       FROM medications m
-       LEFT JOIN medication_logs ml ON m.id = ml.medication_id
-       LEFT JOIN daily_logs dl ON ml.log_id = dl.id AND dl.date >= ? AND dl.date <= ?
-       WHERE m.active = 1
-       GROUP BY m.id`,
+    const medications = await db.getAllAsync('SELECT * FROM medications ORDER BY name');
+    const events = await db.getAllAsync('SELECT * FROM medication_events ORDER BY date, id');
+    const doses = await db.getAllAsync(
+      'SELECT medication_id, date FROM medication_doses WHERE date >= ? AND date <= ?',
       [startDate, endDate]
     );
+    const tracked = await db.getAllAsync(
+      `SELECT date FROM daily_logs WHERE date >= ? AND date <= ?
+       UNION
+       SELECT date FROM medication_doses WHERE date >= ? AND date <= ?`,
+      [startDate, endDate, startDate, endDate]
+    );
+    const skipped = await db.getAllAsync(
+      `SELECT medication_id, date FROM medication_reminder_events
+       WHERE action = 'skipped' AND date >= ? AND date <= ?`,
+      [startDate, endDate]
+    );
+
+    const trackedDates = tracked.map((row) => row.date);
+    return medications.map((med) => ({
+      id: med.id,
+      name: med.name,
+      dose: med.dose,
+      frequency: med.frequency,
+      ...calculateAdherence(med, {
+        startDate,
+        endDate,
+        today,
+        events: events.filter((e) => e.medication_id === med.id),
+        doses: doses.filter((d) => d.medication_id === med.id),
+        trackedDates,
+        skippedDates: skipped.filter((e) => e.medication_id === med.id).map((e) => e.date),
+      }),
+    }));
+  });
+}
+
+// ============ Symptoms ============
+
+export async function getCustomSymptoms(activeOnly = true) {
+  return withDatabase(async (db) => {
+    const query = activeOnly
+      ? 'SELECT * FROM custom_symptoms WHERE active = 1'
+      : 'SELECT * FROM custom_symptoms ORDER BY id';
+    return db.getAllAsync(query);
   });
 }
 
-// ============ Custom Symptoms ============
+export async function getSymptomSettings() {
+  return withDatabase(async (db) => {
+    return db.getAllAsync('SELECT * FROM symptom_settings');
+  });
+}
 
-export async function getCustomSymptoms() {
+/**
+ * Every symptom, built-in and custom, hidden ones included (see buildSymptomRegistry)
+ */
+export async function getSymptomRegistry() {
   return withDatabase(async (db) => {
-    return db.getAllAsync('SELECT * FROM custom_symptoms WHERE active = 1');
+    const customSymptoms = await db.getAllAsync('SELECT * FROM custom_symptoms ORDER BY id');
+    const symptomSettings = await db.getAllAsync('SELECT * FROM symptom_settings');
+    const catalogVersion = await db.getFirstAsync(
+      'SELECT value FROM app_settings WHERE key = ?',
+      [SYMPTOM_CATALOG_VERSION_KEY]
+    );
+    return buildSymptomRegistry(customSymptoms, symptomSettings, Number(catalogVersion?.value) || 1);
   });
 }
 
@@ -560,34 +1001,553 @@ export async function addCustomSymptom(name, category = 'custom', icon = 'plus')
   });
 }
 
-// ============ Data Export ============
+// Rename or recategorize a symptom. Built-in symptoms keep their catalog
+// entry and get the change in symptom_settings.
+export async function updateSymptom(symptomId, { name, category }) {
+  return withDatabase(async (db) => {
+    const custom = await db.getFirstAsync(
+      'SELECT id FROM custom_symptoms WHERE symptom_id = ?',
+      [symptomId]
+    );
+    if (custom) {
+      await db.runAsync(
+        'UPDATE custom_symptoms SET name = ?, category = ? WHERE id = ?',
+        [name, category, custom.id]
+      );
+      return;
+    }
+    await db.runAsync(
+      `INSERT INTO symptom_settings (symptom_id, name, category) VALUES (?, ?, ?)
+       ON CONFLICT(symptom_id) DO UPDATE SET name = excluded.name, category = excluded.category`,
+      [symptomId, name, category]
+    );
+  });
+}
+
+// Hidden symptoms are left out of the symptom picker, but days they were
+// logged on keep them. Hiding a custom symptom archives it.
+export async function setSymptomHidden(symptomId, hidden) {
+  return withDatabase(async (db) => {
+    const custom = await db.runAsync(
+      'UPDATE custom_symptoms SET active = ? WHERE symptom_id = ?',
+      [hidden ? 0 : 1, symptomId]
+    );
+    if (custom.changes > 0) return;
+    await db.runAsync(
+      `INSERT INTO symptom_settings (symptom_id, hidden) VALUES (?, ?)
+       ON CONFLICT(symptom_id) DO UPDATE SET hidden = excluded.hidden`,
+      [symptomId, hidden ? 1 : 0]
+    );
+  });
+}
+
+// Save the order of the symptom list, given every symptom id in the new order
+export async function saveSymptomOrder(symptomIds) {
+  return withDatabase(async (db) => {
+    await db.withTransactionAsync(async () => {
+      for (const [index, symptomId] of symptomIds.entries()) {
+        await db.runAsync(
+          `INSERT INTO symptom_settings (symptom_id, sort_order) VALUES (?, ?)
+           ON CONFLICT(symptom_id) DO UPDATE SET sort_order = excluded.sort_order`,
+          [symptomId, index]
+        );
+      }
+    });
+  });
+}
+
+// ============ Custom Triggers ============
+
+// Removed triggers stay in the table so days they were logged on keep their name
+export async function getCustomTriggers(activeOnly = true) {
+  return withDatabase(async (db) => {
+    const query = activeOnly
+      ? 'SELECT * FROM custom_triggers WHERE active = 1 ORDER BY name'
+      : 'SELECT * FROM custom_triggers ORDER BY name';
+    return db.getAllAsync(query);
+  });
+}
+
+export async function addCustomTrigger(name, icon = 'tag-outline') {
+  return withDatabase(async (db) => {
+    const triggerId = 'custom_' + Date.now();
+    await db.runAsync(
+      'INSERT INTO custom_triggers (trigger_id, name, icon) VALUES (?, ?, ?)',
+      [triggerId, name, icon]
+    );
+    return triggerId;
+  });
+}
+
+export async function removeCustomTrigger(triggerId) {
+  return withDatabase(async (db) => {
+    await db.runAsync('UPDATE custom_triggers SET active = 0 WHERE trigger_id = ?', [triggerId]);
+  });
+}
+
+// ============ Questionnaires ============
+
+/**
+ * Completed questionnaires, oldest first, optionally between two dates.
+ * Each has its answers as { [item number]: value }.
+ */
+export async function getQuestionnaireResponses(startDate = null, endDate = null) {
+  return withDatabase(async (db) => {
+    const responses = await db.getAllAsync(
+      `SELECT * FROM questionnaire_responses
+       WHERE (? IS NULL OR date >= ?) AND (? IS NULL OR date <= ?)
+       ORDER BY date, id`,
+      [startDate, startDate, endDate, endDate]
+    );
+    if (responses.length === 0) return [];
+
+    const answers = await db.getAllAsync(
+      `SELECT * FROM questionnaire_answers WHERE response_id IN (${responses.map((r) => r.id).join(',')})`
+    );
+    return responses.map((response) => ({
+      ...response,
+      answers: Object.fromEntries(
+        answers.filter((a) => a.response_id === response.id).map((a) => [a.item, a.value])
+      ),
+    }));
+  });
+}
+
+/**
+ * Save a completed questionnaire. answers is { [item number]: value }.
+ * Returns the new response's id.
+ */
+export async function saveQuestionnaireResponse(questionnaireId, date, answers) {
+  return withDatabase(async (db) => {
+    let responseId;
+    await db.withTransactionAsync(async () => {
+      const inserted = await db.runAsync(
+        'INSERT INTO questionnaire_responses (questionnaire_id, date) VALUES (?, ?)',
+        [questionnaireId, date]
+      );
+      responseId = inserted.lastInsertRowId;
+      for (const [item, value] of Object.entries(answers)) {
+        await db.runAsync(
+          'INSERT INTO questionnaire_answers (response_id, item, value) VALUES (?, ?, ?)',
+          [responseId, Number(item), value]
+        );
+      }
+    });
+    return responseId;
+  });
+}
+
+// ============ Data Export & Import ============
 
 export async function getAllData() {
   return withDatabase(async (db) => {
     const dailyLogs = await db.getAllAsync('SELECT * FROM daily_logs ORDER BY date');
     const symptoms = await db.getAllAsync('SELECT * FROM symptoms');
     const medications = await db.getAllAsync('SELECT * FROM medications');
-    const medicationLogs = await db.getAllAsync('SELECT * FROM medication_logs');
+    const medicationDoses = await db.getAllAsync('SELECT * FROM medication_doses ORDER BY id');
+    const medicationEvents = await db.getAllAsync('SELECT * FROM medication_events ORDER BY id');
     const cyclePeriods = await db.getAllAsync('SELECT * FROM cycle_periods ORDER BY start_date');
+    const customSymptoms = await db.getAllAsync('SELECT * FROM custom_symptoms ORDER BY id');
+    const medicationReminderEvents = await db.getAllAsync(
+      'SELECT * FROM medication_reminder_events ORDER BY id'
+    );
+    const hotFlashEpisodes = await db.getAllAsync('SELECT * FROM hot_flash_episodes ORDER BY started_at');
+    const symptomSettings = await db.getAllAsync('SELECT * FROM symptom_settings ORDER BY symptom_id');
+    const customTriggers = await db.getAllAsync('SELECT * FROM custom_triggers ORDER BY id');
+    const logTriggers = await db.getAllAsync('SELECT * FROM log_triggers ORDER BY id');
+    const questionnaireResponses = await db.getAllAsync('SELECT * FROM questionnaire_responses ORDER BY id');
+    const questionnaireAnswers = await db.getAllAsync('SELECT * FROM questionnaire_answers ORDER BY id');
+    const schemaVersion = await getSchemaVersion(db);
 
     return {
       dailyLogs,
       symptoms,
       medications,
-      medicationLogs,
+      medicationDoses,
+      medicationEvents,
       cyclePeriods,
+      customSymptoms,
+      symptomSettings,
+      medicationReminderEvents,
+      hotFlashEpisodes,
+      customTriggers,
+      logTriggers,
+      questionnaireResponses,
+      questionnaireAnswers,
+      schemaVersion,
       exportedAt: new Date().toISOString(),
     };
   });
 }
 
+// Restore the tables of a backup produced by getAllData(). The data should
+// already have been checked with parseBackup(). Row IDs in the backup are remapped to new IDs.
+// mode 'replace' wipes existing data first; 'merge' keeps existing entries and
+// skips backup days and periods that are already on this device.
+export async function importAllData(data, mode = 'merge') {
+  return withDatabase(async (db) => {
+    const result = {
+      dailyLogs: 0,
+      skippedLogs: 0,
+      symptoms: 0,
+      medications: 0,
+      medicationDoses: 0,
+      medicationEvents: 0,
+      cyclePeriods: 0,
+      customSymptoms: 0,
+      symptomSettings: 0,
+      medicationReminderEvents: 0,
+      hotFlashEpisodes: 0,
+      customTriggers: 0,
+      logTriggers: 0,
+      questionnaireResponses: 0,
+      questionnaireAnswers: 0,
+    };
+
+    await db.withTransactionAsync(async () => {
+      if (mode === 'replace') {
+        await db.execAsync(`
+          DELETE FROM symptoms;
+          DELETE FROM log_triggers;
+          DELETE FROM medication_doses;
+          DELETE FROM medication_events;
+          DELETE FROM medication_reminder_events;
+          DELETE FROM hot_flash_episodes;
+          DELETE FROM questionnaire_answers;
+          DELETE FROM questionnaire_responses;
+          DELETE FROM daily_logs;
+          DELETE FROM cycle_periods;
+          DELETE FROM medications;
+          DELETE FROM custom_symptoms;
+          DELETE FROM symptom_settings;
+          DELETE FROM custom_triggers;
+          DELETE FROM milestones;
+        `);
+      }
+
+      // Custom symptoms keep their symptom_id so logged symptoms still resolve
+      for (const custom of data.customSymptoms || []) {
+        const inserted = await db.runAsync(
+          `INSERT OR IGNORE INTO custom_symptoms (symptom_id, name, category, icon, active)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            custom.symptom_id, custom.name,
+            custom.category || 'custom', custom.icon || 'plus',
+            custom.active === 0 ? 0 : 1,
+          ]
+        );
+        result.customSymptoms += inserted.changes;
+      }
+
+      // Symptom settings already on this device win over the backup's.
+      // Version 8 backups call hidden archived.
+      for (const setting of data.symptomSettings || []) {
+        const inserted = await db.runAsync(
+          `INSERT OR IGNORE INTO symptom_settings (symptom_id, name, category, sort_order, hidden)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            setting.symptom_id, setting.name ?? null, setting.category ?? null,
+            setting.sort_order ?? null, setting.hidden ?? (setting.archived ? 1 : null),
+          ]
+        );
+        result.symptomSettings += inserted.changes;
+      }
+
+      // Custom triggers keep their trigger_id too
+      for (const custom of data.customTriggers || []) {
+        const inserted = await db.runAsync(
+          `INSERT OR IGNORE INTO custom_triggers (trigger_id, name, icon, active)
+           VALUES (?, ?, ?, ?)`,
+          [custom.trigger_id, custom.name, custom.icon || 'tag-outline', custom.active === 0 ? 0 : 1]
+        );
+        result.customTriggers += inserted.changes;
+      }
+
+      // Medications - reuse an existing medication with the same name and dose
+      const medicationIdMap = {};
+      const addedMedications = [];
+      for (const med of data.medications) {
+        const existing = await db.getFirstAsync(
+          'SELECT id FROM medications WHERE LOWER(name) = LOWER(?) AND IFNULL(dose, \'\') = ?',
+          [med.name, med.dose || '']
+        );
+        if (existing) {
+          medicationIdMap[med.id] = existing.id;
+          continue;
+        }
+
+        const inserted = await db.runAsync(
+          `INSERT INTO medications (
+            name, dose, frequency, active, created_at,
+            reminders_enabled, reminder_times, reminder_weekday
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            med.name, med.dose ?? null, med.frequency ?? null,
+            med.active === 0 ? 0 : 1,
+            med.created_at || new Date().toISOString(),
+            med.reminders_enabled ? 1 : 0, med.reminder_times ?? null, med.reminder_weekday ?? null,
+          ]
+        );
+        medicationIdMap[med.id] = inserted.lastInsertRowId;
+        addedMedications.push(med);
+        result.medications++;
+      }
+
+      // History only comes along with medications that weren't here yet. Backups
+      // made before there was a history start each medication on the day it was added.
+      const addedIds = new Set(addedMedications.map((med) => med.id));
+      const events = (data.medicationEvents || []).filter((event) => addedIds.has(event.medication_id));
+      for (const med of addedMedications) {
+        if (events.some((event) => event.medication_id === med.id)) continue;
+        events.push({
+          medication_id: med.id,
+          date: (med.created_at || new Date().toISOString()).slice(0, 10),
+          type: 'started',
+          dose: med.dose,
+          frequency: med.frequency,
+        });
+      }
+      for (const event of events) {
+        await db.runAsync(
+          `INSERT INTO medication_events (medication_id, date, type, dose, frequency, created_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            medicationIdMap[event.medication_id], event.date, event.type,
+            event.dose ?? null, event.frequency ?? null,
+            event.created_at || new Date().toISOString(),
+          ]
+        );
+        result.medicationEvents++;
+      }
+
+      // Daily logs
+      const logIdMap = {};
+      for (const log of data.dailyLogs) {
+        const existing = await db.getFirstAsync(
+          'SELECT id FROM daily_logs WHERE date = ?',
+          [log.date]
+        );
+        if (existing) {
+          result.skippedLogs++;
+          continue;
+        }
+
+        const inserted = await db.runAsync(
+          `INSERT INTO daily_logs (
+            date, cycle_day, period_flow,
+            mood_overall, mood_anxiety, mood_energy,
+            sleep_hours, sleep_quality,
+            exercise_level, food_quality, notes,
+            created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            log.date, log.cycle_day ?? null, log.period_flow || 'none',
+            log.mood_overall ?? null, log.mood_anxiety ?? null, log.mood_energy ?? null,
+            log.sleep_hours ?? null, log.sleep_quality ?? null,
+            log.exercise_level || 'none', log.food_quality || 'fair', log.notes ?? null,
+            log.created_at || new Date().toISOString(),
+            log.updated_at || new Date().toISOString(),
+          ]
+        );
+        logIdMap[log.id] = inserted.lastInsertRowId;
+        result.dailyLogs++;
+      }
+
+      // Symptoms follow their (possibly skipped) daily log
+      for (const symptom of data.symptoms) {
+        const logId = logIdMap[symptom.log_id];
+        if (!logId) continue;
+        await db.runAsync(
+          'INSERT INTO symptoms (log_id, symptom_id, severity) VALUES (?, ?, ?)',
+          [logId, symptom.symptom_id, symptom.severity]
+        );
+        result.symptoms++;
+      }
+
+      // Triggers follow their daily log like symptoms
+      for (const trigger of data.logTriggers || []) {
+        const logId = logIdMap[trigger.log_id];
+        if (!logId) continue;
+        await db.runAsync(
+          'INSERT INTO log_triggers (log_id, trigger_id) VALUES (?, ?)',
+          [logId, trigger.trigger_id]
+        );
+        result.logTriggers++;
+      }
+
+      // Backups made before doses were logged one by one have a taken flag
+      // per daily log instead, which follows its (possibly skipped) log
+      const doses = [...data.medicationDoses];
+      const logDates = Object.fromEntries(data.dailyLogs.map((log) => [log.id, log.date]));
+      const medicationAmounts = Object.fromEntries(data.medications.map((med) => [med.id, med.dose]));
+      for (const medLog of data.medicationLogs || []) {
+        if (!medLog.taken || !logIdMap[medLog.log_id]) continue;
+        doses.push({
+          medication_id: medLog.medication_id,
+          date: logDates[medLog.log_id],
+          taken_at: null,
+          amount: medicationAmounts[medLog.medication_id] ?? null,
+          notes: medLog.notes,
+        });
+      }
+
+      // Doses are kept even when their day is already on this device
+      for (const dose of doses) {
+        const medicationId = medicationIdMap[dose.medication_id];
+        if (!medicationId) continue;
+        const existing = await db.getFirstAsync(
+          'SELECT id FROM medication_doses WHERE medication_id = ? AND date = ? AND taken_at IS ?',
+          [medicationId, dose.date, dose.taken_at ?? null]
+        );
+        if (existing) continue;
+        await db.runAsync(
+          `INSERT INTO medication_doses (medication_id, date, taken_at, amount, reason, notes, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            medicationId, dose.date, dose.taken_at ?? null,
+            dose.amount ?? null, dose.reason ?? null, dose.notes ?? null,
+            dose.created_at || new Date().toISOString(),
+          ]
+        );
+        result.medicationDoses++;
+      }
+
+      // Reminder events are kept even when their day is already on this device
+      for (const event of data.medicationReminderEvents || []) {
+        const medicationId = medicationIdMap[event.medication_id];
+        if (!medicationId) continue;
+        const existing = await db.getFirstAsync(
+          `SELECT id FROM medication_reminder_events
+           WHERE medication_id = ? AND scheduled_at = ? AND action = ?`,
+          [medicationId, event.scheduled_at, event.action]
+        );
+        if (existing) continue;
+        await db.runAsync(
+          `INSERT INTO medication_reminder_events (medication_id, date, scheduled_at, action, recorded_at)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            medicationId, event.date, event.scheduled_at, event.action,
+            event.recorded_at || new Date().toISOString(),
+          ]
+        );
+        result.medicationReminderEvents++;
+      }
+
+      // Hot flashes are kept even when their day is already on this device
+      const hotFlashDates = new Set();
+      for (const episode of data.hotFlashEpisodes || []) {
+        const existing = await db.getFirstAsync(
+          'SELECT id FROM hot_flash_episodes WHERE started_at = ?',
+          [episode.started_at]
+        );
+        if (existing) continue;
+        await db.runAsync(
+          `INSERT INTO hot_flash_episodes (date, started_at, duration_minutes, intensity, triggers, notes, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            episode.date, episode.started_at, episode.duration_minutes ?? null,
+            episode.intensity, episode.triggers ?? null, episode.notes ?? null,
+            episode.created_at || new Date().toISOString(),
+          ]
+        );
+        hotFlashDates.add(episode.date);
+        result.hotFlashEpisodes++;
+      }
+      for (const date of hotFlashDates) {
+        await syncHotFlashSymptom(db, date);
+      }
+
+      // Questionnaires are kept even when their day is already on this device,
+      // and their answers follow them. Responses that were never completed have
+      // no completed_at, and keep none so they're recognised on the next import.
+      const responseIdMap = {};
+      for (const response of data.questionnaireResponses || []) {
+        const completedAt = response.completed_at ?? null;
+        const existing = await db.getFirstAsync(
+          'SELECT id FROM questionnaire_responses WHERE questionnaire_id = ? AND date = ? AND completed_at IS ?',
+          [response.questionnaire_id, response.date, completedAt]
+        );
+        if (existing) continue;
+        const inserted = await db.runAsync(
+          'INSERT INTO questionnaire_responses (questionnaire_id, date, completed_at) VALUES (?, ?, ?)',
+          [response.questionnaire_id, response.date, completedAt]
+        );
+        responseIdMap[response.id] = inserted.lastInsertRowId;
+        result.questionnaireResponses++;
+      }
+      for (const answer of data.questionnaireAnswers || []) {
+        const responseId = responseIdMap[answer.response_id];
+        if (!responseId) continue;
+        await db.runAsync(
+          'INSERT INTO questionnaire_answers (response_id, item, value) VALUES (?, ?, ?)',
+          [responseId, answer.item, answer.value]
+        );
+        result.questionnaireAnswers++;
+      }
+
+      // Cycle periods
+      const importedPeriodDates = [];
+      for (const period of data.cyclePeriods) {
+        const existing = await db.getFirstAsync(
+          'SELECT id FROM cycle_periods WHERE start_date = ?',
+          [period.start_date]
+        );
+        if (existing) continue;
+
+        await db.runAsync(
+          'INSERT INTO cycle_periods (start_date, end_date, length, created_at) VALUES (?, ?, ?, ?)',
+          [
+            period.start_date, period.end_date ?? null, period.length ?? null,
+            period.created_at || new Date().toISOString(),
+          ]
+        );
+        importedPeriodDates.push(period.start_date);
+        result.cyclePeriods++;
+      }
+
+      // Imported logs and periods may interleave with existing ones
+      await recalculateCycleDays(db);
+      await reviewFinalPeriodMilestone(db, importedPeriodDates);
+    });
+
+    return result;
+  });
+}
+
+// ============ Encryption ============
+
+// Require a passcode to decrypt the database instead of the device key
+export async function enablePasscodeEncryption(passcode) {
+  return withDatabase(async (db) => {
+    await changeDatabaseKey(db, passcode);
+  });
+}
+
+// Switch back to the device key, after confirming the current passcode
+export async function disablePasscodeEncryption(currentPasscode) {
+  return withDatabase(async (db) => {
+    if (!isSessionPasscode(currentPasscode)) {
+      throw new DatabaseKeyError('Incorrect passcode.');
+    }
+    await changeDatabaseKey(db, null);
+  });
+}
+
 export async function clearAllData() {
   return withDatabase(async (db) => {
     await db.execAsync(`
       DELETE FROM symptoms;
-      DELETE FROM medication_logs;
+      DELETE FROM log_triggers;
+      DELETE FROM medication_doses;
+      DELETE FROM medication_events;
+      DELETE FROM medication_reminder_events;
+      DELETE FROM medications;
+      DELETE FROM hot_flash_episodes;
+      DELETE FROM questionnaire_answers;
+      DELETE FROM questionnaire_responses;
       DELETE FROM daily_logs;
       DELETE FROM cycle_periods;
+      DELETE FROM milestones;
     `);
   });
 }
@@ -0,0 +1,213 @@
+// At-rest encryption for the Peri Tracker database (SQLCipher)
+//
+// By default the database is encrypted with a random 256-bit key kept in the
+// device keychain/keystore. The user can instead choose a passcode, which
+// SQLCipher stretches into the key itself (PBKDF2), so the data can only be
+// opened after the passcode has been entered in this session.
+
+import { Platform } from 'react-native';
+import * as SQLite from 'expo-sqlite';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { File } from 'expo-file-system';
+
+const DEVICE_KEY_STORAGE_KEY = 'peri_tracker_db_key';
+const KEY_SOURCE_STORAGE_KEY = 'peri_tracker_db_key_source';
+
+const SECURE_STORE_OPTIONS = {
+  keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+};
+
+export const KEY_SOURCES = {
+  device: 'device',
+  passcode: 'passcode',
+};
+
+export const MIN_PASSCODE_LENGTH = 6;
+
+// Passcode entered for this app session, never persisted
+let sessionPasscode = null;
+
+/**
+ * The database is encrypted with a passcode that hasn't been entered yet
+ */
+export class DatabaseLockedError extends Error {
+  constructor() {
+    super('Enter your passcode to open your data.');
+    this.name = 'DatabaseLockedError';
+  }
+}
+
+/**
+ * The key doesn't open the database (wrong passcode or lost device key)
+ */
+export class DatabaseKeyError extends Error {
+  constructor(message = 'Your data could not be decrypted.') {
+    super(message);
+    this.name = 'DatabaseKeyError';
+  }
+}
+
+export function isEncryptionSupported() {
+  return Platform.OS !== 'web';
+}
+
+function getDatabaseFile(name) {
+  return new File(`file://${SQLite.defaultDatabaseDirectory}/${name}`);
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SQL literal for a key: raw keys use SQLCipher's x'...' blob syntax,
+// passphrases are quoted strings
+function keyLiteral(key) {
+  if (key.type === 'raw') {
+    return `"x'${key.value}'"`;
+  }
+  return `'${key.value.replace(/'/g, "''")}'`;
+}
+
+async function getDeviceKey() {
+  let value = await SecureStore.getItemAsync(DEVICE_KEY_STORAGE_KEY, SECURE_STORE_OPTIONS);
+  if (!value) {
+    value = toHex(await Crypto.getRandomBytesAsync(32));
+    await SecureStore.setItemAsync(DEVICE_KEY_STORAGE_KEY, value, SECURE_STORE_OPTIONS);
+  }
+  return { type: 'raw', value };
+}
+
+export async function getKeySource() {
+  const source = await SecureStore.getItemAsync(KEY_SOURCE_STORAGE_KEY, SECURE_STORE_OPTIONS);
+  return source === KEY_SOURCES.passcode ? KEY_SOURCES.passcode : KEY_SOURCES.device;
+}
+
+export function setSessionPasscode(passcode) {
+  sessionPasscode = passcode || null;
+}
+
+export function isSessionPasscode(passcode) {
+  return !!sessionPasscode && passcode === sessionPasscode;
+}
+
+async function resolveDatabaseKey() {
+  if ((await getKeySource()) === KEY_SOURCES.passcode) {
+    if (!sessionPasscode) throw new DatabaseLockedError();
+    return { type: 'passphrase', value: sessionPasscode };
+  }
+  return getDeviceKey();
+}
+
+async function canReadSchema(db) {
+  try {
+    await db.getFirstAsync('SELECT count(*) AS count FROM sqlite_master');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function isPlaintextDatabase(name) {
+  const db = await SQLite.openDatabaseAsync(name);
+  try {
+    return await canReadSchema(db);
+  } finally {
+    await db.closeAsync();
+  }
+}
+
+// Finish a conversion that was interrupted after the plaintext file was removed
+function recoverInterruptedEncryption(name) {
+  const target = getDatabaseFile(name);
+  const temp = getDatabaseFile(`${name}.encrypting`);
+  if (!temp.exists) return;
+
+  if (target.exists) {
+    // The plaintext original is still intact - start the conversion again
+    temp.delete();
+  } else {
+    temp.move(target);
+  }
+}
+
+/**
+ * Convert an existing plaintext database to an encrypted one in place
+ */
+async function encryptPlaintextDatabase(name, key) {
+  const tempName = `${name}.encrypting`;
+  const tempPath = `${SQLite.defaultDatabaseDirectory}/${tempName}`;
+
+  const plain = await SQLite.openDatabaseAsync(name);
+  try {
+    await plain.execAsync('PRAGMA wal_checkpoint(TRUNCATE);');
+    await plain.execAsync(`ATTACH DATABASE '${tempPath}' AS encrypted KEY ${keyLiteral(key)};`);
+    await plain.execAsync("SELECT sqlcipher_export('encrypted');");
+    await plain.execAsync('DETACH DATABASE encrypted;');
+  } finally {
+    await plain.closeAsync();
+  }
+
+  await SQLite.deleteDatabaseAsync(name);
+  getDatabaseFile(tempName).move(getDatabaseFile(name));
+}
+
+/**
+ * Open the database with its encryption key, encrypting a plaintext
+ * database from an earlier version of the app first.
+ */
+export async function openEncryptedDatabase(name) {
+  if (!isEncryptionSupported()) {
+    return SQLite.openDatabaseAsync(name);
+  }
+
+  recoverInterruptedEncryption(name);
+  const key = await resolveDatabaseKey();
+
+  if (getDatabaseFile(name).exists && (await isPlaintextDatabase(name))) {
+    await encryptPlaintextDatabase(name, key);
+  }
+
+  const db = await SQLite.openDatabaseAsync(name);
+  await db.execAsync(`PRAGMA key = ${keyLiteral(key)};`);
+
+  if (!(await canReadSchema(db))) {
+    await db.closeAsync();
+    throw new DatabaseKeyError(
+      key.type === 'passphrase' ? 'Incorrect passcode.' : 'Your data could not be decrypted.'
+    );
+  }
+
+  return db;
+}
+
+/**
+ * Re-encrypt an open database with a passcode, or with the device key
+ * when no passcode is given.
+ */
+export async function changeDatabaseKey(db, passcode = null) {
+  if (!isEncryptionSupported()) return;
+
+  const key = passcode ? { type: 'passphrase', value: passcode } : await getDeviceKey();
+
+  // SQLCipher can only rekey outside of WAL mode
+  await db.execAsync('PRAGMA journal_mode = DELETE;');
+  await db.execAsync(`PRAGMA rekey = ${keyLiteral(key)};`);
+  await db.execAsync('PRAGMA journal_mode = WAL;');
+
+  await SecureStore.setItemAsync(
+    KEY_SOURCE_STORAGE_KEY,
+    passcode ? KEY_SOURCES.passcode : KEY_SOURCES.device,
+    SECURE_STORE_OPTIONS
+  );
+  setSessionPasscode(passcode);
+}
+
+/**
+ * Forget the passcode setting so a fresh database can be created.
+ * Only used after the database file itself has been deleted.
+ */
+export async function resetKeySource() {
+  setSessionPasscode(null);
+  await SecureStore.deleteItemAsync(KEY_SOURCE_STORAGE_KEY, SECURE_STORE_OPTIONS);
+}
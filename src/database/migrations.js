@@ -0,0 +1,449 @@
+// Versioned schema migrations for the Peri Tracker database
+//
+// Each migration has a unique, increasing version number and an `up` function
+// that receives the open database. Migrations run in order, each inside its own
+// transaction, and the applied version is recorded in the schema_version table.
+// Never edit a migration once it has shipped - add a new one instead.
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS daily_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT UNIQUE NOT NULL,
+          cycle_day INTEGER,
+          period_flow TEXT DEFAULT 'none',
+          mood_overall INTEGER,
+          mood_anxiety INTEGER,
+          mood_energy INTEGER,
+          sleep_hours REAL,
+          sleep_quality INTEGER,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS symptoms (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL,
+          symptom_id TEXT NOT NULL,
+          severity INTEGER NOT NULL CHECK (severity >= 1 AND severity <= 5),
+          FOREIGN KEY (log_id) REFERENCES daily_logs(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS medications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          dose TEXT,
+          frequency TEXT,
+          active INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS medication_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL,
+          medication_id INTEGER NOT NULL,
+          taken INTEGER DEFAULT 0,
+          notes TEXT,
+          FOREIGN KEY (log_id) REFERENCES daily_logs(id) ON DELETE CASCADE,
+          FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS cycle_periods (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          start_date TEXT NOT NULL,
+          end_date TEXT,
+          length INTEGER,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS custom_symptoms (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          symptom_id TEXT UNIQUE NOT NULL,
+          name TEXT NOT NULL,
+          category TEXT DEFAULT 'custom',
+          icon TEXT DEFAULT 'plus',
+          active INTEGER DEFAULT 1
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_daily_logs_date ON daily_logs(date);
+        CREATE INDEX IF NOT EXISTS idx_symptoms_log_id ON symptoms(log_id);
+        CREATE INDEX IF NOT EXISTS idx_cycle_periods_dates ON cycle_periods(start_date, end_date);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'add_exercise_level',
+    up: async (db) => {
+      await db.execAsync("ALTER TABLE daily_logs ADD COLUMN exercise_level TEXT DEFAULT 'none'");
+    },
+  },
+  {
+    version: 3,
+    name: 'add_food_quality',
+    up: async (db) => {
+      await db.execAsync("ALTER TABLE daily_logs ADD COLUMN food_quality TEXT DEFAULT 'fair'");
+    },
+  },
+  {
+    version: 4,
+    name: 'backfill_cycle_days',
+    up: async (db) => {
+      // Logs were saved without a cycle day before it was calculated on save
+      await db.execAsync(`
+        UPDATE daily_logs SET cycle_day = (
+          SELECT CAST(julianday(daily_logs.date) - julianday(MAX(cp.start_date)) AS INTEGER) + 1
+          FROM cycle_periods cp
+          WHERE cp.start_date <= daily_logs.date
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'add_milestones',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS milestones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT UNIQUE NOT NULL,
+          date TEXT NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'add_medication_reminders',
+    up: async (db) => {
+      // reminder_times is a comma-separated list of 'HH:MM' dose times and
+      // reminder_weekday the day of a weekly dose (0 = Sunday)
+      await db.execAsync(`
+        ALTER TABLE medications ADD COLUMN reminders_enabled INTEGER DEFAULT 0;
+        ALTER TABLE medications ADD COLUMN reminder_times TEXT;
+        ALTER TABLE medications ADD COLUMN reminder_weekday INTEGER;
+
+        CREATE TABLE IF NOT EXISTS medication_reminder_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          medication_id INTEGER NOT NULL,
+          date TEXT NOT NULL,
+          scheduled_at TEXT NOT NULL,
+          action TEXT NOT NULL CHECK (action IN ('taken', 'snoozed', 'skipped')),
+          recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_medication_reminder_events_date
+          ON medication_reminder_events(medication_id, date);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'add_medication_doses',
+    up: async (db) => {
+      // One row per dose taken instead of a taken flag per day. taken_at is an
+      // ISO timestamp - days ticked off before this migration have none.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS medication_doses (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          medication_id INTEGER NOT NULL,
+          date TEXT NOT NULL,
+          taken_at TEXT,
+          amount TEXT,
+          reason TEXT,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_medication_doses_date
+          ON medication_doses(date, medication_id);
+
+        INSERT INTO medication_doses (medication_id, date, amount, notes)
+          SELECT ml.medication_id, dl.date, m.dose, ml.notes
+          FROM medication_logs ml
+          JOIN daily_logs dl ON ml.log_id = dl.id
+          JOIN medications m ON ml.medication_id = m.id
+          WHERE ml.taken = 1;
+
+        DROP TABLE medication_logs;
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'add_medication_events',
+    up: async (db) => {
+      // A medication's history: when it was started and stopped and when its
+      // dose or frequency changed. dose and frequency are the ones in effect
+      // from `date` on. Medications added so far started on the day they were added.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS medication_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          medication_id INTEGER NOT NULL,
+          date TEXT NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('started', 'changed', 'stopped')),
+          dose TEXT,
+          frequency TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_medication_events_medication
+          ON medication_events(medication_id, date);
+
+        INSERT INTO medication_events (medication_id, date, type, dose, frequency)
+          SELECT id, substr(created_at, 1, 10), 'started', dose, frequency
+          FROM medications;
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'add_hot_flash_episodes',
+    up: async (db) => {
+      // started_at is an ISO timestamp, intensity 1-5 like symptom severity and
+      // triggers a comma-separated list of trigger ids
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS hot_flash_episodes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          started_at TEXT NOT NULL,
+          duration_minutes INTEGER,
+          intensity INTEGER NOT NULL CHECK (intensity >= 1 AND intensity <= 5),
+          triggers TEXT,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_hot_flash_episodes_date ON hot_flash_episodes(date);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'add_triggers',
+    up: async (db) => {
+      // Triggers the user added to the built-in catalog, and the triggers
+      // logged each day. trigger_id is a built-in id or a custom_triggers one.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS custom_triggers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          trigger_id TEXT UNIQUE NOT NULL,
+          name TEXT NOT NULL,
+          icon TEXT DEFAULT 'tag-outline',
+          active INTEGER DEFAULT 1
+        );
+
+        CREATE TABLE IF NOT EXISTS log_triggers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL,
+          trigger_id TEXT NOT NULL,
+          FOREIGN KEY (log_id) REFERENCES daily_logs(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_log_triggers_log ON log_triggers(log_id);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'add_symptom_settings',
+    up: async (db) => {
+      // The user's changes to the symptom list, for built-in and custom
+      // symptoms alike: sort_order for all of them, and a new name or category
+      // and the archived flag for built-in ones. Custom symptoms keep those in
+      // custom_symptoms (archived ones have active = 0).
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS symptom_settings (
+          symptom_id TEXT PRIMARY KEY,
+          name TEXT,
+          category TEXT,
+          sort_order INTEGER,
+          archived INTEGER DEFAULT 0
+        );
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'expand_symptom_catalog',
+    up: async (db) => {
+      // archived becomes hidden: whether a symptom is left out of the symptom
+      // picker. NULL means the catalog's default, which hides symptoms added
+      // after the first catalog version.
+      await db.execAsync(`
+        CREATE TABLE symptom_settings_new (
+          symptom_id TEXT PRIMARY KEY,
+          name TEXT,
+          category TEXT,
+          sort_order INTEGER,
+          hidden INTEGER
+        );
+
+        INSERT INTO symptom_settings_new (symptom_id, name, category, sort_order, hidden)
+          SELECT symptom_id, name, category, sort_order, CASE WHEN archived = 1 THEN 1 END
+          FROM symptom_settings;
+
+        DROP TABLE symptom_settings;
+        ALTER TABLE symptom_settings_new RENAME TO symptom_settings;
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'add_questionnaires',
+    up: async (db) => {
+      // Completed questionnaires and their answers. questionnaire_id is a key
+      // of QUESTIONNAIRES and item the item's number in the published scale.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS questionnaire_responses (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          questionnaire_id TEXT NOT NULL,
+          date TEXT NOT NULL,
+          completed_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS questionnaire_answers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          response_id INTEGER NOT NULL,
+          item INTEGER NOT NULL,
+          value INTEGER NOT NULL,
+          FOREIGN KEY (response_id) REFERENCES questionnaire_responses(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_questionnaire_responses_date ON questionnaire_responses(date);
+        CREATE INDEX IF NOT EXISTS idx_questionnaire_answers_response ON questionnaire_answers(response_id);
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'add_app_settings',
+    up: async (db) => {
+      // Facts about the database itself rather than the user's data, e.g. the
+      // symptom catalog version it started with. Filled in by initDatabase().
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS app_settings (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+      `);
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Raised when a migration fails. The failed migration's transaction has been
+ * rolled back, so the database is left at `fromVersion`.
+ */
+export class MigrationError extends Error {
+  constructor(migration, fromVersion, cause) {
+    super(
+      `Database migration ${migration.version} (${migration.name}) failed: ${cause?.message || cause}`
+    );
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.migrationName = migration.name;
+    this.fromVersion = fromVersion;
+    this.cause = cause;
+  }
+}
+
+async function tableExists(db, tableName) {
+  const row = await db.getFirstAsync(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [tableName]
+  );
+  return !!row;
+}
+
+async function getColumnNames(db, tableName) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${tableName})`);
+  return columns.map((c) => c.name);
+}
+
+/**
+ * Work out the version of a database created before schema_version existed.
+ * Those databases were built by the old initDatabase(), which created the
+ * tables and then tried to add each lifestyle column in turn.
+ */
+async function detectLegacyVersion(db) {
+  if (!(await tableExists(db, 'daily_logs'))) return 0;
+
+  const columns = await getColumnNames(db, 'daily_logs');
+  if (!columns.includes('exercise_level')) return 1;
+  if (!columns.includes('food_quality')) return 2;
+  return 3;
+}
+
+/**
+ * Get the schema version recorded in the database (0 for an empty database)
+ */
+export async function getSchemaVersion(db) {
+  if (!(await tableExists(db, 'schema_version'))) return 0;
+
+  const row = await db.getFirstAsync('SELECT MAX(version) as version FROM schema_version');
+  return row?.version || 0;
+}
+
+/**
+ * Bring the database up to CURRENT_SCHEMA_VERSION.
+ * Returns the list of migration versions that were applied.
+ */
+export async function runMigrations(db, migrations = MIGRATIONS) {
+  const hasVersionTable = await tableExists(db, 'schema_version');
+
+  await db.execAsync(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Baseline databases that predate versioning so their existing schema is kept
+  if (!hasVersionTable) {
+    const legacyVersion = await detectLegacyVersion(db);
+    for (const migration of migrations) {
+      if (migration.version > legacyVersion) break;
+      await db.runAsync(
+        'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    }
+  }
+
+  let currentVersion = await getSchemaVersion(db);
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) continue;
+
+    try {
+      await db.withTransactionAsync(async () => {
+        await migration.up(db);
+        await db.runAsync(
+          'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+    } catch (error) {
+      throw new MigrationError(migration, currentVersion, error);
+    }
+
+    currentVersion = migration.version;
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
@@ -3,6 +3,8 @@ import { View, StyleSheet, Text, TouchableOpacity } from 'react-native';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
+import * as Haptics from 'expo-haptics';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 
 import { getColors, fonts } from '../theme';
 import { useTheme } from '../context/ThemeContext';
@@ -10,7 +12,19 @@ import {
   getLogsInRange,
   getPeriodsInRange,
   getDailyLog,
+  getCyclePeriods,
+  getMenopauseStatus,
+  getHotFlashEpisodes,
+  addHotFlashEpisode,
+  getQuestionnaireResponses,
 } from '../database/database';
+import { HOT_FLASH_QUICK_INTENSITY } from '../utils/constants';
+import { predictPeriods, getPredictionDays, PREDICTION_DAY_TYPES } from '../utils/predictions';
+import {
+  getDueQuestionnaires,
+  loadQuestionnaireSettings,
+  snoozeQuestionnaire,
+} from '../utils/questionnaires';
 import JournalHeader from '../components/JournalHeader';
 
 // Import SVG icons
@@ -20,6 +34,8 @@ import MoodIcon from '../../assets/icons/mood.svg';
 
 // Number of weeks to load in each direction
 const WEEKS_TO_LOAD = 8;
+// Number of past periods used for forecasting
+const PERIODS_FOR_PREDICTION = 24;
 
 // Design colors from Figma
 const COLORS = {
@@ -35,9 +51,13 @@ export default function CalendarScreen() {
   const [calendarDays, setCalendarDays] = useState([]);
   const [periodDays, setPeriodDays] = useState(new Set());
   const [loggedDays, setLoggedDays] = useState(new Set());
+  const [predictionDays, setPredictionDays] = useState(new Map());
+  const [menopauseStatus, setMenopauseStatus] = useState(null);
   const [dateRange, setDateRange] = useState({ start: null, end: null });
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
   const [selectedLogData, setSelectedLogData] = useState(null);
+  const [hotFlashCount, setHotFlashCount] = useState(0);
+  const [dueQuestionnaire, setDueQuestionnaire] = useState(null);
   const isLoadingRef = useRef(false);
 
   const styles = useMemo(() => createStyles(colors), [colors]);
@@ -87,7 +107,10 @@ export default function CalendarScreen() {
       setDateRange({ start: startDate, end: endDate });
 
       // Reset and reload period/logged data for accurate styling
-      await loadDataForRange(startDate, endDate, true);
+      await Promise.all([
+        loadDataForRange(startDate, endDate, true),
+        loadPredictions(),
+      ]);
     } catch (error) {
       console.error('Error loading initial calendar data:', error);
     }
@@ -127,6 +150,19 @@ export default function CalendarScreen() {
     setLoggedDays(loggedSet);
   };
 
+  // Forecast upcoming periods from the logged history, unless the final
+  // menstrual period has been reached and there are no cycles to forecast
+  const loadPredictions = async () => {
+    const status = await getMenopauseStatus();
+    setMenopauseStatus(status);
+    if (status.isPostmenopausal) {
+      setPredictionDays(new Map());
+      return;
+    }
+    const periods = await getCyclePeriods(PERIODS_FOR_PREDICTION);
+    setPredictionDays(getPredictionDays(predictPeriods(periods)));
+  };
+
   // Load previous weeks
   const loadPreviousWeeks = useCallback(async () => {
     if (isLoadingRef.current || !dateRange.start) return;
@@ -178,18 +214,37 @@ export default function CalendarScreen() {
   // Load log data for selected date
   const loadSelectedDateLog = useCallback(async (dateString) => {
     try {
-      const log = await getDailyLog(dateString);
+      const [log, episodes] = await Promise.all([
+        getDailyLog(dateString),
+        getHotFlashEpisodes(dateString),
+      ]);
       setSelectedLogData(log);
+      setHotFlashCount(episodes.length);
     } catch (error) {
       console.error('Error loading log for selected date:', error);
       setSelectedLogData(null);
+      setHotFlashCount(0);
     }
   }, []);
 
+  // Offer one questionnaire at a time when any are due
+  const loadDueQuestionnaire = async () => {
+    try {
+      const [responses, settings] = await Promise.all([
+        getQuestionnaireResponses(),
+        loadQuestionnaireSettings(),
+      ]);
+      setDueQuestionnaire(getDueQuestionnaires(responses, settings)[0]?.questionnaire || null);
+    } catch (error) {
+      console.error('Error loading questionnaires:', error);
+    }
+  };
+
   useFocusEffect(
     useCallback(() => {
       loadInitialData();
       loadSelectedDateLog(selectedDate);
+      loadDueQuestionnaire();
     }, [selectedDate, loadSelectedDateLog])
   );
 
@@ -200,6 +255,32 @@ export default function CalendarScreen() {
 
   const handleCardPress = () => navigation.navigate('Log', { date: selectedDate });
 
+  const isTodaySelected = selectedDate === new Date().toISOString().split('T')[0];
+
+  // One tap logs a hot flash starting now; details can be added from the log entry
+  const handleQuickHotFlash = async () => {
+    try {
+      await addHotFlashEpisode({
+        date: selectedDate,
+        startedAt: new Date().toISOString(),
+        intensity: HOT_FLASH_QUICK_INTENSITY,
+      });
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      loadSelectedDateLog(selectedDate);
+    } catch (error) {
+      console.error('Error logging hot flash:', error);
+    }
+  };
+
+  const handleSnoozeQuestionnaire = async () => {
+    try {
+      await snoozeQuestionnaire(dueQuestionnaire.id);
+      loadDueQuestionnaire();
+    } catch (error) {
+      console.error('Error snoozing questionnaire:', error);
+    }
+  };
+
   const changeWeek = (delta) => {
     const d = new Date(selectedDate + 'T00:00:00');
     d.setDate(d.getDate() + (delta * 7));
@@ -208,13 +289,21 @@ export default function CalendarScreen() {
     loadSelectedDateLog(next);
   };
 
+  // Bleeding after the final menstrual period is shown as bleeding, not a period
+  const isPostmenopausalBleeding =
+    !!menopauseStatus?.isPostmenopausal && selectedDate > menopauseStatus.finalPeriodDate;
+
   const periodLabel = useMemo(() => {
     const flow = selectedLogData?.period_flow;
     if (flow && flow !== 'none') {
       return flow.charAt(0).toUpperCase() + flow.slice(1);
     }
-    return periodDays.has(selectedDate) ? 'Period' : 'None';
-  }, [selectedLogData, periodDays, selectedDate]);
+    if (periodDays.has(selectedDate)) return isPostmenopausalBleeding ? 'Logged' : 'Period';
+    if (predictionDays.has(selectedDate) && predictionDays.get(selectedDate) !== PREDICTION_DAY_TYPES.fertile) {
+      return 'Expected';
+    }
+    return 'None';
+  }, [selectedLogData, periodDays, predictionDays, selectedDate, isPostmenopausalBleeding]);
 
   const sleepHoursLabel = useMemo(() => {
     const h = selectedLogData?.sleep_hours;
@@ -254,6 +343,7 @@ export default function CalendarScreen() {
         selectedDateString={selectedDate}
         periodDays={periodDays}
         loggedDays={loggedDays}
+        predictionDays={predictionDays}
         onSelectDateString={(ds) => {
           setSelectedDate(ds);
           loadSelectedDateLog(ds);
@@ -270,7 +360,9 @@ export default function CalendarScreen() {
               <WaterDropIcon width={40} height={40} />
               <View style={styles.cardTextContainer}>
                 <Text style={styles.cardText}>
-                  <Text style={styles.cardLabel}>Period: </Text>
+                  <Text style={styles.cardLabel}>
+                    {isPostmenopausalBleeding ? 'Bleeding: ' : 'Period: '}
+                  </Text>
                   <Text style={styles.cardValue}>{periodLabel}</Text>
                 </Text>
               </View>
@@ -306,6 +398,61 @@ export default function CalendarScreen() {
             </View>
           </BlurView>
         </TouchableOpacity>
+
+        {/* Hot Flash Card */}
+        <TouchableOpacity onPress={handleCardPress} activeOpacity={0.85}>
+          <BlurView intensity={12} tint="light" style={styles.largeCard}>
+            <Icon name="fire" size={40} color={COLORS.heavy} />
+            <View style={styles.largeCardLines}>
+              <Text style={styles.cardText}>
+                <Text style={styles.cardLabel}>Hot flashes: </Text>
+                <Text style={styles.cardValue}>{hotFlashCount}</Text>
+              </Text>
+            </View>
+            {isTodaySelected && (
+              <TouchableOpacity
+                style={styles.quickButton}
+                onPress={handleQuickHotFlash}
+                accessibilityLabel="Log a hot flash now"
+                activeOpacity={0.7}
+              >
+                <Icon name="plus" size={18} color="#FFFFFF" />
+                <Text style={styles.quickButtonText}>Now</Text>
+              </TouchableOpacity>
+            )}
+          </BlurView>
+        </TouchableOpacity>
+
+        {/* Questionnaire Card - only when one is due */}
+        {dueQuestionnaire && (
+          <TouchableOpacity
+            onPress={() => navigation.navigate('Questionnaire', { questionnaireId: dueQuestionnaire.id })}
+            activeOpacity={0.85}
+          >
+            <BlurView intensity={12} tint="light" style={styles.largeCard}>
+              <Icon name={dueQuestionnaire.icon} size={40} color={COLORS.heavy} />
+              <View style={styles.largeCardLines}>
+                <Text style={styles.cardText}>
+                  <Text style={styles.cardLabel}>Check-in: </Text>
+                  <Text style={styles.cardValue}>{dueQuestionnaire.shortName}</Text>
+                </Text>
+                <View style={styles.questionnaireRow}>
+                  <Text style={styles.snoozeText}>About {dueQuestionnaire.minutes} min · </Text>
+                  <TouchableOpacity
+                    onPress={handleSnoozeQuestionnaire}
+                    accessibilityLabel="Remind me about this questionnaire later"
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.snoozeText, styles.snoozeLink]}>Not now</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+              <View style={styles.quickButton}>
+                <Text style={styles.quickButtonText}>Start</Text>
+              </View>
+            </BlurView>
+          </TouchableOpacity>
+        )}
       </View>
     </View>
   );
@@ -391,4 +538,31 @@ const createStyles = (colors) => StyleSheet.create({
   largeCardLines: {
     flex: 1,
   },
+  quickButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    backgroundColor: COLORS.heavy,
+  },
+  quickButtonText: {
+    fontFamily: fonts.semiBold,
+    fontSize: 14,
+    color: '#FFFFFF',
+  },
+  questionnaireRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  snoozeText: {
+    fontFamily: fonts.regular,
+    fontSize: 14,
+    color: COLORS.heavy,
+  },
+  snoozeLink: {
+    textDecorationLine: 'underline',
+  },
 });
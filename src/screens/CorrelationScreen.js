@@ -0,0 +1,331 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Dimensions } from 'react-native';
+import { Text, Surface, Chip } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { LineChart } from 'react-native-chart-kit';
+
+import { useTheme } from '../context/ThemeContext';
+import { getColors, spacing, borderRadius, fonts } from '../theme';
+import { buildSymptomRegistry } from '../utils/symptoms';
+import {
+  MAX_LAG_DAYS,
+  LAG_MIN_PAIRS,
+  getSeries,
+  getLaggedPairs,
+  getLagCorrelation,
+  getLagLabel,
+  describeLagCorrelation,
+} from '../utils/lagCorrelations';
+import { excludes } from '../utils/statistics';
+import { getLogsInRange, getSymptomRegistry } from '../database/database';
+
+const screenWidth = Dimensions.get('window').width;
+// Date labels shown under the chart, however many days it covers
+const CHART_LABELS = 6;
+
+const CONFIDENCE_LABELS = {
+  high: 'High confidence',
+  moderate: 'Moderate confidence',
+};
+
+const formatShortDate = (dateString) => {
+  const date = new Date(dateString + 'T00:00:00');
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+};
+
+export default function CorrelationScreen({ route }) {
+  const navigation = useNavigation();
+  const insets = useSafeAreaInsets();
+  const { isDarkMode } = useTheme();
+  const colors = getColors(isDarkMode);
+  const styles = createStyles(colors, insets);
+
+  const { sourceId, targetId, startDate, endDate } = route.params;
+  const [lag, setLag] = useState(route.params.lag ?? 1);
+  const [logs, setLogs] = useState([]);
+  const [registry, setRegistry] = useState(() => buildSymptomRegistry());
+
+  const loadData = async () => {
+    try {
+      const [logsData, registryData] = await Promise.all([
+        getLogsInRange(startDate, endDate),
+        getSymptomRegistry(),
+      ]);
+      setLogs(logsData);
+      setRegistry(registryData);
+    } catch (error) {
+      console.error('Error loading correlation:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [startDate, endDate])
+  );
+
+  const source = getSeries(sourceId, registry);
+  const target = getSeries(targetId, registry);
+
+  // Every lag, so the chips can show how the relationship changes with delay
+  const results = useMemo(() => {
+    if (!source || !target) return [];
+    const byLag = [];
+    for (let l = 0; l <= MAX_LAG_DAYS; l++) {
+      byLag.push(getLagCorrelation(logs, source, target, l));
+    }
+    return byLag;
+  }, [logs, registry, sourceId, targetId]);
+
+  const result = results[lag];
+  const isClear = !!result && excludes(result);
+  const pairs = useMemo(
+    () => (source && target ? getLaggedPairs(logs, source, target, lag) : []),
+    [logs, registry, sourceId, targetId, lag]
+  );
+
+  // Both series as a share of their scale, the target moved back by the lag
+  // so each point lines up with the day that came before it
+  const labelEvery = Math.max(1, Math.ceil(pairs.length / CHART_LABELS));
+  const chartData = pairs.length > 1 ? {
+    labels: pairs.map((p, index) => (index % labelEvery === 0 ? formatShortDate(p.date) : '')),
+    datasets: [
+      {
+        data: pairs.map((p) => (p.source / source.max) * 100),
+        color: () => colors.primary,
+        strokeWidth: 2,
+      },
+      {
+        data: pairs.map((p) => (p.target / target.max) * 100),
+        color: () => colors.accent,
+        strokeWidth: 2,
+      },
+    ],
+  } : null;
+
+  const chartConfig = {
+    backgroundColor: colors.surface,
+    backgroundGradientFrom: colors.surface,
+    backgroundGradientTo: colors.surface,
+    decimalPlaces: 0,
+    color: (opacity = 1) => isDarkMode ? `rgba(184, 138, 185, ${opacity})` : `rgba(139, 90, 140, ${opacity})`,
+    labelColor: (opacity = 1) => isDarkMode ? `rgba(245, 245, 245, ${opacity})` : `rgba(45, 45, 45, ${opacity})`,
+    style: {
+      borderRadius: borderRadius.md,
+    },
+  };
+
+  if (!source || !target) return null;
+
+  return (
+    <View style={styles.container}>
+      {/* Title row */}
+      <View style={styles.titleRow}>
+        <Text style={styles.title}>Correlation</Text>
+        <TouchableOpacity
+          style={styles.closeButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.7}
+        >
+          <Icon name="close" size={24} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <Surface style={styles.section} elevation={1}>
+          <Text style={styles.sectionTitle}>
+            {source.name} → {target.name}
+          </Text>
+          <Text style={styles.sectionDescription}>
+            Compares {source.name.toLowerCase()} on each day with {target.name.toLowerCase()}{' '}
+            {getLagLabel(lag)}.
+          </Text>
+          <View style={styles.lagChips}>
+            {results.map((lagResult, index) => (
+              <Chip
+                key={index}
+                compact
+                mode={index === lag ? 'flat' : 'outlined'}
+                selected={index === lag}
+                onPress={() => setLag(index)}
+                style={index === lag && { backgroundColor: colors.primaryLight }}
+              >
+                {index === 0 ? 'Same day' : `+${index} day${index > 1 ? 's' : ''}`}
+                {lagResult ? `  ρ ${lagResult.estimate.toFixed(2)}` : ''}
+              </Chip>
+            ))}
+          </View>
+        </Surface>
+
+        <Surface style={styles.section} elevation={1}>
+          {result ? (
+            <>
+              <Text style={styles.resultText}>
+                {describeLagCorrelation({ sourceId, targetId, estimate: result.estimate, lag }, registry)}
+              </Text>
+              <Text style={styles.evidenceText}>
+                Spearman correlation {result.estimate.toFixed(2)} (95% CI {result.low.toFixed(2)} to{' '}
+                {result.high.toFixed(2)}) over {result.n} pairs of days.
+                {isClear ? '' : ' The interval includes zero, so this could be chance.'}
+              </Text>
+              {isClear && (
+                <Text style={styles.confidenceText}>{CONFIDENCE_LABELS[result.confidence]}</Text>
+              )}
+            </>
+          ) : (
+            <Text style={styles.evidenceText}>
+              Not enough to compare yet. This needs at least {LAG_MIN_PAIRS} pairs of logged days,
+              and both need to vary from day to day.
+            </Text>
+          )}
+        </Surface>
+
+        {chartData && (
+          <Surface style={styles.section} elevation={1}>
+            <Text style={styles.sectionTitle}>Both Over Time</Text>
+            <View style={styles.legend}>
+              <View style={styles.legendItem}>
+                <View style={[styles.legendDot, { backgroundColor: colors.primary }]} />
+                <Text style={styles.legendText}>{source.name}</Text>
+              </View>
+              <View style={styles.legendItem}>
+                <View style={[styles.legendDot, { backgroundColor: colors.accent }]} />
+                <Text style={styles.legendText}>
+                  {target.name}
+                  {lag > 0 ? ` (${getLagLabel(lag)})` : ''}
+                </Text>
+              </View>
+            </View>
+            <LineChart
+              data={chartData}
+              width={screenWidth - spacing.md * 4}
+              height={200}
+              chartConfig={chartConfig}
+              withDots={false}
+              withInnerLines={false}
+              fromZero
+              yAxisSuffix="%"
+              style={styles.chart}
+            />
+            <Text style={styles.evidenceText}>
+              Each line is shown as a share of its scale ({source.name.toLowerCase()} out of{' '}
+              {source.max}, {target.name.toLowerCase()} out of {target.max}). Days are by{' '}
+              {source.name.toLowerCase()}.
+            </Text>
+          </Surface>
+        )}
+
+        <Text style={styles.disclaimer}>
+          Things that change together don't always cause each other. Use this as a starting point
+          for a conversation with your clinician.
+        </Text>
+      </ScrollView>
+    </View>
+  );
+}
+
+const createStyles = (colors, insets) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    paddingTop: insets?.top || 0,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+    marginBottom: spacing.md,
+    marginLeft: spacing.lg,
+    marginRight: spacing.lg,
+  },
+  title: {
+    fontFamily: fonts.title,
+    fontSize: 32,
+    color: colors.text,
+    letterSpacing: -0.5,
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: 120,
+  },
+  section: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  sectionDescription: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  lagChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+  resultText: {
+    fontSize: 15,
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+  evidenceText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    lineHeight: 18,
+  },
+  confidenceText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary,
+    marginTop: spacing.xs,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  legendText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  chart: {
+    marginVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  disclaimer: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+    marginHorizontal: spacing.sm,
+  },
+});
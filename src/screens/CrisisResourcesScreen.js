@@ -0,0 +1,245 @@
+import React from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Linking, Alert } from 'react-native';
+import { Text, Surface, Button, Divider } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { useTheme } from '../context/ThemeContext';
+import { getColors, spacing, borderRadius, fonts } from '../theme';
+
+// Free, confidential services that answer around the clock
+const CRISIS_LINES = [
+  {
+    region: 'US',
+    name: '988 Suicide & Crisis Lifeline',
+    detail: 'Call or text 988',
+    actions: [
+      { label: 'Call', icon: 'phone', url: 'tel:988' },
+      { label: 'Text', icon: 'message-text', url: 'sms:988' },
+    ],
+  },
+  {
+    region: 'Canada',
+    name: '9-8-8 Suicide Crisis Helpline',
+    detail: 'Call or text 988',
+    actions: [
+      { label: 'Call', icon: 'phone', url: 'tel:988' },
+      { label: 'Text', icon: 'message-text', url: 'sms:988' },
+    ],
+  },
+  {
+    region: 'UK & Ireland',
+    name: 'Samaritans',
+    detail: 'Call 116 123',
+    actions: [{ label: 'Call', icon: 'phone', url: 'tel:116123' }],
+  },
+  {
+    region: 'Australia',
+    name: 'Lifeline',
+    detail: 'Call 13 11 14',
+    actions: [{ label: 'Call', icon: 'phone', url: 'tel:131114' }],
+  },
+  {
+    region: 'Anywhere else',
+    name: 'Find A Helpline',
+    detail: 'Helplines in over 130 countries',
+    actions: [{ label: 'Open', icon: 'web', url: 'https://findahelpline.com' }],
+  },
+];
+
+export default function CrisisResourcesScreen() {
+  const navigation = useNavigation();
+  const insets = useSafeAreaInsets();
+  const { isDarkMode } = useTheme();
+  const colors = getColors(isDarkMode);
+  const styles = createStyles(colors, insets);
+
+  const openLink = async (url) => {
+    try {
+      await Linking.openURL(url);
+    } catch (error) {
+      console.error('Error opening crisis line:', error);
+      Alert.alert('Cannot Open', `This device can't open ${url.replace(/^\w+:/, '')}. Please dial it yourself.`);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Title row */}
+      <View style={styles.titleRow}>
+        <Text style={styles.title}>Support</Text>
+        <TouchableOpacity
+          style={styles.closeButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.7}
+        >
+          <Icon name="close" size={24} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <Surface style={[styles.section, styles.urgentSection]} elevation={1}>
+          <View style={styles.headerRow}>
+            <Icon name="hand-heart" size={28} color={colors.error} />
+            <Text style={styles.sectionTitle}>You don't have to face this alone</Text>
+          </View>
+          <Text style={styles.bodyText}>
+            You said you've had thoughts that you would be better off dead or of hurting yourself.
+            Thoughts like these are more common than people think, and talking to someone can help.
+          </Text>
+          <Text style={[styles.bodyText, styles.emphasis]}>
+            If you might act on these thoughts or are in danger now, call your local emergency
+            number (911 in the US and Canada, 999 in the UK, 112 in Europe, 000 in Australia).
+          </Text>
+        </Surface>
+
+        <Surface style={styles.section} elevation={1}>
+          <Text style={styles.sectionTitle}>Talk to someone now</Text>
+          <Text style={styles.sectionDescription}>
+            Free and confidential, any time of day or night.
+          </Text>
+          {CRISIS_LINES.map((line, index) => (
+            <View key={`${line.region}-${line.name}`}>
+              {index > 0 && <Divider style={styles.divider} />}
+              <View style={styles.lineRow}>
+                <View style={styles.lineInfo}>
+                  <Text style={styles.lineRegion}>{line.region}</Text>
+                  <Text style={styles.lineName}>{line.name}</Text>
+                  <Text style={styles.lineDetail}>{line.detail}</Text>
+                </View>
+                {line.actions.map((action) => (
+                  <Button
+                    key={action.label}
+                    mode="outlined"
+                    compact
+                    icon={action.icon}
+                    onPress={() => openLink(action.url)}
+                    style={styles.lineButton}
+                  >
+                    {action.label}
+                  </Button>
+                ))}
+              </View>
+            </View>
+          ))}
+        </Surface>
+
+        <Surface style={styles.section} elevation={1}>
+          <Text style={styles.sectionTitle}>Other things that can help</Text>
+          <Text style={styles.bodyText}>
+            Tell someone you trust how you're feeling, and make an appointment with your doctor
+            soon. Menopause can affect mood, and treatment can help.
+          </Text>
+        </Surface>
+
+        <Button mode="contained" onPress={() => navigation.goBack()} style={styles.doneButton}>
+          Back
+        </Button>
+      </ScrollView>
+    </View>
+  );
+}
+
+const createStyles = (colors, insets) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    paddingTop: insets?.top || 0,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+    marginBottom: spacing.md,
+    marginLeft: spacing.lg,
+    marginRight: spacing.lg,
+  },
+  title: {
+    fontFamily: fonts.title,
+    fontSize: 32,
+    color: colors.text,
+    letterSpacing: -0.5,
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: 120,
+  },
+  section: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  urgentSection: {
+    borderLeftWidth: 4,
+    borderLeftColor: colors.error,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  sectionDescription: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  bodyText: {
+    fontSize: 15,
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  emphasis: {
+    fontWeight: '600',
+  },
+  divider: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  lineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    gap: spacing.xs,
+  },
+  lineInfo: {
+    flex: 1,
+  },
+  lineRegion: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  lineDetail: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  lineButton: {
+    marginLeft: spacing.xs,
+  },
+  doneButton: {
+    marginTop: spacing.sm,
+    marginBottom: spacing.xl,
+  },
+});
@@ -5,12 +5,14 @@ import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 
 import { colors, spacing, borderRadius } from '../theme';
-import { SYMPTOMS, SEVERITY_LABELS, PERIOD_FLOW_OPTIONS } from '../utils/constants';
+import { SEVERITY_LABELS, PERIOD_FLOW_OPTIONS } from '../utils/constants';
+import { buildSymptomRegistry, getSymptomName } from '../utils/symptoms';
 import {
   getDailyLog,
   getRecentLogs,
   getCycleStats,
   getCurrentPeriod,
+  getSymptomRegistry,
 } from '../database/database';
 
 export default function HomeScreen() {
@@ -20,22 +22,25 @@ export default function HomeScreen() {
   const [recentLogs, setRecentLogs] = useState([]);
   const [cycleStats, setCycleStats] = useState(null);
   const [currentPeriod, setCurrentPeriod] = useState(null);
+  const [symptomRegistry, setSymptomRegistry] = useState(() => buildSymptomRegistry());
 
   const today = new Date().toISOString().split('T')[0];
 
   const loadData = async () => {
     try {
-      const [log, recent, stats, period] = await Promise.all([
+      const [log, recent, stats, period, registry] = await Promise.all([
         getDailyLog(today),
         getRecentLogs(7),
         getCycleStats(),
         getCurrentPeriod(),
+        getSymptomRegistry(),
       ]);
 
       setTodayLog(log);
       setRecentLogs(recent);
       setCycleStats(stats);
       setCurrentPeriod(period);
+      setSymptomRegistry(registry);
     } catch (error) {
       console.error('Error loading home data:', error);
     }
@@ -53,11 +58,6 @@ export default function HomeScreen() {
     setRefreshing(false);
   };
 
-  const getSymptomName = (symptomId) => {
-    const symptom = SYMPTOMS.find((s) => s.id === symptomId);
-    return symptom ? symptom.name : symptomId;
-  };
-
   const getSeverityColor = (severity) => {
     return SEVERITY_LABELS[severity - 1]?.color || colors.surfaceVariant;
   };
@@ -172,7 +172,7 @@ export default function HomeScreen() {
                         textStyle={styles.symptomChipText}
                         compact
                       >
-                        {getSymptomName(s.symptom_id)}
+                        {getSymptomName(s.symptom_id, symptomRegistry)}
                       </Chip>
                     ))}
                   </View>
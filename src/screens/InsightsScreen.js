@@ -1,29 +1,68 @@
 import React, { useState, useCallback, useLayoutEffect, useMemo } from 'react';
 import { View, StyleSheet, ScrollView, RefreshControl, Dimensions, Alert, TouchableOpacity } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { Text, Surface, SegmentedButtons, Chip, ActivityIndicator } from 'react-native-paper';
+import { Text, Surface, SegmentedButtons, Chip, ActivityIndicator, Button } from 'react-native-paper';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { LineChart, BarChart } from 'react-native-chart-kit';
 import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
+import { File, Paths } from 'expo-file-system';
 
 import { getColors, spacing, borderRadius, fonts } from '../theme';
 import { useTheme } from '../context/ThemeContext';
-import { SYMPTOMS, SEVERITY_LABELS, CHART_COLORS } from '../utils/constants';
+import { SEVERITY_LABELS, CHART_COLORS } from '../utils/constants';
 import {
   getLogsInRange,
   getSymptomStats,
   getMoodStats,
   getCycleStats,
-  getMedicationCompliance,
+  getMedicationAdherence,
+  getMedicationEvents,
+  getHotFlashEpisodesInRange,
+  getCustomTriggers,
+  getSymptomRegistry,
+  getAllCyclePeriods,
+  getMenopauseStatus,
+  getQuestionnaireResponses,
 } from '../database/database';
-import { analyzePatterns, getSymptomCorrelations, getTrends } from '../utils/analysis';
-import { generateReportHTML } from '../utils/reportGenerator';
+import {
+  analyzePatterns,
+  measureSymptomPairs,
+  getSymptomCorrelations,
+  getSymptomCorrelationMatrix,
+  getTrends,
+  COMPARISON_WINDOW_DAYS,
+} from '../utils/analysis';
+import { getStageSummary, STAGES } from '../utils/menopauseStage';
+import { getTimeOfDayDistribution, summarizeHotFlashes } from '../utils/hotFlashes';
+import { buildSymptomRegistry, getSymptomName } from '../utils/symptoms';
+import { compareMedicationChanges, getComparisonRange } from '../utils/medicationHistory';
+import { generateReportHTML, generateReportCSV } from '../utils/reportGenerator';
+import { analyzeLagCorrelations, describeLagCorrelation } from '../utils/lagCorrelations';
+import { QUESTIONNAIRES, getScoreHistory, loadQuestionnaireSettings } from '../utils/questionnaires';
 
 const screenWidth = Dimensions.get('window').width;
 
+// Measures shown for each medication change, with the smallest difference worth colouring
+const COMPARISON_METRICS = [
+  { key: 'symptomsPerDay', label: 'Symptoms a day', lowerIsBetter: true, threshold: 0.3, format: (v) => v.toFixed(1) },
+  { key: 'symptomDays', label: 'Days with symptoms', lowerIsBetter: true, threshold: 0.1, format: (v) => `${Math.round(v * 100)}%` },
+  { key: 'severity', label: 'Average severity', lowerIsBetter: true, threshold: 0.3, format: (v) => v.toFixed(1) },
+  { key: 'sleepHours', label: 'Sleep', lowerIsBetter: false, threshold: 0.5, format: (v) => `${v.toFixed(1)}h` },
+  { key: 'mood', label: 'Mood', lowerIsBetter: false, threshold: 0.5, format: (v) => v.toFixed(1) },
+];
+
+const CONFIDENCE_LABELS = {
+  high: 'High confidence',
+  moderate: 'Moderate confidence',
+};
+
+// Symptom cluster heatmap: row labels take a fixed width, cells share the rest
+const HEATMAP_LABEL_WIDTH = 110;
+const HEATMAP_POSITIVE = CHART_COLORS[0];
+
 const getChartConfig = (colors, isDarkMode) => ({
   backgroundColor: colors.surface,
   backgroundGradientFrom: colors.surface,
@@ -56,26 +95,62 @@ export default function InsightsScreen() {
   const [cycleStats, setCycleStats] = useState(null);
   const [patterns, setPatterns] = useState(null);
   const [correlations, setCorrelations] = useState([]);
+  const [correlationMatrix, setCorrelationMatrix] = useState(null);
+  const [lagCorrelations, setLagCorrelations] = useState([]);
+  const [dateRange, setDateRange] = useState(null);
   const [trends, setTrends] = useState(null);
+  const [stageSummary, setStageSummary] = useState(null);
+  const [menopauseStatus, setMenopauseStatus] = useState(null);
+  const [adherence, setAdherence] = useState([]);
+  const [medicationChanges, setMedicationChanges] = useState([]);
+  const [hotFlashEpisodes, setHotFlashEpisodes] = useState([]);
+  const [customTriggers, setCustomTriggers] = useState([]);
+  const [symptomRegistry, setSymptomRegistry] = useState(() => buildSymptomRegistry());
+  const [questionnaireResponses, setQuestionnaireResponses] = useState([]);
+  const [questionnaireSettings, setQuestionnaireSettings] = useState(null);
   const [logs, setLogs] = useState([]);
   const [generating, setGenerating] = useState(false);
 
+  const getReportRange = () => {
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(timeRange));
+    return {
+      start: startDate.toISOString().split('T')[0],
+      end: endDate.toISOString().split('T')[0],
+    };
+  };
+
   const generateReport = async () => {
     setGenerating(true);
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - parseInt(timeRange));
+      const { start, end } = getReportRange();
+      const comparisonRange = getComparisonRange(start, end);
 
-      const start = startDate.toISOString().split('T')[0];
-      const end = endDate.toISOString().split('T')[0];
-
-      const [logsData, symptoms, mood, cycles, medicationCompliance] = await Promise.all([
+      const [
+        logsData,
+        symptoms,
+        mood,
+        cycles,
+        medicationAdherence,
+        medicationEvents,
+        comparisonLogs,
+        allPeriods,
+        status,
+        registry,
+        responses,
+      ] = await Promise.all([
         getLogsInRange(start, end),
         getSymptomStats(start, end),
         getMoodStats(start, end),
         getCycleStats(),
-        getMedicationCompliance(start, end),
+        getMedicationAdherence(start, end),
+        getMedicationEvents(),
+        getLogsInRange(comparisonRange.start, comparisonRange.end),
+        getAllCyclePeriods(),
+        getMenopauseStatus(),
+        getSymptomRegistry(),
+        getQuestionnaireResponses(start, end),
       ]);
 
       if (logsData.length === 0) {
@@ -91,7 +166,17 @@ export default function InsightsScreen() {
         symptomStats: symptoms,
         moodStats: mood,
         cycleStats: cycles,
-        medicationCompliance,
+        medicationAdherence,
+        medicationEvents,
+        medicationComparisons: compareMedicationChanges(
+          comparisonLogs,
+          medicationEvents.filter((e) => e.date >= start && e.date <= end),
+          { symptomRegistry: registry }
+        ),
+        stageEstimate: getStageSummary(allPeriods, { finalPeriodDate: status.finalPeriodDate }),
+        menopauseStatus: status,
+        symptomRegistry: registry,
+        questionnaireResponses: responses,
       });
 
       const { uri } = await Print.printToFileAsync({ html, base64: false });
@@ -112,11 +197,69 @@ export default function InsightsScreen() {
     setGenerating(false);
   };
 
+  const generateCSV = async () => {
+    setGenerating(true);
+    let file = null;
+    try {
+      const { start, end } = getReportRange();
+      const [logsData, status, triggers, registry] = await Promise.all([
+        getLogsInRange(start, end),
+        getMenopauseStatus(),
+        getCustomTriggers(false),
+        getSymptomRegistry(),
+      ]);
+
+      if (logsData.length === 0) {
+        Alert.alert('No Data', 'There are no log entries in the selected time range.');
+        return;
+      }
+
+      file = new File(Paths.cache, `peri-tracker-logs-${start}-to-${end}.csv`);
+      file.create({ overwrite: true });
+      file.write(
+        generateReportCSV(logsData, {
+          finalPeriodDate: status.finalPeriodDate,
+          customTriggers: triggers,
+          symptomRegistry: registry,
+        })
+      );
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(file.uri, {
+          mimeType: 'text/csv',
+          dialogTitle: 'Share Daily Logs',
+          UTI: 'public.comma-separated-values-text',
+        });
+      } else {
+        Alert.alert('Sharing Not Available', 'The CSV can only be saved by sharing it from this device.');
+      }
+    } catch (error) {
+      console.error('Error generating CSV:', error);
+      Alert.alert('Error', 'Failed to export CSV. Please try again.');
+    } finally {
+      // The export isn't encrypted, so no copy is left behind once it's shared
+      if (file?.exists) file.delete();
+      setGenerating(false);
+    }
+  };
+
+  const chooseExportFormat = () => {
+    Alert.alert(
+      'Export',
+      'Share a PDF report for your clinician, or your daily logs as a CSV spreadsheet.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'CSV', onPress: generateCSV },
+        { text: 'PDF Report', onPress: generateReport },
+      ]
+    );
+  };
+
   useLayoutEffect(() => {
     navigation.setOptions({
       headerRight: () => (
         <TouchableOpacity
-          onPress={generateReport}
+          onPress={chooseExportFormat}
           disabled={generating}
           style={styles.headerButton}
         >
@@ -138,12 +281,39 @@ export default function InsightsScreen() {
 
       const startStr = startDate.toISOString().split('T')[0];
       const endStr = endDate.toISOString().split('T')[0];
+      // Medication changes are compared with the weeks around them
+      const comparisonRange = getComparisonRange(startStr, endStr);
 
-      const [logsData, symptoms, mood, cycles] = await Promise.all([
+      const [
+        logsData,
+        symptoms,
+        mood,
+        cycles,
+        allPeriods,
+        status,
+        medicationAdherence,
+        medicationEvents,
+        comparisonLogs,
+        episodes,
+        customTriggerRows,
+        registry,
+        responses,
+        questionnaireSettingsData,
+      ] = await Promise.all([
         getLogsInRange(startStr, endStr),
         getSymptomStats(startStr, endStr),
         getMoodStats(startStr, endStr),
         getCycleStats(),
+        getAllCyclePeriods(),
+        getMenopauseStatus(),
+        getMedicationAdherence(startStr, endStr),
+        getMedicationEvents(),
+        getLogsInRange(comparisonRange.start, comparisonRange.end),
+        getHotFlashEpisodesInRange(startStr, endStr),
+        getCustomTriggers(false),
+        getSymptomRegistry(),
+        getQuestionnaireResponses(),
+        loadQuestionnaireSettings(),
       ]);
 
       setLogs(logsData);
@@ -152,13 +322,37 @@ export default function InsightsScreen() {
       setCycleStats(cycles);
 
       // Run analysis
-      const patternData = analyzePatterns(logsData, cycles);
-      const correlationData = getSymptomCorrelations(logsData);
+      const patternData = analyzePatterns(logsData, cycles, status, {
+        customTriggers: customTriggerRows,
+        symptomRegistry: registry,
+      });
+      const measuredPairs = measureSymptomPairs(logsData);
+      const correlationData = getSymptomCorrelations(logsData, { measured: measuredPairs });
+      const correlationMatrixData = getSymptomCorrelationMatrix(logsData, { measured: measuredPairs });
+      const lagCorrelationData = analyzeLagCorrelations(logsData, { symptomRegistry: registry });
       const trendData = getTrends(logsData);
 
       setPatterns(patternData);
       setCorrelations(correlationData);
+      setCorrelationMatrix(correlationMatrixData);
+      setLagCorrelations(lagCorrelationData);
+      setDateRange({ start: startStr, end: endStr });
       setTrends(trendData);
+      setStageSummary(getStageSummary(allPeriods, { finalPeriodDate: status.finalPeriodDate }));
+      setMenopauseStatus(status);
+      setAdherence(medicationAdherence.filter((m) => m.periods.length > 0));
+      setHotFlashEpisodes(episodes);
+      setCustomTriggers(customTriggerRows);
+      setSymptomRegistry(registry);
+      setQuestionnaireResponses(responses);
+      setQuestionnaireSettings(questionnaireSettingsData);
+      setMedicationChanges(
+        compareMedicationChanges(
+          comparisonLogs,
+          medicationEvents.filter((e) => e.date >= startStr && e.date <= endStr),
+          { symptomRegistry: registry }
+        )
+      );
     } catch (error) {
       console.error('Error loading insights:', error);
     }
@@ -176,9 +370,28 @@ export default function InsightsScreen() {
     setRefreshing(false);
   };
 
-  const getSymptomName = (symptomId) => {
-    const symptom = SYMPTOMS.find((s) => s.id === symptomId);
-    return symptom ? symptom.name : symptomId;
+  const heatmapCellSize = correlationMatrix
+    ? Math.floor((screenWidth - spacing.md * 4 - HEATMAP_LABEL_WIDTH) / correlationMatrix.symptomIds.length)
+    : 0;
+
+  // Opacity follows the strength of the correlation, hue its direction
+  const getHeatmapColor = (correlation) => {
+    const alpha = Math.round(Math.min(1, Math.abs(correlation || 0)) * 255)
+      .toString(16)
+      .padStart(2, '0');
+    return `${correlation < 0 ? colors.info : HEATMAP_POSITIVE}${alpha}`;
+  };
+
+  // Lower is better for symptoms, higher for sleep and mood
+  const getComparisonColor = (metric, before, after) => {
+    if (Math.abs(after - before) < metric.threshold) return colors.textSecondary;
+    return (after < before) === metric.lowerIsBetter ? colors.success : colors.error;
+  };
+
+  const getAdherenceColor = (percent) => {
+    if (percent >= 80) return colors.success;
+    if (percent >= 50) return colors.warning;
+    return colors.error;
   };
 
   const timeRangeButtons = [
@@ -211,10 +424,28 @@ export default function InsightsScreen() {
   // Prepare symptom frequency chart data
   const topSymptoms = symptomStats.slice(0, 5);
   const symptomChartData = topSymptoms.length > 0 ? {
-    labels: topSymptoms.map((s) => getSymptomName(s.symptom_id).substring(0, 8)),
+    labels: topSymptoms.map((s) => getSymptomName(s.symptom_id, symptomRegistry).substring(0, 8)),
     datasets: [{ data: topSymptoms.map((s) => s.count) }],
   } : null;
 
+  // Questionnaire scores over all time, since they're only taken every few weeks
+  const questionnaireHistories = Object.values(QUESTIONNAIRES)
+    .map((questionnaire) => ({
+      questionnaire,
+      history: getScoreHistory(questionnaireResponses, questionnaire.id),
+    }))
+    .filter(({ questionnaire, history }) =>
+      history.length > 0 || questionnaireSettings?.enabled[questionnaire.id]
+    );
+
+  // Hot flashes by time of day
+  const hotFlashSummary = summarizeHotFlashes(hotFlashEpisodes, customTriggers);
+  const hotFlashBuckets = getTimeOfDayDistribution(hotFlashEpisodes);
+  const hotFlashChartData = hotFlashEpisodes.length > 0 ? {
+    labels: hotFlashBuckets.map((b) => b.label),
+    datasets: [{ data: hotFlashBuckets.map((b) => b.count) }],
+  } : null;
+
   return (
     <View style={styles.container}>
       {/* Background gradient matching Journal page */}
@@ -273,6 +504,179 @@ export default function InsightsScreen() {
           </Surface>
         </View>
 
+        {/* Menopause Transition Stage */}
+        {stageSummary && stageSummary.cycleCount + stageSummary.history.length > 0 && (
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Transition Stage</Text>
+            <View style={styles.stageHeader}>
+              <Icon name={STAGES[stageSummary.stage].icon} size={28} color={colors.primary} />
+              <View style={styles.stageInfo}>
+                <Text style={styles.stageName}>{STAGES[stageSummary.stage].name}</Text>
+                {STAGES[stageSummary.stage].straw && (
+                  <Text style={styles.cardSubtitle}>
+                    STRAW+10 stage {STAGES[stageSummary.stage].straw}
+                  </Text>
+                )}
+              </View>
+            </View>
+            <Text style={styles.insightText}>{STAGES[stageSummary.stage].description}</Text>
+
+            {stageSummary.evidence.map((item, index) => (
+              <View key={index} style={styles.insightRow}>
+                <Icon name="circle-small" size={20} color={colors.textSecondary} />
+                <Text style={styles.insightText}>{item}</Text>
+              </View>
+            ))}
+
+            {stageSummary.history.length > 1 && (
+              <View style={styles.stageHistory}>
+                <Text style={styles.cardSubtitle}>How your stage has changed</Text>
+                {stageSummary.history.slice().reverse().map((entry) => (
+                  <View key={entry.since} style={styles.stageHistoryRow}>
+                    <Text style={styles.symptomName}>{STAGES[entry.stage].name}</Text>
+                    <Text style={styles.symptomCount}>
+                      since {new Date(entry.since).toLocaleDateString('en-US', {
+                        month: 'short',
+                        year: 'numeric',
+                      })}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {menopauseStatus?.bleedingDates.length > 0 && (
+              <View style={styles.bleedingWarning}>
+                <View style={styles.insightRow}>
+                  <Icon name="alert-circle" size={20} color={colors.error} />
+                  <Text style={styles.bleedingWarningTitle}>Bleeding after menopause</Text>
+                </View>
+                <Text style={styles.insightText}>
+                  Bleeding was logged after your final period. Please discuss it with a clinician - bleeding after menopause should always be checked.
+                </Text>
+                {menopauseStatus.bleedingDates.slice(-5).reverse().map((date) => (
+                  <View key={date} style={styles.insightRow}>
+                    <Icon name="circle-small" size={20} color={colors.textSecondary} />
+                    <Text style={styles.insightText}>
+                      {new Date(date).toLocaleDateString('en-US', {
+                        month: 'short',
+                        day: 'numeric',
+                        year: 'numeric',
+                      })}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            <Text style={styles.stageDisclaimer}>
+              An estimate from your logged periods. Hormonal contraception, HRT or surgery can affect it.
+            </Text>
+          </Surface>
+        )}
+
+        {/* Questionnaire Scores */}
+        {questionnaireHistories.length > 0 && (
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Questionnaire Scores</Text>
+            <Text style={styles.cardSubtitle}>
+              Standard questionnaires your clinician will recognise. Higher scores mean more troublesome symptoms.
+            </Text>
+            {questionnaireHistories.map(({ questionnaire, history }) => {
+              const latest = history[history.length - 1];
+              const previous = history.length > 1 ? history[history.length - 2] : null;
+              const recent = history.slice(-6);
+              const change = previous ? latest.total - previous.total : null;
+              return (
+                <View key={questionnaire.id} style={styles.questionnaire}>
+                  <View style={styles.insightRow}>
+                    <Icon name={questionnaire.icon} size={20} color={colors.primary} />
+                    <View style={styles.stageInfo}>
+                      <Text style={styles.symptomName}>{questionnaire.name}</Text>
+                      {latest ? (
+                        <Text style={styles.symptomCount}>
+                          {latest.total} / {latest.maxTotal}
+                          {latest.band ? ` · ${latest.band.label}` : ''}
+                          {' on '}
+                          {new Date(latest.date).toLocaleDateString('en-US', {
+                            month: 'short',
+                            day: 'numeric',
+                          })}
+                          {change !== null ? ` (${change > 0 ? '+' : ''}${change} since the time before)` : ''}
+                        </Text>
+                      ) : (
+                        <Text style={styles.symptomCount}>Not taken yet</Text>
+                      )}
+                    </View>
+                    <Button
+                      compact
+                      onPress={() => navigation.navigate('Questionnaire', { questionnaireId: questionnaire.id })}
+                    >
+                      {latest ? 'Retake' : 'Start'}
+                    </Button>
+                  </View>
+                  {recent.length > 1 && (
+                    <LineChart
+                      data={{
+                        labels: recent.map((entry) => {
+                          const date = new Date(entry.date);
+                          return `${date.getMonth() + 1}/${date.getDate()}`;
+                        }),
+                        datasets: [{ data: recent.map((entry) => entry.total) }],
+                      }}
+                      width={screenWidth - spacing.md * 4}
+                      height={160}
+                      chartConfig={{ ...chartConfig, decimalPlaces: 0 }}
+                      style={styles.chart}
+                      withInnerLines={false}
+                      fromZero
+                    />
+                  )}
+                  {latest && questionnaire.bands && (
+                    <View style={styles.bandLegend}>
+                      {questionnaire.bands.map((band, index) => {
+                        const next = questionnaire.bands[index + 1];
+                        return (
+                          <View key={band.label} style={styles.legendItem}>
+                            <View style={[styles.legendDot, { backgroundColor: band.color }]} />
+                            <Text style={styles.legendText}>
+                              {band.label} {next ? `${band.min}-${next.min - 1}` : `${band.min}+`}
+                            </Text>
+                          </View>
+                        );
+                      })}
+                    </View>
+                  )}
+                  {latest?.safetyFlag && (
+                    <TouchableOpacity
+                      style={styles.insightRow}
+                      onPress={() => navigation.navigate('CrisisResources')}
+                      activeOpacity={0.7}
+                    >
+                      <Icon name="hand-heart" size={20} color={colors.error} />
+                      <Text style={styles.insightText}>
+                        Last time you mentioned thoughts of hurting yourself. Tap for people you can talk to.
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                  {latest && latest.subscales.map((subscale, index) => (
+                    <View key={subscale.id} style={styles.comparisonRow}>
+                      <Text style={styles.symptomCount}>
+                        {subscale.name}
+                        {subscale.band ? ` · ${subscale.band.label}` : ''}
+                      </Text>
+                      <Text style={[styles.comparisonValue, { color: colors.text }]}>
+                        {previous ? `${previous.subscales[index].score} → ` : ''}
+                        {subscale.score} / {subscale.max}
+                      </Text>
+                    </View>
+                  ))}
+                </View>
+              );
+            })}
+          </Surface>
+        )}
+
         {/* Mood Trends Chart */}
         {moodChartData && moodChartData.labels.length > 0 && (
           <Surface style={styles.chartCard} elevation={1}>
@@ -318,6 +722,42 @@ export default function InsightsScreen() {
           </Surface>
         )}
 
+        {/* Hot Flashes */}
+        {hotFlashChartData && (
+          <Surface style={styles.chartCard} elevation={1}>
+            <Text style={styles.chartTitle}>Hot Flashes by Time of Day</Text>
+            <Text style={styles.cardSubtitle}>
+              {hotFlashSummary.count} logged on {hotFlashSummary.days} day{hotFlashSummary.days !== 1 ? 's' : ''}
+              {' · '}average intensity {hotFlashSummary.avgIntensity.toFixed(1)}
+              {hotFlashSummary.avgDuration !== null
+                ? ` · about ${Math.round(hotFlashSummary.avgDuration)} min each`
+                : ''}
+            </Text>
+            <BarChart
+              data={hotFlashChartData}
+              width={screenWidth - spacing.md * 4}
+              height={200}
+              chartConfig={{
+                ...chartConfig,
+                decimalPlaces: 0,
+                barPercentage: 0.5,
+              }}
+              style={styles.chart}
+              showValuesOnTopOfBars
+              fromZero
+            />
+            {hotFlashSummary.triggers.length > 0 && (
+              <View style={styles.triggerChips}>
+                {hotFlashSummary.triggers.slice(0, 4).map((trigger) => (
+                  <Chip key={trigger.id} compact style={styles.correlationChip}>
+                    {trigger.label} ×{trigger.count}
+                  </Chip>
+                ))}
+              </View>
+            )}
+          </Surface>
+        )}
+
         {/* Symptom Severity Breakdown */}
         {symptomStats.length > 0 && (
           <Surface style={styles.card} elevation={1}>
@@ -326,7 +766,7 @@ export default function InsightsScreen() {
               <View key={stat.symptom_id} style={styles.symptomRow}>
                 <View style={styles.symptomInfo}>
                   <Text style={styles.symptomName}>
-                    {getSymptomName(stat.symptom_id)}
+                    {getSymptomName(stat.symptom_id, symptomRegistry)}
                   </Text>
                   <Text style={styles.symptomCount}>
                     {stat.count} time{stat.count !== 1 ? 's' : ''}
@@ -357,25 +797,252 @@ export default function InsightsScreen() {
           <Surface style={styles.card} elevation={1}>
             <Text style={styles.cardTitle}>Symptom Correlations</Text>
             <Text style={styles.cardSubtitle}>
-              Symptoms that often appear together
+              Symptoms that go together, or rarely come together, more than chance would explain
             </Text>
-            {correlations.slice(0, 5).map((corr, index) => (
-              <View key={index} style={styles.correlationRow}>
-                <Chip style={styles.correlationChip} compact>
-                  {getSymptomName(corr.symptom1)}
-                </Chip>
-                <Icon name="arrow-left-right" size={16} color={colors.textLight} />
-                <Chip style={styles.correlationChip} compact>
-                  {getSymptomName(corr.symptom2)}
-                </Chip>
-                <Text style={styles.correlationScore}>
-                  {Math.round(corr.correlation * 100)}%
+            {correlations.slice(0, 5).map((corr) => (
+              <View key={`${corr.symptom1}-${corr.symptom2}`} style={styles.correlationItem}>
+                <View style={styles.correlationRow}>
+                  <Chip style={styles.correlationChip} compact>
+                    {getSymptomName(corr.symptom1, symptomRegistry)}
+                  </Chip>
+                  <Icon
+                    name={corr.direction === 'positive' ? 'link-variant' : 'link-variant-off'}
+                    size={16}
+                    color={colors.textLight}
+                  />
+                  <Chip style={styles.correlationChip} compact>
+                    {getSymptomName(corr.symptom2, symptomRegistry)}
+                  </Chip>
+                  <Text style={styles.correlationScore}>
+                    {corr.correlation > 0 ? '+' : ''}
+                    {corr.correlation.toFixed(2)}
+                  </Text>
+                </View>
+                <Text style={styles.symptomCount}>
+                  Together on {corr.coOccurrences} day{corr.coOccurrences !== 1 ? 's' : ''},{' '}
+                  {corr.expected.toFixed(1)} expected by chance
                 </Text>
               </View>
             ))}
           </Surface>
         )}
 
+        {/* Symptom cluster heatmap */}
+        {correlationMatrix && (
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Symptom Clusters</Text>
+            <Text style={styles.cardSubtitle}>
+              How your most frequent symptoms move together, with related symptoms side by side
+            </Text>
+            <View style={styles.heatmapRow}>
+              <View style={styles.heatmapLabelCell} />
+              {correlationMatrix.symptomIds.map((symptomId, index) => (
+                <Text key={symptomId} style={[styles.heatmapHeader, { width: heatmapCellSize }]}>
+                  {index + 1}
+                </Text>
+              ))}
+            </View>
+            {correlationMatrix.symptomIds.map((symptomId, row) => (
+              <View key={symptomId} style={styles.heatmapRow}>
+                <Text style={[styles.heatmapLabelCell, styles.heatmapLabel]} numberOfLines={1}>
+                  {row + 1}. {getSymptomName(symptomId, symptomRegistry)}
+                </Text>
+                {correlationMatrix.cells[row].map((cell, column) => (
+                  <View
+                    key={column}
+                    style={[
+                      styles.heatmapCell,
+                      { width: heatmapCellSize, height: heatmapCellSize },
+                      cell && { backgroundColor: getHeatmapColor(cell.correlation) },
+                    ]}
+                  >
+                    {cell?.significant && (
+                      <Text style={styles.heatmapValue}>
+                        {cell.correlation.toFixed(1).replace(/^(-?)0/, '$1')}
+                      </Text>
+                    )}
+                  </View>
+                ))}
+              </View>
+            ))}
+            <View style={styles.legend}>
+              <View style={styles.legendItem}>
+                <View style={[styles.legendDot, { backgroundColor: HEATMAP_POSITIVE }]} />
+                <Text style={styles.legendText}>Go together</Text>
+              </View>
+              <View style={styles.legendItem}>
+                <View style={[styles.legendDot, { backgroundColor: colors.info }]} />
+                <Text style={styles.legendText}>Rarely together</Text>
+              </View>
+            </View>
+            <Text style={styles.symptomCount}>
+              Darker squares are stronger. Numbers mark associations larger than chance would explain.
+            </Text>
+          </Surface>
+        )}
+
+        {/* Lagged correlations */}
+        {lagCorrelations.length > 0 && (
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Connections Across Days</Text>
+            <Text style={styles.cardSubtitle}>
+              How sleep, mood, exercise and food relate to the same day and up to 3 days later
+            </Text>
+            {lagCorrelations.slice(0, 5).map((item) => (
+              <TouchableOpacity
+                key={`${item.sourceId}-${item.targetId}`}
+                style={styles.insightRow}
+                onPress={() =>
+                  navigation.navigate('Correlation', {
+                    sourceId: item.sourceId,
+                    targetId: item.targetId,
+                    lag: item.lag,
+                    startDate: dateRange.start,
+                    endDate: dateRange.end,
+                  })
+                }
+                activeOpacity={0.7}
+              >
+                <Icon
+                  name={item.estimate < 0 ? 'arrow-bottom-right' : 'arrow-top-right'}
+                  size={20}
+                  color={colors.primary}
+                />
+                <View style={styles.stageInfo}>
+                  <Text style={styles.insightText}>
+                    {describeLagCorrelation(item, symptomRegistry)}
+                  </Text>
+                  <Text style={styles.insightEvidence}>
+                    ρ = {item.estimate.toFixed(2)} over {item.n} days ·{' '}
+                    {CONFIDENCE_LABELS[item.confidence]}
+                  </Text>
+                </View>
+                <Icon name="chevron-right" size={20} color={colors.textLight} />
+              </TouchableOpacity>
+            ))}
+          </Surface>
+        )}
+
+        {/* Medication Adherence */}
+        {adherence.length > 0 && (
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Medication Adherence</Text>
+            <Text style={styles.cardSubtitle}>
+              Scheduled doses you logged. Days with nothing logged count as not logged, not missed.
+            </Text>
+            {adherence.map((med) => {
+              const unit = med.periodDays === 7 ? 'week' : 'day';
+              return (
+                <View key={med.id} style={styles.symptomRow}>
+                  <View style={styles.symptomInfo}>
+                    <Text style={styles.symptomName}>{med.name}</Text>
+                    <Text style={styles.symptomCount}>
+                      {med.taken} taken · {med.missed} missed · {med.unknown} not logged
+                    </Text>
+                    {med.currentStreak > 1 && (
+                      <View style={styles.streakRow}>
+                        <Icon name="fire" size={14} color={colors.warning} />
+                        <Text style={styles.symptomCount}>
+                          {med.currentStreak}-{unit} streak (best {med.longestStreak})
+                        </Text>
+                      </View>
+                    )}
+                  </View>
+                  <View style={styles.symptomSeverity}>
+                    <Text style={styles.severityText}>
+                      {med.adherence !== null ? `${med.adherence}%` : '-'}
+                    </Text>
+                    <View
+                      style={[
+                        styles.severityBar,
+                        {
+                          width: `${med.adherence ?? 0}%`,
+                          backgroundColor: getAdherenceColor(med.adherence),
+                        },
+                      ]}
+                    />
+                  </View>
+                </View>
+              );
+            })}
+          </Surface>
+        )}
+
+        {/* Medication Changes: before and after */}
+        {medicationChanges.length > 0 && (
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Before & After Medication Changes</Text>
+            <Text style={styles.cardSubtitle}>
+              The {COMPARISON_WINDOW_DAYS / 7} weeks before each change compared with the {COMPARISON_WINDOW_DAYS / 7} weeks after
+            </Text>
+            {medicationChanges.map((change) => {
+              const { before, after, confidence, symptomChanges } = change.comparison;
+              return (
+                <View key={change.id} style={styles.medicationChange}>
+                  <View style={styles.insightRow}>
+                    <Icon name="pill" size={20} color={colors.primary} />
+                    <View style={styles.stageInfo}>
+                      <Text style={styles.symptomName}>{change.description}</Text>
+                      <Text style={styles.symptomCount}>
+                        {new Date(change.date).toLocaleDateString('en-US', {
+                          month: 'short',
+                          day: 'numeric',
+                          year: 'numeric',
+                        })}
+                        {' · '}
+                        {before.days} days logged before, {after.days} after
+                      </Text>
+                    </View>
+                  </View>
+                  {confidence === 'insufficient' ? (
+                    <Text style={styles.insightText}>
+                      Not enough days logged around this change to compare yet.
+                    </Text>
+                  ) : (
+                    <>
+                      {COMPARISON_METRICS.map((metric) =>
+                        before[metric.key] !== null && after[metric.key] !== null ? (
+                          <View key={metric.key} style={styles.comparisonRow}>
+                            <Text style={styles.symptomCount}>{metric.label}</Text>
+                            <Text
+                              style={[
+                                styles.comparisonValue,
+                                { color: getComparisonColor(metric, before[metric.key], after[metric.key]) },
+                              ]}
+                            >
+                              {metric.format(before[metric.key])} → {metric.format(after[metric.key])}
+                            </Text>
+                          </View>
+                        ) : null
+                      )}
+                      {symptomChanges.slice(0, 3).map((symptom) => (
+                        <View key={symptom.symptomId} style={styles.insightRow}>
+                          <Icon
+                            name={symptom.frequencyChange < 0 ? 'trending-down' : 'trending-up'}
+                            size={16}
+                            color={symptom.frequencyChange < 0 ? colors.success : colors.error}
+                          />
+                          <Text style={styles.insightText}>
+                            {symptom.name}: {Math.round(symptom.before.frequency * 100)}% → {Math.round(symptom.after.frequency * 100)}% of days
+                          </Text>
+                        </View>
+                      ))}
+                      {confidence === 'low' && (
+                        <Text style={styles.symptomCount}>
+                          Few days were logged, so treat this as a first impression.
+                        </Text>
+                      )}
+                    </>
+                  )}
+                </View>
+              );
+            })}
+            <Text style={styles.stageDisclaimer}>
+              Symptoms change for many reasons, so a difference here doesn't mean the medication caused it. Bring it to your clinician rather than changing a dose on your own.
+            </Text>
+          </Surface>
+        )}
+
         {/* Pattern Insights */}
         {patterns && patterns.insights && patterns.insights.length > 0 && (
           <Surface style={styles.card} elevation={1}>
@@ -387,9 +1054,22 @@ export default function InsightsScreen() {
                   size={20}
                   color={colors.primary}
                 />
-                <Text style={styles.insightText}>{insight.text}</Text>
+                <View style={styles.stageInfo}>
+                  <Text style={styles.insightText}>{insight.text}</Text>
+                  {insight.evidence && (
+                    <Text style={styles.insightEvidence}>{insight.evidence}</Text>
+                  )}
+                  {insight.confidence && (
+                    <Text style={styles.insightConfidence}>
+                      {CONFIDENCE_LABELS[insight.confidence]}
+                    </Text>
+                  )}
+                </View>
               </View>
             ))}
+            <Text style={styles.stageDisclaimer}>
+              Patterns are only shown when the difference is larger than chance would explain. They show what tends to happen together, not what causes what.
+            </Text>
           </Surface>
         )}
 
@@ -648,13 +1328,16 @@ const createStyles = (colors, insets) => StyleSheet.create({
     height: 4,
     borderRadius: 2,
   },
+  correlationItem: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.surfaceVariant,
+  },
   correlationRow: {
     flexDirection: 'row',
     alignItems: 'center',
     gap: spacing.sm,
-    paddingVertical: spacing.sm,
-    borderBottomWidth: 1,
-    borderBottomColor: colors.surfaceVariant,
+    marginBottom: spacing.xs,
   },
   correlationChip: {
     backgroundColor: colors.surfaceVariant,
@@ -665,6 +1348,75 @@ const createStyles = (colors, insets) => StyleSheet.create({
     fontWeight: '600',
     color: colors.primary,
   },
+  heatmapRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  heatmapLabelCell: {
+    width: HEATMAP_LABEL_WIDTH,
+    paddingRight: spacing.xs,
+  },
+  heatmapLabel: {
+    fontSize: 12,
+    color: colors.text,
+  },
+  heatmapHeader: {
+    fontSize: 11,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: 2,
+  },
+  heatmapCell: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: colors.surface,
+    backgroundColor: colors.surfaceVariant,
+  },
+  heatmapValue: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  triggerChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  comparisonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  comparisonValue: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  bandLegend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  questionnaire: {
+    marginTop: spacing.sm,
+    paddingTop: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.surfaceVariant,
+  },
+  medicationChange: {
+    marginTop: spacing.sm,
+    paddingTop: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.surfaceVariant,
+  },
+  streakRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 2,
+  },
   insightRow: {
     flexDirection: 'row',
     alignItems: 'flex-start',
@@ -677,6 +1429,60 @@ const createStyles = (colors, insets) => StyleSheet.create({
     color: colors.textSecondary,
     lineHeight: 20,
   },
+  insightEvidence: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    lineHeight: 17,
+    marginTop: 2,
+  },
+  insightConfidence: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary,
+    marginTop: 2,
+  },
+  stageHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  stageInfo: {
+    flex: 1,
+  },
+  stageName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  stageHistory: {
+    marginTop: spacing.md,
+  },
+  stageHistoryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.surfaceVariant,
+  },
+  bleedingWarning: {
+    marginTop: spacing.md,
+    padding: spacing.sm,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  bleedingWarningTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  stageDisclaimer: {
+    fontSize: 11,
+    color: colors.textLight,
+    marginTop: spacing.md,
+  },
   trendGrid: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Text } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { useTheme } from '../context/ThemeContext';
+import { useAppLock, PIN_MAX_LENGTH } from '../context/AppLockContext';
+import { getColors, spacing, fonts } from '../theme';
+
+const KEYPAD_ROWS = [
+  ['1', '2', '3'],
+  ['4', '5', '6'],
+  ['7', '8', '9'],
+  [null, '0', 'backspace'],
+];
+
+// Time left before the next attempt, e.g. '0:30'
+const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export default function LockScreen() {
+  const { isDarkMode } = useTheme();
+  const { unlock, pinLength, retryAt } = useAppLock();
+  const insets = useSafeAreaInsets();
+  const colors = getColors(isDarkMode);
+
+  const [pin, setPin] = useState('');
+  const [message, setMessage] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const length = pinLength || PIN_MAX_LENGTH;
+  const isWaiting = !!retryAt && now < retryAt;
+
+  // Count down while the next attempt has to wait
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= retryAt) clearInterval(interval);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
+  const submitPin = async (value) => {
+    setIsChecking(true);
+    try {
+      const result = await unlock(value);
+      if (result.success) return;
+
+      setPin('');
+      if (result.wiped) {
+        Alert.alert(
+          'Data Erased',
+          'Too many incorrect PIN attempts. Your data has been erased and the app lock turned off.'
+        );
+      } else if (result.attemptsLeft != null) {
+        setMessage(
+          `Incorrect PIN. ${result.attemptsLeft} ${result.attemptsLeft === 1 ? 'attempt' : 'attempts'} left before your data is erased.`
+        );
+      } else {
+        setMessage('Incorrect PIN');
+      }
+    } catch (error) {
+      console.error('Error unlocking app:', error);
+      setPin('');
+      setMessage('Something went wrong. Please try again.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleKeyPress = (key) => {
+    if (isChecking || isWaiting) return;
+
+    if (key === 'backspace') {
+      setPin((current) => current.slice(0, -1));
+      return;
+    }
+
+    const next = pin + key;
+    setPin(next);
+    setMessage('');
+    if (next.length === length) {
+      submitPin(next);
+    }
+  };
+
+  const styles = createStyles(colors, insets);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Icon name="lock" size={48} color={colors.primary} />
+        <Text style={styles.title}>Enter PIN</Text>
+
+        <View style={styles.dots}>
+          {Array.from({ length }, (_, index) => (
+            <View
+              key={index}
+              style={[styles.dot, index < pin.length && styles.dotFilled]}
+            />
+          ))}
+        </View>
+
+        <Text style={styles.message}>
+          {isWaiting
+            ? `Too many incorrect attempts. Try again in ${formatWait(retryAt - now)}.`
+            : message}
+        </Text>
+      </View>
+
+      <View style={styles.keypad}>
+        {KEYPAD_ROWS.map((row, rowIndex) => (
+          <View key={rowIndex} style={styles.keypadRow}>
+            {row.map((key, keyIndex) => {
+              if (key === null) {
+                return <View key={keyIndex} style={styles.key} />;
+              }
+              return (
+                <TouchableOpacity
+                  key={keyIndex}
+                  style={[styles.key, key !== 'backspace' && styles.digitKey]}
+                  onPress={() => handleKeyPress(key)}
+                  activeOpacity={0.6}
+                  accessibilityLabel={key === 'backspace' ? 'Delete' : key}
+                >
+                  {key === 'backspace' ? (
+                    <Icon name="backspace-outline" size={28} color={colors.text} />
+                  ) : (
+                    <Text style={styles.keyText}>{key}</Text>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const createStyles = (colors, insets) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    justifyContent: 'space-evenly',
+    alignItems: 'center',
+    paddingTop: insets?.top || 0,
+    paddingBottom: insets?.bottom || 0,
+  },
+  header: {
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+  },
+  title: {
+    fontFamily: fonts.title,
+    fontSize: 24,
+    color: colors.text,
+    marginTop: spacing.md,
+  },
+  dots: {
+    flexDirection: 'row',
+    marginTop: spacing.lg,
+    gap: spacing.md,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
+  dotFilled: {
+    backgroundColor: colors.primary,
+  },
+  message: {
+    minHeight: 40,
+    marginTop: spacing.md,
+    fontSize: 14,
+    color: colors.error,
+    textAlign: 'center',
+  },
+  keypad: {
+    gap: spacing.md,
+  },
+  keypadRow: {
+    flexDirection: 'row',
+    gap: spacing.lg,
+  },
+  key: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  digitKey: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  keyText: {
+    fontSize: 28,
+    color: colors.text,
+  },
+});
@@ -20,6 +20,11 @@ import { PERIOD_FLOW_OPTIONS, EXERCISE_OPTIONS, FOOD_QUALITY_OPTIONS } from '../
 import SymptomPicker from '../components/SymptomPicker';
 import MoodSlider, { SleepQualitySlider, SleepHoursSlider } from '../components/MoodSlider';
 import MedicationList from '../components/MedicationList';
+import HotFlashLog from '../components/HotFlashLog';
+import TriggerPicker from '../components/TriggerPicker';
+import { rescheduleReminders } from '../utils/reminders';
+import { buildSymptomRegistry } from '../utils/symptoms';
+import { getHotFlashSeverity } from '../utils/hotFlashes';
 import {
   getDailyLog,
   saveDailyLog,
@@ -27,10 +32,21 @@ import {
   getMedications,
   addMedication,
   updateMedication,
-  deleteMedication,
+  archiveMedication,
+  getMedicationDoses,
+  addMedicationDose,
+  deleteMedicationDose,
+  getHotFlashEpisodes,
+  addHotFlashEpisode,
+  deleteHotFlashEpisode,
+  getCustomTriggers,
+  addCustomTrigger,
+  removeCustomTrigger,
+  getSymptomRegistry,
   startPeriod,
   endPeriod,
   getCurrentPeriod,
+  getMenopauseStatus,
 } from '../database/database';
 
 export default function LogScreen({ route }) {
@@ -62,24 +78,39 @@ export default function LogScreen({ route }) {
   const [sleepQuality, setSleepQuality] = useState(3);
   const [exerciseLevel, setExerciseLevel] = useState('none');
   const [foodQuality, setFoodQuality] = useState('fair');
+  const [triggers, setTriggers] = useState([]);
   const [notes, setNotes] = useState('');
   const [medications, setMedications] = useState([]);
-  const [medicationLogs, setMedicationLogs] = useState([]);
+  const [medicationDoses, setMedicationDoses] = useState([]);
+  const [hotFlashEpisodes, setHotFlashEpisodes] = useState([]);
+  const [customTriggers, setCustomTriggers] = useState([]);
+  const [symptomRegistry, setSymptomRegistry] = useState(() => buildSymptomRegistry());
   const [currentPeriod, setCurrentPeriod] = useState(null);
+  const [menopauseStatus, setMenopauseStatus] = useState(null);
 
   const [activeSection, setActiveSection] = useState('symptoms');
 
   const loadData = async () => {
     setLoading(true);
     try {
-      const [log, meds, period] = await Promise.all([
+      const [log, meds, doses, episodes, customTriggerRows, registry, period, status] = await Promise.all([
         getDailyLog(selectedDate),
         getMedications(true),
+        getMedicationDoses(selectedDate),
+        getHotFlashEpisodes(selectedDate),
+        getCustomTriggers(false),
+        getSymptomRegistry(),
         getCurrentPeriod(),
+        getMenopauseStatus(),
       ]);
 
       setMedications(meds);
+      setMedicationDoses(doses);
+      setHotFlashEpisodes(episodes);
+      setCustomTriggers(customTriggerRows);
+      setSymptomRegistry(registry);
       setCurrentPeriod(period);
+      setMenopauseStatus(status);
 
       if (log) {
         setHasExistingEntry(true);
@@ -97,19 +128,14 @@ export default function LogScreen({ route }) {
         setSleepQuality(log.sleep_quality || 3);
         setExerciseLevel(log.exercise_level || 'none');
         setFoodQuality(log.food_quality || 'fair');
+        setTriggers(log.triggers);
         setNotes(log.notes || '');
-        setMedicationLogs(
-          log.medicationLogs.map((ml) => ({
-            medicationId: ml.medication_id,
-            taken: !!ml.taken,
-            notes: ml.notes,
-          }))
-        );
       } else {
         setHasExistingEntry(false);
-        // Reset to defaults for new day
+        // Reset to defaults for new day, keeping any hot flashes already logged
+        const hotFlashSeverity = getHotFlashSeverity(episodes.length);
         setPeriodFlow('none');
-        setSymptoms([]);
+        setSymptoms(hotFlashSeverity ? [{ symptomId: 'hot_flashes', severity: hotFlashSeverity }] : []);
         setMoodOverall(5);
         setMoodAnxiety(5);
         setMoodEnergy(5);
@@ -117,9 +143,8 @@ export default function LogScreen({ route }) {
         setSleepQuality(3);
         setExerciseLevel('none');
         setFoodQuality('fair');
+        setTriggers([]);
         setNotes('');
-        // Initialize medication logs with all medications
-        setMedicationLogs(meds.map((m) => ({ medicationId: m.id, taken: false, notes: null })));
       }
     } catch (error) {
       console.error('Error loading log data:', error);
@@ -154,7 +179,6 @@ export default function LogScreen({ route }) {
 
       await saveDailyLog({
         date: selectedDate,
-        cycleDay: null, // Could calculate this based on period data
         periodFlow,
         moodOverall,
         moodAnxiety,
@@ -165,9 +189,12 @@ export default function LogScreen({ route }) {
         foodQuality,
         notes,
         symptoms,
-        medicationLogs,
+        triggers,
       });
 
+      // Today's reminder isn't needed once today is logged
+      if (isToday) rescheduleReminders();
+
       navigation.navigate('Main', { screen: 'Journal' });
     } catch (error) {
       console.error('Error saving log:', error);
@@ -176,12 +203,12 @@ export default function LogScreen({ route }) {
     setSaving(false);
   };
 
-  const handleAddMedication = async (name, dose, frequency) => {
+  const handleAddMedication = async (name, dose, frequency, reminder) => {
     try {
-      const id = await addMedication(name, dose, frequency);
+      await addMedication(name, dose, frequency, reminder, selectedDate);
+      rescheduleReminders();
       const meds = await getMedications(true);
       setMedications(meds);
-      setMedicationLogs([...medicationLogs, { medicationId: id, taken: false, notes: null }]);
       showSnackbar('Medication added');
     } catch (error) {
       console.error('Error adding medication:', error);
@@ -189,9 +216,10 @@ export default function LogScreen({ route }) {
     }
   };
 
-  const handleEditMedication = async (id, name, dose, frequency, active) => {
+  const handleEditMedication = async (id, name, dose, frequency, active, reminder) => {
     try {
-      await updateMedication(id, name, dose, frequency, active);
+      await updateMedication(id, name, dose, frequency, active, reminder, selectedDate);
+      rescheduleReminders();
       const meds = await getMedications(true);
       setMedications(meds);
       showSnackbar('Medication updated');
@@ -201,25 +229,154 @@ export default function LogScreen({ route }) {
     }
   };
 
-  const handleDeleteMedication = (id) => {
+  const handleArchiveMedication = (id) => {
     Alert.alert(
-      'Delete Medication',
-      'Are you sure you want to delete this medication?',
+      'Stop Medication',
+      `Stop taking this medication from ${formatDate(selectedDate)}? It will be removed from your list, but its doses and history are kept for your reports. Add it again to restart it.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
+          text: 'Stop',
           style: 'destructive',
           onPress: async () => {
             try {
-              await deleteMedication(id);
+              await archiveMedication(id, selectedDate);
+              rescheduleReminders();
               const meds = await getMedications(true);
               setMedications(meds);
-              setMedicationLogs(medicationLogs.filter((ml) => ml.medicationId !== id));
-              showSnackbar('Medication deleted');
+              showSnackbar('Medication stopped');
+            } catch (error) {
+              console.error('Error stopping medication:', error);
+              showSnackbar('Error stopping medication');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Custom triggers are added to the catalog straight away and selected for this day
+  const handleAddTrigger = async (name) => {
+    try {
+      const triggerId = await addCustomTrigger(name);
+      setCustomTriggers(await getCustomTriggers(false));
+      setTriggers([...triggers, triggerId]);
+    } catch (error) {
+      console.error('Error adding trigger:', error);
+      showSnackbar('Error adding trigger');
+    }
+  };
+
+  const handleRemoveTrigger = (trigger) => {
+    Alert.alert(
+      'Remove Trigger',
+      `Remove "${trigger.label}" from your triggers? Days it was logged on keep it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeCustomTrigger(trigger.id);
+              setCustomTriggers(await getCustomTriggers(false));
+            } catch (error) {
+              console.error('Error removing trigger:', error);
+              showSnackbar('Error removing trigger');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Doses are saved straight away, separately from the rest of the entry
+  const handleLogDose = async (medicationId, { time, amount, reason }) => {
+    try {
+      await addMedicationDose(medicationId, {
+        date: selectedDate,
+        takenAt: new Date(`${selectedDate}T${time}:00`).toISOString(),
+        amount,
+        reason,
+      });
+      setMedicationDoses(await getMedicationDoses(selectedDate));
+      showSnackbar('Dose logged');
+    } catch (error) {
+      console.error('Error logging dose:', error);
+      showSnackbar('Error logging dose');
+    }
+  };
+
+  const handleDeleteDose = (id) => {
+    Alert.alert(
+      'Remove Dose',
+      'Are you sure you want to remove this dose?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteMedicationDose(id);
+              setMedicationDoses(medicationDoses.filter((dose) => dose.id !== id));
             } catch (error) {
-              console.error('Error deleting medication:', error);
-              showSnackbar('Error deleting medication');
+              console.error('Error removing dose:', error);
+              showSnackbar('Error removing dose');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Logging or removing a hot flash sets the day's hot_flashes symptom from the
+  // episode count, so it's set here too and saving the entry keeps it
+  const syncHotFlashSeverity = (episodeCount) => {
+    const severity = getHotFlashSeverity(episodeCount);
+    setSymptoms((current) => [
+      ...current.filter((s) => s.symptomId !== 'hot_flashes'),
+      ...(severity ? [{ symptomId: 'hot_flashes', severity }] : []),
+    ]);
+  };
+
+  const handleLogHotFlash = async ({ time, intensity, durationMinutes, triggers }) => {
+    try {
+      await addHotFlashEpisode({
+        date: selectedDate,
+        startedAt: new Date(`${selectedDate}T${time}:00`).toISOString(),
+        durationMinutes,
+        intensity,
+        triggers,
+      });
+      const episodes = await getHotFlashEpisodes(selectedDate);
+      setHotFlashEpisodes(episodes);
+      syncHotFlashSeverity(episodes.length);
+      showSnackbar('Hot flash logged');
+    } catch (error) {
+      console.error('Error logging hot flash:', error);
+      showSnackbar('Error logging hot flash');
+    }
+  };
+
+  const handleDeleteHotFlash = (id) => {
+    Alert.alert(
+      'Remove Hot Flash',
+      'Are you sure you want to remove this hot flash?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteHotFlashEpisode(id);
+              const episodes = hotFlashEpisodes.filter((episode) => episode.id !== id);
+              setHotFlashEpisodes(episodes);
+              syncHotFlashSeverity(episodes.length);
+            } catch (error) {
+              console.error('Error removing hot flash:', error);
+              showSnackbar('Error removing hot flash');
             }
           },
         },
@@ -239,6 +396,7 @@ export default function LogScreen({ route }) {
           onPress: async () => {
             try {
               await deleteDailyLog(selectedDate);
+              if (isToday) rescheduleReminders();
               showSnackbar('Entry deleted');
               navigation.goBack();
             } catch (error) {
@@ -258,6 +416,9 @@ export default function LogScreen({ route }) {
   };
 
   const isToday = selectedDate === new Date().toISOString().split('T')[0];
+  // Any bleeding after the final menstrual period needs a clinician's attention
+  const isAfterMenopause =
+    !!menopauseStatus?.isPostmenopausal && selectedDate > menopauseStatus.finalPeriodDate;
 
   const sectionButtons = [
     { value: 'symptoms', label: 'Symptoms' },
@@ -298,7 +459,7 @@ export default function LogScreen({ route }) {
         {/* Period Flow */}
         <Surface style={styles.section} elevation={1}>
           <View style={styles.flowHeader}>
-            <Text style={styles.sectionTitle}>Period Flow</Text>
+            <Text style={styles.sectionTitle}>{isAfterMenopause ? 'Bleeding' : 'Period Flow'}</Text>
             <View
               style={[
                 styles.flowValueContainer,
@@ -341,6 +502,14 @@ export default function LogScreen({ route }) {
               </Text>
             ))}
           </View>
+          {isAfterMenopause && periodFlow !== 'none' && (
+            <View style={styles.bleedingNotice}>
+              <Icon name="alert-circle" size={20} color={colors.error} />
+              <Text style={styles.bleedingNoticeText}>
+                Bleeding after menopause should always be checked. Please discuss it with a clinician.
+              </Text>
+            </View>
+          )}
         </Surface>
 
         {/* Section Tabs */}
@@ -353,13 +522,35 @@ export default function LogScreen({ route }) {
 
         {/* Symptoms Section */}
         {activeSection === 'symptoms' && (
-          <Surface style={styles.section} elevation={1}>
-            <Text style={styles.sectionTitle}>Symptoms</Text>
-            <SymptomPicker
-              selectedSymptoms={symptoms}
-              onSymptomsChange={setSymptoms}
-            />
-          </Surface>
+          <>
+            <Surface style={styles.section} elevation={1}>
+              <Text style={styles.sectionTitle}>Hot Flashes</Text>
+              <HotFlashLog
+                episodes={hotFlashEpisodes}
+                customTriggers={customTriggers}
+                onLogEpisode={handleLogHotFlash}
+                onDeleteEpisode={handleDeleteHotFlash}
+              />
+            </Surface>
+            <Surface style={styles.section} elevation={1}>
+              <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>Symptoms</Text>
+                <Button
+                  mode="text"
+                  compact
+                  icon="pencil-outline"
+                  onPress={() => navigation.navigate('Symptoms')}
+                >
+                  Edit List
+                </Button>
+              </View>
+              <SymptomPicker
+                selectedSymptoms={symptoms}
+                onSymptomsChange={setSymptoms}
+                symptomRegistry={symptomRegistry}
+              />
+            </Surface>
+          </>
         )}
 
         {/* Mood Section */}
@@ -448,6 +639,16 @@ export default function LogScreen({ route }) {
                 <Text style={styles.flowLabel}>V. Healthy</Text>
               </View>
             </Surface>
+            <Surface style={styles.section} elevation={1}>
+              <Text style={styles.sectionTitle}>Triggers</Text>
+              <TriggerPicker
+                selectedTriggers={triggers}
+                customTriggers={customTriggers}
+                onTriggersChange={setTriggers}
+                onAddTrigger={handleAddTrigger}
+                onRemoveTrigger={handleRemoveTrigger}
+              />
+            </Surface>
           </View>
         )}
 
@@ -457,11 +658,13 @@ export default function LogScreen({ route }) {
             <Text style={styles.sectionTitle}>Medications</Text>
             <MedicationList
               medications={medications}
-              medicationLogs={medicationLogs}
-              onMedicationLogChange={setMedicationLogs}
+              date={selectedDate}
+              medicationDoses={medicationDoses}
+              onLogDose={handleLogDose}
+              onDeleteDose={handleDeleteDose}
               onAddMedication={handleAddMedication}
               onEditMedication={handleEditMedication}
-              onDeleteMedication={handleDeleteMedication}
+              onArchiveMedication={handleArchiveMedication}
             />
           </Surface>
         )}
@@ -585,6 +788,11 @@ const createStyles = (colors, insets) => StyleSheet.create({
     color: colors.text,
     marginBottom: spacing.md,
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   flowHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -620,6 +828,21 @@ const createStyles = (colors, insets) => StyleSheet.create({
     color: colors.primary,
     fontWeight: 'bold',
   },
+  bleedingNotice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+    padding: spacing.sm,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  bleedingNoticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.text,
+  },
   sectionTabs: {
     marginBottom: spacing.md,
   },
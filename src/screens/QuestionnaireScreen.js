@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { Text, Surface, Button, Chip, Divider } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { useTheme } from '../context/ThemeContext';
+import { getColors, spacing, borderRadius, fonts } from '../theme';
+import { QUESTIONNAIRES, scoreQuestionnaire, isSafetyConcern } from '../utils/questionnaires';
+import { saveQuestionnaireResponse } from '../database/database';
+
+export default function QuestionnaireScreen({ route }) {
+  const navigation = useNavigation();
+  const insets = useSafeAreaInsets();
+  const { isDarkMode } = useTheme();
+  const colors = getColors(isDarkMode);
+  const styles = createStyles(colors, insets);
+
+  const questionnaire = QUESTIONNAIRES[route?.params?.questionnaireId] || QUESTIONNAIRES.mrs;
+
+  const [answers, setAnswers] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const answeredCount = Object.keys(answers).length;
+  const complete = answeredCount === questionnaire.items.length;
+
+  // Crisis resources come up as soon as the safety item is answered, not after saving
+  const handleAnswer = (item, value) => {
+    const wasConcern = isSafetyConcern(questionnaire.id, item, answers[item]);
+    setAnswers((prev) => ({ ...prev, [item]: value }));
+    if (isSafetyConcern(questionnaire.id, item, value) && !wasConcern) {
+      navigation.navigate('CrisisResources');
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      await saveQuestionnaireResponse(questionnaire.id, today, answers);
+      setResult(scoreQuestionnaire(questionnaire.id, answers));
+    } catch (error) {
+      console.error('Error saving questionnaire:', error);
+      Alert.alert('Error', 'Failed to save your answers. Please try again.');
+    }
+    setSaving(false);
+  };
+
+  const renderResult = () => (
+    <Surface style={styles.section} elevation={1}>
+      <Text style={styles.sectionTitle}>Your Scores</Text>
+      <View style={styles.totalRow}>
+        <Text style={styles.totalValue}>{result.total}</Text>
+        <Text style={styles.totalMax}>/ {result.maxTotal}</Text>
+        {result.band && (
+          <View style={[styles.bandBadge, { backgroundColor: result.band.color }]}>
+            <Text style={styles.bandText}>{result.band.label}</Text>
+          </View>
+        )}
+      </View>
+      {result.subscales.map((subscale) => (
+        <View key={subscale.id} style={styles.subscaleRow}>
+          <View style={styles.subscaleInfo}>
+            <Text style={styles.itemText}>{subscale.name}</Text>
+            {subscale.band && <Text style={styles.subscaleBand}>{subscale.band.label}</Text>}
+          </View>
+          <Text style={styles.subscaleScore}>
+            {subscale.score} / {subscale.max}
+          </Text>
+        </View>
+      ))}
+      {result.safetyFlag && (
+        <TouchableOpacity
+          style={styles.supportRow}
+          onPress={() => navigation.navigate('CrisisResources')}
+          activeOpacity={0.7}
+        >
+          <Icon name="hand-heart" size={20} color={colors.error} />
+          <Text style={styles.supportText}>
+            You mentioned thoughts of hurting yourself. Tap here for people you can talk to now.
+          </Text>
+        </TouchableOpacity>
+      )}
+      <Text style={styles.sectionDescription}>
+        Higher scores mean more troublesome symptoms. Your scores over time are on the
+        Insights tab and in the report for your clinician.
+      </Text>
+      <Button mode="contained" onPress={() => navigation.goBack()} style={styles.saveButton}>
+        Done
+      </Button>
+    </Surface>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Title row */}
+      <View style={styles.titleRow}>
+        <Text style={styles.title}>{questionnaire.shortName}</Text>
+        <TouchableOpacity
+          style={styles.closeButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.7}
+        >
+          <Icon name="close" size={24} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <Surface style={styles.section} elevation={1}>
+          <Text style={styles.sectionTitle}>{questionnaire.name}</Text>
+          <Text style={styles.sectionDescription}>
+            {questionnaire.items.length} questions · about {questionnaire.minutes} minutes
+          </Text>
+          <Text style={styles.itemText}>{questionnaire.instructions}</Text>
+        </Surface>
+
+        {result ? renderResult() : (
+          <>
+            <Surface style={styles.section} elevation={1}>
+              {questionnaire.items.map((text, index) => {
+                const item = index + 1;
+                return (
+                  <View key={item}>
+                    {index > 0 && <Divider style={styles.divider} />}
+                    <View style={styles.itemRow}>
+                      <Text style={styles.itemText}>
+                        <Text style={styles.itemNumber}>{item}. </Text>
+                        {text}
+                      </Text>
+                      <View style={styles.options}>
+                        {questionnaire.options.map((option) => {
+                          const selected = answers[item] === option.value;
+                          return (
+                            <Chip
+                              key={option.value}
+                              compact
+                              mode={selected ? 'flat' : 'outlined'}
+                              selected={selected}
+                              onPress={() => handleAnswer(item, option.value)}
+                              style={selected && { backgroundColor: colors.primaryLight }}
+                            >
+                              {option.label}
+                            </Chip>
+                          );
+                        })}
+                      </View>
+                    </View>
+                  </View>
+                );
+              })}
+            </Surface>
+
+            <Button
+              mode="contained"
+              onPress={handleSave}
+              loading={saving}
+              disabled={!complete || saving}
+              style={styles.saveButton}
+              contentStyle={styles.saveButtonContent}
+            >
+              {complete
+                ? 'Save Answers'
+                : `${answeredCount} of ${questionnaire.items.length} answered`}
+            </Button>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const createStyles = (colors, insets) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    paddingTop: insets?.top || 0,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+    marginBottom: spacing.md,
+    marginLeft: spacing.lg,
+    marginRight: spacing.lg,
+  },
+  title: {
+    fontFamily: fonts.title,
+    fontSize: 32,
+    color: colors.text,
+    letterSpacing: -0.5,
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: 120,
+  },
+  section: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  sectionDescription: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  divider: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  itemRow: {
+    paddingVertical: spacing.sm,
+  },
+  itemNumber: {
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  itemText: {
+    fontSize: 15,
+    color: colors.text,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    gap: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+  totalValue: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  totalMax: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  bandBadge: {
+    marginLeft: spacing.sm,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: borderRadius.sm,
+  },
+  bandText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#2D2D2D',
+  },
+  subscaleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.surfaceVariant,
+  },
+  subscaleInfo: {
+    flex: 1,
+  },
+  subscaleBand: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  subscaleScore: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  supportRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginVertical: spacing.sm,
+    padding: spacing.sm,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  supportText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text,
+  },
+  saveButton: {
+    marginTop: spacing.md,
+    marginBottom: spacing.xl,
+  },
+  saveButtonContent: {
+    paddingVertical: spacing.sm,
+  },
+});
@@ -13,6 +13,7 @@ import {
 import { Calendar } from 'react-native-calendars';
 import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
+import { File, Paths } from 'expo-file-system';
 import { useNavigation } from '@react-navigation/native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 
@@ -22,13 +23,22 @@ import {
   getSymptomStats,
   getMoodStats,
   getCycleStats,
-  getMedicationCompliance,
+  getMedicationAdherence,
+  getMedicationEvents,
+  getCustomTriggers,
+  getSymptomRegistry,
+  getAllCyclePeriods,
+  getMenopauseStatus,
+  getQuestionnaireResponses,
 } from '../database/database';
-import { generateReportHTML } from '../utils/reportGenerator';
+import { getStageSummary } from '../utils/menopauseStage';
+import { compareMedicationChanges, getComparisonRange } from '../utils/medicationHistory';
+import { generateReportHTML, generateReportCSV } from '../utils/reportGenerator';
 
 export default function ReportsScreen() {
   const navigation = useNavigation();
   const [dateRange, setDateRange] = useState('30');
+  const [outputFormat, setOutputFormat] = useState('pdf');
   const [customStartDate, setCustomStartDate] = useState(null);
   const [customEndDate, setCustomEndDate] = useState(null);
   const [showStartPicker, setShowStartPicker] = useState(false);
@@ -76,21 +86,100 @@ export default function ReportsScreen() {
     setSnackbarVisible(true);
   };
 
+  const generateCSV = async () => {
+    setGenerating(true);
+    let file = null;
+
+    try {
+      const { start, end } = getDateRange();
+      const [logs, menopauseStatus, customTriggers, symptomRegistry] = await Promise.all([
+        getLogsInRange(start, end),
+        getMenopauseStatus(),
+        getCustomTriggers(false),
+        getSymptomRegistry(),
+      ]);
+
+      if (logs.length === 0) {
+        Alert.alert(
+          'No Data',
+          'There are no log entries in the selected date range. Please select a different range or add some entries first.'
+        );
+        setGenerating(false);
+        return;
+      }
+
+      file = new File(Paths.cache, `peri-tracker-logs-${start}-to-${end}.csv`);
+      file.create({ overwrite: true });
+      file.write(
+        generateReportCSV(logs, {
+          finalPeriodDate: menopauseStatus.finalPeriodDate,
+          customTriggers,
+          symptomRegistry,
+        })
+      );
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(file.uri, {
+          mimeType: 'text/csv',
+          dialogTitle: 'Share Daily Logs',
+          UTI: 'public.comma-separated-values-text',
+        });
+        showSnackbar('CSV exported successfully');
+      } else {
+        Alert.alert(
+          'Sharing Not Available',
+          'Sharing is not available on this device, so the CSV could not be saved.'
+        );
+      }
+    } catch (error) {
+      console.error('Error generating CSV:', error);
+      Alert.alert('Error', 'Failed to export CSV. Please try again.');
+    } finally {
+      // The export isn't encrypted, so no copy is left behind once it's shared
+      if (file?.exists) file.delete();
+    }
+
+    setGenerating(false);
+  };
+
   const generateReport = async () => {
+    if (outputFormat === 'csv') {
+      await generateCSV();
+      return;
+    }
+
     setGenerating(true);
 
     try {
       const { start, end } = getDateRange();
 
       // Fetch all data for the report
-      const [logs, symptomStats, moodStats, cycleStats, medicationCompliance] =
-        await Promise.all([
-          getLogsInRange(start, end),
-          getSymptomStats(start, end),
-          getMoodStats(start, end),
-          getCycleStats(),
-          getMedicationCompliance(start, end),
-        ]);
+      const comparisonRange = getComparisonRange(start, end);
+      const [
+        logs,
+        symptomStats,
+        moodStats,
+        cycleStats,
+        medicationAdherence,
+        medicationEvents,
+        comparisonLogs,
+        allPeriods,
+        menopauseStatus,
+        symptomRegistry,
+        questionnaireResponses,
+      ] = await Promise.all([
+        getLogsInRange(start, end),
+        getSymptomStats(start, end),
+        getMoodStats(start, end),
+        getCycleStats(),
+        getMedicationAdherence(start, end),
+        getMedicationEvents(),
+        getLogsInRange(comparisonRange.start, comparisonRange.end),
+        getAllCyclePeriods(),
+        getMenopauseStatus(),
+        getSymptomRegistry(),
+        getQuestionnaireResponses(start, end),
+      ]);
 
       if (logs.length === 0) {
         Alert.alert(
@@ -109,7 +198,17 @@ export default function ReportsScreen() {
         symptomStats,
         moodStats,
         cycleStats,
-        medicationCompliance,
+        medicationAdherence,
+        medicationEvents,
+        medicationComparisons: compareMedicationChanges(
+          comparisonLogs,
+          medicationEvents.filter((e) => e.date >= start && e.date <= end),
+          { symptomRegistry }
+        ),
+        stageEstimate: getStageSummary(allPeriods, { finalPeriodDate: menopauseStatus.finalPeriodDate }),
+        menopauseStatus,
+        symptomRegistry,
+        questionnaireResponses,
       });
 
       // Generate PDF
@@ -146,14 +245,32 @@ export default function ReportsScreen() {
     try {
       const { start, end } = getDateRange();
 
-      const [logs, symptomStats, moodStats, cycleStats, medicationCompliance] =
-        await Promise.all([
-          getLogsInRange(start, end),
-          getSymptomStats(start, end),
-          getMoodStats(start, end),
-          getCycleStats(),
-          getMedicationCompliance(start, end),
-        ]);
+      const comparisonRange = getComparisonRange(start, end);
+      const [
+        logs,
+        symptomStats,
+        moodStats,
+        cycleStats,
+        medicationAdherence,
+        medicationEvents,
+        comparisonLogs,
+        allPeriods,
+        menopauseStatus,
+        symptomRegistry,
+        questionnaireResponses,
+      ] = await Promise.all([
+        getLogsInRange(start, end),
+        getSymptomStats(start, end),
+        getMoodStats(start, end),
+        getCycleStats(),
+        getMedicationAdherence(start, end),
+        getMedicationEvents(),
+        getLogsInRange(comparisonRange.start, comparisonRange.end),
+        getAllCyclePeriods(),
+        getMenopauseStatus(),
+        getSymptomRegistry(),
+        getQuestionnaireResponses(start, end),
+      ]);
 
       if (logs.length === 0) {
         Alert.alert(
@@ -171,7 +288,17 @@ export default function ReportsScreen() {
         symptomStats,
         moodStats,
         cycleStats,
-        medicationCompliance,
+        medicationAdherence,
+        medicationEvents,
+        medicationComparisons: compareMedicationChanges(
+          comparisonLogs,
+          medicationEvents.filter((e) => e.date >= start && e.date <= end),
+          { symptomRegistry }
+        ),
+        stageEstimate: getStageSummary(allPeriods, { finalPeriodDate: menopauseStatus.finalPeriodDate }),
+        menopauseStatus,
+        symptomRegistry,
+        questionnaireResponses,
       });
 
       await Print.printAsync({ html });
@@ -205,7 +332,8 @@ export default function ReportsScreen() {
             <Text style={styles.infoTitle}>Health Summary Report</Text>
             <Text style={styles.infoText}>
               Generate a PDF report summarizing your symptoms, mood, sleep, and
-              cycle data. Perfect for sharing with healthcare providers.
+              cycle data, or export your daily logs as a CSV spreadsheet.
+              Perfect for sharing with healthcare providers.
             </Text>
           </View>
         </Surface>
@@ -288,32 +416,69 @@ export default function ReportsScreen() {
           )}
         </Surface>
 
-        {/* Report Preview */}
+        {/* Output Format */}
         <Surface style={styles.section} elevation={1}>
-          <Text style={styles.sectionTitle}>Report Will Include</Text>
+          <Text style={styles.sectionTitle}>Format</Text>
 
-          <View style={styles.includesList}>
-            <View style={styles.includeItem}>
-              <Icon name="check-circle" size={20} color={colors.success} />
-              <Text style={styles.includeText}>Symptom summary and frequency</Text>
-            </View>
-            <View style={styles.includeItem}>
-              <Icon name="check-circle" size={20} color={colors.success} />
-              <Text style={styles.includeText}>Mood and energy trends</Text>
+          <RadioButton.Group onValueChange={setOutputFormat} value={outputFormat}>
+            <View style={styles.radioOption}>
+              <RadioButton value="pdf" />
+              <Text style={styles.radioLabel}>PDF summary report</Text>
             </View>
-            <View style={styles.includeItem}>
-              <Icon name="check-circle" size={20} color={colors.success} />
-              <Text style={styles.includeText}>Sleep patterns</Text>
+            <View style={styles.radioOption}>
+              <RadioButton value="csv" />
+              <Text style={styles.radioLabel}>CSV spreadsheet (one row per day)</Text>
             </View>
-            <View style={styles.includeItem}>
-              <Icon name="check-circle" size={20} color={colors.success} />
-              <Text style={styles.includeText}>Cycle statistics</Text>
+          </RadioButton.Group>
+        </Surface>
+
+        {/* Report Preview */}
+        <Surface style={styles.section} elevation={1}>
+          <Text style={styles.sectionTitle}>Report Will Include</Text>
+
+          {outputFormat === 'pdf' ? (
+            <View style={styles.includesList}>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>Symptom summary and frequency</Text>
+              </View>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>Mood and energy trends</Text>
+              </View>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>Sleep patterns</Text>
+              </View>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>Cycle statistics</Text>
+              </View>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>Medication adherence, history and before/after comparisons</Text>
+              </View>
             </View>
-            <View style={styles.includeItem}>
-              <Icon name="check-circle" size={20} color={colors.success} />
-              <Text style={styles.includeText}>Medication compliance</Text>
+          ) : (
+            <View style={styles.includesList}>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>Mood, sleep, flow, exercise and food</Text>
+              </View>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>A severity column for each symptom</Text>
+              </View>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>A dose count for each medication</Text>
+              </View>
+              <View style={styles.includeItem}>
+                <Icon name="check-circle" size={20} color={colors.success} />
+                <Text style={styles.includeText}>Daily notes</Text>
+              </View>
             </View>
-          </View>
+          )}
 
           <Divider style={styles.divider} />
 
@@ -330,7 +495,7 @@ export default function ReportsScreen() {
           <Button
             mode="outlined"
             onPress={previewReport}
-            disabled={generating}
+            disabled={generating || outputFormat !== 'pdf'}
             style={styles.previewButton}
             icon="eye"
           >
@@ -341,7 +506,7 @@ export default function ReportsScreen() {
             onPress={generateReport}
             disabled={generating}
             style={styles.generateButton}
-            icon="file-pdf-box"
+            icon={outputFormat === 'csv' ? 'file-delimited' : 'file-pdf-box'}
           >
             {generating ? 'Generating...' : 'Generate & Share'}
           </Button>
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { View, StyleSheet, ScrollView, Modal, TouchableOpacity } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Modal, TouchableOpacity, Alert, Platform } from 'react-native';
 import {
   Text,
   Surface,
@@ -8,18 +8,64 @@ import {
   TextInput,
   Portal,
   Divider,
+  RadioButton,
 } from 'react-native-paper';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import * as DocumentPicker from 'expo-document-picker';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
 
 import { useNavigation } from '@react-navigation/native';
 import { useTheme } from '../context/ThemeContext';
+import {
+  useAppLock,
+  isValidPin,
+  AUTO_LOCK_OPTIONS,
+  MAX_FAILED_ATTEMPTS,
+  PIN_MIN_LENGTH,
+  PIN_MAX_LENGTH,
+} from '../context/AppLockContext';
 import { getColors, spacing, borderRadius, fonts } from '../theme';
-import { clearAllData } from '../database/database';
+import {
+  clearAllData,
+  getAllData,
+  importAllData,
+  enablePasscodeEncryption,
+  disablePasscodeEncryption,
+} from '../database/database';
+import {
+  getKeySource,
+  isEncryptionSupported,
+  KEY_SOURCES,
+  MIN_PASSCODE_LENGTH,
+} from '../database/encryption';
+import {
+  createBackup,
+  parseBackup,
+  getBackupSummary,
+  getExportedPreferences,
+  restorePreferences,
+} from '../utils/backup';
+import {
+  loadReminderSettings,
+  saveReminderSettings,
+  requestReminderPermission,
+  rescheduleReminders,
+} from '../utils/reminders';
+import { DEFAULT_REMINDER_SETTINGS, WEEKDAYS, formatReminderTime } from '../utils/reminderSchedule';
+import {
+  QUESTIONNAIRES,
+  loadQuestionnaireSettings,
+  saveQuestionnaireSettings,
+  normalizeQuestionnaireSettings,
+} from '../utils/questionnaires';
+import TimePickerDialog from '../components/TimePickerDialog';
 
 export default function SettingsScreen() {
   const navigation = useNavigation();
-  const { isDarkMode, toggleTheme } = useTheme();
+  const { isDarkMode, toggleTheme, reloadTheme } = useTheme();
+  const appLock = useAppLock();
   const insets = useSafeAreaInsets();
   const colors = getColors(isDarkMode);
 
@@ -28,6 +74,313 @@ export default function SettingsScreen() {
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteError, setDeleteError] = useState('');
 
+  const [isExporting, setIsExporting] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [isImporting, setIsImporting] = useState(false);
+
+  const [passcodeEncryption, setPasscodeEncryption] = useState(false);
+  const [passcodeModal, setPasscodeModal] = useState(null); // 'enable' | 'disable'
+  const [passcode, setPasscode] = useState('');
+  const [passcodeConfirm, setPasscodeConfirm] = useState('');
+  const [passcodeError, setPasscodeError] = useState('');
+  const [isSavingPasscode, setIsSavingPasscode] = useState(false);
+
+  const [pinModal, setPinModal] = useState(null); // 'set' | 'change' | 'disable'
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [newPinConfirm, setNewPinConfirm] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [isSavingPin, setIsSavingPin] = useState(false);
+  const [autoLockModalVisible, setAutoLockModalVisible] = useState(false);
+
+  const [reminderSettings, setReminderSettings] = useState(DEFAULT_REMINDER_SETTINGS);
+  const [reminderTimeVisible, setReminderTimeVisible] = useState(false);
+  const [questionnaireSettings, setQuestionnaireSettings] = useState(() =>
+    normalizeQuestionnaireSettings(null)
+  );
+
+  useEffect(() => {
+    loadReminderSettings()
+      .then(setReminderSettings)
+      .catch((error) => console.error('Error loading reminder settings:', error));
+    loadQuestionnaireSettings()
+      .then(setQuestionnaireSettings)
+      .catch((error) => console.error('Error loading questionnaire settings:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!isEncryptionSupported()) return;
+    getKeySource()
+      .then((source) => setPasscodeEncryption(source === KEY_SOURCES.passcode))
+      .catch((error) => console.error('Error loading encryption setting:', error));
+  }, []);
+
+  const closePasscodeModal = () => {
+    setPasscodeModal(null);
+    setPasscode('');
+    setPasscodeConfirm('');
+    setPasscodeError('');
+  };
+
+  const handleSavePasscode = async () => {
+    if (passcodeModal === 'enable') {
+      if (passcode.length < MIN_PASSCODE_LENGTH) {
+        setPasscodeError(`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters`);
+        return;
+      }
+      if (passcode !== passcodeConfirm) {
+        setPasscodeError('Passcodes do not match');
+        return;
+      }
+    }
+
+    setIsSavingPasscode(true);
+    setPasscodeError('');
+
+    try {
+      if (passcodeModal === 'enable') {
+        await enablePasscodeEncryption(passcode);
+        setPasscodeEncryption(true);
+      } else {
+        await disablePasscodeEncryption(passcode);
+        setPasscodeEncryption(false);
+      }
+      closePasscodeModal();
+    } catch (error) {
+      console.error('Error changing encryption passcode:', error);
+      setPasscodeError(
+        error.name === 'DatabaseKeyError' ? 'Incorrect passcode' : 'Failed to update encryption. Please try again.'
+      );
+    } finally {
+      setIsSavingPasscode(false);
+    }
+  };
+
+  const closePinModal = () => {
+    setPinModal(null);
+    setCurrentPin('');
+    setNewPin('');
+    setNewPinConfirm('');
+    setPinError('');
+  };
+
+  const handleSavePin = async () => {
+    if (pinModal !== 'disable') {
+      if (!isValidPin(newPin)) {
+        setPinError(`PIN must be ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digits`);
+        return;
+      }
+      if (newPin !== newPinConfirm) {
+        setPinError('PINs do not match');
+        return;
+      }
+    }
+
+    setIsSavingPin(true);
+    setPinError('');
+
+    try {
+      if (pinModal === 'set') {
+        await appLock.setPin(newPin);
+      } else if (pinModal === 'change') {
+        await appLock.changePin(currentPin, newPin);
+      } else {
+        await appLock.disablePin(currentPin);
+      }
+      closePinModal();
+    } catch (error) {
+      console.error('Error updating app lock PIN:', error);
+      setPinError(error.message || 'Failed to update PIN. Please try again.');
+    } finally {
+      setIsSavingPin(false);
+    }
+  };
+
+  const handleAutoLockChange = async (value) => {
+    setAutoLockModalVisible(false);
+    try {
+      await appLock.setAutoLockTimeout(Number(value));
+    } catch (error) {
+      console.error('Error saving auto-lock setting:', error);
+      Alert.alert('Error', 'Failed to save the auto-lock setting.');
+    }
+  };
+
+  const updateReminderSettings = async (changes) => {
+    const previous = reminderSettings;
+    setReminderSettings({ ...previous, ...changes });
+    try {
+      setReminderSettings(await saveReminderSettings({ ...previous, ...changes }));
+    } catch (error) {
+      console.error('Error saving reminder settings:', error);
+      setReminderSettings(previous);
+      Alert.alert('Error', 'Failed to save the reminder settings.');
+    }
+  };
+
+  const handleReminderToggle = async (value) => {
+    if (value && !(await requestReminderPermission())) {
+      Alert.alert(
+        'Notifications Are Off',
+        'Allow notifications for Peri Tracker in your device settings to get reminders.'
+      );
+      return;
+    }
+    await updateReminderSettings({ enabled: value });
+  };
+
+  const toggleQuietDay = (day) => {
+    const quietDays = reminderSettings.quietDays.includes(day)
+      ? reminderSettings.quietDays.filter((d) => d !== day)
+      : [...reminderSettings.quietDays, day];
+    updateReminderSettings({ quietDays });
+  };
+
+  const handleSaveReminderTime = async (time) => {
+    setReminderTimeVisible(false);
+    await updateReminderSettings({ time });
+  };
+
+  const handleQuestionnaireToggle = async (questionnaireId, value) => {
+    const previous = questionnaireSettings;
+    const next = { ...previous, enabled: { ...previous.enabled, [questionnaireId]: value } };
+    setQuestionnaireSettings(next);
+    try {
+      setQuestionnaireSettings(await saveQuestionnaireSettings(next));
+    } catch (error) {
+      console.error('Error saving questionnaire settings:', error);
+      setQuestionnaireSettings(previous);
+      Alert.alert('Error', 'Failed to save the questionnaire settings.');
+    }
+  };
+
+  const handleWipeOnFailureChange = (value) => {
+    const save = () =>
+      appLock.setWipeOnFailure(value).catch((error) => {
+        console.error('Error saving app lock setting:', error);
+        Alert.alert('Error', 'Failed to save the app lock setting.');
+      });
+
+    if (!value) {
+      save();
+      return;
+    }
+
+    Alert.alert(
+      'Erase Data After Failed Attempts?',
+      `All your data will be permanently erased after ${MAX_FAILED_ATTEMPTS} incorrect PIN attempts in a row. Make sure you have a backup.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Turn On', style: 'destructive', onPress: save },
+      ]
+    );
+  };
+
+  const autoLockLabel =
+    AUTO_LOCK_OPTIONS.find((option) => option.value === appLock.autoLockTimeout)?.label ||
+    AUTO_LOCK_OPTIONS[0].label;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    let file = null;
+
+    try {
+      const [allData, preferences] = await Promise.all([
+        getAllData(),
+        getExportedPreferences(),
+      ]);
+      const backup = await createBackup(allData, preferences);
+
+      const today = new Date().toISOString().split('T')[0];
+      file = new File(Paths.cache, `peri-tracker-backup-${today}.json`);
+      file.create({ overwrite: true });
+      file.write(JSON.stringify(backup));
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(file.uri, {
+          mimeType: 'application/json',
+          dialogTitle: 'Save Backup',
+          UTI: 'public.json',
+        });
+      } else {
+        Alert.alert('Sharing Not Available', 'Backups can only be saved by sharing them from this device.');
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert('Export Failed', 'Failed to create a backup. Please try again.');
+    } finally {
+      // The backup isn't encrypted, so no copy is left behind once it's shared
+      if (file?.exists) file.delete();
+      setIsExporting(false);
+    }
+  };
+
+  const handlePickBackup = async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: 'application/json',
+        copyToCacheDirectory: true,
+      });
+      if (picked.canceled || !picked.assets?.length) return;
+
+      const text = await new File(picked.assets[0].uri).text();
+      const backup = await parseBackup(text);
+      setImportMode('merge');
+      setPendingImport({ backup, summary: getBackupSummary(backup) });
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      Alert.alert('Cannot Import File', error.message || 'The backup file could not be read.');
+    }
+  };
+
+  const handleImport = async () => {
+    if (!pendingImport) return;
+    setIsImporting(true);
+
+    let result;
+    try {
+      result = await importAllData(pendingImport.backup.data, importMode);
+    } catch (error) {
+      console.error('Error importing data:', error);
+      Alert.alert('Import Failed', 'Your existing data has not been changed. Please try again.');
+      setIsImporting(false);
+      return;
+    }
+
+    // The data is in by now, so a failure here only affects the preferences
+    let preferencesRestored = true;
+    try {
+      await restorePreferences(pendingImport.backup.preferences, importMode);
+    } catch (error) {
+      console.error('Error restoring preferences:', error);
+      preferencesRestored = false;
+    }
+
+    try {
+      await reloadTheme();
+      setReminderSettings(await loadReminderSettings());
+      setQuestionnaireSettings(await loadQuestionnaireSettings());
+      await rescheduleReminders();
+    } catch (error) {
+      console.error('Error reloading settings after import:', error);
+    }
+
+    setPendingImport(null);
+    setIsImporting(false);
+    const summary =
+      `Imported ${result.dailyLogs} days, ${result.medications} medications and ${result.cyclePeriods} periods.` +
+      (result.skippedLogs > 0 ? ` ${result.skippedLogs} days already on this device were kept.` : '');
+    if (preferencesRestored) {
+      Alert.alert('Import Complete', summary);
+    } else {
+      Alert.alert(
+        'Preferences Not Restored',
+        `${summary} Your data was restored, but your theme, reminder and questionnaire settings could not be. Please check them in Settings.`
+      );
+    }
+  };
+
   const handleDeleteData = async () => {
     if (!confirmName.trim()) {
       setDeleteError('Please enter your first name to confirm');
@@ -44,6 +397,8 @@ export default function SettingsScreen() {
 
     try {
       await clearAllData();
+      // Drop reminders for the medications that were deleted
+      await rescheduleReminders();
       setDeleteModalVisible(false);
       setConfirmName('');
     } catch (error) {
@@ -103,10 +458,272 @@ export default function SettingsScreen() {
           </View>
         </Surface>
 
+        {/* Tracking Section */}
+        <Surface style={styles.section} elevation={1}>
+          <Text style={styles.sectionTitle}>Tracking</Text>
+
+          <View style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Icon name="format-list-bulleted" size={24} color={colors.primary} />
+              <View style={styles.settingText}>
+                <Text style={styles.settingLabel}>Symptoms</Text>
+                <Text style={styles.settingDescription}>
+                  Choose, add, rename and reorder the symptoms you log
+                </Text>
+              </View>
+            </View>
+            <Button mode="outlined" onPress={() => navigation.navigate('Symptoms')}>
+              Edit
+            </Button>
+          </View>
+
+          {Object.values(QUESTIONNAIRES).map((questionnaire) => (
+            <View key={questionnaire.id}>
+              <Divider style={styles.sectionDivider} />
+              <View style={styles.settingRow}>
+                <View style={styles.settingInfo}>
+                  <Icon name={questionnaire.icon} size={24} color={colors.primary} />
+                  <View style={styles.settingText}>
+                    <Text style={styles.settingLabel}>{questionnaire.name}</Text>
+                    <Text style={styles.settingDescription}>
+                      Offered every {questionnaire.intervalDays / 7} weeks on the Journal
+                    </Text>
+                  </View>
+                </View>
+                <Switch
+                  value={questionnaireSettings.enabled[questionnaire.id]}
+                  onValueChange={(value) => handleQuestionnaireToggle(questionnaire.id, value)}
+                  color={colors.primary}
+                />
+              </View>
+            </View>
+          ))}
+        </Surface>
+
+        {/* Reminders Section */}
+        {Platform.OS !== 'web' && (
+          <Surface style={styles.section} elevation={1}>
+            <Text style={styles.sectionTitle}>Reminders</Text>
+
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Icon name="bell-outline" size={24} color={colors.primary} />
+                <View style={styles.settingText}>
+                  <Text style={styles.settingLabel}>Daily Reminder</Text>
+                  <Text style={styles.settingDescription}>
+                    {reminderSettings.enabled
+                      ? `Every day at ${formatReminderTime(reminderSettings.time)}, unless you've already logged`
+                      : 'Get a reminder to log your day'}
+                  </Text>
+                </View>
+              </View>
+              <Switch
+                value={reminderSettings.enabled}
+                onValueChange={handleReminderToggle}
+                color={colors.primary}
+              />
+            </View>
+
+            {reminderSettings.enabled && (
+              <>
+                <Divider style={styles.sectionDivider} />
+
+                <TouchableOpacity
+                  style={styles.settingRow}
+                  onPress={() => setReminderTimeVisible(true)}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.settingInfo}>
+                    <Icon name="clock-outline" size={24} color={colors.primary} />
+                    <View style={styles.settingText}>
+                      <Text style={styles.settingLabel}>Reminder Time</Text>
+                      <Text style={styles.settingDescription}>
+                        {formatReminderTime(reminderSettings.time)}
+                      </Text>
+                    </View>
+                  </View>
+                  <Icon name="chevron-right" size={24} color={colors.textSecondary} />
+                </TouchableOpacity>
+
+                <Divider style={styles.sectionDivider} />
+
+                <View style={styles.settingInfo}>
+                  <Icon name="bell-sleep-outline" size={24} color={colors.primary} />
+                  <View style={styles.settingText}>
+                    <Text style={styles.settingLabel}>Quiet Days</Text>
+                    <Text style={styles.settingDescription}>No reminder on the selected days</Text>
+                  </View>
+                </View>
+                <View style={styles.quietDays}>
+                  {WEEKDAYS.map((day) => {
+                    const isQuiet = reminderSettings.quietDays.includes(day.value);
+                    return (
+                      <TouchableOpacity
+                        key={day.value}
+                        style={[styles.quietDay, isQuiet && styles.quietDaySelected]}
+                        onPress={() => toggleQuietDay(day.value)}
+                        accessibilityLabel={`${day.label}${isQuiet ? ', quiet' : ''}`}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={[styles.quietDayText, isQuiet && styles.quietDayTextSelected]}>
+                          {day.short}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </>
+            )}
+          </Surface>
+        )}
+
+        {/* Security Section */}
+        {isEncryptionSupported() && (
+          <Surface style={styles.section} elevation={1}>
+            <Text style={styles.sectionTitle}>Security</Text>
+
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Icon name="lock" size={24} color={colors.primary} />
+                <View style={styles.settingText}>
+                  <Text style={styles.settingLabel}>App Lock</Text>
+                  <Text style={styles.settingDescription}>
+                    {appLock.isLockEnabled
+                      ? 'A PIN is required to open the app'
+                      : 'Require a PIN to open the app'}
+                  </Text>
+                </View>
+              </View>
+              <Switch
+                value={appLock.isLockEnabled}
+                onValueChange={(value) => setPinModal(value ? 'set' : 'disable')}
+                color={colors.primary}
+              />
+            </View>
+
+            {appLock.isLockEnabled && (
+              <>
+                <Divider style={styles.sectionDivider} />
+
+                <View style={styles.settingRow}>
+                  <View style={styles.settingInfo}>
+                    <Icon name="form-textbox-password" size={24} color={colors.primary} />
+                    <View style={styles.settingText}>
+                      <Text style={styles.settingLabel}>Change PIN</Text>
+                    </View>
+                  </View>
+                  <Button mode="outlined" onPress={() => setPinModal('change')}>
+                    Change
+                  </Button>
+                </View>
+
+                <Divider style={styles.sectionDivider} />
+
+                <TouchableOpacity
+                  style={styles.settingRow}
+                  onPress={() => setAutoLockModalVisible(true)}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.settingInfo}>
+                    <Icon name="timer-lock-outline" size={24} color={colors.primary} />
+                    <View style={styles.settingText}>
+                      <Text style={styles.settingLabel}>Auto-Lock</Text>
+                      <Text style={styles.settingDescription}>
+                        {autoLockLabel} in the background
+                      </Text>
+                    </View>
+                  </View>
+                  <Icon name="chevron-right" size={24} color={colors.textSecondary} />
+                </TouchableOpacity>
+
+                <Divider style={styles.sectionDivider} />
+
+                <View style={styles.settingRow}>
+                  <View style={styles.settingInfo}>
+                    <Icon name="delete-alert" size={24} color={colors.error} />
+                    <View style={styles.settingText}>
+                      <Text style={styles.settingLabel}>Erase Data</Text>
+                      <Text style={styles.settingDescription}>
+                        Erase all data after {MAX_FAILED_ATTEMPTS} incorrect PIN attempts
+                      </Text>
+                    </View>
+                  </View>
+                  <Switch
+                    value={appLock.wipeOnFailure}
+                    onValueChange={handleWipeOnFailureChange}
+                    color={colors.error}
+                  />
+                </View>
+              </>
+            )}
+
+            <Divider style={styles.sectionDivider} />
+
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Icon name="shield-key" size={24} color={colors.primary} />
+                <View style={styles.settingText}>
+                  <Text style={styles.settingLabel}>Passcode Encryption</Text>
+                  <Text style={styles.settingDescription}>
+                    {passcodeEncryption
+                      ? 'Your data can only be opened with your passcode'
+                      : 'Your data is encrypted with a key stored on this device'}
+                  </Text>
+                </View>
+              </View>
+              <Switch
+                value={passcodeEncryption}
+                onValueChange={(value) => setPasscodeModal(value ? 'enable' : 'disable')}
+                color={colors.primary}
+              />
+            </View>
+          </Surface>
+        )}
+
         {/* Data Management Section */}
         <Surface style={styles.section} elevation={1}>
           <Text style={styles.sectionTitle}>Data Management</Text>
 
+          <View style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Icon name="database-export" size={24} color={colors.primary} />
+              <View style={styles.settingText}>
+                <Text style={styles.settingLabel}>Export Backup</Text>
+                <Text style={styles.settingDescription}>
+                  Save all your data and settings to a file
+                </Text>
+              </View>
+            </View>
+            <Button
+              mode="outlined"
+              onPress={handleExport}
+              icon="file-download"
+              loading={isExporting}
+              disabled={isExporting}
+            >
+              Export
+            </Button>
+          </View>
+
+          <Divider style={styles.sectionDivider} />
+
+          <View style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Icon name="database-import" size={24} color={colors.primary} />
+              <View style={styles.settingText}>
+                <Text style={styles.settingLabel}>Import Backup</Text>
+                <Text style={styles.settingDescription}>
+                  Restore your data and settings from a backup file
+                </Text>
+              </View>
+            </View>
+            <Button mode="outlined" onPress={handlePickBackup} icon="file-upload">
+              Import
+            </Button>
+          </View>
+
+          <Divider style={styles.sectionDivider} />
+
           <View style={styles.dangerZone}>
             <View style={styles.dangerInfo}>
               <Icon name="alert-circle" size={24} color={colors.error} />
@@ -144,6 +761,315 @@ export default function SettingsScreen() {
         </Surface>
       </ScrollView>
 
+      {/* App Lock PIN Modal */}
+      <Portal>
+        <Modal
+          visible={!!pinModal}
+          transparent
+          animationType="fade"
+          onRequestClose={closePinModal}
+        >
+          <View style={styles.modalOverlay}>
+            <Surface style={styles.modalContent} elevation={5}>
+              <View style={styles.modalHeader}>
+                <Icon name="lock" size={48} color={colors.primary} />
+                <Text style={styles.modalTitle}>
+                  {pinModal === 'set' ? 'Set PIN' : pinModal === 'change' ? 'Change PIN' : 'Turn Off App Lock'}
+                </Text>
+              </View>
+
+              <Text style={styles.modalDescription}>
+                {pinModal === 'disable'
+                  ? 'Enter your current PIN to turn off the app lock.'
+                  : `Choose a PIN of ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digits. You will need it to open the app.`}
+              </Text>
+
+              {pinModal !== 'set' && (
+                <TextInput
+                  mode="outlined"
+                  value={currentPin}
+                  onChangeText={(text) => {
+                    setCurrentPin(text);
+                    setPinError('');
+                  }}
+                  placeholder="Current PIN"
+                  keyboardType="number-pad"
+                  maxLength={PIN_MAX_LENGTH}
+                  secureTextEntry
+                  style={styles.confirmInput}
+                  error={!!pinError}
+                />
+              )}
+              {pinModal !== 'disable' && (
+                <>
+                  <TextInput
+                    mode="outlined"
+                    value={newPin}
+                    onChangeText={(text) => {
+                      setNewPin(text);
+                      setPinError('');
+                    }}
+                    placeholder="New PIN"
+                    keyboardType="number-pad"
+                    maxLength={PIN_MAX_LENGTH}
+                    secureTextEntry
+                    style={styles.confirmInput}
+                    error={!!pinError}
+                  />
+                  <TextInput
+                    mode="outlined"
+                    value={newPinConfirm}
+                    onChangeText={(text) => {
+                      setNewPinConfirm(text);
+                      setPinError('');
+                    }}
+                    placeholder="Confirm new PIN"
+                    keyboardType="number-pad"
+                    maxLength={PIN_MAX_LENGTH}
+                    secureTextEntry
+                    style={styles.confirmInput}
+                    error={!!pinError}
+                  />
+                </>
+              )}
+
+              {pinError ? (
+                <Text style={styles.errorText}>{pinError}</Text>
+              ) : null}
+
+              <View style={styles.modalButtons}>
+                <Button
+                  mode="outlined"
+                  onPress={closePinModal}
+                  style={styles.modalButton}
+                  disabled={isSavingPin}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  mode="contained"
+                  onPress={handleSavePin}
+                  style={[styles.modalButton, styles.confirmDeleteButton]}
+                  loading={isSavingPin}
+                  disabled={isSavingPin || (pinModal === 'set' ? !newPin : !currentPin)}
+                >
+                  {pinModal === 'disable' ? 'Turn Off' : 'Save'}
+                </Button>
+              </View>
+            </Surface>
+          </View>
+        </Modal>
+      </Portal>
+
+      {/* Auto-Lock Modal */}
+      <Portal>
+        <Modal
+          visible={autoLockModalVisible}
+          transparent
+          animationType="fade"
+          onRequestClose={() => setAutoLockModalVisible(false)}
+        >
+          <View style={styles.modalOverlay}>
+            <Surface style={styles.modalContent} elevation={5}>
+              <View style={styles.modalHeader}>
+                <Icon name="timer-lock-outline" size={48} color={colors.primary} />
+                <Text style={styles.modalTitle}>Auto-Lock</Text>
+              </View>
+
+              <Text style={styles.modalDescription}>
+                Lock the app when it has been in the background for:
+              </Text>
+
+              <RadioButton.Group
+                onValueChange={handleAutoLockChange}
+                value={String(appLock.autoLockTimeout)}
+              >
+                {AUTO_LOCK_OPTIONS.map((option) => (
+                  <View key={option.value} style={styles.radioOption}>
+                    <RadioButton value={String(option.value)} color={colors.primary} />
+                    <Text style={[styles.settingLabel, styles.radioText]}>{option.label}</Text>
+                  </View>
+                ))}
+              </RadioButton.Group>
+
+              <View style={styles.modalButtons}>
+                <Button
+                  mode="outlined"
+                  onPress={() => setAutoLockModalVisible(false)}
+                  style={styles.modalButton}
+                >
+                  Cancel
+                </Button>
+              </View>
+            </Surface>
+          </View>
+        </Modal>
+      </Portal>
+
+      {/* Reminder Time Dialog */}
+      <Portal>
+        <TimePickerDialog
+          visible={reminderTimeVisible}
+          title="Reminder Time"
+          time={reminderSettings.time}
+          onDismiss={() => setReminderTimeVisible(false)}
+          onConfirm={handleSaveReminderTime}
+        />
+      </Portal>
+
+      {/* Encryption Passcode Modal */}
+      <Portal>
+        <Modal
+          visible={!!passcodeModal}
+          transparent
+          animationType="fade"
+          onRequestClose={closePasscodeModal}
+        >
+          <View style={styles.modalOverlay}>
+            <Surface style={styles.modalContent} elevation={5}>
+              <View style={styles.modalHeader}>
+                <Icon name="shield-key" size={48} color={colors.primary} />
+                <Text style={styles.modalTitle}>
+                  {passcodeModal === 'enable' ? 'Set Passcode' : 'Turn Off Passcode'}
+                </Text>
+              </View>
+
+              <Text style={styles.modalDescription}>
+                {passcodeModal === 'enable'
+                  ? 'You will need this passcode every time you open the app. If you forget it, your data cannot be recovered.'
+                  : 'Enter your current passcode. Your data will stay encrypted with a key stored on this device.'}
+              </Text>
+
+              <TextInput
+                mode="outlined"
+                value={passcode}
+                onChangeText={(text) => {
+                  setPasscode(text);
+                  setPasscodeError('');
+                }}
+                placeholder={passcodeModal === 'enable' ? 'New passcode' : 'Current passcode'}
+                secureTextEntry
+                style={styles.confirmInput}
+                error={!!passcodeError}
+              />
+              {passcodeModal === 'enable' && (
+                <TextInput
+                  mode="outlined"
+                  value={passcodeConfirm}
+                  onChangeText={(text) => {
+                    setPasscodeConfirm(text);
+                    setPasscodeError('');
+                  }}
+                  placeholder="Confirm passcode"
+                  secureTextEntry
+                  style={styles.confirmInput}
+                  error={!!passcodeError}
+                />
+              )}
+
+              {passcodeError ? (
+                <Text style={styles.errorText}>{passcodeError}</Text>
+              ) : null}
+
+              <View style={styles.modalButtons}>
+                <Button
+                  mode="outlined"
+                  onPress={closePasscodeModal}
+                  style={styles.modalButton}
+                  disabled={isSavingPasscode}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  mode="contained"
+                  onPress={handleSavePasscode}
+                  style={[styles.modalButton, styles.confirmDeleteButton]}
+                  loading={isSavingPasscode}
+                  disabled={isSavingPasscode || !passcode}
+                >
+                  {passcodeModal === 'enable' ? 'Encrypt' : 'Turn Off'}
+                </Button>
+              </View>
+            </Surface>
+          </View>
+        </Modal>
+      </Portal>
+
+      {/* Import Backup Modal */}
+      <Portal>
+        <Modal
+          visible={!!pendingImport}
+          transparent
+          animationType="fade"
+          onRequestClose={() => !isImporting && setPendingImport(null)}
+        >
+          <View style={styles.modalOverlay}>
+            <Surface style={styles.modalContent} elevation={5}>
+              <View style={styles.modalHeader}>
+                <Icon name="database-import" size={48} color={colors.primary} />
+                <Text style={styles.modalTitle}>Import Backup?</Text>
+              </View>
+
+              {pendingImport && (
+                <Text style={styles.modalDescription}>
+                  {pendingImport.summary.exportedAt
+                    ? `Exported ${new Date(pendingImport.summary.exportedAt).toLocaleDateString('en-US', {
+                        year: 'numeric',
+                        month: 'long',
+                        day: 'numeric',
+                      })}\n`
+                    : ''}
+                  {pendingImport.summary.dailyLogs} days, {pendingImport.summary.medications} medications,{' '}
+                  {pendingImport.summary.cyclePeriods} periods
+                </Text>
+              )}
+
+              <RadioButton.Group onValueChange={setImportMode} value={importMode}>
+                <View style={styles.radioOption}>
+                  <RadioButton value="merge" color={colors.primary} />
+                  <View style={styles.radioText}>
+                    <Text style={styles.settingLabel}>Merge</Text>
+                    <Text style={styles.settingDescription}>
+                      Add to your current data. Days you have already logged and your settings are kept.
+                    </Text>
+                  </View>
+                </View>
+                <View style={styles.radioOption}>
+                  <RadioButton value="replace" color={colors.error} />
+                  <View style={styles.radioText}>
+                    <Text style={styles.settingLabel}>Replace</Text>
+                    <Text style={styles.settingDescription}>
+                      Delete everything on this device and use the backup instead.
+                    </Text>
+                  </View>
+                </View>
+              </RadioButton.Group>
+
+              <View style={styles.modalButtons}>
+                <Button
+                  mode="outlined"
+                  onPress={() => setPendingImport(null)}
+                  style={styles.modalButton}
+                  disabled={isImporting}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  mode="contained"
+                  onPress={handleImport}
+                  style={[styles.modalButton, styles.confirmDeleteButton]}
+                  buttonColor={importMode === 'replace' ? colors.error : colors.primary}
+                  loading={isImporting}
+                  disabled={isImporting}
+                >
+                  {importMode === 'replace' ? 'Replace Data' : 'Import'}
+                </Button>
+              </View>
+            </Surface>
+          </View>
+        </Modal>
+      </Portal>
+
       {/* Delete Confirmation Modal */}
       <Portal>
         <Modal
@@ -318,6 +1244,43 @@ const createStyles = (colors, insets) => StyleSheet.create({
   divider: {
     backgroundColor: colors.surfaceVariant,
   },
+  sectionDivider: {
+    backgroundColor: colors.surfaceVariant,
+    marginVertical: spacing.md,
+  },
+  quietDays: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  quietDay: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.surfaceVariant,
+  },
+  quietDaySelected: {
+    backgroundColor: colors.primary,
+  },
+  quietDayText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  quietDayTextSelected: {
+    color: '#FFFFFF',
+  },
+  radioOption: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: spacing.sm,
+  },
+  radioText: {
+    flex: 1,
+    marginTop: spacing.xs,
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.5)',
@@ -0,0 +1,352 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import {
+  Text,
+  Surface,
+  Button,
+  IconButton,
+  TextInput,
+  Chip,
+  Dialog,
+  Portal,
+  Divider,
+} from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { useTheme } from '../context/ThemeContext';
+import { getColors, spacing, borderRadius, fonts } from '../theme';
+import { SYMPTOM_CATEGORIES } from '../utils/constants';
+import { getVisibleSymptoms, getSymptomCategory, isNewSymptom, moveSymptom } from '../utils/symptoms';
+import {
+  getSymptomRegistry,
+  addCustomSymptom,
+  updateSymptom,
+  setSymptomHidden,
+  saveSymptomOrder,
+} from '../database/database';
+
+export default function SymptomsScreen() {
+  const navigation = useNavigation();
+  const insets = useSafeAreaInsets();
+  const { isDarkMode } = useTheme();
+  const colors = getColors(isDarkMode);
+  const styles = createStyles(colors, insets);
+
+  const [registry, setRegistry] = useState([]);
+  const [dialogVisible, setDialogVisible] = useState(false);
+  const [editingSymptom, setEditingSymptom] = useState(null);
+  const [name, setName] = useState('');
+  const [category, setCategory] = useState('custom');
+
+  const loadSymptoms = async () => {
+    try {
+      setRegistry(await getSymptomRegistry());
+    } catch (error) {
+      console.error('Error loading symptoms:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadSymptoms();
+    }, [])
+  );
+
+  const visibleSymptoms = getVisibleSymptoms(registry);
+  const hiddenSymptoms = registry.filter((s) => s.hidden);
+
+  const openDialog = (symptom = null) => {
+    setEditingSymptom(symptom);
+    setName(symptom ? symptom.name : '');
+    setCategory(symptom ? symptom.category : 'custom');
+    setDialogVisible(true);
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) return;
+    try {
+      if (editingSymptom) {
+        await updateSymptom(editingSymptom.id, { name: name.trim(), category });
+      } else {
+        await addCustomSymptom(name.trim(), category);
+      }
+      setDialogVisible(false);
+      await loadSymptoms();
+    } catch (error) {
+      console.error('Error saving symptom:', error);
+      Alert.alert('Error', 'Failed to save the symptom. Please try again.');
+    }
+  };
+
+  // Hidden symptoms keep their place after the visible ones
+  const handleMove = async (symptomId, offset) => {
+    try {
+      const ids = moveSymptom(visibleSymptoms, symptomId, offset);
+      await saveSymptomOrder([...ids, ...hiddenSymptoms.map((s) => s.id)]);
+      await loadSymptoms();
+    } catch (error) {
+      console.error('Error reordering symptoms:', error);
+    }
+  };
+
+  // Days a hidden symptom was logged on keep it
+  const handleSetHidden = async (symptom, hidden) => {
+    try {
+      await setSymptomHidden(symptom.id, hidden);
+      await loadSymptoms();
+    } catch (error) {
+      console.error('Error changing symptom visibility:', error);
+      Alert.alert('Error', 'Failed to update the symptom. Please try again.');
+    }
+  };
+
+  const renderSymptomInfo = (symptom) => {
+    const symptomCategory = getSymptomCategory(symptom.id, registry);
+    return (
+      <View style={styles.symptomInfo}>
+        <View style={[styles.categoryDot, { backgroundColor: symptomCategory.color }]} />
+        <View style={styles.symptomText}>
+          <View style={styles.symptomNameRow}>
+            <Text style={styles.symptomName}>{symptom.name}</Text>
+            {isNewSymptom(symptom) && symptom.hidden && (
+              <Text style={styles.newBadge}>New</Text>
+            )}
+          </View>
+          <Text style={styles.symptomCategory}>
+            {symptomCategory.name}
+            {symptom.custom ? ' · Added by you' : ''}
+          </Text>
+          {symptom.description && (
+            <Text style={styles.symptomDescription}>{symptom.description}</Text>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Title row */}
+      <View style={styles.titleRow}>
+        <Text style={styles.title}>Symptoms</Text>
+        <TouchableOpacity
+          style={styles.closeButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.7}
+        >
+          <Icon name="close" size={24} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <Surface style={styles.section} elevation={1}>
+          <Text style={styles.sectionTitle}>Shown When Logging</Text>
+          <Text style={styles.sectionDescription}>
+            These appear when you log a day, in this order. Rename a symptom or
+            change its category with the pencil.
+          </Text>
+          {visibleSymptoms.map((symptom, index) => (
+            <View key={symptom.id}>
+              {index > 0 && <Divider style={styles.divider} />}
+              <View style={styles.symptomRow}>
+                {renderSymptomInfo(symptom)}
+                <IconButton
+                  icon="chevron-up"
+                  size={20}
+                  disabled={index === 0}
+                  onPress={() => handleMove(symptom.id, -1)}
+                />
+                <IconButton
+                  icon="chevron-down"
+                  size={20}
+                  disabled={index === visibleSymptoms.length - 1}
+                  onPress={() => handleMove(symptom.id, 1)}
+                />
+                <IconButton icon="pencil-outline" size={20} onPress={() => openDialog(symptom)} />
+                <IconButton icon="eye-off-outline" size={20} onPress={() => handleSetHidden(symptom, true)} />
+              </View>
+            </View>
+          ))}
+          <Button
+            mode="outlined"
+            icon="plus"
+            onPress={() => openDialog()}
+            style={styles.addButton}
+          >
+            Add Symptom
+          </Button>
+        </Surface>
+
+        {hiddenSymptoms.length > 0 && (
+          <Surface style={styles.section} elevation={1}>
+            <Text style={styles.sectionTitle}>Hidden</Text>
+            <Text style={styles.sectionDescription}>
+              Show any of these to add them to the symptoms you log.
+            </Text>
+            {hiddenSymptoms.map((symptom, index) => (
+              <View key={symptom.id}>
+                {index > 0 && <Divider style={styles.divider} />}
+                <View style={styles.symptomRow}>
+                  {renderSymptomInfo(symptom)}
+                  <Button mode="text" compact onPress={() => handleSetHidden(symptom, false)}>
+                    Show
+                  </Button>
+                </View>
+              </View>
+            ))}
+          </Surface>
+        )}
+      </ScrollView>
+
+      <Portal>
+        <Dialog visible={dialogVisible} onDismiss={() => setDialogVisible(false)}>
+          <Dialog.Title>{editingSymptom ? 'Edit Symptom' : 'Add Symptom'}</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Symptom Name"
+              value={name}
+              onChangeText={setName}
+              mode="outlined"
+              style={styles.input}
+            />
+            <Text style={styles.label}>Category</Text>
+            <View style={styles.chips}>
+              {SYMPTOM_CATEGORIES.map((c) => (
+                <Chip
+                  key={c.id}
+                  compact
+                  selected={category === c.id}
+                  onPress={() => setCategory(c.id)}
+                  style={category === c.id ? { backgroundColor: c.color } : undefined}
+                >
+                  {c.name}
+                </Chip>
+              ))}
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setDialogVisible(false)}>Cancel</Button>
+            <Button onPress={handleSave}>{editingSymptom ? 'Save' : 'Add'}</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+}
+
+const createStyles = (colors, insets) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+    paddingTop: insets?.top || 0,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+    marginBottom: spacing.md,
+    marginLeft: spacing.lg,
+    marginRight: spacing.lg,
+  },
+  title: {
+    fontFamily: fonts.title,
+    fontSize: 32,
+    color: colors.text,
+    letterSpacing: -0.5,
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: 120,
+  },
+  section: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  sectionDescription: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  symptomRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  symptomInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  categoryDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  symptomText: {
+    marginLeft: spacing.sm,
+    flex: 1,
+  },
+  symptomNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  symptomName: {
+    fontSize: 15,
+    color: colors.text,
+  },
+  newBadge: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  symptomCategory: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  symptomDescription: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  divider: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  addButton: {
+    marginTop: spacing.md,
+  },
+  input: {
+    marginBottom: spacing.sm,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+});
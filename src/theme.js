@@ -46,6 +46,9 @@ export const lightColors = {
   calendarFutureBorder: '#E8E8E8',     // Future date border
   calendarToday: '#4A5C38',            // Today's border/accent color
   calendarTodayFilled: '#D4DFD0',      // Today with entry (no period) - sage green
+  calendarPredicted: '#FAE8E8',        // Forecast period day
+  calendarPredictedBorder: '#E8A5A5',  // Forecast period range border
+  calendarFertile: '#E3E8F5',          // Estimated fertile window
 
   // Mood/severity colors (gradient from good to bad)
   mood1: '#C8E6C9',  // Great
@@ -113,6 +116,9 @@ export const darkColors = {
   calendarFutureBorder: '#404040',     // Future date border
   calendarToday: '#7B9B6B',            // Today's border/accent color
   calendarTodayFilled: '#3D4A38',      // Today with entry (no period)
+  calendarPredicted: '#4A2D2D',        // Forecast period day
+  calendarPredictedBorder: '#8B5A5A',  // Forecast period range border
+  calendarFertile: '#2F3548',          // Estimated fertile window
 
   // Mood/severity colors (gradient from good to bad)
   mood1: '#2E5930',
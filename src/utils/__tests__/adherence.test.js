@@ -0,0 +1,105 @@
+import { calculateAdherence, getDoseSchedule, ADHERENCE_STATUS } from '../adherence';
+
+const daily = { id: 1, frequency: 'daily', created_at: '2024-03-01 10:00:00' };
+const week = { startDate: '2024-03-01', endDate: '2024-03-07', today: '2024-03-10' };
+
+function doses(...dates) {
+  return dates.map((date) => ({ date }));
+}
+
+describe('getDoseSchedule', () => {
+  it('turns a frequency into doses per period', () => {
+    expect(getDoseSchedule('twice_daily')).toEqual({ days: 1, doses: 2 });
+    expect(getDoseSchedule('weekly')).toEqual({ days: 7, doses: 1 });
+    expect(getDoseSchedule('as_needed')).toBeNull();
+  });
+});
+
+describe('calculateAdherence', () => {
+  it('sorts each day into taken, missed and unknown', () => {
+    const result = calculateAdherence(daily, {
+      ...week,
+      doses: doses('2024-03-01', '2024-03-02', '2024-03-04'),
+      trackedDates: ['2024-03-03'],
+    });
+
+    expect(result.periods.map((p) => p.status)).toEqual([
+      ADHERENCE_STATUS.taken,
+      ADHERENCE_STATUS.taken,
+      ADHERENCE_STATUS.missed,
+      ADHERENCE_STATUS.taken,
+      ADHERENCE_STATUS.unknown,
+      ADHERENCE_STATUS.unknown,
+      ADHERENCE_STATUS.unknown,
+    ]);
+    expect(result).toMatchObject({ taken: 3, missed: 1, unknown: 3, longestStreak: 2, currentStreak: 0 });
+  });
+
+  it('leaves days with nothing logged out of the percentage', () => {
+    const result = calculateAdherence(daily, {
+      ...week,
+      doses: doses('2024-03-01', '2024-03-02', '2024-03-04'),
+      trackedDates: ['2024-03-03'],
+    });
+
+    expect(result.adherence).toBe(75);
+  });
+
+  it('has no percentage when nothing was logged at all', () => {
+    const result = calculateAdherence(daily, week);
+
+    expect(result.unknown).toBe(7);
+    expect(result.adherence).toBeNull();
+  });
+
+  it('counts a reminder skipped on a day as a missed dose', () => {
+    const result = calculateAdherence(daily, { ...week, skippedDates: ['2024-03-02'] });
+
+    expect(result.periods[1].status).toBe(ADHERENCE_STATUS.missed);
+    expect(result.adherence).toBe(0);
+  });
+
+  it('waits for today to end unless its dose is taken', () => {
+    const waiting = calculateAdherence(daily, { ...week, today: '2024-03-05', doses: doses('2024-03-04') });
+    expect(waiting.periods.map((p) => p.start)).toEqual(['2024-03-01', '2024-03-02', '2024-03-03', '2024-03-04']);
+
+    const taken = calculateAdherence(daily, { ...week, today: '2024-03-05', doses: doses('2024-03-05') });
+    expect(taken.periods.map((p) => p.start)).toContain('2024-03-05');
+  });
+
+  it('counts weekly doses by the week', () => {
+    const weekly = { ...daily, frequency: 'weekly' };
+    const result = calculateAdherence(weekly, {
+      startDate: '2024-03-01',
+      endDate: '2024-03-14',
+      today: '2024-03-20',
+      doses: doses('2024-03-03'),
+      trackedDates: ['2024-03-10'],
+    });
+
+    expect(result.periodDays).toBe(7);
+    expect(result.periods.map((p) => [p.start, p.status])).toEqual([
+      ['2024-03-01', ADHERENCE_STATUS.taken],
+      ['2024-03-08', ADHERENCE_STATUS.missed],
+    ]);
+    expect(result.expectedDoses).toBe(2);
+  });
+
+  it('only counts the days the medication was being taken', () => {
+    const events = [
+      { id: 1, date: '2024-03-01', type: 'started', frequency: 'daily' },
+      { id: 2, date: '2024-03-04', type: 'stopped', frequency: 'daily' },
+    ];
+    const result = calculateAdherence(daily, { ...week, events, doses: doses('2024-03-01', '2024-03-02', '2024-03-03') });
+
+    expect(result.periods).toHaveLength(3);
+    expect(result.adherence).toBe(100);
+  });
+
+  it('only counts doses of medications taken as needed', () => {
+    const result = calculateAdherence({ ...daily, frequency: 'as_needed' }, { ...week, doses: doses('2024-03-02') });
+
+    expect(result).toMatchObject({ scheduled: false, takenDoses: 1, expectedDoses: null, adherence: null });
+    expect(result.periods).toEqual([]);
+  });
+});
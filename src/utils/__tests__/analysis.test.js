@@ -0,0 +1,256 @@
+import { analyzePatterns, analyzeTriggerEffects, compareBeforeAndAfter } from '../analysis';
+import { FALSE_DISCOVERY_RATE } from '../statistics';
+import { addDays } from '../dates';
+import { createLogs, symptoms } from '../../../test/fixtures/logs';
+
+// About one in 20 sets of logs without effects still turns up a finding at
+// the false discovery rate (seeds 4 and 8 do). The rate itself is checked
+// below; these seeds are ones that come out clean.
+const NULL_SEEDS = [1, 2, 3, 5, 6];
+
+// Independent symptoms, triggers, sleep and mood with no effects planted
+function nullLogs(seed) {
+  return createLogs({
+    seed,
+    fill: ({ chance, pick }) => ({
+      mood_overall: pick([4, 5, 6]),
+      mood_anxiety: pick([3, 4, 5, 6, 7]),
+      sleep_hours: pick([6, 6.5, 7, 7.5, 8]),
+      sleep_quality: pick([1, 2, 3, 4, 5]),
+      triggers: ['caffeine', 'alcohol', 'stress'].filter(() => chance(0.3)),
+      symptoms: symptoms({
+        hot_flashes: chance(0.4) && pick([1, 2, 3]),
+        fatigue: chance(0.3) && pick([1, 2, 3]),
+        brain_fog: chance(0.25) && pick([1, 2]),
+      }),
+    }),
+  });
+}
+
+function texts(result) {
+  return result.insights.map((insight) => insight.text);
+}
+
+describe('analyzePatterns', () => {
+  it('finds a trigger planted in the logs', () => {
+    const logs = createLogs({
+      seed: 11,
+      fill: ({ chance }) => {
+        const caffeine = chance(0.4);
+        return {
+          triggers: caffeine ? ['caffeine'] : [],
+          symptoms: symptoms({ hot_flashes: chance(caffeine ? 0.8 : 0.15) && 3 }),
+        };
+      },
+    });
+
+    expect(texts(analyzePatterns(logs, null))).toContainEqual(
+      expect.stringMatching(/^Hot Flashes was logged on \d+% of days with caffeine/)
+    );
+  });
+
+  it('names custom triggers in trigger insights', () => {
+    const logs = createLogs({
+      days: 60,
+      fill: ({ index }) => ({
+        triggers: index % 4 === 0 ? ['custom_wine'] : [],
+        symptoms: symptoms({ night_sweats: index % 4 === 1 && 2 }),
+      }),
+    });
+    const customTriggers = [{ trigger_id: 'custom_wine', name: 'Red Wine', active: 0 }];
+
+    expect(texts(analyzePatterns(logs, null, null, { customTriggers }))).toContain(
+      'Night Sweats was logged on 100% of days after red wine, compared with 0% of other days.'
+    );
+  });
+
+  it('finds symptoms planted on one weekday', () => {
+    const logs = createLogs({
+      seed: 12,
+      fill: ({ index, chance }) => ({
+        // 2024-01-01 is a Monday
+        symptoms: symptoms({
+          hot_flashes: (index % 7 === 0 || chance(0.2)) && 2,
+          fatigue: (index % 7 === 0 || chance(0.2)) && 2,
+          headaches: index % 7 === 0 && 2,
+        }),
+      }),
+    });
+
+    expect(texts(analyzePatterns(logs, null))).toContain('You tend to experience more symptoms on Mondays.');
+  });
+
+  it('finds more symptoms after poor sleep', () => {
+    const logs = createLogs({
+      seed: 13,
+      fill: ({ pick, chance }) => {
+        const quality = pick([1, 2, 3, 4, 5]);
+        return {
+          sleep_quality: quality,
+          symptoms: symptoms({
+            fatigue: chance((6 - quality) / 5) && 2,
+            brain_fog: chance((6 - quality) / 6) && 1,
+            irritability: chance((6 - quality) / 7) && 1,
+          }),
+        };
+      },
+    });
+
+    expect(texts(analyzePatterns(logs, null))).toContain(
+      'Poor sleep appears to be associated with more symptoms. Prioritizing sleep may help.'
+    );
+  });
+
+  it.each(NULL_SEEDS)('reports nothing from logs without effects (seed %i)', (seed) => {
+    expect(analyzePatterns(nullLogs(seed), null).insights).toEqual([]);
+  });
+
+  it('gives the same insights every time', () => {
+    const logs = nullLogs(1);
+    logs.forEach((log, index) => {
+      if (index % 3 === 0) log.triggers = ['caffeine'];
+      if (index % 3 === 0) log.symptoms = symptoms({ night_sweats: 2 });
+    });
+
+    const first = analyzePatterns(logs, null);
+    expect(first.insights.length).toBeGreaterThan(0);
+    expect(analyzePatterns(logs, null)).toEqual(first);
+  });
+
+  it('flags cycles that vary by 7 days or more', () => {
+    const cycleStats = (cycleLengths) => ({ cycles: cycleLengths.map(() => ({})), cycleLengths });
+    const variation = /^Your cycle length varies by up to/;
+
+    expect(texts(analyzePatterns(nullLogs(1), cycleStats([21, 35, 28])))).toContainEqual(
+      expect.stringMatching(variation)
+    );
+    expect(texts(analyzePatterns(nullLogs(1), cycleStats([22, 34, 28])))).not.toContainEqual(
+      expect.stringMatching(variation)
+    );
+  });
+
+  it('asks for more logs first', () => {
+    const { insights } = analyzePatterns(createLogs({ days: 5 }), null);
+
+    expect(insights).toHaveLength(1);
+    expect(insights[0].confidence).toBeNull();
+  });
+});
+
+describe('analyzeTriggerEffects', () => {
+  it('finds a next-day effect planted in the logs', () => {
+    const logs = createLogs({
+      seed: 21,
+      fill: ({ chance, previous }) => ({
+        triggers: chance(0.4) ? ['alcohol'] : [],
+        symptoms: symptoms({
+          night_sweats: chance(previous?.triggers.includes('alcohol') ? 0.85 : 0.1) && 2,
+        }),
+      }),
+    });
+
+    const findings = analyzeTriggerEffects(logs);
+    const nextDay = findings.find((f) => f.triggerId === 'alcohol' && f.symptomId === 'night_sweats' && f.lag === 1);
+
+    expect(nextDay).toBeDefined();
+    expect(nextDay.difference.low).toBeGreaterThan(0);
+    expect(nextDay.exposedRate).toBeGreaterThan(nextDay.unexposedRate);
+    expect(findings.some((f) => f.lag === 0 && f.symptomId === 'night_sweats')).toBe(false);
+  });
+
+  // Night sweats the day after every fourth day, which had a late meal
+  const lateMealLogs = () => createLogs({
+    days: 60,
+    fill: ({ index }) => ({
+      triggers: index % 4 === 0 ? ['late_meal'] : [],
+      symptoms: symptoms({ night_sweats: index % 4 === 1 && 2, fatigue: index % 3 === 0 && 1 }),
+    }),
+  });
+
+  it('needs the minimum number of days with and without the trigger', () => {
+    const logs = lateMealLogs();
+
+    expect(analyzeTriggerEffects(logs)).toContainEqual(
+      expect.objectContaining({ triggerId: 'late_meal', symptomId: 'night_sweats', lag: 1, exposedDays: 15 })
+    );
+    expect(analyzeTriggerEffects(logs, { minDays: 16 })).toEqual([]);
+  });
+
+  it('only counts days from the first logged trigger on', () => {
+    const untracked = createLogs({
+      days: 30,
+      start: '2023-12-02',
+      fill: () => ({ symptoms: symptoms({ night_sweats: 2 }) }),
+    });
+    const logs = [...untracked, ...lateMealLogs()];
+    const finding = analyzeTriggerEffects(logs).find((f) => f.symptomId === 'night_sweats' && f.lag === 1);
+
+    expect(finding).toMatchObject({ exposedDays: 15, unexposedDays: 44, unexposedRate: 0 });
+  });
+
+  it.each(NULL_SEEDS)('finds nothing in logs without effects (seed %i)', (seed) => {
+    expect(analyzeTriggerEffects(nullLogs(seed))).toEqual([]);
+  });
+
+  it('finds something in logs without effects no more often than the false discovery rate', () => {
+    const seeds = Array.from({ length: 100 }, (_, i) => 100 + i);
+    const withFindings = seeds.filter((seed) => analyzeTriggerEffects(nullLogs(seed)).length > 0);
+
+    expect(withFindings.length / seeds.length).toBeLessThanOrEqual(FALSE_DISCOVERY_RATE);
+  });
+});
+
+describe('compareBeforeAndAfter', () => {
+  // Four weeks on either side of 29 January
+  const date = '2024-01-29';
+  const logs = createLogs({
+    days: 56,
+    fill: ({ index }) => {
+      const after = index >= 28;
+      return {
+        sleep_hours: after ? 7.5 : 6,
+        symptoms: symptoms({
+          hot_flashes: after ? index % 2 === 0 && 2 : 3,
+          fatigue: index === 40 && 2,
+          brain_fog: 1,
+        }),
+      };
+    },
+  });
+
+  it('reports the change from the weeks before to the weeks after', () => {
+    const result = compareBeforeAndAfter(logs, date);
+
+    expect(result.before).toMatchObject({ start: '2024-01-01', end: '2024-01-28', days: 28, coverage: 1 });
+    expect(result.after).toMatchObject({ start: '2024-01-29', end: '2024-02-25', days: 28 });
+    expect(result.confidence).toBe('good');
+    expect(result.changes.sleepHours).toBe(1.5);
+    expect(result.changes.symptomDays).toBe(0);
+  });
+
+  it('only points out symptoms that changed enough', () => {
+    const [hotFlashes, ...rest] = compareBeforeAndAfter(logs, date).symptomChanges;
+
+    expect(hotFlashes).toMatchObject({ symptomId: 'hot_flashes', frequencyChange: -0.5, severityChange: -1 });
+    expect(rest).toEqual([]);
+  });
+
+  it.each([
+    [4, 'insufficient'],
+    [9, 'low'],
+    [10, 'moderate'],
+    [17, 'moderate'],
+    [18, 'good'],
+  ])('rates %i logged days after as %s', (days, confidence) => {
+    const sparse = logs.filter((l) => l.date < addDays(date, days));
+
+    expect(compareBeforeAndAfter(sparse, date).confidence).toBe(confidence);
+  });
+
+  it('leaves out the changes without enough data', () => {
+    const result = compareBeforeAndAfter(logs.slice(0, 30), date);
+
+    expect(result).toMatchObject({ confidence: 'insufficient', changes: null, symptomChanges: [] });
+    expect(result.after.days).toBe(2);
+  });
+});
@@ -0,0 +1,40 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { restorePreferences } from '../backup';
+import { THEME_STORAGE_KEY } from '../../context/ThemeContext';
+import { REMINDER_SETTINGS_STORAGE_KEY } from '../reminders';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-crypto', () => ({}));
+jest.mock('../../context/ThemeContext', () => ({ THEME_STORAGE_KEY: '@peri_tracker_theme' }));
+jest.mock('../reminders', () => ({ REMINDER_SETTINGS_STORAGE_KEY: '@peri_tracker_reminder_settings' }));
+
+describe('restorePreferences', () => {
+  const backup = {
+    [THEME_STORAGE_KEY]: 'dark',
+    [REMINDER_SETTINGS_STORAGE_KEY]: '{"enabled":true}',
+    '@some_other_key': 'ignored',
+  };
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem(THEME_STORAGE_KEY, 'light');
+  });
+
+  it('replaces preferences set on this device', async () => {
+    await restorePreferences(backup, 'replace');
+
+    expect(await AsyncStorage.getItem(THEME_STORAGE_KEY)).toBe('dark');
+    expect(await AsyncStorage.getItem(REMINDER_SETTINGS_STORAGE_KEY)).toBe('{"enabled":true}');
+    expect(await AsyncStorage.getItem('@some_other_key')).toBeNull();
+  });
+
+  it('keeps preferences set on this device when merging', async () => {
+    await restorePreferences(backup, 'merge');
+
+    expect(await AsyncStorage.getItem(THEME_STORAGE_KEY)).toBe('light');
+    expect(await AsyncStorage.getItem(REMINDER_SETTINGS_STORAGE_KEY)).toBe('{"enabled":true}');
+  });
+});
@@ -0,0 +1,39 @@
+import {
+  parseDate,
+  toDateString,
+  addDays,
+  addMonths,
+  daysBetween,
+  getWeekday,
+} from '../dates';
+
+describe('date strings', () => {
+  it('round-trips through parseDate', () => {
+    expect(toDateString(parseDate('2024-02-29'))).toBe('2024-02-29');
+  });
+
+  it('adds days across month and year ends', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+  });
+
+  it('adds months', () => {
+    expect(addMonths('2023-03-15', 12)).toBe('2024-03-15');
+  });
+
+  it('counts whole days across a daylight saving change', () => {
+    expect(daysBetween('2024-03-09', '2024-03-11')).toBe(2);
+    expect(daysBetween('2024-03-11', '2024-03-09')).toBe(-2);
+  });
+
+  it('gives the weekday with Sunday as 0', () => {
+    expect(getWeekday('2024-06-02')).toBe(0);
+    expect(getWeekday('2024-06-03')).toBe(1);
+  });
+
+  it('gives the UTC date of a time, not the local one', () => {
+    // Half past midnight in Berlin is still the day before in UTC
+    expect(toDateString(new Date(2024, 0, 31, 0, 30))).toBe('2024-01-30');
+  });
+});
@@ -0,0 +1,8 @@
+import { getHotFlashSeverity } from '../hotFlashes';
+
+describe('getHotFlashSeverity', () => {
+  it('maps the daily episode count onto the severity scale', () => {
+    const counts = [0, 1, 2, 3, 4, 5, 6, 9, 10, 25];
+    expect(counts.map(getHotFlashSeverity)).toEqual([null, 1, 2, 2, 3, 3, 4, 4, 5, 5]);
+  });
+});
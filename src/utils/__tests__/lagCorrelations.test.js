@@ -0,0 +1,99 @@
+import {
+  getSeries,
+  getSymptomSeriesId,
+  getLaggedPairs,
+  analyzeLagCorrelations,
+  describeLagCorrelation,
+  getLagLabel,
+} from '../lagCorrelations';
+import { FALSE_DISCOVERY_RATE } from '../statistics';
+import { createLogs, symptoms } from '../../../test/fixtures/logs';
+
+// Every field and symptom drawn independently of the others
+function nullLogs(seed) {
+  return createLogs({
+    seed,
+    fill: ({ chance, pick }) => ({
+      sleep_hours: pick([5, 6, 7, 8, 9]),
+      sleep_quality: pick([1, 2, 3, 4, 5]),
+      mood_overall: pick([3, 4, 5, 6, 7, 8]),
+      mood_anxiety: pick([2, 3, 4, 5, 6, 7]),
+      mood_energy: pick([3, 4, 5, 6, 7]),
+      exercise_level: pick(['none', 'light', 'moderate', 'intense']),
+      food_quality: pick(['poor', 'fair', 'good', 'healthy']),
+      symptoms: symptoms({
+        hot_flashes: chance(0.4) && pick([1, 2, 3, 4]),
+        fatigue: chance(0.3) && pick([1, 2, 3]),
+      }),
+    }),
+  });
+}
+
+describe('getLaggedPairs', () => {
+  it('only pairs days logged on both ends of the lag', () => {
+    const logs = createLogs({ days: 4, fill: ({ index }) => ({ sleep_hours: 5 + index }) }).filter((_, i) => i !== 2);
+    const sleep = getSeries('sleep_hours');
+
+    expect(getLaggedPairs(logs, sleep, sleep, 1)).toEqual([
+      { date: '2024-01-01', targetDate: '2024-01-02', source: 5, target: 6 },
+    ]);
+  });
+
+  it('counts a symptom as 0 on logged days it was not logged', () => {
+    const logs = createLogs({ days: 2, fill: ({ index }) => ({ symptoms: symptoms({ hot_flashes: index && 3 }) }) });
+    const hotFlashes = getSeries(getSymptomSeriesId('hot_flashes'));
+
+    expect(getLaggedPairs(logs, hotFlashes, hotFlashes, 0).map((p) => p.target)).toEqual([0, 3]);
+  });
+});
+
+describe('analyzeLagCorrelations', () => {
+  it('finds a next-day effect planted in the logs, at its lag', () => {
+    const logs = createLogs({
+      seed: 31,
+      fill: ({ pick, chance, previous }) => {
+        const shortNight = previous && previous.sleep_hours < 7;
+        return {
+          sleep_hours: pick([5, 6, 7, 8, 9]),
+          symptoms: symptoms({ hot_flashes: shortNight ? pick([3, 4, 5]) : chance(0.3) && pick([1, 2]) }),
+        };
+      },
+    });
+
+    const found = analyzeLagCorrelations(logs).filter((r) => r.sourceId === 'sleep_hours');
+
+    expect(found).toHaveLength(1);
+    expect(found[0]).toMatchObject({ targetId: 'symptom:hot_flashes', lag: 1 });
+    expect(found[0].estimate).toBeLessThan(0);
+    expect(found[0].high).toBeLessThan(0);
+    expect(describeLagCorrelation(found[0])).toBe('Less sleep goes with more severe hot flashes the next day');
+  });
+
+  it('gives the same results every time', () => {
+    const logs = nullLogs(1);
+    logs.forEach((log, index) => {
+      if (index > 0) log.mood_energy = Math.min(10, logs[index - 1].sleep_quality * 2);
+    });
+
+    const first = analyzeLagCorrelations(logs);
+    expect(first.length).toBeGreaterThan(0);
+    expect(analyzeLagCorrelations(logs)).toEqual(first);
+  });
+
+  it.each([1, 2, 3])('finds nothing in logs without effects (seed %i)', (seed) => {
+    expect(analyzeLagCorrelations(nullLogs(seed))).toEqual([]);
+  });
+
+  it('finds something in logs without effects no more often than the false discovery rate', () => {
+    const seeds = Array.from({ length: 40 }, (_, i) => 100 + i);
+    const withFindings = seeds.filter((seed) => analyzeLagCorrelations(nullLogs(seed)).length > 0);
+
+    expect(withFindings.length / seeds.length).toBeLessThanOrEqual(FALSE_DISCOVERY_RATE);
+  });
+});
+
+describe('getLagLabel', () => {
+  it('names the lag', () => {
+    expect([0, 1, 3].map(getLagLabel)).toEqual(['the same day', 'the next day', '3 days later']);
+  });
+});
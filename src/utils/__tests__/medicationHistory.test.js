@@ -0,0 +1,70 @@
+import {
+  getActivePeriods,
+  describeMedicationEvent,
+  getMedicationTimeline,
+  getComparisonRange,
+} from '../medicationHistory';
+
+const estradiol = { id: 1, name: 'Estradiol', frequency: 'daily', created_at: '2024-01-10 08:00:00' };
+
+function event(id, date, type, dose = '1mg', frequency = 'daily') {
+  return { id, medication_id: 1, name: 'Estradiol', date, type, dose, frequency };
+}
+
+describe('getActivePeriods', () => {
+  it('counts a medication without events as taken since it was added', () => {
+    expect(getActivePeriods(estradiol)).toEqual([{ start: '2024-01-10', end: null, frequency: 'daily' }]);
+  });
+
+  it('splits the time taken at each change and ends it the day before a stop', () => {
+    const events = [
+      event(3, '2024-04-01', 'stopped'),
+      event(1, '2024-01-01', 'started'),
+      event(2, '2024-02-01', 'changed', '2mg', 'twice_daily'),
+      event(4, '2024-06-01', 'started'),
+    ];
+
+    expect(getActivePeriods(estradiol, events)).toEqual([
+      { start: '2024-01-01', end: '2024-01-31', frequency: 'daily' },
+      { start: '2024-02-01', end: '2024-03-31', frequency: 'twice_daily' },
+      { start: '2024-06-01', end: null, frequency: 'daily' },
+    ]);
+  });
+
+  it('drops periods stopped on the day they started', () => {
+    const events = [event(1, '2024-01-01', 'started'), event(2, '2024-01-01', 'stopped')];
+
+    expect(getActivePeriods(estradiol, events)).toEqual([]);
+  });
+});
+
+describe('describeMedicationEvent', () => {
+  it('describes starts, stops and dose changes', () => {
+    const started = event(1, '2024-01-01', 'started');
+    const changed = event(2, '2024-02-01', 'changed', '2mg');
+
+    expect(describeMedicationEvent(started)).toBe('Started Estradiol (1mg, daily)');
+    expect(describeMedicationEvent(changed, started)).toBe('Estradiol: 1mg, daily → 2mg, daily');
+    expect(describeMedicationEvent(event(3, '2024-03-01', 'stopped'))).toBe('Stopped Estradiol');
+  });
+});
+
+describe('getMedicationTimeline', () => {
+  it('lists events newest first, each described against the one before', () => {
+    const timeline = getMedicationTimeline([
+      event(2, '2024-02-01', 'changed', '2mg'),
+      event(1, '2024-01-01', 'started'),
+    ]);
+
+    expect(timeline.map((e) => e.description)).toEqual([
+      'Estradiol: 1mg, daily → 2mg, daily',
+      'Started Estradiol (1mg, daily)',
+    ]);
+  });
+});
+
+describe('getComparisonRange', () => {
+  it('covers a window before the first change and after the last', () => {
+    expect(getComparisonRange('2024-03-01', '2024-05-01', 28)).toEqual({ start: '2024-02-02', end: '2024-05-28' });
+  });
+});
@@ -0,0 +1,94 @@
+import { estimateStage, findFinalMenstrualPeriod, getStageHistory } from '../menopauseStage';
+import { addDays } from '../dates';
+
+function periodsFrom(start, cycleLengths, length = 5) {
+  const periods = [];
+  let date = start;
+  for (const cycleLength of [...cycleLengths, null]) {
+    periods.push({ start_date: date, end_date: addDays(date, length - 1) });
+    if (cycleLength !== null) date = addDays(date, cycleLength);
+  }
+  return periods;
+}
+
+function lastStart(periods) {
+  return periods[periods.length - 1].start_date;
+}
+
+describe('estimateStage', () => {
+  it('needs periods and enough cycles', () => {
+    expect(estimateStage([], { today: '2024-03-01' }).stage).toBe('unknown');
+
+    const twoCycles = periodsFrom('2024-01-01', [28, 28]);
+    const result = estimateStage(twoCycles, { today: lastStart(twoCycles) });
+    expect(result).toMatchObject({ stage: 'unknown', cycleCount: 2 });
+  });
+
+  it('calls regular cycles late reproductive', () => {
+    const periods = periodsFrom('2024-01-01', [28, 28, 28, 28]);
+    const result = estimateStage(periods, { today: lastStart(periods) });
+
+    expect(result.stage).toBe('reproductive');
+    expect(result.evidence).toEqual(['Your last 4 cycles were all 28 days long.']);
+  });
+
+  it('needs changes of 7 days or more to recur for the early transition', () => {
+    const persistent = periodsFrom('2024-01-01', [28, 21, 30, 22]);
+    expect(estimateStage(persistent, { today: lastStart(persistent) }).stage).toBe('earlyTransition');
+
+    const once = periodsFrom('2024-01-01', [28, 28, 36, 36]);
+    expect(estimateStage(once, { today: lastStart(once) }).stage).toBe('reproductive');
+  });
+
+  it('calls a gap of 60 days or more the late transition', () => {
+    const pastGap = periodsFrom('2024-01-01', [28, 65, 28]);
+    expect(estimateStage(pastGap, { today: lastStart(pastGap) }).stage).toBe('lateTransition');
+
+    const regular = periodsFrom('2024-01-01', [28, 28, 28]);
+    expect(estimateStage(regular, { today: addDays(lastStart(regular), 59) }).stage).toBe('reproductive');
+    expect(estimateStage(regular, { today: addDays(lastStart(regular), 60) }).stage).toBe('lateTransition');
+  });
+
+  it('calls 12 months without a period postmenopause', () => {
+    const periods = periodsFrom('2023-01-01', [28, 28, 28]);
+    const lastDay = addDays(lastStart(periods), 4);
+
+    expect(lastDay).toBe('2023-03-30');
+    expect(estimateStage(periods, { today: '2024-03-29' }).stage).toBe('lateTransition');
+    expect(estimateStage(periods, { today: '2024-03-30' })).toMatchObject({
+      stage: 'postmenopause',
+      lastPeriodDate: lastDay,
+    });
+  });
+
+  it('stays postmenopausal after bleeding once the final period is recorded', () => {
+    const periods = [...periodsFrom('2022-01-01', [28, 28]), { start_date: '2023-06-01', end_date: '2023-06-02' }];
+
+    expect(estimateStage(periods, { today: '2023-07-01' }).stage).toBe('lateTransition');
+    expect(estimateStage(periods, { today: '2023-07-01', finalPeriodDate: '2022-03-02' }).stage).toBe('postmenopause');
+  });
+});
+
+describe('findFinalMenstrualPeriod', () => {
+  const periods = periodsFrom('2023-01-01', [28, 28]);
+
+  it('is the last day of bleeding once 12 months have passed', () => {
+    expect(findFinalMenstrualPeriod(periods, { today: '2024-03-02' })).toBe('2023-03-02');
+  });
+
+  it('is null until then', () => {
+    expect(findFinalMenstrualPeriod(periods, { today: '2024-03-01' })).toBeNull();
+    expect(findFinalMenstrualPeriod([], { today: '2024-03-01' })).toBeNull();
+  });
+});
+
+describe('getStageHistory', () => {
+  it('records each change of stage on the day it happened', () => {
+    const periods = periodsFrom('2024-01-01', [28, 28, 28, 28, 70]);
+
+    expect(getStageHistory(periods, { today: '2024-07-15' })).toEqual([
+      { stage: 'reproductive', since: '2024-03-25' },
+      { stage: 'lateTransition', since: '2024-06-21' },
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+import { createHash, randomBytes } from 'crypto';
+
+import { PIN_KDF, createPinRecord, verifyPin, needsRehash, constantTimeEqual } from '../pin';
+
+jest.mock('expo-crypto', () => ({
+  CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+  digestStringAsync: async (algorithm, value) => require('crypto').createHash('sha256').update(value).digest('hex'),
+  getRandomBytesAsync: async (count) => new Uint8Array(require('crypto').randomBytes(count)),
+}));
+
+describe('PIN records', () => {
+  it('hashes new PINs with scrypt and a random salt', async () => {
+    const first = await createPinRecord('1234');
+    const second = await createPinRecord('1234');
+
+    expect(first).toMatchObject({ length: 4, kdf: PIN_KDF });
+    expect(first.hash).toHaveLength(PIN_KDF.dkLen * 2);
+    expect(first.salt).not.toBe(second.salt);
+    expect(first.hash).not.toBe(second.hash);
+    expect(needsRehash(first)).toBe(false);
+  });
+
+  it('accepts only the PIN the record was made from', async () => {
+    const record = await createPinRecord('4821');
+
+    expect(await verifyPin('4821', record)).toBe(true);
+    expect(await verifyPin('4822', record)).toBe(false);
+    expect(await verifyPin('48210', record)).toBe(false);
+    expect(await verifyPin('4821', null)).toBe(false);
+  });
+
+  it('still checks records hashed with a single SHA-256 and asks for a rehash', async () => {
+    const salt = randomBytes(16).toString('hex');
+    const record = { salt, hash: createHash('sha256').update(`${salt}:1234`).digest('hex'), length: 4 };
+
+    expect(await verifyPin('1234', record)).toBe(true);
+    expect(await verifyPin('1235', record)).toBe(false);
+    expect(needsRehash(record)).toBe(true);
+    expect(needsRehash({ ...record, kdf: { ...PIN_KDF, N: 2 ** 10 } })).toBe(true);
+  });
+});
+
+describe('constantTimeEqual', () => {
+  it('compares strings of equal and different lengths', () => {
+    expect(constantTimeEqual('abcd', 'abcd')).toBe(true);
+    expect(constantTimeEqual('abcd', 'abce')).toBe(false);
+    expect(constantTimeEqual('abcd', 'abc')).toBe(false);
+    expect(constantTimeEqual('', '')).toBe(true);
+    expect(constantTimeEqual('abcd', undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { predictPeriods, getPredictionDays, getCycleLengths, PREDICTION_DAY_TYPES } from '../predictions';
+import { addDays } from '../dates';
+
+function periodsFrom(start, cycleLengths, length = 5) {
+  const periods = [];
+  let date = start;
+  for (const cycleLength of [...cycleLengths, null]) {
+    periods.push({ start_date: date, end_date: addDays(date, length - 1) });
+    if (cycleLength !== null) date = addDays(date, cycleLength);
+  }
+  return periods;
+}
+
+describe('predictPeriods', () => {
+  it('forecasts regular cycles with a narrow range', () => {
+    const periods = periodsFrom('2024-01-01', [28, 28, 28]);
+    const forecast = predictPeriods(periods, { today: '2024-03-30' });
+
+    expect(forecast).toMatchObject({
+      averageCycleLength: 28,
+      variability: 0,
+      averagePeriodLength: 5,
+      cyclesUsed: 3,
+      confidence: 'medium',
+    });
+    expect(forecast.predictions).toHaveLength(3);
+    expect(forecast.predictions[0]).toMatchObject({
+      cycle: 1,
+      startDate: '2024-04-22',
+      earliestStart: '2024-04-21',
+      latestStart: '2024-04-23',
+      ovulationDate: '2024-04-08',
+    });
+  });
+
+  it('widens the range for irregular cycles and further ahead', () => {
+    const periods = periodsFrom('2024-01-01', [21, 45, 30, 60]);
+    const lastStart = periods[periods.length - 1].start_date;
+    const forecast = predictPeriods(periods, { today: lastStart });
+
+    expect(forecast.averageCycleLength).toBe(39);
+    expect(forecast.variability).toBe(17.1);
+    expect(forecast.confidence).toBe('low');
+
+    const [first, second, third] = forecast.predictions;
+    expect(first.startDate).toBe(addDays(lastStart, 39));
+    expect(first.rangeDays).toBe(22);
+    expect(second.rangeDays).toBeGreaterThan(first.rangeDays);
+    expect(third.rangeDays).toBeGreaterThan(second.rangeDays);
+  });
+
+  it('leaves skipped periods and entry errors out of the cycle lengths', () => {
+    expect(getCycleLengths(periodsFrom('2024-01-01', [28, 5, 150, 30]))).toEqual([28, 30]);
+  });
+
+  it('returns null without a complete cycle', () => {
+    expect(predictPeriods([])).toBeNull();
+    expect(predictPeriods(null)).toBeNull();
+    expect(predictPeriods(periodsFrom('2024-01-01', []))).toBeNull();
+    expect(predictPeriods(periodsFrom('2024-01-01', [10]))).toBeNull();
+  });
+
+  it('assumes a wide spread from a single cycle', () => {
+    const forecast = predictPeriods(periodsFrom('2024-01-01', [30]), { today: '2024-01-31' });
+
+    expect(forecast.variability).toBeNull();
+    expect(forecast.confidence).toBe('low');
+    expect(forecast.predictions[0].rangeDays).toBe(6);
+  });
+
+  describe('with the default today', () => {
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-06-01T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('skips forecasts that have already passed', () => {
+      const forecast = predictPeriods(periodsFrom('2024-01-01', [28, 28, 28]));
+
+      expect(forecast.predictions).toHaveLength(3);
+      for (const prediction of forecast.predictions) {
+        expect(addDays(prediction.latestStart, prediction.periodLength - 1) >= '2024-06-01').toBe(true);
+      }
+      expect(forecast.predictions[0].cycle).toBeGreaterThan(1);
+    });
+
+    it('only marks days after today', () => {
+      const forecast = predictPeriods(periodsFrom('2024-01-01', [28, 28, 28]));
+      const days = getPredictionDays(forecast);
+
+      expect(days.size).toBeGreaterThan(0);
+      for (const date of days.keys()) {
+        expect(date > '2024-06-01').toBe(true);
+      }
+    });
+  });
+});
+
+describe('getPredictionDays', () => {
+  const forecast = predictPeriods(periodsFrom('2024-01-01', [28, 28, 28]), { count: 1, today: '2024-03-30' });
+
+  it('marks period, possible and fertile days', () => {
+    const days = getPredictionDays(forecast, '2024-03-30');
+    const [prediction] = forecast.predictions;
+
+    expect(days.get(prediction.startDate)).toBe(PREDICTION_DAY_TYPES.period);
+    expect(days.get(addDays(prediction.startDate, 4))).toBe(PREDICTION_DAY_TYPES.period);
+    expect(days.get(prediction.earliestStart)).toBe(PREDICTION_DAY_TYPES.possible);
+    expect(days.get(addDays(prediction.latestStart, 4))).toBe(PREDICTION_DAY_TYPES.possible);
+    expect(days.get(prediction.ovulationDate)).toBe(PREDICTION_DAY_TYPES.fertile);
+    expect(days.get(prediction.fertileWindow.start)).toBe(PREDICTION_DAY_TYPES.fertile);
+    expect(days.has(addDays(prediction.fertileWindow.start, -1))).toBe(false);
+  });
+
+  it('returns an empty map without a forecast', () => {
+    expect(getPredictionDays(null).size).toBe(0);
+  });
+});
@@ -0,0 +1,29 @@
+import { scoreQuestionnaire } from '../questionnaires';
+
+// Answers to the 11 MRS items, in item order
+function mrsAnswers(values) {
+  return Object.fromEntries(values.map((value, index) => [index + 1, value]));
+}
+
+describe('scoreQuestionnaire', () => {
+  it('puts MRS totals in the published bands', () => {
+    const band = (values) => scoreQuestionnaire('mrs', mrsAnswers(values)).band.label;
+
+    expect(band([4, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])).toBe('None or little');
+    expect(band([4, 4, 0, 0, 0, 0, 0, 0, 0, 0, 0])).toBe('Mild');
+    expect(band([4, 4, 4, 4, 0, 0, 0, 0, 0, 0, 0])).toBe('Moderate');
+    expect(band([4, 4, 4, 4, 1, 0, 0, 0, 0, 0, 0])).toBe('Severe');
+  });
+
+  it('scores the MRS subscales', () => {
+    const { total, complete, subscales } = scoreQuestionnaire('mrs', mrsAnswers([1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 1]));
+
+    expect(total).toBe(21);
+    expect(complete).toBe(true);
+    expect(subscales.map(({ id, score }) => [id, score])).toEqual([
+      ['somatic', 4],
+      ['psychological', 8],
+      ['urogenital', 9],
+    ]);
+  });
+});
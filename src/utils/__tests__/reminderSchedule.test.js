@@ -0,0 +1,127 @@
+import {
+  REMINDER_WINDOW_DAYS,
+  MEDICATION_REMINDER_WINDOW_DAYS,
+  MAX_SCHEDULED_REMINDERS,
+  normalizeReminderSettings,
+  getDailyReminderDates,
+  getMedicationReminder,
+  getMedicationReminderDates,
+  getReminderPlan,
+} from '../reminderSchedule';
+
+// Monday 3 June 2024, mid-morning local time
+const now = new Date(2024, 5, 3, 10, 30);
+
+function localTimes(dates) {
+  return dates.map((date) => `${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`);
+}
+
+describe('getDailyReminderDates', () => {
+  it('fills the window with one reminder a day, soonest first', () => {
+    const dates = getDailyReminderDates({ enabled: true, time: '20:00' }, { now });
+
+    expect(dates).toHaveLength(REMINDER_WINDOW_DAYS);
+    expect(localTimes(dates.slice(0, 2))).toEqual(['6/3 20:00', '6/4 20:00']);
+    expect(localTimes(dates.slice(-1))).toEqual(['6/16 20:00']);
+  });
+
+  it('starts tomorrow once today\'s time has passed', () => {
+    const dates = getDailyReminderDates({ enabled: true, time: '09:00' }, { now });
+
+    expect(localTimes(dates.slice(0, 1))).toEqual(['6/4 9:00']);
+    expect(dates).toHaveLength(REMINDER_WINDOW_DAYS - 1);
+  });
+
+  it('skips quiet days', () => {
+    const dates = getDailyReminderDates({ enabled: true, time: '20:00', quietDays: [0, 6] }, { now, days: 7 });
+
+    expect(localTimes(dates)).toEqual(['6/3 20:00', '6/4 20:00', '6/5 20:00', '6/6 20:00', '6/7 20:00']);
+  });
+
+  it('skips today when it has already been logged', () => {
+    const dates = getDailyReminderDates({ enabled: true, time: '20:00' }, { now, loggedToday: true, days: 3 });
+
+    expect(localTimes(dates)).toEqual(['6/4 20:00', '6/5 20:00']);
+  });
+
+  it('schedules nothing when turned off', () => {
+    expect(getDailyReminderDates({ enabled: false, time: '20:00' }, { now })).toEqual([]);
+  });
+
+  // The tests run in Berlin, two hours ahead of UTC in June
+  it('skips a reminder after midnight that still falls on the logged UTC day', () => {
+    const dates = getDailyReminderDates({ enabled: true, time: '01:00' }, { now, loggedToday: true, days: 3 });
+
+    expect(dates.map((date) => date.toISOString())).toEqual(['2024-06-04T23:00:00.000Z']);
+  });
+
+  it('keeps the same reminder when today is not logged', () => {
+    const dates = getDailyReminderDates({ enabled: true, time: '01:00' }, { now, days: 3 });
+
+    expect(dates.map((date) => date.toISOString())).toEqual(['2024-06-03T23:00:00.000Z', '2024-06-04T23:00:00.000Z']);
+  });
+});
+
+describe('normalizeReminderSettings', () => {
+  it('falls back to the default time and drops invalid quiet days', () => {
+    expect(normalizeReminderSettings({ enabled: 1, time: '25:00', quietDays: [6, 0, 6, 7, 'x'] })).toEqual({
+      enabled: true,
+      time: '09:00',
+      quietDays: [0, 6],
+    });
+  });
+});
+
+describe('getMedicationReminderDates', () => {
+  const twiceDaily = { frequency: 'twice_daily', reminders_enabled: 1, reminder_times: '08:00,20:00', active: 1 };
+
+  it('fills the window with every dose time', () => {
+    const dates = getMedicationReminderDates(twiceDaily, { now });
+
+    // This morning's dose has already passed
+    expect(dates).toHaveLength(MEDICATION_REMINDER_WINDOW_DAYS * 2 - 1);
+    expect(localTimes(dates.slice(0, 3))).toEqual(['6/3 20:00', '6/4 8:00', '6/4 20:00']);
+  });
+
+  it('only reminds of weekly doses on their weekday', () => {
+    const weekly = { frequency: 'weekly', reminders_enabled: 1, reminder_times: '09:00', reminder_weekday: 3, active: 1 };
+
+    expect(localTimes(getMedicationReminderDates(weekly, { now, days: 14 }))).toEqual(['6/5 9:00', '6/12 9:00']);
+  });
+
+  it('schedules nothing for stopped medications or ones taken as needed', () => {
+    expect(getMedicationReminderDates({ ...twiceDaily, active: 0 }, { now })).toEqual([]);
+    expect(getMedicationReminderDates({ frequency: 'as_needed', reminders_enabled: 1, active: 1 }, { now })).toEqual([]);
+  });
+
+  it('fills dose times that were never set from the defaults', () => {
+    expect(getMedicationReminder({ frequency: 'twice_daily', reminders_enabled: 1, reminder_times: '07:30' }).times)
+      .toEqual(['07:30', '21:00']);
+  });
+});
+
+describe('getReminderPlan', () => {
+  const settings = { enabled: true, time: '20:00' };
+  const medications = [1, 2, 3, 4].map((id) => ({
+    id,
+    frequency: 'twice_daily',
+    reminders_enabled: 1,
+    reminder_times: '08:00,21:00',
+    active: 1,
+  }));
+
+  it('keeps the soonest reminders within the limit', () => {
+    const plan = getReminderPlan(settings, medications, { now });
+
+    expect(plan).toHaveLength(MAX_SCHEDULED_REMINDERS);
+    expect(plan.map(({ medication }) => medication?.id ?? null).slice(0, 6)).toEqual([null, 1, 2, 3, 4, 1]);
+    const dropped = getReminderPlan(settings, medications, { now, limit: Infinity }).slice(MAX_SCHEDULED_REMINDERS);
+    expect(dropped.length).toBeGreaterThan(0);
+    expect(dropped.every(({ date }) => date >= plan[plan.length - 1].date)).toBe(true);
+  });
+
+  it('leaves room for reminders that are already scheduled', () => {
+    expect(getReminderPlan(settings, medications, { now, limit: 10 })).toHaveLength(10);
+    expect(getReminderPlan(settings, medications, { now, limit: -2 })).toEqual([]);
+  });
+});
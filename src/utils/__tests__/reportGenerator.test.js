@@ -0,0 +1,62 @@
+import { generateReportCSV } from '../reportGenerator';
+
+function log(date, fields = {}) {
+  return { date, cycle_day: 3, period_flow: 'none', symptoms: [], triggers: [], medicationDoses: [], ...fields };
+}
+
+function parse(csv) {
+  return csv.trimEnd().split('\r\n');
+}
+
+describe('generateReportCSV', () => {
+  it('has a row per log and a column per logged symptom', () => {
+    const [header, ...rows] = parse(generateReportCSV([
+      log('2024-03-01', { symptoms: [{ symptom_id: 'hot_flashes', severity: 3 }] }),
+      log('2024-03-02'),
+    ]));
+
+    expect(header).toContain('Hot Flashes Severity (1-5)');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].split(',')[11]).toBe('3');
+    expect(rows[1].split(',')[11]).toBe('');
+  });
+
+  it('leaves the cycle day out after the final period', () => {
+    const [, before, after] = parse(generateReportCSV(
+      [log('2024-03-01'), log('2025-04-01')],
+      { finalPeriodDate: '2024-03-10' }
+    ));
+
+    expect(before.split(',')[1]).toBe('3');
+    expect(after.split(',')[1]).toBe('');
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const [, row] = parse(generateReportCSV([log('2024-03-01', { notes: 'Tired, "very"\nslept late' })]));
+
+    expect(row.endsWith('"Tired, ""very""\nslept late"')).toBe(true);
+  });
+
+  it.each(['=1+1', '+1', '-1', '@SUM(A1)', '\tcmd', '\r=1'])('keeps %j from being read as a formula', (notes) => {
+    const [, row] = parse(generateReportCSV([log('2024-03-01', { notes })]));
+    const field = row.slice(row.lastIndexOf(',') + 1);
+
+    expect(field.replace(/^"/, '').startsWith("'")).toBe(true);
+  });
+
+  it('labels dose columns with the amount each dose was logged with', () => {
+    const dose = (date, amount) => ({ medication_id: 1, name: 'Estradiol', dose: '2mg', date, amount });
+    const [header, first, second] = parse(generateReportCSV([
+      log('2024-03-01', { medicationDoses: [dose('2024-03-01', '1mg')] }),
+      log('2024-03-02', { medicationDoses: [dose('2024-03-02', '2mg'), dose('2024-03-02', '2mg')] }),
+    ]));
+
+    const columns = header.split(',');
+    const oneMg = columns.indexOf('Estradiol 1mg Doses');
+    const twoMg = columns.indexOf('Estradiol 2mg Doses');
+    expect(oneMg).toBeGreaterThan(0);
+    expect(twoMg).toBeGreaterThan(0);
+    expect([first.split(',')[oneMg], first.split(',')[twoMg]]).toEqual(['1', '0']);
+    expect([second.split(',')[oneMg], second.split(',')[twoMg]]).toEqual(['0', '2']);
+  });
+});
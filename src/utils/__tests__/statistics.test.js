@@ -0,0 +1,122 @@
+import {
+  createRandom,
+  rank,
+  spearman,
+  spearmanPValue,
+  spearmanWithInterval,
+  meanDifferenceWithInterval,
+  standardDeviationWithInterval,
+  benjaminiHochberg,
+} from '../statistics';
+
+function draw(random, count) {
+  return Array.from({ length: count }, () => random());
+}
+
+describe('createRandom', () => {
+  it('gives the same sequence for the same seed', () => {
+    expect(draw(createRandom(42), 5)).toEqual(draw(createRandom(42), 5));
+    expect(draw(createRandom(42), 5)).not.toEqual(draw(createRandom(43), 5));
+  });
+
+  it('draws evenly from [0, 1)', () => {
+    const values = draw(createRandom(7), 10000);
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+    expect(values.filter((v) => v < 0.5).length / values.length).toBeCloseTo(0.5, 1);
+  });
+});
+
+describe('rank', () => {
+  it('ranks from 1 in the original order', () => {
+    expect(rank([30, 10, 20])).toEqual([3, 1, 2]);
+  });
+
+  it('gives tied values the average of their ranks', () => {
+    expect(rank([2, 1, 2, 3, 2])).toEqual([3, 1, 3, 5, 3]);
+    expect(rank([0, 0, 0, 4])).toEqual([2, 2, 2, 4]);
+  });
+});
+
+describe('spearman', () => {
+  it('is 1 or -1 for any monotonic relationship', () => {
+    expect(spearman([1, 2, 3, 4, 5], [1, 4, 9, 16, 25])).toBeCloseTo(1);
+    expect(spearman([1, 2, 3, 4, 5], [10, 5, 2, 1, 0])).toBeCloseTo(-1);
+  });
+
+  it('matches a worked example with ties', () => {
+    // Pearson correlation of the ranks [1, 2.5, 2.5, 4, 5] and [2, 1, 3, 5, 4]
+    expect(spearman([1, 2, 2, 3, 4], [20, 10, 30, 50, 40])).toBeCloseTo(0.7182, 4);
+  });
+
+  it('is null for a constant series, unequal lengths or too few pairs', () => {
+    expect(spearman([1, 1, 1, 1], [1, 2, 3, 4])).toBeNull();
+    expect(spearman([1, 2, 3], [1, 2])).toBeNull();
+    expect(spearman([1, 2], [1, 2])).toBeNull();
+  });
+});
+
+describe('spearmanPValue', () => {
+  it('matches Fisher\'s z for Spearman correlations', () => {
+    // z = atanh(0.3) * sqrt(47 / 1.06) = 2.061
+    expect(spearmanPValue(0.3, 50)).toBeCloseTo(0.0393, 3);
+    expect(spearmanPValue(-0.3, 50)).toBeCloseTo(spearmanPValue(0.3, 50), 10);
+    expect(spearmanPValue(0, 50)).toBeCloseTo(1, 6);
+  });
+
+  it('resolves p-values far below what the bootstrap can', () => {
+    expect(spearmanPValue(0.6, 90)).toBeGreaterThan(0);
+    expect(spearmanPValue(0.6, 90)).toBeLessThan(1e-6);
+    expect(spearmanPValue(0.6, 90)).toBeLessThan(spearmanPValue(0.5, 90));
+  });
+});
+
+describe('benjaminiHochberg', () => {
+  it('keeps every p-value up to the largest one under its threshold', () => {
+    // Thresholds at a rate of 0.05 are 0.01, 0.02, 0.03, 0.04 and 0.05
+    expect(benjaminiHochberg([0.04, 0.001, 0.5, 0.025, 0.03])).toEqual([true, true, false, true, true]);
+    // 0.02 is over its own threshold but kept, as 0.04 is under the last one
+    expect(benjaminiHochberg([0.02, 0.03, 0.04])).toEqual([true, true, true]);
+  });
+
+  it('finds nothing among p-values that are all above their thresholds', () => {
+    expect(benjaminiHochberg([0.02, 0.045, 0.2, 0.7])).toEqual([false, false, false, false]);
+    expect(benjaminiHochberg([])).toEqual([]);
+  });
+});
+
+describe('bootstrapped intervals', () => {
+  const random = createRandom(3);
+  const xs = Array.from({ length: 40 }, () => random() * 10);
+  const ys = xs.map((x) => x + random() * 4);
+
+  it('are the same on every run', () => {
+    expect(spearmanWithInterval(xs, ys)).toEqual(spearmanWithInterval(xs, ys));
+    expect(standardDeviationWithInterval(xs)).toEqual(standardDeviationWithInterval(xs));
+  });
+
+  it('change with the seed', () => {
+    expect(spearmanWithInterval(xs, ys, { seed: 1 })).not.toEqual(spearmanWithInterval(xs, ys, { seed: 2 }));
+  });
+
+  it('surround the estimate and exclude zero for a clear effect', () => {
+    const result = spearmanWithInterval(xs, ys);
+
+    expect(result.n).toBe(40);
+    expect(result.low).toBeLessThan(result.estimate);
+    expect(result.high).toBeGreaterThan(result.estimate);
+    expect(result.low).toBeGreaterThan(0);
+    expect(result.p).toBeLessThan(0.01);
+  });
+
+  it('include zero when there is no difference', () => {
+    const a = Array.from({ length: 30 }, () => random());
+    const b = Array.from({ length: 30 }, () => random());
+    const result = meanDifferenceWithInterval(a, b);
+
+    expect(result.low).toBeLessThan(0);
+    expect(result.high).toBeGreaterThan(0);
+    expect(result.p).toBeGreaterThan(0.05);
+  });
+});
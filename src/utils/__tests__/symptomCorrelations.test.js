@@ -0,0 +1,129 @@
+import { measureSymptomPairs, getSymptomCorrelations, getSymptomCorrelationMatrix } from '../analysis';
+import { FALSE_DISCOVERY_RATE } from '../statistics';
+import { createLogs, symptoms } from '../../../test/fixtures/logs';
+
+// Five symptoms logged independently of each other
+function nullLogs(seed) {
+  return createLogs({
+    seed,
+    fill: ({ chance, pick }) => ({
+      symptoms: symptoms({
+        hot_flashes: chance(0.4) && pick([1, 2, 3]),
+        night_sweats: chance(0.3) && pick([1, 2, 3]),
+        fatigue: chance(0.35) && pick([1, 2, 3]),
+        brain_fog: chance(0.25) && pick([1, 2]),
+        joint_pain: chance(0.3) && pick([1, 2]),
+      }),
+    }),
+  });
+}
+
+// Night sweats follow hot flashes, and joint pain keeps away from brain fog
+function plantedLogs() {
+  return createLogs({
+    seed: 41,
+    fill: ({ chance, pick }) => {
+      const hotFlashes = chance(0.4) && pick([1, 2, 3]);
+      const brainFog = chance(0.4) && 2;
+      return {
+        symptoms: symptoms({
+          hot_flashes: hotFlashes,
+          night_sweats: hotFlashes ? chance(0.8) && hotFlashes : chance(0.1) && 1,
+          fatigue: chance(0.35) && pick([1, 2, 3]),
+          brain_fog: brainFog,
+          joint_pain: brainFog ? chance(0.05) && 1 : chance(0.6) && 2,
+        }),
+      };
+    },
+  });
+}
+
+function pairKey({ symptom1, symptom2 }) {
+  return [symptom1, symptom2].sort().join('|');
+}
+
+describe('getSymptomCorrelations', () => {
+  it('finds symptoms planted to go together and apart', () => {
+    const pairs = getSymptomCorrelations(plantedLogs());
+
+    expect(pairs.map(pairKey).sort()).toEqual(['brain_fog|joint_pain', 'hot_flashes|night_sweats']);
+    const together = pairs.find((p) => pairKey(p) === 'hot_flashes|night_sweats');
+    expect(together.direction).toBe('positive');
+    expect(together.low).toBeGreaterThan(0);
+    expect(together.coOccurrences).toBeGreaterThan(together.expected);
+    const apart = pairs.find((p) => pairKey(p) === 'brain_fog|joint_pain');
+    expect(apart.direction).toBe('negative');
+    expect(apart.phi).toBeLessThan(0);
+    expect(apart.coOccurrences).toBeLessThan(apart.expected);
+  });
+
+  it('lists the strongest pair first', () => {
+    const pairs = getSymptomCorrelations(plantedLogs());
+
+    expect(Math.abs(pairs[0].correlation)).toBeGreaterThanOrEqual(Math.abs(pairs[1].correlation));
+  });
+
+  // Seed 2 is one of the one in 20 that turn up a chance pair
+  it.each([1, 3, 4])('finds nothing among independent symptoms (seed %i)', (seed) => {
+    expect(getSymptomCorrelations(nullLogs(seed))).toEqual([]);
+  });
+
+  it('finds something among independent symptoms no more often than the false discovery rate', () => {
+    const seeds = Array.from({ length: 40 }, (_, i) => 100 + i);
+    const withPairs = seeds.filter((seed) => getSymptomCorrelations(nullLogs(seed)).length > 0);
+
+    expect(withPairs.length / seeds.length).toBeLessThanOrEqual(FALSE_DISCOVERY_RATE);
+  });
+
+  it('leaves out symptoms logged on too few days', () => {
+    const logs = plantedLogs().map((log, index) => (index < 4 ? { ...log, symptoms: symptoms({ chills: 2, palpitations: 2 }) } : log));
+
+    expect(getSymptomCorrelations(logs).flatMap((p) => [p.symptom1, p.symptom2])).not.toContain('chills');
+  });
+});
+
+describe('getSymptomCorrelationMatrix', () => {
+  it('puts symptoms that go together next to each other', () => {
+    const { symptomIds, cells } = getSymptomCorrelationMatrix(plantedLogs());
+    const position = (id) => symptomIds.indexOf(id);
+
+    expect(symptomIds).toHaveLength(5);
+    expect(Math.abs(position('hot_flashes') - position('night_sweats'))).toBe(1);
+    cells.forEach((row, i) => {
+      expect(row[i]).toBeNull();
+      row.forEach((cell, j) => {
+        if (i !== j) expect(cell).toEqual(cells[j][i]);
+      });
+    });
+    expect(cells[position('hot_flashes')][position('night_sweats')].significant).toBe(true);
+    expect(cells[position('hot_flashes')][position('fatigue')].significant).toBe(false);
+  });
+
+  it('keeps the most often logged symptoms', () => {
+    const logs = plantedLogs();
+    const days = {};
+    logs.flatMap((log) => log.symptoms).forEach((s) => { days[s.symptom_id] = (days[s.symptom_id] || 0) + 1; });
+    const mostLogged = Object.keys(days).sort((x, y) => days[y] - days[x]).slice(0, 3);
+
+    expect(getSymptomCorrelationMatrix(logs, { limit: 3 }).symptomIds.sort()).toEqual(mostLogged.sort());
+  });
+
+  it('needs at least three symptoms', () => {
+    const logs = nullLogs(1).map((log) => ({
+      ...log,
+      symptoms: log.symptoms.filter((s) => ['hot_flashes', 'fatigue'].includes(s.symptom_id)),
+    }));
+
+    expect(getSymptomCorrelationMatrix(logs)).toBeNull();
+  });
+});
+
+describe('measureSymptomPairs', () => {
+  it('gives the same list and heatmap when measured once and shared', () => {
+    const logs = plantedLogs();
+    const measured = measureSymptomPairs(logs);
+
+    expect(getSymptomCorrelations(logs, { measured })).toEqual(getSymptomCorrelations(logs));
+    expect(getSymptomCorrelationMatrix(logs, { measured })).toEqual(getSymptomCorrelationMatrix(logs));
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  buildSymptomRegistry,
+  getSymptom,
+  getSymptomName,
+  getSymptomCategory,
+  getVisibleSymptoms,
+  isNewSymptom,
+  moveSymptom,
+} from '../symptoms';
+import { SYMPTOMS } from '../constants';
+
+const expandedIds = SYMPTOMS.filter((s) => (s.addedIn || 1) > 1).map((s) => s.id);
+
+const customSymptoms = [
+  { symptom_id: 'custom_tinnitus', name: 'Tinnitus', category: 'physical', icon: 'ear', active: 1 },
+  { symptom_id: 'custom_itching', name: 'Itching', category: null, icon: null, active: 0 },
+];
+
+describe('buildSymptomRegistry', () => {
+  it('adds custom symptoms after the catalog, hiding archived ones', () => {
+    const registry = buildSymptomRegistry(customSymptoms);
+
+    expect(registry.slice(-2)).toEqual([
+      expect.objectContaining({ id: 'custom_tinnitus', name: 'Tinnitus', category: 'physical', custom: true, hidden: false }),
+      expect.objectContaining({ id: 'custom_itching', category: 'custom', icon: 'plus', hidden: true }),
+    ]);
+    expect(getVisibleSymptoms(registry).map((s) => s.id)).not.toContain('custom_itching');
+  });
+
+  it('applies renames and new categories', () => {
+    const registry = buildSymptomRegistry([], [{ symptom_id: 'fatigue', name: 'Exhaustion', category: 'physical' }]);
+
+    expect(getSymptom('fatigue', registry)).toMatchObject({ name: 'Exhaustion', category: 'physical', custom: false });
+  });
+
+  it('puts reordered symptoms first, the rest in catalog order', () => {
+    const registry = buildSymptomRegistry(customSymptoms, [
+      { symptom_id: 'custom_tinnitus', sort_order: 0 },
+      { symptom_id: 'fatigue', sort_order: 1 },
+    ]);
+
+    expect(registry.slice(0, 4).map((s) => s.id)).toEqual([
+      'custom_tinnitus',
+      'fatigue',
+      SYMPTOMS[0].id,
+      SYMPTOMS[1].id,
+    ]);
+    expect(registry).toHaveLength(SYMPTOMS.length + customSymptoms.length);
+  });
+
+  it('shows the whole catalog when the database started with the current version', () => {
+    expect(getVisibleSymptoms(buildSymptomRegistry())).toHaveLength(SYMPTOMS.length);
+  });
+
+  it('hides symptoms added after the version the database started with', () => {
+    const registry = buildSymptomRegistry([], [], 1);
+    const hidden = registry.filter((s) => s.hidden).map((s) => s.id);
+
+    expect(expandedIds.length).toBeGreaterThan(0);
+    expect(hidden).toEqual(expandedIds);
+  });
+
+  it('keeps the user\'s own choice over the catalog default', () => {
+    const registry = buildSymptomRegistry([], [
+      { symptom_id: expandedIds[0], hidden: 0 },
+      { symptom_id: 'hot_flashes', hidden: 1 },
+    ], 1);
+
+    expect(registry.find((s) => s.id === expandedIds[0]).hidden).toBe(false);
+    expect(registry.find((s) => s.id === 'hot_flashes').hidden).toBe(true);
+  });
+});
+
+describe('getSymptom', () => {
+  const registry = buildSymptomRegistry(customSymptoms, [{ symptom_id: 'hot_flashes', name: 'Flushes' }]);
+
+  it('resolves names and categories through the registry', () => {
+    expect(getSymptomName('hot_flashes', registry)).toBe('Flushes');
+    expect(getSymptomName('hot_flashes')).toBe('Hot Flashes');
+    expect(getSymptomName('custom_tinnitus', registry)).toBe('Tinnitus');
+    expect(getSymptomCategory('custom_tinnitus', registry).id).toBe('physical');
+  });
+
+  it('falls back to a hidden custom symptom for unknown ids', () => {
+    expect(getSymptom('custom_gone', registry)).toMatchObject({
+      name: 'custom_gone',
+      custom: true,
+      hidden: true,
+    });
+    expect(getSymptomCategory('custom_gone', registry).id).toBe('custom');
+  });
+});
+
+describe('moveSymptom', () => {
+  const registry = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+  it('moves a symptom up or down', () => {
+    expect(moveSymptom(registry, 'c', -1)).toEqual(['a', 'c', 'b']);
+    expect(moveSymptom(registry, 'a', 2)).toEqual(['b', 'c', 'a']);
+  });
+
+  it('keeps the order when the move would leave the list', () => {
+    expect(moveSymptom(registry, 'a', -1)).toEqual(['a', 'b', 'c']);
+    expect(moveSymptom(registry, 'x', 1)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('isNewSymptom', () => {
+  const registry = buildSymptomRegistry(customSymptoms);
+
+  it('marks the built-in symptoms added in the latest catalog version', () => {
+    expect(isNewSymptom(getSymptom(expandedIds[0], registry))).toBe(true);
+    expect(isNewSymptom(getSymptom('hot_flashes', registry))).toBe(false);
+  });
+
+  it('never marks custom symptoms', () => {
+    expect(isNewSymptom(getSymptom('custom_tinnitus', registry))).toBe(false);
+  });
+});
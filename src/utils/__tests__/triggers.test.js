@@ -0,0 +1,34 @@
+import { getTriggerCatalog, getTriggerLabel } from '../triggers';
+import { TRIGGERS } from '../constants';
+
+const customTriggers = [
+  { trigger_id: 'custom_wine', name: 'Red Wine', icon: 'glass-wine', active: 1 },
+  { trigger_id: 'custom_gluten', name: 'Gluten', icon: null, active: 0 },
+];
+
+describe('getTriggerCatalog', () => {
+  it('lists the built-in triggers, then the active custom ones', () => {
+    const catalog = getTriggerCatalog(customTriggers);
+
+    expect(catalog).toHaveLength(TRIGGERS.length + 1);
+    expect(catalog[0]).toEqual({ ...TRIGGERS[0], custom: false });
+    expect(catalog[catalog.length - 1]).toEqual({
+      id: 'custom_wine',
+      label: 'Red Wine',
+      icon: 'glass-wine',
+      custom: true,
+    });
+  });
+});
+
+describe('getTriggerLabel', () => {
+  it('names built-in and custom triggers, including removed ones', () => {
+    expect(getTriggerLabel('late_meal')).toBe('Late Meal');
+    expect(getTriggerLabel('custom_wine', customTriggers)).toBe('Red Wine');
+    expect(getTriggerLabel('custom_gluten', customTriggers)).toBe('Gluten');
+  });
+
+  it('falls back to the id of an unknown trigger', () => {
+    expect(getTriggerLabel('custom_gone')).toBe('custom_gone');
+  });
+});
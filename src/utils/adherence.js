@@ -0,0 +1,136 @@
+// Medication adherence
+//
+// Builds the dose schedule a medication's frequency expects over the time it
+// has been taken (from its history, see medicationHistory.js) and checks each
+// period of it against the logged doses:
+//   - taken: every expected dose was logged
+//   - missed: not every dose was logged, but some were or something else was
+//     logged for that day (a daily entry, another dose) or its reminder was skipped
+//   - unknown: nothing at all was logged, so there's no telling
+// The adherence percentage is taken out of the taken and missed periods only;
+// unknown ones are counted separately rather than as missed.
+// Medications taken as needed have no schedule and only count doses.
+
+import { MEDICATION_FREQUENCIES } from './constants';
+import { getActivePeriods } from './medicationHistory';
+import { toDateString, addDays } from './dates';
+
+export const ADHERENCE_STATUS = {
+  taken: 'taken',
+  missed: 'missed',
+  unknown: 'unknown',
+};
+
+/**
+ * Expected doses per day for a frequency, or null when it has no fixed schedule
+ */
+export function getDosesPerDay(frequency) {
+  return MEDICATION_FREQUENCIES.find((f) => f.value === frequency)?.dosesPerDay ?? null;
+}
+
+/**
+ * Schedule of a frequency as { days, doses }: `doses` are expected in every
+ * period of `days` days. Null for frequencies without a fixed schedule.
+ */
+export function getDoseSchedule(frequency) {
+  const perDay = getDosesPerDay(frequency);
+  if (perDay === null) return null;
+  return perDay >= 1 ? { days: 1, doses: perDay } : { days: Math.round(1 / perDay), doses: 1 };
+}
+
+/**
+ * Adherence of one medication from startDate to endDate, counted only while
+ * it was being taken.
+ *  - events: its medication_events, which give when it was taken and how often
+ *  - doses: its doses in the range, as { date }
+ *  - trackedDates: dates with any daily entry or dose logged
+ *  - skippedDates: dates one of its reminders was skipped
+ * A period that hasn't finished by `today` or endDate is only counted once taken.
+ */
+export function calculateAdherence(
+  medication,
+  {
+    startDate,
+    endDate,
+    events = [],
+    doses = [],
+    trackedDates = [],
+    skippedDates = [],
+    today = toDateString(new Date()),
+  }
+) {
+  // The parts of the range it was taken on a schedule
+  const scheduledRanges = getActivePeriods(medication, events)
+    .map((active) => ({
+      from: active.start && active.start > startDate ? active.start : startDate,
+      to: active.end && active.end < endDate ? active.end : endDate,
+      schedule: getDoseSchedule(active.frequency),
+    }))
+    .filter((range) => range.schedule && range.from <= range.to);
+
+  const result = {
+    scheduled: scheduledRanges.length > 0,
+    periodDays: scheduledRanges.length > 0 ? scheduledRanges[scheduledRanges.length - 1].schedule.days : null,
+    takenDoses: doses.length,
+    expectedDoses: scheduledRanges.length > 0 ? 0 : null,
+    periods: [],
+    taken: 0,
+    missed: 0,
+    unknown: 0,
+    adherence: null,
+    currentStreak: 0,
+    longestStreak: 0,
+  };
+  if (!result.scheduled) return result;
+
+  const dosesByDate = {};
+  for (const dose of doses) {
+    dosesByDate[dose.date] = (dosesByDate[dose.date] || 0) + 1;
+  }
+  const tracked = new Set(trackedDates);
+  const skipped = new Set(skippedDates);
+
+  let streak = 0;
+  for (const { from, to, schedule } of scheduledRanges) {
+    for (let start = from; start <= to; start = addDays(start, schedule.days)) {
+      const end = addDays(start, schedule.days - 1);
+      let count = 0;
+      let known = false;
+      for (let date = start; date <= end && date <= to; date = addDays(date, 1)) {
+        count += dosesByDate[date] || 0;
+        known = known || tracked.has(date) || skipped.has(date);
+      }
+
+      let status;
+      if (count >= schedule.doses) {
+        status = ADHERENCE_STATUS.taken;
+      } else if (end >= today || end > to) {
+        // Still time to take it, or it was stopped part way through
+        continue;
+      } else {
+        status = known || count > 0 ? ADHERENCE_STATUS.missed : ADHERENCE_STATUS.unknown;
+      }
+
+      result.periods.push({ start, end, status, doses: count });
+      result[status]++;
+      result.expectedDoses += schedule.doses;
+
+      streak = status === ADHERENCE_STATUS.taken ? streak + 1 : 0;
+      result.longestStreak = Math.max(result.longestStreak, streak);
+    }
+  }
+
+  result.currentStreak = streak;
+  const known = result.taken + result.missed;
+  if (known > 0) {
+    result.adherence = Math.round((result.taken / known) * 100);
+  }
+  return result;
+}
+
+export default {
+  ADHERENCE_STATUS,
+  getDosesPerDay,
+  getDoseSchedule,
+  calculateAdherence,
+};
@@ -1,232 +1,343 @@
 // Pattern analysis utilities for perimenopause tracking
 
-import { SYMPTOMS, CYCLE_PHASES } from './constants';
+import { CYCLE_PHASES } from './constants';
+import { getTriggerLabel } from './triggers';
+import { getSymptomName } from './symptoms';
+import { addDays, getWeekday } from './dates';
+import {
+  CONFIDENCE_LEVEL,
+  mean,
+  spearman,
+  spearmanWithInterval,
+  meanDifferenceWithInterval,
+  standardDeviationWithInterval,
+  benjaminiHochberg,
+  excludes,
+} from './statistics';
+
+// Insight engine. A pattern is only reported when its confidence interval
+// rules out no effect, the estimate is large enough to matter, and it holds
+// up at the false discovery rate across everything that was tested.
+const MIN_PATTERN_DAYS = 7;
+// Days needed on each side of a comparison, and pairs for a correlation
+const MIN_GROUP_DAYS = 5;
+const MIN_CORRELATION_DAYS = 10;
+// From this many days (in the smaller group) confidence is high
+const HIGH_CONFIDENCE_DAYS = 20;
+const HIGH_CONFIDENCE_CYCLES = 6;
+// Smallest effects worth pointing out
+const MIN_CORRELATION = 0.3;
+const MIN_SYMPTOM_DIFFERENCE = 0.5;
+const MIN_MOOD_SD = 2;
+// STRAW+10: a persistent 7+ day difference in cycle length marks early perimenopause
+const MIN_CYCLE_VARIATION = 7;
+const MAX_TRIGGER_INSIGHTS = 3;
+// How many insights each family of tests may contribute
+const FAMILY_LIMITS = { weekday: 1, phase: 1, trigger: MAX_TRIGGER_INSIGHTS };
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function getConfidence(days) {
+  return days >= HIGH_CONFIDENCE_DAYS ? 'high' : 'moderate';
+}
+
+function plural(count, word) {
+  return `${count} ${count === 1 ? word : `${word}s`}`;
+}
+
+function formatInterval(result, digits) {
+  return `${Math.round(CONFIDENCE_LEVEL * 100)}% CI ${result.low.toFixed(digits)} to ${result.high.toFixed(digits)}`;
+}
+
+function describeCorrelation(result, what) {
+  return `Spearman correlation between ${what} of ${result.estimate.toFixed(2)} (${formatInterval(result, 2)}) over ${plural(result.n, 'day')}.`;
+}
+
+function symptomCount(log) {
+  return log.symptoms?.length || 0;
+}
+
+/**
+ * Pick the insights to show from the analyzers' candidates. Candidates with a
+ * p-value are tests: together they're held to the false discovery rate, and
+ * an insight is only shown for a discovery whose interval excludes zero.
+ * Within a family the first candidates win (analyzers list the strongest
+ * first), and `key` keeps one insight per trigger-symptom pair.
+ */
+function selectInsights(candidates) {
+  const tests = candidates.filter((c) => c.p !== undefined);
+  const discoveries = benjaminiHochberg(tests.map((c) => c.p));
+  const significant = new Set(tests.filter((c, index) => discoveries[index] && excludes(c.result)));
+
+  const familyCounts = {};
+  const reportedKeys = new Set();
+  const insights = [];
+  for (const candidate of candidates) {
+    if (!candidate.insight) continue;
+    if (candidate.p !== undefined && !significant.has(candidate)) continue;
+    if (candidate.key) {
+      if (reportedKeys.has(candidate.key)) continue;
+      reportedKeys.add(candidate.key);
+    }
+    if (candidate.family) {
+      familyCounts[candidate.family] = (familyCounts[candidate.family] || 0) + 1;
+      if (familyCounts[candidate.family] > FAMILY_LIMITS[candidate.family]) continue;
+    }
+    insights.push(candidate.insight);
+  }
+  return insights;
+}
+
+/**
+ * Compare symptoms a day in each group ({ name, counts }) with all the other
+ * days. Returns one test per group with enough days, largest increase first,
+ * each with `others` and the `result` of its comparison.
+ */
+function compareGroups(groups) {
+  const total = groups.reduce((sum, g) => sum + g.counts.length, 0);
+  return groups
+    .filter((g) => g.counts.length >= MIN_GROUP_DAYS && total - g.counts.length >= MIN_GROUP_DAYS)
+    .map((g) => {
+      const others = groups.filter((other) => other !== g).flatMap((other) => other.counts);
+      return { ...g, others, result: meanDifferenceWithInterval(g.counts, others) };
+    })
+    .filter((g) => g.result)
+    .sort((a, b) => b.result.estimate - a.result.estimate);
+}
 
 /**
- * Analyze patterns in logged data
+ * Analyze patterns in logged data. After the final menstrual period
+ * (menopauseStatus from getMenopauseStatus) cycle-based insights are
+ * replaced by a flag for any bleeding logged since. customTriggers (rows of
+ * custom_triggers) name the user's own triggers and symptomRegistry (from
+ * getSymptomRegistry) their symptoms.
+ *
+ * Each insight is { icon, text, evidence, confidence }: `evidence` explains
+ * the numbers behind it and `confidence` is 'high' or 'moderate' (null for
+ * the reminder to keep logging). Bootstrapped intervals are seeded, so the
+ * same logs always give the same insights.
  */
-export function analyzePatterns(logs, cycleStats) {
+export function analyzePatterns(
+  logs,
+  cycleStats,
+  menopauseStatus = null,
+  { customTriggers = [], symptomRegistry } = {}
+) {
   const insights = [];
+  const isPostmenopausal = !!menopauseStatus?.isPostmenopausal;
+
+  if (isPostmenopausal && menopauseStatus.bleedingDates.length > 0) {
+    const count = menopauseStatus.bleedingDates.length;
+    insights.push({
+      icon: 'alert-circle',
+      text: `Bleeding was logged on ${plural(count, 'day')} after your final period. Bleeding after menopause should be checked by a clinician.`,
+      evidence: `Logged on ${menopauseStatus.bleedingDates.join(', ')}.`,
+      confidence: 'high',
+    });
+  }
 
-  if (logs.length < 7) {
+  if (logs.length < MIN_PATTERN_DAYS) {
     return {
       insights: [
         {
           icon: 'information',
           text: 'Continue logging for at least a week to see pattern insights.',
+          evidence: `${plural(logs.length, 'day')} logged so far.`,
+          confidence: null,
         },
       ],
     };
   }
 
+  const candidates = [];
+
   // Analyze symptom patterns by day of week
-  const dayOfWeekPatterns = analyzeDayOfWeekPatterns(logs);
-  if (dayOfWeekPatterns.length > 0) {
-    insights.push(...dayOfWeekPatterns);
-  }
+  candidates.push(...analyzeDayOfWeekPatterns(logs));
 
   // Analyze sleep-symptom correlation
-  const sleepInsights = analyzeSleepCorrelation(logs);
-  if (sleepInsights.length > 0) {
-    insights.push(...sleepInsights);
-  }
+  candidates.push(...analyzeSleepCorrelation(logs));
 
   // Analyze mood patterns
-  const moodInsights = analyzeMoodPatterns(logs);
-  if (moodInsights.length > 0) {
-    insights.push(...moodInsights);
-  }
+  candidates.push(...analyzeMoodPatterns(logs));
 
   // Analyze cycle-related patterns if we have cycle data
-  if (cycleStats && cycleStats.cycles && cycleStats.cycles.length >= 2) {
-    const cycleInsights = analyzeCyclePatterns(logs, cycleStats);
-    if (cycleInsights.length > 0) {
-      insights.push(...cycleInsights);
-    }
+  if (!isPostmenopausal && cycleStats && cycleStats.cycles && cycleStats.cycles.length >= 2) {
+    candidates.push(...analyzeCyclePatterns(logs, cycleStats));
   }
 
+  // Analyze symptoms by cycle phase using the stored cycle days
+  if (!isPostmenopausal) {
+    candidates.push(...analyzeSymptomsByCyclePhase(logs));
+  }
+
+  // Analyze symptoms on and after days with a trigger
+  candidates.push(...analyzeTriggerPatterns(logs, customTriggers, symptomRegistry));
+
+  insights.push(...selectInsights(candidates));
   return { insights };
 }
 
 /**
- * Analyze patterns by day of week
+ * Compare symptoms a day on each weekday with the rest of the week
  */
 function analyzeDayOfWeekPatterns(logs) {
-  const insights = [];
-  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-  // Group symptoms by day of week
-  const symptomsByDay = {};
-  for (let i = 0; i < 7; i++) {
-    symptomsByDay[i] = { count: 0, symptoms: [] };
-  }
-
+  const groups = DAY_NAMES.map((name) => ({ name, counts: [] }));
   for (const log of logs) {
-    const dayOfWeek = new Date(log.date).getDay();
-    if (log.symptoms && log.symptoms.length > 0) {
-      symptomsByDay[dayOfWeek].count += log.symptoms.length;
-      symptomsByDay[dayOfWeek].symptoms.push(...log.symptoms);
-    }
+    groups[getWeekday(log.date)].counts.push(symptomCount(log));
   }
 
-  // Find peak symptom days
-  const dayCounts = Object.entries(symptomsByDay).map(([day, data]) => ({
-    day: parseInt(day),
-    count: data.count,
-  }));
-
-  dayCounts.sort((a, b) => b.count - a.count);
-
-  if (dayCounts[0].count > dayCounts[6].count * 1.5 && dayCounts[0].count > 3) {
-    insights.push({
+  return compareGroups(groups).map(({ name, counts, others, result }) => ({
+    family: 'weekday',
+    p: result.p,
+    result,
+    insight: result.estimate >= MIN_SYMPTOM_DIFFERENCE && {
       icon: 'calendar-week',
-      text: `You tend to experience more symptoms on ${dayNames[dayCounts[0].day]}s.`,
-    });
-  }
-
-  return insights;
+      text: `You tend to experience more symptoms on ${name}s.`,
+      evidence: `${mean(counts).toFixed(1)} symptoms a day over ${plural(counts.length, name)}, against ${mean(others).toFixed(1)} on ${plural(others.length, 'other day')} (difference ${result.estimate.toFixed(1)}, ${formatInterval(result, 1)}).`,
+      confidence: getConfidence(result.n),
+    },
+  }));
 }
 
 /**
- * Analyze sleep-symptom correlations
+ * Correlate sleep quality with symptom count, and sleep hours with fatigue
  */
 function analyzeSleepCorrelation(logs) {
-  const insights = [];
+  const candidates = [];
 
-  // Group logs by sleep quality
-  const logsWithSleep = logs.filter((l) => l.sleep_hours && l.sleep_quality);
-  if (logsWithSleep.length < 5) return insights;
-
-  // Calculate average symptoms for good vs poor sleep
-  const goodSleepLogs = logsWithSleep.filter((l) => l.sleep_quality >= 4);
-  const poorSleepLogs = logsWithSleep.filter((l) => l.sleep_quality <= 2);
-
-  if (goodSleepLogs.length >= 3 && poorSleepLogs.length >= 3) {
-    const avgSymptomsGoodSleep =
-      goodSleepLogs.reduce((sum, l) => sum + (l.symptoms?.length || 0), 0) /
-      goodSleepLogs.length;
-    const avgSymptomsPoorSleep =
-      poorSleepLogs.reduce((sum, l) => sum + (l.symptoms?.length || 0), 0) /
-      poorSleepLogs.length;
-
-    if (avgSymptomsPoorSleep > avgSymptomsGoodSleep * 1.3) {
-      insights.push({
-        icon: 'sleep',
-        text: 'Poor sleep appears to be associated with more symptoms. Prioritizing sleep may help.',
+  const logsWithQuality = logs.filter((l) => l.sleep_quality);
+  if (logsWithQuality.length >= MIN_CORRELATION_DAYS) {
+    const result = spearmanWithInterval(
+      logsWithQuality.map((l) => l.sleep_quality),
+      logsWithQuality.map(symptomCount)
+    );
+    if (result) {
+      candidates.push({
+        p: result.p,
+        result,
+        insight: result.estimate <= -MIN_CORRELATION && {
+          icon: 'sleep',
+          text: 'Poor sleep appears to be associated with more symptoms. Prioritizing sleep may help.',
+          evidence: describeCorrelation(result, 'sleep quality and number of symptoms'),
+          confidence: getConfidence(result.n),
+        },
       });
     }
   }
 
-  // Check for fatigue after low sleep
-  const lowSleepLogs = logsWithSleep.filter((l) => l.sleep_hours < 6);
-  if (lowSleepLogs.length >= 3) {
-    const fatigueAfterLowSleep = lowSleepLogs.filter((l) =>
-      l.symptoms?.some((s) => s.symptom_id === 'fatigue')
-    );
-    if (fatigueAfterLowSleep.length / lowSleepLogs.length > 0.5) {
-      insights.push({
-        icon: 'battery-low',
-        text: 'Fatigue commonly follows nights with less than 6 hours of sleep.',
+  // Fatigue severity, 0 on days it wasn't logged
+  const logsWithHours = logs.filter((l) => l.sleep_hours);
+  const fatigue = logsWithHours.map(
+    (l) => l.symptoms?.find((s) => s.symptom_id === 'fatigue')?.severity || 0
+  );
+  const fatigueDays = fatigue.filter((f) => f > 0).length;
+  if (
+    logsWithHours.length >= MIN_CORRELATION_DAYS &&
+    fatigueDays >= MIN_GROUP_DAYS &&
+    logsWithHours.length - fatigueDays >= MIN_GROUP_DAYS
+  ) {
+    const result = spearmanWithInterval(logsWithHours.map((l) => l.sleep_hours), fatigue);
+    if (result) {
+      candidates.push({
+        p: result.p,
+        result,
+        insight: result.estimate <= -MIN_CORRELATION && {
+          icon: 'battery-low',
+          text: 'Fatigue tends to be worse after shorter nights.',
+          evidence: describeCorrelation(result, 'hours slept and fatigue severity'),
+          confidence: getConfidence(result.n),
+        },
       });
     }
   }
 
-  return insights;
+  return candidates;
 }
 
 /**
- * Analyze mood patterns
+ * Analyze mood variability and how anxiety relates to mood
  */
 function analyzeMoodPatterns(logs) {
-  const insights = [];
-
-  const logsWithMood = logs.filter((l) => l.mood_overall);
-  if (logsWithMood.length < 7) return insights;
-
-  // Calculate mood variability
-  const moodValues = logsWithMood.map((l) => l.mood_overall);
-  const avgMood = moodValues.reduce((a, b) => a + b, 0) / moodValues.length;
-  const variance =
-    moodValues.reduce((sum, m) => sum + Math.pow(m - avgMood, 2), 0) / moodValues.length;
-  const stdDev = Math.sqrt(variance);
-
-  if (stdDev > 2.5) {
-    insights.push({
-      icon: 'emoticon-confused',
-      text: 'Your mood has been quite variable. This can be common during perimenopause.',
-    });
+  const candidates = [];
+
+  // Variability is a description rather than a test: reported when even the
+  // low end of its interval is wide on the 10-point scale
+  const moodValues = logs.filter((l) => l.mood_overall).map((l) => l.mood_overall);
+  if (moodValues.length >= MIN_CORRELATION_DAYS) {
+    const result = standardDeviationWithInterval(moodValues);
+    if (result && result.low >= MIN_MOOD_SD) {
+      candidates.push({
+        insight: {
+          icon: 'emoticon-confused',
+          text: 'Your mood has been quite variable. This can be common during perimenopause.',
+          evidence: `Mood varied with a standard deviation of ${result.estimate.toFixed(1)} points on the 10-point scale (${formatInterval(result, 1)}) over ${plural(result.n, 'day')}.`,
+          confidence: getConfidence(result.n),
+        },
+      });
+    }
   }
 
-  // Check for anxiety-mood correlation
   const logsWithBoth = logs.filter((l) => l.mood_overall && l.mood_anxiety);
-  if (logsWithBoth.length >= 7) {
-    const highAnxietyLogs = logsWithBoth.filter((l) => l.mood_anxiety >= 7);
-    if (highAnxietyLogs.length >= 3) {
-      const avgMoodHighAnxiety =
-        highAnxietyLogs.reduce((sum, l) => sum + l.mood_overall, 0) / highAnxietyLogs.length;
-      if (avgMoodHighAnxiety < avgMood - 1.5) {
-        insights.push({
+  if (logsWithBoth.length >= MIN_CORRELATION_DAYS) {
+    const result = spearmanWithInterval(
+      logsWithBoth.map((l) => l.mood_anxiety),
+      logsWithBoth.map((l) => l.mood_overall)
+    );
+    if (result) {
+      candidates.push({
+        p: result.p,
+        result,
+        insight: result.estimate <= -MIN_CORRELATION && {
           icon: 'alert-circle',
           text: 'High anxiety days tend to coincide with lower mood. Consider stress-reduction techniques.',
-        });
-      }
+          evidence: describeCorrelation(result, 'anxiety and mood'),
+          confidence: getConfidence(result.n),
+        },
+      });
     }
   }
 
-  return insights;
+  return candidates;
 }
 
 /**
  * Analyze cycle-related patterns
  */
 function analyzeCyclePatterns(logs, cycleStats) {
-  const insights = [];
+  const candidates = [];
 
   // Check cycle length variability
   if (cycleStats.cycleLengths && cycleStats.cycleLengths.length >= 3) {
     const lengths = cycleStats.cycleLengths;
-    const avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+    const avgLength = mean(lengths);
     const maxVariation = Math.max(...lengths.map((l) => Math.abs(l - avgLength)));
 
-    if (maxVariation > 7) {
-      insights.push({
-        icon: 'calendar-clock',
-        text: `Your cycle length varies by up to ${Math.round(maxVariation)} days, which is common in perimenopause.`,
+    if (maxVariation >= MIN_CYCLE_VARIATION) {
+      candidates.push({
+        insight: {
+          icon: 'calendar-clock',
+          text: `Your cycle length varies by up to ${Math.round(maxVariation)} days, which is common in perimenopause.`,
+          evidence: `${lengths.length} cycles between ${Math.min(...lengths)} and ${Math.max(...lengths)} days long, averaging ${Math.round(avgLength)}. A difference of 7 or more days is a marker of early perimenopause.`,
+          confidence: lengths.length >= HIGH_CONFIDENCE_CYCLES ? 'high' : 'moderate',
+        },
       });
     }
   }
 
-  // Analyze symptoms by cycle phase (if we have enough data)
-  const recentCycle = cycleStats.cycles[0];
-  if (recentCycle) {
-    const phaseSymptoms = analyzeSymptomsByCyclePhase(logs, recentCycle.start_date);
-    if (phaseSymptoms) {
-      insights.push(...phaseSymptoms);
-    }
-  }
-
-  return insights;
+  return candidates;
 }
 
 /**
- * Analyze symptoms by cycle phase
+ * Compare symptoms a day in each cycle phase with the other phases, across
+ * every cycle in the logs
  */
-function analyzeSymptomsByCyclePhase(logs, cycleStartDate) {
-  const insights = [];
-  const cycleStart = new Date(cycleStartDate);
-
-  const phaseData = {
-    menstrual: { symptoms: [], days: [] },
-    follicular: { symptoms: [], days: [] },
-    ovulation: { symptoms: [], days: [] },
-    luteal: { symptoms: [], days: [] },
-  };
+function analyzeSymptomsByCyclePhase(logs) {
+  const phaseCounts = { menstrual: [], follicular: [], ovulation: [], luteal: [] };
 
   for (const log of logs) {
-    const logDate = new Date(log.date);
-    const cycleDay = Math.ceil((logDate - cycleStart) / (1000 * 60 * 60 * 24)) + 1;
+    const cycleDay = log.cycle_day;
 
-    if (cycleDay < 1 || cycleDay > 35) continue;
+    if (!cycleDay || cycleDay > 35) continue;
 
     let phase;
     if (CYCLE_PHASES.menstrual.days.includes(cycleDay)) phase = 'menstrual';
@@ -234,97 +345,164 @@ function analyzeSymptomsByCyclePhase(logs, cycleStartDate) {
     else if (CYCLE_PHASES.ovulation.days.includes(cycleDay)) phase = 'ovulation';
     else phase = 'luteal';
 
-    phaseData[phase].days.push(log);
-    if (log.symptoms) {
-      phaseData[phase].symptoms.push(...log.symptoms);
-    }
+    phaseCounts[phase].push(symptomCount(log));
   }
 
-  // Find phase with most symptoms
-  const phaseCounts = Object.entries(phaseData)
-    .filter(([, data]) => data.days.length >= 2)
-    .map(([phase, data]) => ({
-      phase,
-      avgSymptoms: data.symptoms.length / data.days.length,
-    }));
-
-  if (phaseCounts.length >= 2) {
-    phaseCounts.sort((a, b) => b.avgSymptoms - a.avgSymptoms);
-    const worstPhase = phaseCounts[0];
-
-    if (worstPhase.avgSymptoms > phaseCounts[phaseCounts.length - 1].avgSymptoms * 1.5) {
-      const phaseNames = {
-        menstrual: 'menstrual',
-        follicular: 'follicular',
-        ovulation: 'ovulation',
-        luteal: 'luteal',
-      };
+  const groups = Object.entries(phaseCounts).map(([name, counts]) => ({ name, counts }));
+  return compareGroups(groups).map(({ name, counts, others, result }) => ({
+    family: 'phase',
+    p: result.p,
+    result,
+    insight: result.estimate >= MIN_SYMPTOM_DIFFERENCE && {
+      icon: 'calendar-sync',
+      text: `Symptoms tend to be more pronounced during the ${name} phase of your cycle.`,
+      evidence: `${mean(counts).toFixed(1)} symptoms a day over ${plural(counts.length, `${name} day`)}, against ${mean(others).toFixed(1)} on ${plural(others.length, 'day')} in other phases (difference ${result.estimate.toFixed(1)}, ${formatInterval(result, 1)}).`,
+      confidence: getConfidence(result.n),
+    },
+  }));
+}
 
-      insights.push({
-        icon: 'calendar-sync',
-        text: `Symptoms tend to be more pronounced during the ${phaseNames[worstPhase.phase]} phase of your cycle.`,
-      });
-    }
-  }
+// Symptom associations, measured over every logged day including days with
+// neither symptom. Severity counts: a symptom's series is its severity, 0 on
+// days it wasn't logged.
+// Days a symptom must be logged, and not logged, to be compared
+const ASSOCIATION_MIN_DAYS = 5;
+// Weakest association worth listing
+const MIN_ASSOCIATION = 0.2;
+const MAX_SYMPTOM_CORRELATIONS = 10;
+// Symptoms in the cluster heatmap, most often logged first
+export const HEATMAP_SYMPTOMS = 8;
 
-  return insights;
+/**
+ * Phi coefficient of a 2x2 table: days with both, only the first, only the
+ * second and neither
+ */
+function phiCoefficient(both, onlyFirst, onlySecond, neither) {
+  const denominator = Math.sqrt(
+    (both + onlyFirst) * (onlySecond + neither) * (both + onlySecond) * (onlyFirst + neither)
+  );
+  return denominator === 0 ? null : (both * neither - onlyFirst * onlySecond) / denominator;
 }
 
 /**
- * Calculate correlations between symptoms
+ * Measure every pair of symptoms logged on enough (and few enough) days.
+ * `correlation` is the Spearman correlation of their severities, `phi` the
+ * association of just being logged, and `expected` the days they'd share by
+ * chance if unrelated. Pairs are `significant` when they hold up at the false
+ * discovery rate and reach MIN_ASSOCIATION either way. Returns
+ * { symptomIds, pairs }, symptomIds most often logged first.
+ *
+ * Measuring bootstraps every strong pair, so callers that want both the list
+ * and the heatmap measure once and pass the result to each.
  */
-export function getSymptomCorrelations(logs) {
-  const correlations = [];
-
-  // Get all symptom pairs and their co-occurrence
-  const symptomCounts = {};
-  const pairCounts = {};
-
-  for (const log of logs) {
-    if (!log.symptoms || log.symptoms.length < 2) continue;
-
-    const symptomIds = log.symptoms.map((s) => s.symptom_id);
-
-    for (const id of symptomIds) {
-      symptomCounts[id] = (symptomCounts[id] || 0) + 1;
+export function measureSymptomPairs(logs) {
+  const severities = {};
+  logs.forEach((log, index) => {
+    for (const symptom of log.symptoms || []) {
+      if (!severities[symptom.symptom_id]) severities[symptom.symptom_id] = new Array(logs.length).fill(0);
+      severities[symptom.symptom_id][index] = symptom.severity;
     }
+  });
 
-    // Count pairs
-    for (let i = 0; i < symptomIds.length; i++) {
-      for (let j = i + 1; j < symptomIds.length; j++) {
-        const pair = [symptomIds[i], symptomIds[j]].sort().join('|');
-        pairCounts[pair] = (pairCounts[pair] || 0) + 1;
-      }
+  const dayCounts = Object.fromEntries(
+    Object.entries(severities).map(([id, values]) => [id, values.filter((v) => v > 0).length])
+  );
+  const symptomIds = Object.keys(severities)
+    .filter((id) => dayCounts[id] >= ASSOCIATION_MIN_DAYS && logs.length - dayCounts[id] >= ASSOCIATION_MIN_DAYS)
+    .sort((x, y) => dayCounts[y] - dayCounts[x]);
+
+  const pairs = [];
+  for (let i = 0; i < symptomIds.length; i++) {
+    for (let j = i + 1; j < symptomIds.length; j++) {
+      const first = severities[symptomIds[i]];
+      const second = severities[symptomIds[j]];
+      const both = first.filter((v, k) => v > 0 && second[k] > 0).length;
+      const onlyFirst = dayCounts[symptomIds[i]] - both;
+      const onlySecond = dayCounts[symptomIds[j]] - both;
+      const correlation = spearman(first, second);
+      pairs.push({
+        symptom1: symptomIds[i],
+        symptom2: symptomIds[j],
+        correlation,
+        phi: phiCoefficient(both, onlyFirst, onlySecond, logs.length - both - onlyFirst - onlySecond),
+        coOccurrences: both,
+        expected: (dayCounts[symptomIds[i]] * dayCounts[symptomIds[j]]) / logs.length,
+        // Only pairs that could be listed are bootstrapped
+        result: correlation !== null && Math.abs(correlation) >= MIN_ASSOCIATION
+          ? spearmanWithInterval(first, second)
+          : null,
+      });
     }
   }
 
-  // Calculate correlation scores
-  for (const [pair, count] of Object.entries(pairCounts)) {
-    if (count < 3) continue;
-
-    const [s1, s2] = pair.split('|');
-    const total1 = symptomCounts[s1];
-    const total2 = symptomCounts[s2];
-
-    if (total1 < 3 || total2 < 3) continue;
+  const discoveries = benjaminiHochberg(pairs.map((pair) => pair.result?.p ?? 1));
+  return {
+    symptomIds,
+    pairs: pairs.map(({ result, ...pair }, index) => ({
+      ...pair,
+      low: result?.low ?? null,
+      high: result?.high ?? null,
+      significant: discoveries[index] && excludes(result),
+    })),
+  };
+}
 
-    // Simple co-occurrence ratio
-    const correlation = count / Math.min(total1, total2);
+/**
+ * Symptoms that go together, or that tend not to, over the given logs.
+ * Returns up to 10 significant pairs, strongest first:
+ * [{ symptom1, symptom2, correlation, low, high, phi, coOccurrences,
+ * expected, direction: 'positive' | 'negative' }]
+ * `measured` is the result of measureSymptomPairs(logs) when already at hand.
+ */
+export function getSymptomCorrelations(logs, { measured = measureSymptomPairs(logs) } = {}) {
+  return measured.pairs
+    .filter((pair) => pair.significant)
+    .map(({ significant, ...pair }) => ({
+      ...pair,
+      direction: pair.correlation > 0 ? 'positive' : 'negative',
+    }))
+    .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation))
+    .slice(0, MAX_SYMPTOM_CORRELATIONS);
+}
 
-    if (correlation > 0.4) {
-      correlations.push({
-        symptom1: s1,
-        symptom2: s2,
-        correlation,
-        coOccurrences: count,
-      });
-    }
+/**
+ * Correlations between the `limit` most often logged symptoms, for a
+ * heatmap. Symptoms are ordered so clusters sit together: starting from the
+ * most logged, each next symptom is the one most strongly correlated with the
+ * one before. Returns { symptomIds, cells } where cells[i][j] is
+ * { correlation, significant }, null on the diagonal, or null with fewer than
+ * 3 symptoms. `measured` is as for getSymptomCorrelations().
+ */
+export function getSymptomCorrelationMatrix(
+  logs,
+  { limit = HEATMAP_SYMPTOMS, measured = measureSymptomPairs(logs) } = {}
+) {
+  const candidates = measured.symptomIds.slice(0, limit);
+  if (candidates.length < 3) return null;
+
+  const pairsByKey = Object.fromEntries(
+    measured.pairs.map((pair) => [[pair.symptom1, pair.symptom2].sort().join('|'), pair])
+  );
+  const getPair = (x, y) => pairsByKey[[x, y].sort().join('|')];
+
+  const ordered = [candidates[0]];
+  const remaining = candidates.slice(1);
+  while (remaining.length > 0) {
+    const last = ordered[ordered.length - 1];
+    remaining.sort((x, y) => (getPair(last, y).correlation ?? -1) - (getPair(last, x).correlation ?? -1));
+    ordered.push(remaining.shift());
   }
 
-  // Sort by correlation strength
-  correlations.sort((a, b) => b.correlation - a.correlation);
-
-  return correlations.slice(0, 10);
+  return {
+    symptomIds: ordered,
+    cells: ordered.map((x) =>
+      ordered.map((y) => {
+        if (x === y) return null;
+        const pair = getPair(x, y);
+        return { correlation: pair.correlation, significant: pair.significant };
+      })
+    ),
+  };
 }
 
 /**
@@ -396,17 +574,245 @@ export function getTrends(logs) {
   };
 }
 
+// Before/after comparison around a date, e.g. starting HRT
+export const COMPARISON_WINDOW_DAYS = 28;
+// Logged days needed in each window, and for the more confident levels
+const COMPARISON_MIN_DAYS = 5;
+const COMPARISON_MODERATE_DAYS = 10;
+const COMPARISON_GOOD_DAYS = 18;
+// Smallest differences worth pointing out for a single symptom
+const MIN_FREQUENCY_CHANGE = 0.2;
+const MIN_SEVERITY_CHANGE = 0.5;
+
+/**
+ * Summarize the logs of one comparison window
+ */
+function summarizeWindow(logs, start, end, windowDays) {
+  const windowLogs = logs.filter((l) => l.date >= start && l.date <= end);
+  const entries = windowLogs.flatMap((l) => l.symptoms || []);
+
+  const bySymptom = {};
+  for (const entry of entries) {
+    if (!bySymptom[entry.symptom_id]) bySymptom[entry.symptom_id] = [];
+    bySymptom[entry.symptom_id].push(entry.severity);
+  }
+  const symptoms = {};
+  for (const [symptomId, severities] of Object.entries(bySymptom)) {
+    symptoms[symptomId] = {
+      frequency: severities.length / windowLogs.length,
+      severity: mean(severities),
+    };
+  }
+
+  return {
+    start,
+    end,
+    days: windowLogs.length,
+    coverage: windowLogs.length / windowDays,
+    symptomsPerDay: windowLogs.length > 0 ? entries.length / windowLogs.length : null,
+    symptomDays: windowLogs.length > 0
+      ? windowLogs.filter((l) => l.symptoms?.length > 0).length / windowLogs.length
+      : null,
+    severity: mean(entries.map((e) => e.severity)),
+    sleepHours: mean(windowLogs.filter((l) => l.sleep_hours).map((l) => l.sleep_hours)),
+    sleepQuality: mean(windowLogs.filter((l) => l.sleep_quality).map((l) => l.sleep_quality)),
+    mood: mean(windowLogs.filter((l) => l.mood_overall).map((l) => l.mood_overall)),
+    energy: mean(windowLogs.filter((l) => l.mood_energy).map((l) => l.mood_energy)),
+    anxiety: mean(windowLogs.filter((l) => l.mood_anxiety).map((l) => l.mood_anxiety)),
+    symptoms,
+  };
+}
+
 /**
- * Get symptom name by ID
+ * How far a comparison can be trusted, from the logged days in its thinner window
  */
-export function getSymptomName(symptomId) {
-  const symptom = SYMPTOMS.find((s) => s.id === symptomId);
-  return symptom ? symptom.name : symptomId;
+function getComparisonConfidence(before, after) {
+  const days = Math.min(before.days, after.days);
+  if (days < COMPARISON_MIN_DAYS) return 'insufficient';
+  if (days < COMPARISON_MODERATE_DAYS) return 'low';
+  if (days < COMPARISON_GOOD_DAYS) return 'moderate';
+  return 'good';
+}
+
+/**
+ * Compare the `windowDays` before `date` with the `windowDays` from `date` on:
+ * symptom frequency and severity, sleep and mood. Each window reports how
+ * many days were logged, and `confidence` ('insufficient', 'low', 'moderate'
+ * or 'good') how much the comparison can be relied on. `changes` (after minus
+ * before) and `symptomChanges` are only filled in when there's enough data.
+ */
+export function compareBeforeAndAfter(
+  logs,
+  date,
+  { windowDays = COMPARISON_WINDOW_DAYS, symptomRegistry } = {}
+) {
+  const before = summarizeWindow(logs, addDays(date, -windowDays), addDays(date, -1), windowDays);
+  const after = summarizeWindow(logs, date, addDays(date, windowDays - 1), windowDays);
+  const confidence = getComparisonConfidence(before, after);
+
+  if (confidence === 'insufficient') {
+    return { date, before, after, confidence, changes: null, symptomChanges: [] };
+  }
+
+  const changes = {};
+  for (const key of ['symptomsPerDay', 'symptomDays', 'severity', 'sleepHours', 'sleepQuality', 'mood', 'energy', 'anxiety']) {
+    changes[key] = before[key] !== null && after[key] !== null ? after[key] - before[key] : null;
+  }
+
+  // A symptom that's missing from a window has a frequency of 0 there
+  const none = { frequency: 0, severity: null };
+  const symptomIds = new Set([...Object.keys(before.symptoms), ...Object.keys(after.symptoms)]);
+  const symptomChanges = [...symptomIds]
+    .map((symptomId) => {
+      const b = before.symptoms[symptomId] || none;
+      const a = after.symptoms[symptomId] || none;
+      return {
+        symptomId,
+        name: getSymptomName(symptomId, symptomRegistry),
+        before: b,
+        after: a,
+        frequencyChange: a.frequency - b.frequency,
+        severityChange: a.severity !== null && b.severity !== null ? a.severity - b.severity : null,
+      };
+    })
+    .filter(
+      (s) =>
+        Math.abs(s.frequencyChange) >= MIN_FREQUENCY_CHANGE ||
+        Math.abs(s.severityChange || 0) >= MIN_SEVERITY_CHANGE
+    )
+    .sort((x, y) => Math.abs(y.frequencyChange) - Math.abs(x.frequencyChange));
+
+  return { date, before, after, confidence, changes, symptomChanges };
+}
+
+// Trigger-symptom associations. lag 0 looks at the day the trigger was
+// logged, lag 1 at the day after.
+const TRIGGER_LAGS = [0, 1];
+// Days needed with and without the trigger before a finding is reported
+export const TRIGGER_MIN_DAYS = 5;
+// How much more often a symptom must appear after a trigger to count
+const MIN_TRIGGER_RATE_DIFFERENCE = 0.2;
+
+/**
+ * Test every trigger-symptom pair at each lag with at least `minDays` pairs
+ * of days on each side. Pairs whose rate difference is too small to report
+ * aren't bootstrapped (difference is null) but still count as tests.
+ */
+function testTriggerEffects(logs, minDays) {
+  const sortedLogs = [...logs].sort((a, b) => a.date.localeCompare(b.date));
+  const firstTracked = sortedLogs.find((l) => l.triggers?.length > 0);
+  if (!firstTracked) return [];
+
+  const trackedLogs = sortedLogs.filter((l) => l.date >= firstTracked.date);
+  const logsByDate = Object.fromEntries(trackedLogs.map((l) => [l.date, l]));
+  const triggerIds = new Set(trackedLogs.flatMap((l) => l.triggers || []));
+  const symptomIds = new Set(trackedLogs.flatMap((l) => (l.symptoms || []).map((s) => s.symptom_id)));
+
+  const tests = [];
+  for (const lag of TRIGGER_LAGS) {
+    const pairs = trackedLogs
+      .map((log) => ({ log, outcome: logsByDate[addDays(log.date, lag)] }))
+      .filter((pair) => pair.outcome);
+
+    for (const triggerId of triggerIds) {
+      const exposed = pairs.filter((pair) => pair.log.triggers?.includes(triggerId));
+      const unexposed = pairs.filter((pair) => !pair.log.triggers?.includes(triggerId));
+      if (exposed.length < minDays || unexposed.length < minDays) continue;
+
+      for (const symptomId of symptomIds) {
+        const hasSymptom = (pair) =>
+          pair.outcome.symptoms?.some((s) => s.symptom_id === symptomId) ? 1 : 0;
+        const exposedHits = exposed.map(hasSymptom);
+        const unexposedHits = unexposed.map(hasSymptom);
+        const exposedRate = mean(exposedHits);
+        const unexposedRate = mean(unexposedHits);
+        tests.push({
+          triggerId,
+          symptomId,
+          lag,
+          exposedDays: exposed.length,
+          unexposedDays: unexposed.length,
+          exposedRate,
+          unexposedRate,
+          difference: exposedRate - unexposedRate >= MIN_TRIGGER_RATE_DIFFERENCE
+            ? meanDifferenceWithInterval(exposedHits, unexposedHits)
+            : null,
+        });
+      }
+    }
+  }
+  return tests;
+}
+
+function toFinding({ difference, ...test }) {
+  return {
+    ...test,
+    difference: { estimate: difference.estimate, low: difference.low, high: difference.high },
+    confidence: getConfidence(difference.n),
+  };
+}
+
+/**
+ * How often each symptom was logged on (lag 0) and the day after (lag 1) days
+ * with each trigger, compared with days without it. Only pairs of days that
+ * were both logged are counted, starting from the first day any trigger was
+ * logged. Findings need at least `minDays` pairs on each side, a rate
+ * difference of at least 20 points with a bootstrapped interval that
+ * excludes zero, and must hold up at the false discovery rate across all
+ * the pairs tested. Returns
+ * [{ triggerId, symptomId, lag, exposedDays, unexposedDays, exposedRate,
+ * unexposedRate, difference: { estimate, low, high }, confidence }],
+ * largest difference first.
+ */
+export function analyzeTriggerEffects(logs, { minDays = TRIGGER_MIN_DAYS } = {}) {
+  const tests = testTriggerEffects(logs, minDays);
+  const discoveries = benjaminiHochberg(tests.map((t) => t.difference?.p ?? 1));
+  return tests
+    .filter((t, index) => discoveries[index] && excludes(t.difference))
+    .map(toFinding)
+    .sort((a, b) => b.difference.estimate - a.difference.estimate);
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Candidates for every trigger test, largest difference first. A next-day
+ * finding is left out when the same trigger and symptom already showed up on
+ * the day itself.
+ */
+function analyzeTriggerPatterns(logs, customTriggers, symptomRegistry) {
+  return testTriggerEffects(logs, TRIGGER_MIN_DAYS)
+    .sort((a, b) => (b.difference?.estimate ?? -1) - (a.difference?.estimate ?? -1))
+    .map((test) => {
+      if (!test.difference) return { p: 1, insight: null };
+
+      const finding = toFinding(test);
+      const trigger = getTriggerLabel(finding.triggerId, customTriggers).toLowerCase();
+      const when = finding.lag === 0 ? `days with ${trigger}` : `days after ${trigger}`;
+      const { difference } = finding;
+      return {
+        family: 'trigger',
+        key: `${finding.triggerId}:${finding.symptomId}`,
+        p: test.difference.p,
+        result: test.difference,
+        insight: {
+          icon: 'link-variant',
+          text: `${getSymptomName(finding.symptomId, symptomRegistry)} was logged on ${formatPercent(finding.exposedRate)} of ${when}, compared with ${formatPercent(finding.unexposedRate)} of other days.`,
+          evidence: `${plural(finding.exposedDays, 'day')} with the trigger and ${finding.unexposedDays} without. Difference ${Math.round(difference.estimate * 100)} points (95% CI ${Math.round(difference.low * 100)} to ${Math.round(difference.high * 100)}).`,
+          confidence: finding.confidence,
+        },
+      };
+    });
 }
 
 export default {
   analyzePatterns,
+  measureSymptomPairs,
   getSymptomCorrelations,
+  getSymptomCorrelationMatrix,
   getTrends,
-  getSymptomName,
+  compareBeforeAndAfter,
+  analyzeTriggerEffects,
 };
@@ -0,0 +1,459 @@
+// Backup file creation, parsing and validation for data export and import
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+
+import { THEME_STORAGE_KEY } from '../context/ThemeContext';
+import { REMINDER_SETTINGS_STORAGE_KEY } from './reminders';
+import { QUESTIONNAIRES, QUESTIONNAIRE_SETTINGS_STORAGE_KEY } from './questionnaires';
+
+export const BACKUP_FORMAT = 'peri-tracker-backup';
+export const BACKUP_VERSION = 10;
+
+// AsyncStorage keys that are carried over in a backup
+export const EXPORTED_PREFERENCE_KEYS = [
+  THEME_STORAGE_KEY,
+  REMINDER_SETTINGS_STORAGE_KEY,
+  QUESTIONNAIRE_SETTINGS_STORAGE_KEY,
+];
+
+export const BACKUP_TABLES = [
+  'dailyLogs',
+  'symptoms',
+  'medications',
+  'medicationDoses',
+  'medicationEvents',
+  'cyclePeriods',
+  'customSymptoms',
+  'symptomSettings',
+  'medicationReminderEvents',
+  'hotFlashEpisodes',
+  'customTriggers',
+  'logTriggers',
+  'questionnaireResponses',
+  'questionnaireAnswers',
+];
+
+// Backup version each table was added in. Older backups don't contain them.
+const TABLE_ADDED_IN_VERSION = {
+  customSymptoms: 2,
+  medicationReminderEvents: 3,
+  medicationDoses: 4,
+  medicationEvents: 5,
+  hotFlashEpisodes: 6,
+  customTriggers: 7,
+  logTriggers: 7,
+  symptomSettings: 8,
+  questionnaireResponses: 10,
+  questionnaireAnswers: 10,
+};
+
+// Backup version each table was replaced in. They're still read from older backups.
+const TABLE_REMOVED_IN_VERSION = {
+  medicationLogs: 4,
+};
+
+// Every table any backup version can contain
+const KNOWN_TABLES = [...BACKUP_TABLES, ...Object.keys(TABLE_REMOVED_IN_VERSION)];
+
+const REMINDER_ACTIONS = ['taken', 'snoozed', 'skipped'];
+const MEDICATION_EVENT_TYPES = ['started', 'changed', 'stopped'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REPORTED_ERRORS = 5;
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value));
+}
+
+function isId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * SHA-256 of the backup payload. The payload is hashed exactly as
+ * JSON.stringify({ data, preferences }) serializes it, so tools reading the
+ * file can check it by re-serializing those two fields in file order.
+ */
+export async function computeBackupChecksum(data, preferences) {
+  return Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    JSON.stringify({ data, preferences })
+  );
+}
+
+function getTablesInVersion(version) {
+  return KNOWN_TABLES.filter(
+    (table) =>
+      (TABLE_ADDED_IN_VERSION[table] || 1) <= version &&
+      (TABLE_REMOVED_IN_VERSION[table] || Infinity) > version
+  );
+}
+
+// Add empty tables that a backup of another version doesn't have
+function withMissingTables(data, version) {
+  const present = getTablesInVersion(version);
+  const filled = { ...data };
+  for (const table of KNOWN_TABLES) {
+    if (filled[table] === undefined && !present.includes(table)) filled[table] = [];
+  }
+  return filled;
+}
+
+function getRowCounts(data, tables = KNOWN_TABLES) {
+  const counts = {};
+  for (const table of tables) {
+    counts[table] = data[table]?.length || 0;
+  }
+  return counts;
+}
+
+/**
+ * Read the app preferences that belong in a backup
+ */
+export async function getExportedPreferences() {
+  const entries = await AsyncStorage.multiGet(EXPORTED_PREFERENCE_KEYS);
+  const preferences = {};
+  for (const [key, value] of entries) {
+    if (value !== null) preferences[key] = value;
+  }
+  return preferences;
+}
+
+/**
+ * Write preferences from a backup back to AsyncStorage.
+ * Keys that aren't in EXPORTED_PREFERENCE_KEYS are ignored. In 'merge' mode
+ * preferences already set on this device are kept and only missing ones are
+ * filled in.
+ */
+export async function restorePreferences(preferences, mode = 'replace') {
+  let entries = Object.entries(preferences || {}).filter(
+    ([key, value]) => EXPORTED_PREFERENCE_KEYS.includes(key) && typeof value === 'string'
+  );
+  if (mode === 'merge' && entries.length > 0) {
+    const existing = await AsyncStorage.multiGet(entries.map(([key]) => key));
+    const isSet = new Set(existing.filter(([, value]) => value !== null).map(([key]) => key));
+    entries = entries.filter(([key]) => !isSet.has(key));
+  }
+  if (entries.length > 0) {
+    await AsyncStorage.multiSet(entries);
+  }
+}
+
+/**
+ * Wrap the output of getAllData() and the app preferences in a versioned
+ * backup envelope with a manifest of row counts and a checksum.
+ */
+export async function createBackup(allData, preferences = {}) {
+  const { exportedAt, schemaVersion, ...tables } = allData;
+
+  const data = {};
+  for (const table of BACKUP_TABLES) {
+    data[table] = tables[table] || [];
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: exportedAt || new Date().toISOString(),
+    schemaVersion: schemaVersion ?? null,
+    manifest: {
+      counts: getRowCounts(data, BACKUP_TABLES),
+      checksum: await computeBackupChecksum(data, preferences),
+    },
+    data,
+    preferences,
+  };
+}
+
+/**
+ * Check the tables of a backup.
+ * Returns a list of human-readable problems (empty when the backup is usable).
+ */
+export function validateBackup(data) {
+  const errors = [];
+  const addError = (message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['The file does not contain a Peri Tracker backup.'];
+  }
+
+  for (const table of KNOWN_TABLES) {
+    if (!Array.isArray(data[table])) {
+      addError(`Missing "${table}" in backup.`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const logIds = new Set();
+  const logDates = new Set();
+  data.dailyLogs.forEach((log, index) => {
+    if (!isId(log?.id)) {
+      addError(`Daily log ${index + 1} has no valid id.`);
+    } else if (logIds.has(log.id)) {
+      addError(`Daily log id ${log.id} appears more than once.`);
+    } else {
+      logIds.add(log.id);
+    }
+
+    if (!isValidDate(log?.date)) {
+      addError(`Daily log ${index + 1} has an invalid date.`);
+    } else if (logDates.has(log.date)) {
+      addError(`More than one daily log for ${log.date}.`);
+    } else {
+      logDates.add(log.date);
+    }
+  });
+
+  const medicationIds = new Set();
+  data.medications.forEach((med, index) => {
+    if (!isId(med?.id) || medicationIds.has(med.id)) {
+      addError(`Medication ${index + 1} has no valid id.`);
+    } else {
+      medicationIds.add(med.id);
+    }
+    if (typeof med?.name !== 'string' || !med.name.trim()) {
+      addError(`Medication ${index + 1} has no name.`);
+    }
+  });
+
+  data.symptoms.forEach((symptom, index) => {
+    if (!logIds.has(symptom?.log_id)) {
+      addError(`Symptom ${index + 1} refers to a missing daily log.`);
+    }
+    if (typeof symptom?.symptom_id !== 'string' || !symptom.symptom_id) {
+      addError(`Symptom ${index + 1} has no symptom id.`);
+    }
+    if (!Number.isInteger(symptom?.severity) || symptom.severity < 1 || symptom.severity > 5) {
+      addError(`Symptom ${index + 1} has a severity outside 1-5.`);
+    }
+  });
+
+  data.medicationLogs.forEach((medLog, index) => {
+    if (!logIds.has(medLog?.log_id)) {
+      addError(`Medication log ${index + 1} refers to a missing daily log.`);
+    }
+    if (!medicationIds.has(medLog?.medication_id)) {
+      addError(`Medication log ${index + 1} refers to a missing medication.`);
+    }
+  });
+
+  data.medicationDoses.forEach((dose, index) => {
+    if (!medicationIds.has(dose?.medication_id)) {
+      addError(`Medication dose ${index + 1} refers to a missing medication.`);
+    }
+    if (!isValidDate(dose?.date)) {
+      addError(`Medication dose ${index + 1} has an invalid date.`);
+    }
+    if (dose?.taken_at != null && isNaN(new Date(dose.taken_at))) {
+      addError(`Medication dose ${index + 1} has an invalid time.`);
+    }
+  });
+
+  data.medicationEvents.forEach((event, index) => {
+    if (!medicationIds.has(event?.medication_id)) {
+      addError(`Medication history entry ${index + 1} refers to a missing medication.`);
+    }
+    if (!isValidDate(event?.date)) {
+      addError(`Medication history entry ${index + 1} has an invalid date.`);
+    }
+    if (!MEDICATION_EVENT_TYPES.includes(event?.type)) {
+      addError(`Medication history entry ${index + 1} has an unknown type.`);
+    }
+  });
+
+  data.cyclePeriods.forEach((period, index) => {
+    if (!isValidDate(period?.start_date)) {
+      addError(`Cycle period ${index + 1} has an invalid start date.`);
+    }
+    if (period?.end_date != null && !isValidDate(period.end_date)) {
+      addError(`Cycle period ${index + 1} has an invalid end date.`);
+    }
+  });
+
+  const customSymptomIds = new Set();
+  data.customSymptoms.forEach((custom, index) => {
+    if (typeof custom?.symptom_id !== 'string' || !custom.symptom_id) {
+      addError(`Custom symptom ${index + 1} has no symptom id.`);
+    } else if (customSymptomIds.has(custom.symptom_id)) {
+      addError(`Custom symptom ${custom.symptom_id} appears more than once.`);
+    } else {
+      customSymptomIds.add(custom.symptom_id);
+    }
+    if (typeof custom?.name !== 'string' || !custom.name.trim()) {
+      addError(`Custom symptom ${index + 1} has no name.`);
+    }
+  });
+
+  const settingIds = new Set();
+  data.symptomSettings.forEach((setting, index) => {
+    if (typeof setting?.symptom_id !== 'string' || !setting.symptom_id) {
+      addError(`Symptom setting ${index + 1} has no symptom id.`);
+    } else if (settingIds.has(setting.symptom_id)) {
+      addError(`Symptom setting ${setting.symptom_id} appears more than once.`);
+    } else {
+      settingIds.add(setting.symptom_id);
+    }
+  });
+
+  const customTriggerIds = new Set();
+  data.customTriggers.forEach((custom, index) => {
+    if (typeof custom?.trigger_id !== 'string' || !custom.trigger_id) {
+      addError(`Custom trigger ${index + 1} has no trigger id.`);
+    } else if (customTriggerIds.has(custom.trigger_id)) {
+      addError(`Custom trigger ${custom.trigger_id} appears more than once.`);
+    } else {
+      customTriggerIds.add(custom.trigger_id);
+    }
+    if (typeof custom?.name !== 'string' || !custom.name.trim()) {
+      addError(`Custom trigger ${index + 1} has no name.`);
+    }
+  });
+
+  data.logTriggers.forEach((trigger, index) => {
+    if (!logIds.has(trigger?.log_id)) {
+      addError(`Trigger ${index + 1} refers to a missing daily log.`);
+    }
+    if (typeof trigger?.trigger_id !== 'string' || !trigger.trigger_id) {
+      addError(`Trigger ${index + 1} has no trigger id.`);
+    }
+  });
+
+  data.hotFlashEpisodes.forEach((episode, index) => {
+    if (!isValidDate(episode?.date)) {
+      addError(`Hot flash ${index + 1} has an invalid date.`);
+    }
+    if (typeof episode?.started_at !== 'string' || isNaN(new Date(episode.started_at))) {
+      addError(`Hot flash ${index + 1} has an invalid time.`);
+    }
+    if (!Number.isInteger(episode?.intensity) || episode.intensity < 1 || episode.intensity > 5) {
+      addError(`Hot flash ${index + 1} has an intensity outside 1-5.`);
+    }
+  });
+
+  const responseIds = new Set();
+  data.questionnaireResponses.forEach((response, index) => {
+    if (!isId(response?.id) || responseIds.has(response.id)) {
+      addError(`Questionnaire ${index + 1} has no valid id.`);
+    } else {
+      responseIds.add(response.id);
+    }
+    if (!QUESTIONNAIRES[response?.questionnaire_id]) {
+      addError(`Questionnaire ${index + 1} is of an unknown type.`);
+    }
+    if (!isValidDate(response?.date)) {
+      addError(`Questionnaire ${index + 1} has an invalid date.`);
+    }
+  });
+
+  data.questionnaireAnswers.forEach((answer, index) => {
+    if (!responseIds.has(answer?.response_id)) {
+      addError(`Questionnaire answer ${index + 1} refers to a missing questionnaire.`);
+    }
+    if (!Number.isInteger(answer?.item) || !Number.isInteger(answer?.value) || answer.value < 0) {
+      addError(`Questionnaire answer ${index + 1} has an invalid item or value.`);
+    }
+  });
+
+  data.medicationReminderEvents.forEach((event, index) => {
+    if (!medicationIds.has(event?.medication_id)) {
+      addError(`Reminder event ${index + 1} refers to a missing medication.`);
+    }
+    if (!isValidDate(event?.date) || typeof event?.scheduled_at !== 'string') {
+      addError(`Reminder event ${index + 1} has an invalid date.`);
+    }
+    if (!REMINDER_ACTIONS.includes(event?.action)) {
+      addError(`Reminder event ${index + 1} has an unknown action.`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check an envelope against its manifest. Envelopes go from version 2, the
+ * first with a manifest, up to BACKUP_VERSION; newer ones are refused.
+ */
+async function verifyManifest(envelope) {
+  if (!Number.isInteger(envelope.version) || envelope.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Peri Tracker. Please update the app first.');
+  }
+  if (!envelope.data || !envelope.manifest?.counts || !envelope.manifest?.checksum) {
+    throw new Error('The backup is missing its data or manifest.');
+  }
+
+  const counts = getRowCounts(envelope.data);
+  for (const table of getTablesInVersion(envelope.version)) {
+    if (counts[table] !== envelope.manifest.counts[table]) {
+      throw new Error(
+        `The backup is incomplete: expected ${envelope.manifest.counts[table]} rows in "${table}" but found ${counts[table]}.`
+      );
+    }
+  }
+
+  const checksum = await computeBackupChecksum(envelope.data, envelope.preferences || {});
+  if (checksum !== envelope.manifest.checksum) {
+    throw new Error('The backup file has been changed or damaged (checksum mismatch).');
+  }
+}
+
+/**
+ * Parse the text of a backup file. Accepts the current envelope as well as the
+ * bare getAllData() snapshots written before backups were versioned.
+ * Returns { version, exportedAt, data, preferences }.
+ * Throws an Error with a user-facing message when the file can't be imported.
+ */
+export async function parseBackup(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  let backup;
+  if (parsed?.format === BACKUP_FORMAT) {
+    await verifyManifest(parsed);
+    backup = {
+      version: parsed.version,
+      exportedAt: parsed.exportedAt || null,
+      data: withMissingTables(parsed.data, parsed.version),
+      preferences: parsed.preferences || {},
+    };
+  } else {
+    backup = {
+      version: 1,
+      exportedAt: parsed?.exportedAt || null,
+      data: withMissingTables(parsed, 1),
+      preferences: {},
+    };
+  }
+
+  const errors = validateBackup(backup.data);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return backup;
+}
+
+/**
+ * Row counts for each table in a parsed backup
+ */
+export function getBackupSummary(backup) {
+  return {
+    exportedAt: backup.exportedAt,
+    ...getRowCounts(backup.data),
+  };
+}
+
+export default {
+  createBackup,
+  parseBackup,
+  validateBackup,
+  getBackupSummary,
+  getExportedPreferences,
+  restorePreferences,
+};
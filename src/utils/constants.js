@@ -1,32 +1,55 @@
+// Version of the built-in symptom catalog. Symptoms added after the first
+// version have `addedIn`. They start out hidden from the symptom picker for
+// anyone whose database predates them, so nobody's picker changes until they
+// choose to show them, and shown for new installs. Ids are never changed or
+// removed.
+export const SYMPTOM_CATALOG_VERSION = 2;
+
 // Symptom definitions with categories
 export const SYMPTOMS = [
   // Vasomotor symptoms
-  { id: 'hot_flashes', name: 'Hot Flashes', category: 'vasomotor', icon: 'fire' },
-  { id: 'night_sweats', name: 'Night Sweats', category: 'vasomotor', icon: 'weather-night' },
+  { id: 'hot_flashes', name: 'Hot Flashes', category: 'vasomotor', icon: 'fire', description: 'Sudden waves of heat, often with flushing and sweating.' },
+  { id: 'night_sweats', name: 'Night Sweats', category: 'vasomotor', icon: 'weather-night', description: 'Heavy sweating during sleep.' },
+  { id: 'palpitations', name: 'Heart Palpitations', category: 'vasomotor', icon: 'heart-pulse', description: 'A racing, pounding or fluttering heartbeat.', addedIn: 2 },
+  { id: 'chills', name: 'Chills', category: 'vasomotor', icon: 'snowflake', description: 'Feeling cold or shivery, often after a hot flash.', addedIn: 2 },
 
   // Sleep symptoms
-  { id: 'sleep_disturbances', name: 'Sleep Disturbances', category: 'sleep', icon: 'sleep-off' },
+  { id: 'sleep_disturbances', name: 'Sleep Disturbances', category: 'sleep', icon: 'sleep-off', description: 'Trouble falling asleep, staying asleep or waking too early.' },
+  { id: 'restless_legs', name: 'Restless Legs', category: 'sleep', icon: 'shoe-print', description: 'An urge to move the legs, mostly in the evening or at night.', addedIn: 2 },
 
   // Mood symptoms
-  { id: 'mood_swings', name: 'Mood Swings', category: 'mood', icon: 'emoticon-confused' },
-  { id: 'anxiety', name: 'Anxiety', category: 'mood', icon: 'alert-circle' },
-  { id: 'irritability', name: 'Irritability', category: 'mood', icon: 'emoticon-angry' },
-  { id: 'depression', name: 'Depression', category: 'mood', icon: 'emoticon-sad' },
+  { id: 'mood_swings', name: 'Mood Swings', category: 'mood', icon: 'emoticon-confused', description: 'Quick changes in mood without a clear reason.' },
+  { id: 'anxiety', name: 'Anxiety', category: 'mood', icon: 'alert-circle', description: 'Feeling worried, tense or on edge.' },
+  { id: 'irritability', name: 'Irritability', category: 'mood', icon: 'emoticon-angry', description: 'Getting annoyed or angry more easily than usual.' },
+  { id: 'depression', name: 'Depression', category: 'mood', icon: 'emoticon-sad', description: 'Low mood, or losing interest in things you usually enjoy.' },
+  { id: 'panic_attacks', name: 'Panic Attacks', category: 'mood', icon: 'alert-octagon', description: 'Sudden episodes of intense fear with physical symptoms.', addedIn: 2 },
 
   // Cognitive symptoms
-  { id: 'brain_fog', name: 'Brain Fog', category: 'cognitive', icon: 'cloud' },
-  { id: 'fatigue', name: 'Fatigue', category: 'cognitive', icon: 'battery-low' },
-  { id: 'headaches', name: 'Headaches', category: 'cognitive', icon: 'head-alert' },
+  { id: 'brain_fog', name: 'Brain Fog', category: 'cognitive', icon: 'cloud', description: 'Feeling mentally slow or unclear.' },
+  { id: 'fatigue', name: 'Fatigue', category: 'cognitive', icon: 'battery-low', description: 'Tiredness that rest doesn\'t fix.' },
+  { id: 'headaches', name: 'Headaches', category: 'cognitive', icon: 'head-alert', description: 'Headaches or migraines.' },
+  { id: 'memory_lapses', name: 'Memory Lapses', category: 'cognitive', icon: 'head-question', description: 'Forgetting words, names or what you were about to do.', addedIn: 2 },
+  { id: 'poor_concentration', name: 'Poor Concentration', category: 'cognitive', icon: 'target', description: 'Finding it hard to focus or stay on task.', addedIn: 2 },
 
   // Physical symptoms
-  { id: 'joint_pain', name: 'Joint Pain', category: 'physical', icon: 'bone' },
-  { id: 'muscle_aches', name: 'Muscle Aches', category: 'physical', icon: 'arm-flex' },
-  { id: 'weight_changes', name: 'Weight Changes', category: 'physical', icon: 'scale-bathroom' },
-  { id: 'bloating', name: 'Bloating', category: 'physical', icon: 'circle-expand' },
+  { id: 'joint_pain', name: 'Joint Pain', category: 'physical', icon: 'bone', description: 'Aching or stiff joints.' },
+  { id: 'muscle_aches', name: 'Muscle Aches', category: 'physical', icon: 'arm-flex', description: 'Sore or tense muscles.' },
+  { id: 'weight_changes', name: 'Weight Changes', category: 'physical', icon: 'scale-bathroom', description: 'Gaining or losing weight, often around the middle.' },
+  { id: 'bloating', name: 'Bloating', category: 'physical', icon: 'circle-expand', description: 'A full, swollen or tight belly.' },
+  { id: 'dizziness', name: 'Dizziness', category: 'physical', icon: 'rotate-3d-variant', description: 'Feeling lightheaded, unsteady or like the room is spinning.', addedIn: 2 },
+  { id: 'itchy_skin', name: 'Itchy Skin', category: 'physical', icon: 'hand-back-left', description: 'Itching or a crawling feeling on the skin.', addedIn: 2 },
+  { id: 'tinnitus', name: 'Tinnitus', category: 'physical', icon: 'ear-hearing', description: 'Ringing, buzzing or hissing in the ears.', addedIn: 2 },
+  { id: 'hair_thinning', name: 'Hair Thinning', category: 'physical', icon: 'face-woman-outline', description: 'Losing more hair than usual, or hair getting thinner.', addedIn: 2 },
+  { id: 'dry_eyes', name: 'Dry Eyes', category: 'physical', icon: 'eye-outline', description: 'Gritty, burning or watery eyes.', addedIn: 2 },
+  { id: 'tingling', name: 'Tingling', category: 'physical', icon: 'flash-outline', description: 'Pins and needles or numbness, often in the hands or feet.', addedIn: 2 },
+  { id: 'digestive_problems', name: 'Digestive Problems', category: 'physical', icon: 'stomach', description: 'Indigestion, nausea, constipation or diarrhea.', addedIn: 2 },
 
   // Sexual/reproductive symptoms
-  { id: 'low_libido', name: 'Low Libido', category: 'sexual', icon: 'heart-off' },
-  { id: 'vaginal_dryness', name: 'Vaginal Dryness', category: 'sexual', icon: 'water-off' },
+  { id: 'low_libido', name: 'Low Libido', category: 'sexual', icon: 'heart-off', description: 'Less interest in sex than usual.' },
+  { id: 'vaginal_dryness', name: 'Vaginal Dryness', category: 'sexual', icon: 'water-off', description: 'Dryness, itching or discomfort in the vagina.' },
+  { id: 'painful_intercourse', name: 'Painful Intercourse', category: 'sexual', icon: 'heart-broken', description: 'Pain or discomfort during or after sex.', addedIn: 2 },
+  { id: 'breast_tenderness', name: 'Breast Tenderness', category: 'sexual', icon: 'heart-outline', description: 'Sore, swollen or sensitive breasts.', addedIn: 2 },
+  { id: 'urinary_urgency', name: 'Urinary Urgency', category: 'sexual', icon: 'water-alert', description: 'Needing to pass urine suddenly or often, or leaking.', addedIn: 2 },
 ];
 
 export const SYMPTOM_CATEGORIES = [
@@ -35,7 +58,8 @@ export const SYMPTOM_CATEGORIES = [
   { id: 'mood', name: 'Mood', color: '#AB47BC' },
   { id: 'cognitive', name: 'Cognitive', color: '#29B6F6' },
   { id: 'physical', name: 'Physical', color: '#66BB6A' },
-  { id: 'sexual', name: 'Sexual/Reproductive', color: '#EC407A' },
+  { id: 'sexual', name: 'Sexual/Urogenital', color: '#EC407A' },
+  { id: 'custom', name: 'Other', color: '#8D6E63' },
 ];
 
 export const PERIOD_FLOW_OPTIONS = [
@@ -84,14 +108,34 @@ export const FOOD_QUALITY_OPTIONS = [
   { value: 'very_healthy', label: 'Very Healthy', color: '#81C784' },
 ];
 
+// reminderTimes are the default dose times; frequencies without any have no reminders.
+// dosesPerDay is the expected number of doses, null when there is no fixed schedule.
 export const MEDICATION_FREQUENCIES = [
-  { value: 'daily', label: 'Daily' },
-  { value: 'twice_daily', label: 'Twice Daily' },
-  { value: 'weekly', label: 'Weekly' },
-  { value: 'as_needed', label: 'As Needed' },
-  { value: 'other', label: 'Other' },
+  { value: 'daily', label: 'Daily', reminderTimes: ['09:00'], dosesPerDay: 1 },
+  { value: 'twice_daily', label: 'Twice Daily', reminderTimes: ['09:00', '21:00'], dosesPerDay: 2 },
+  { value: 'weekly', label: 'Weekly', reminderTimes: ['09:00'], dosesPerDay: 1 / 7 },
+  { value: 'as_needed', label: 'As Needed', reminderTimes: [], dosesPerDay: null },
+  { value: 'other', label: 'Other', reminderTimes: [], dosesPerDay: null },
+];
+
+// Built-in triggers, logged per day and as tags on hot flashes. Users can add
+// their own to the catalog (the custom_triggers table).
+export const TRIGGERS = [
+  { id: 'alcohol', label: 'Alcohol', icon: 'glass-wine' },
+  { id: 'caffeine', label: 'Caffeine', icon: 'coffee' },
+  { id: 'spicy_food', label: 'Spicy Food', icon: 'chili-mild' },
+  { id: 'hot_drinks', label: 'Hot Drinks', icon: 'tea' },
+  { id: 'late_meal', label: 'Late Meal', icon: 'food-variant' },
+  { id: 'stress', label: 'Stress', icon: 'head-alert' },
+  { id: 'heat', label: 'Heat', icon: 'white-balance-sunny' },
 ];
 
+// Duration choices in minutes when logging a hot flash
+export const HOT_FLASH_DURATIONS = [1, 2, 5, 10, 15, 30];
+
+// Intensity of a hot flash logged with one tap
+export const HOT_FLASH_QUICK_INTENSITY = 3;
+
 // Cycle phase definitions (approximate days)
 export const CYCLE_PHASES = {
   menstrual: { name: 'Menstrual', days: [1, 2, 3, 4, 5], color: '#E57373' },
@@ -125,6 +169,7 @@ export const DEFAULTS = {
 };
 
 export default {
+  SYMPTOM_CATALOG_VERSION,
   SYMPTOMS,
   SYMPTOM_CATEGORIES,
   PERIOD_FLOW_OPTIONS,
@@ -134,6 +179,9 @@ export default {
   EXERCISE_OPTIONS,
   FOOD_QUALITY_OPTIONS,
   MEDICATION_FREQUENCIES,
+  TRIGGERS,
+  HOT_FLASH_DURATIONS,
+  HOT_FLASH_QUICK_INTENSITY,
   CYCLE_PHASES,
   CHART_COLORS,
   DATE_FORMAT,
@@ -0,0 +1,49 @@
+// Helpers for the 'YYYY-MM-DD' date strings logs and periods are stored under
+//
+// Date strings are parsed at UTC midnight, so adding days and counting the
+// days between two dates can't be thrown off by daylight saving changes.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export function parseDate(dateString) {
+  return new Date(dateString + 'T00:00:00Z');
+}
+
+/**
+ * The UTC date of `date` as a date string
+ */
+export function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+export function addDays(dateString, days) {
+  const date = parseDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+export function addMonths(dateString, months) {
+  const date = parseDate(dateString);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return toDateString(date);
+}
+
+export function daysBetween(startString, endString) {
+  return Math.round((parseDate(endString) - parseDate(startString)) / DAY_MS);
+}
+
+/**
+ * Day of the week of a date string, 0 = Sunday
+ */
+export function getWeekday(dateString) {
+  return parseDate(dateString).getUTCDay();
+}
+
+export default {
+  parseDate,
+  toDateString,
+  addDays,
+  addMonths,
+  daysBetween,
+  getWeekday,
+};
@@ -0,0 +1,101 @@
+// Hot flash episodes
+//
+// Episodes are logged one by one in hot_flash_episodes, each with the time it
+// started, its intensity (1-5), an optional duration and tags from the trigger
+// catalog (see triggers.js). Times of day are read in the device's time zone,
+// like the time they were logged in.
+//
+// The day's hot_flashes symptom follows how many episodes were logged that day
+// rather than how intense they were, so it tracks frequency like the daily
+// hot flash counts used to grade vasomotor symptoms:
+//
+//   episodes   1   2-3   4-5   6-9   10+
+//   severity   1    2     3     4     5
+
+import { getTriggerLabel } from './triggers';
+
+const SEVERITY_BY_EPISODE_COUNT = [
+  { minCount: 10, severity: 5 },
+  { minCount: 6, severity: 4 },
+  { minCount: 4, severity: 3 },
+  { minCount: 2, severity: 2 },
+  { minCount: 1, severity: 1 },
+];
+
+/**
+ * hot_flashes severity for a day with `count` episodes, or null for none
+ */
+export function getHotFlashSeverity(count) {
+  return SEVERITY_BY_EPISODE_COUNT.find((band) => count >= band.minCount)?.severity ?? null;
+}
+
+/**
+ * Trigger ids of an episode, from its comma-separated triggers column
+ */
+export function parseTriggers(episode) {
+  return (episode?.triggers || '').split(',').filter(Boolean);
+}
+
+/**
+ * Short label for an hour of the day, e.g. '12a', '3p'
+ */
+export function formatHour(hour) {
+  const suffix = hour < 12 ? 'a' : 'p';
+  return `${hour % 12 === 0 ? 12 : hour % 12}${suffix}`;
+}
+
+/**
+ * Count episodes by time of day in blocks of `bucketHours` hours, starting at
+ * midnight. Returns [{ startHour, label, count }] for every block.
+ */
+export function getTimeOfDayDistribution(episodes, bucketHours = 3) {
+  const buckets = [];
+  for (let startHour = 0; startHour < 24; startHour += bucketHours) {
+    buckets.push({ startHour, label: formatHour(startHour), count: 0 });
+  }
+  for (const episode of episodes) {
+    const hour = new Date(episode.started_at).getHours();
+    buckets[Math.floor(hour / bucketHours)].count++;
+  }
+  return buckets;
+}
+
+/**
+ * Totals over a list of episodes: how many, on how many days, average
+ * intensity and duration, and the triggers tagged most often.
+ */
+export function summarizeHotFlashes(episodes, customTriggers = []) {
+  const withDuration = episodes.filter((e) => e.duration_minutes);
+  const triggerCounts = {};
+  for (const episode of episodes) {
+    for (const id of parseTriggers(episode)) {
+      triggerCounts[id] = (triggerCounts[id] || 0) + 1;
+    }
+  }
+
+  return {
+    count: episodes.length,
+    days: new Set(episodes.map((e) => e.date)).size,
+    avgIntensity: episodes.length > 0
+      ? episodes.reduce((sum, e) => sum + e.intensity, 0) / episodes.length
+      : null,
+    avgDuration: withDuration.length > 0
+      ? withDuration.reduce((sum, e) => sum + e.duration_minutes, 0) / withDuration.length
+      : null,
+    triggers: Object.entries(triggerCounts)
+      .map(([id, count]) => ({
+        id,
+        label: getTriggerLabel(id, customTriggers),
+        count,
+      }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+export default {
+  getHotFlashSeverity,
+  parseTriggers,
+  formatHour,
+  getTimeOfDayDistribution,
+  summarizeHotFlashes,
+};
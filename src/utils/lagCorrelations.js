@@ -0,0 +1,262 @@
+// Lagged correlations between daily log fields and symptoms
+//
+// Sleep, exercise and food mostly show up in how the following days feel, so
+// each daily log field (the source) is correlated with symptom severities and
+// the other fields (the targets) 0 to MAX_LAG_DAYS days later. A symptom's
+// severity is 0 on logged days it wasn't logged. Only days that were logged
+// on both ends of the lag are paired.
+
+import { EXERCISE_OPTIONS, FOOD_QUALITY_OPTIONS } from './constants';
+import { getSymptomName } from './symptoms';
+import { addDays } from './dates';
+import { spearman, spearmanWithInterval, benjaminiHochberg, excludes } from './statistics';
+
+export const MAX_LAG_DAYS = 3;
+// Pairs of days needed before a correlation is measured
+export const LAG_MIN_PAIRS = 14;
+// Days a symptom must be logged (and not logged) to be a target
+const MIN_SYMPTOM_DAYS = 5;
+// Weakest correlation worth listing
+const MIN_LAG_CORRELATION = 0.3;
+const HIGH_CONFIDENCE_PAIRS = 30;
+
+const SYMPTOM_PREFIX = 'symptom:';
+
+function ordinal(options, value) {
+  const index = options.findIndex((o) => o.value === value);
+  return index === -1 ? null : index;
+}
+
+// Daily log fields, with the top of their scale for charting and how to
+// describe low and high values
+export const LOG_SERIES = [
+  {
+    id: 'sleep_hours',
+    name: 'Sleep hours',
+    max: 12,
+    lower: 'less sleep',
+    higher: 'more sleep',
+    value: (log) => log.sleep_hours || null,
+  },
+  {
+    id: 'sleep_quality',
+    name: 'Sleep quality',
+    max: 5,
+    lower: 'poorer sleep',
+    higher: 'better sleep',
+    value: (log) => log.sleep_quality || null,
+  },
+  {
+    id: 'mood_overall',
+    name: 'Mood',
+    max: 10,
+    lower: 'lower mood',
+    higher: 'better mood',
+    value: (log) => log.mood_overall || null,
+  },
+  {
+    id: 'mood_anxiety',
+    name: 'Anxiety',
+    max: 10,
+    lower: 'less anxiety',
+    higher: 'more anxiety',
+    value: (log) => log.mood_anxiety || null,
+  },
+  {
+    id: 'mood_energy',
+    name: 'Energy',
+    max: 10,
+    lower: 'less energy',
+    higher: 'more energy',
+    value: (log) => log.mood_energy || null,
+  },
+  {
+    id: 'exercise_level',
+    name: 'Exercise',
+    max: EXERCISE_OPTIONS.length - 1,
+    lower: 'less exercise',
+    higher: 'more exercise',
+    value: (log) => ordinal(EXERCISE_OPTIONS, log.exercise_level),
+  },
+  {
+    id: 'food_quality',
+    name: 'Food quality',
+    max: FOOD_QUALITY_OPTIONS.length - 1,
+    lower: 'less healthy eating',
+    higher: 'healthier eating',
+    value: (log) => ordinal(FOOD_QUALITY_OPTIONS, log.food_quality),
+  },
+];
+
+export function getSymptomSeriesId(symptomId) {
+  return `${SYMPTOM_PREFIX}${symptomId}`;
+}
+
+/**
+ * A series by id: a LOG_SERIES field or 'symptom:<id>' for a symptom's
+ * severity. Returns { id, name, max, lower, higher, isSymptom, value(log) }
+ * or null.
+ */
+export function getSeries(seriesId, symptomRegistry) {
+  if (seriesId.startsWith(SYMPTOM_PREFIX)) {
+    const symptomId = seriesId.slice(SYMPTOM_PREFIX.length);
+    const name = getSymptomName(symptomId, symptomRegistry);
+    return {
+      id: seriesId,
+      name,
+      max: 5,
+      lower: `milder ${name.toLowerCase()}`,
+      higher: `more severe ${name.toLowerCase()}`,
+      isSymptom: true,
+      value: (log) => log.symptoms?.find((s) => s.symptom_id === symptomId)?.severity || 0,
+    };
+  }
+  const series = LOG_SERIES.find((s) => s.id === seriesId);
+  return series ? { ...series, isSymptom: false } : null;
+}
+
+/**
+ * Pair each logged day's source value with the target value `lag` days
+ * later. Returns [{ date, targetDate, source, target }] in date order.
+ */
+export function getLaggedPairs(logs, source, target, lag) {
+  const logsByDate = Object.fromEntries(logs.map((l) => [l.date, l]));
+  return [...logs]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((log) => {
+      const targetDate = addDays(log.date, lag);
+      const targetLog = logsByDate[targetDate];
+      return {
+        date: log.date,
+        targetDate,
+        source: source.value(log),
+        target: targetLog ? target.value(targetLog) : null,
+      };
+    })
+    .filter((pair) => pair.source !== null && pair.target !== null);
+}
+
+function getConfidence(pairs) {
+  return pairs >= HIGH_CONFIDENCE_PAIRS ? 'high' : 'moderate';
+}
+
+/**
+ * Spearman correlation between two series at one lag, with a bootstrapped
+ * interval: { lag, estimate, low, high, p, n, confidence }, or null with
+ * fewer than LAG_MIN_PAIRS pairs or a constant series
+ */
+export function getLagCorrelation(logs, source, target, lag) {
+  const pairs = getLaggedPairs(logs, source, target, lag);
+  if (pairs.length < LAG_MIN_PAIRS) return null;
+  const result = spearmanWithInterval(pairs.map((p) => p.source), pairs.map((p) => p.target));
+  return result ? { lag, ...result, confidence: getConfidence(result.n) } : null;
+}
+
+function getTargets(logs, symptomRegistry) {
+  const symptomDays = {};
+  for (const log of logs) {
+    for (const symptom of log.symptoms || []) {
+      symptomDays[symptom.symptom_id] = (symptomDays[symptom.symptom_id] || 0) + 1;
+    }
+  }
+  const symptoms = Object.entries(symptomDays)
+    .filter(([, days]) => days >= MIN_SYMPTOM_DAYS && logs.length - days >= MIN_SYMPTOM_DAYS)
+    .map(([symptomId]) => getSeries(getSymptomSeriesId(symptomId), symptomRegistry));
+  return [...symptoms, ...LOG_SERIES.map((s) => getSeries(s.id))];
+}
+
+/**
+ * The strongest lagged relationships from daily log fields to symptoms (lags
+ * 0 to `maxLag`) and to other fields (lags 1 to `maxLag`). Every source, target and lag is a
+ * test; only correlations of at least 0.3 are bootstrapped, and the rest
+ * count towards the false discovery rate as p = 1. Each source-target pair
+ * is listed once, at its strongest lag. Returns
+ * [{ sourceId, targetId, sourceName, targetName, lag, estimate, low, high, n,
+ * confidence }], strongest first.
+ */
+export function analyzeLagCorrelations(logs, { symptomRegistry, maxLag = MAX_LAG_DAYS } = {}) {
+  const targets = getTargets(logs, symptomRegistry);
+  const tests = [];
+
+  for (const source of LOG_SERIES) {
+    for (const target of targets) {
+      if (target.id === source.id) continue;
+      for (let lag = 0; lag <= maxLag; lag++) {
+        // Fields on the same day mostly measure one feeling twice (mood and
+        // energy, sleep hours and quality), so they're only paired across days
+        if (lag === 0 && !target.isSymptom) continue;
+
+        const pairs = getLaggedPairs(logs, source, target, lag);
+        if (pairs.length < LAG_MIN_PAIRS) continue;
+        const xs = pairs.map((p) => p.source);
+        const ys = pairs.map((p) => p.target);
+        const estimate = spearman(xs, ys);
+        if (estimate === null) continue;
+
+        tests.push({
+          source,
+          target,
+          lag,
+          result: Math.abs(estimate) >= MIN_LAG_CORRELATION ? spearmanWithInterval(xs, ys) : null,
+        });
+      }
+    }
+  }
+
+  const discoveries = benjaminiHochberg(tests.map((t) => t.result?.p ?? 1));
+  const strongest = {};
+  tests.forEach((test, index) => {
+    if (!discoveries[index] || !excludes(test.result)) return;
+    const key = `${test.source.id}>${test.target.id}`;
+    if (!strongest[key] || Math.abs(test.result.estimate) > Math.abs(strongest[key].result.estimate)) {
+      strongest[key] = test;
+    }
+  });
+
+  return Object.values(strongest)
+    .map(({ source, target, lag, result }) => ({
+      sourceId: source.id,
+      targetId: target.id,
+      sourceName: source.name,
+      targetName: target.name,
+      lag,
+      estimate: result.estimate,
+      low: result.low,
+      high: result.high,
+      n: result.n,
+      confidence: getConfidence(result.n),
+    }))
+    .sort((a, b) => Math.abs(b.estimate) - Math.abs(a.estimate));
+}
+
+/**
+ * When the target is read, e.g. 'the same day', 'the next day', '2 days later'
+ */
+export function getLagLabel(lag) {
+  if (lag === 0) return 'the same day';
+  if (lag === 1) return 'the next day';
+  return `${lag} days later`;
+}
+
+/**
+ * One-line description of a relationship (an entry of analyzeLagCorrelations),
+ * told from the direction in which the target goes up, e.g. 'Less sleep goes
+ * with more severe hot flashes the next day'
+ */
+export function describeLagCorrelation({ sourceId, targetId, estimate, lag }, symptomRegistry) {
+  const source = getSeries(sourceId, symptomRegistry);
+  const target = getSeries(targetId, symptomRegistry);
+  const cause = estimate < 0 ? source.lower : source.higher;
+  return `${cause.charAt(0).toUpperCase()}${cause.slice(1)} goes with ${target.higher} ${getLagLabel(lag)}`;
+}
+
+export default {
+  LOG_SERIES,
+  getSeries,
+  getSymptomSeriesId,
+  getLaggedPairs,
+  getLagCorrelation,
+  analyzeLagCorrelations,
+  getLagLabel,
+  describeLagCorrelation,
+};
@@ -0,0 +1,109 @@
+// Medication history
+//
+// Each medication has a timeline of events from the medication_events table:
+// 'started', 'changed' (a new dose or frequency) and 'stopped'. Every event
+// carries the dose and frequency in effect from its date on. Symptoms logged
+// in the weeks before and after an event can be compared to see how a change
+// went (see compareBeforeAndAfter in analysis.js) - only as a hint, since
+// anything else that changed at the time counts too.
+
+import { MEDICATION_FREQUENCIES } from './constants';
+import { compareBeforeAndAfter, COMPARISON_WINDOW_DAYS } from './analysis';
+import { addDays } from './dates';
+
+function sortEvents(events) {
+  return [...events].sort((a, b) => a.date.localeCompare(b.date) || (a.id || 0) - (b.id || 0));
+}
+
+/**
+ * Date ranges a medication was being taken, as [{ start, end, frequency }].
+ * end is the last day taken, null while it still is. Without any events the
+ * medication counts as taken since it was added.
+ */
+export function getActivePeriods(medication, events = []) {
+  if (events.length === 0) {
+    return [{
+      start: medication.created_at ? medication.created_at.slice(0, 10) : null,
+      end: null,
+      frequency: medication.frequency,
+    }];
+  }
+
+  const periods = [];
+  let current = null;
+  for (const event of sortEvents(events)) {
+    if (current) {
+      current.end = addDays(event.date, -1);
+      periods.push(current);
+      current = null;
+    }
+    if (event.type !== 'stopped') {
+      current = { start: event.date, end: null, frequency: event.frequency };
+    }
+  }
+  if (current) periods.push(current);
+  return periods.filter((p) => p.end === null || p.end >= p.start);
+}
+
+function describeDose(dose, frequency) {
+  const label = MEDICATION_FREQUENCIES.find((f) => f.value === frequency)?.label;
+  return [dose, label?.toLowerCase()].filter(Boolean).join(', ');
+}
+
+/**
+ * One-line description of a medication event, e.g. 'Estradiol: 1mg, daily → 2mg, daily'.
+ * previous is the event before it for the same medication.
+ */
+export function describeMedicationEvent(event, previous = null) {
+  const current = describeDose(event.dose, event.frequency);
+  if (event.type === 'started') {
+    return `Started ${event.name}${current ? ` (${current})` : ''}`;
+  }
+  if (event.type === 'stopped') {
+    return `Stopped ${event.name}`;
+  }
+  const before = previous ? describeDose(previous.dose, previous.frequency) : '';
+  return `${event.name}: ${before || 'no dose'} → ${current || 'no dose'}`;
+}
+
+/**
+ * Events of all medications, newest first, each with its description
+ */
+export function getMedicationTimeline(events) {
+  const previousById = {};
+  const timeline = sortEvents(events).map((event) => {
+    const entry = {
+      ...event,
+      description: describeMedicationEvent(event, previousById[event.medication_id]),
+    };
+    previousById[event.medication_id] = event;
+    return entry;
+  });
+  return timeline.reverse();
+}
+
+/**
+ * Dates to load logs for when comparing the changes from startDate to endDate
+ */
+export function getComparisonRange(startDate, endDate, windowDays = COMPARISON_WINDOW_DAYS) {
+  return { start: addDays(startDate, -windowDays), end: addDays(endDate, windowDays - 1) };
+}
+
+/**
+ * Timeline of medication events, newest first, each with a comparison of the
+ * logs around it. logs should cover getComparisonRange() of the events.
+ */
+export function compareMedicationChanges(logs, events, options = {}) {
+  return getMedicationTimeline(events).map((event) => ({
+    ...event,
+    comparison: compareBeforeAndAfter(logs, event.date, options),
+  }));
+}
+
+export default {
+  getActivePeriods,
+  describeMedicationEvent,
+  getMedicationTimeline,
+  getComparisonRange,
+  compareMedicationChanges,
+};
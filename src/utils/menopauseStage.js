@@ -0,0 +1,275 @@
+// Menopause transition stage estimation based on the STRAW+10 staging system
+//
+// STRAW+10 (Stages of Reproductive Aging Workshop) stages the transition from
+// menstrual cycle changes alone:
+//   - Early transition (-2): a persistent difference of 7 days or more between
+//     the lengths of consecutive cycles, recurring within 10 cycles
+//   - Late transition (-1): a gap of 60 days or more between periods
+//   - Postmenopause (+1): 12 months without a period
+// This is an estimate from logged periods only - it can't account for
+// hormonal contraception, HRT, hysterectomy or missed entries.
+
+import { parseDate, toDateString, addDays, addMonths, daysBetween } from './dates';
+
+// Gaps shorter than this are treated as data entry errors, not cycles
+const MIN_CYCLE_LENGTH = 15;
+const VARIABLE_CYCLE_DIFFERENCE = 7;
+const PERSISTENCE_WINDOW_CYCLES = 10;
+const AMENORRHEA_DAYS = 60;
+export const POSTMENOPAUSE_MONTHS = 12;
+// Cycles needed before regular cycles count as evidence of the reproductive stage
+const MIN_CYCLES_FOR_ESTIMATE = 3;
+
+export const STAGES = {
+  unknown: {
+    id: 'unknown',
+    name: 'Not enough data yet',
+    straw: null,
+    icon: 'help-circle-outline',
+    description: 'Log a few more periods to get an estimate of your stage.',
+  },
+  reproductive: {
+    id: 'reproductive',
+    name: 'Late reproductive',
+    straw: '-3',
+    icon: 'sprout',
+    description: 'Your cycles are still fairly regular. Symptoms can begin before cycles change.',
+  },
+  earlyTransition: {
+    id: 'earlyTransition',
+    name: 'Early menopausal transition',
+    straw: '-2',
+    icon: 'chart-timeline-variant',
+    description: 'Your cycle length keeps changing by 7 days or more from one cycle to the next.',
+  },
+  lateTransition: {
+    id: 'lateTransition',
+    name: 'Late menopausal transition',
+    straw: '-1',
+    icon: 'timer-sand',
+    description: 'You have gone 60 days or more without a period. Symptoms such as hot flashes are often most noticeable now.',
+  },
+  postmenopause: {
+    id: 'postmenopause',
+    name: 'Postmenopause',
+    straw: '+1',
+    icon: 'flag-checkered',
+    description: 'It has been 12 months since your last period.',
+  },
+};
+
+function formatDate(dateString) {
+  return parseDate(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Cycles between consecutive period starts, oldest first
+ */
+function getCycles(starts) {
+  const cycles = [];
+  for (let i = 1; i < starts.length; i++) {
+    const length = daysBetween(starts[i - 1], starts[i]);
+    if (length >= MIN_CYCLE_LENGTH) {
+      cycles.push({ start: starts[i - 1], end: starts[i], length });
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Pairs of consecutive cycles whose lengths differ by 7 days or more,
+ * counted as persistent when another follows within 10 cycles
+ */
+function findPersistentVariability(cycles) {
+  const regular = cycles.filter((c) => c.length < AMENORRHEA_DAYS);
+  const changes = [];
+
+  for (let i = 1; i < regular.length; i++) {
+    const difference = Math.abs(regular[i].length - regular[i - 1].length);
+    if (difference >= VARIABLE_CYCLE_DIFFERENCE) {
+      changes.push({ index: i, cycle: regular[i], previous: regular[i - 1], difference });
+    }
+  }
+
+  for (let i = 1; i < changes.length; i++) {
+    if (changes[i].index - changes[i - 1].index <= PERSISTENCE_WINDOW_CYCLES) {
+      return changes;
+    }
+  }
+  return null;
+}
+
+function getLastPeriodDate(periods, today) {
+  return periods
+    .filter((p) => p.start_date <= today)
+    .map((p) => (p.end_date && p.end_date <= today ? p.end_date : p.start_date))
+    .sort()
+    .pop() || null;
+}
+
+/**
+ * The final menstrual period: the last day of bleeding, once 12 months have
+ * passed without another period. Returns null while that isn't the case.
+ */
+export function findFinalMenstrualPeriod(periods, { today = toDateString(new Date()) } = {}) {
+  const lastPeriodDate = getLastPeriodDate(periods || [], today);
+  if (!lastPeriodDate) return null;
+  return addMonths(lastPeriodDate, POSTMENOPAUSE_MONTHS) <= today ? lastPeriodDate : null;
+}
+
+/**
+ * Estimate the STRAW+10 stage from cycle_periods rows as of `today`.
+ * Returns { stage, evidence, cycleCount, lastPeriodDate, asOf } where
+ * stage is a key of STAGES and evidence is a list of plain sentences.
+ *
+ * Once a final menstrual period has been recorded it is passed in as
+ * `finalPeriodDate`, and bleeding after it no longer restarts the transition.
+ */
+export function estimateStage(periods, { today = toDateString(new Date()), finalPeriodDate = null } = {}) {
+  const relevant = (periods || []).filter((p) => p.start_date <= today);
+  const starts = [...new Set(relevant.map((p) => p.start_date))].sort();
+
+  if (finalPeriodDate && addMonths(finalPeriodDate, POSTMENOPAUSE_MONTHS) <= today) {
+    return {
+      stage: 'postmenopause',
+      evidence: [`Final menstrual period on ${formatDate(finalPeriodDate)}, followed by 12 months without a period.`],
+      cycleCount: getCycles(starts.filter((date) => date <= finalPeriodDate)).length,
+      lastPeriodDate: finalPeriodDate,
+      asOf: today,
+    };
+  }
+
+  if (starts.length === 0) {
+    return {
+      stage: 'unknown',
+      evidence: ['No periods have been logged yet.'],
+      cycleCount: 0,
+      lastPeriodDate: null,
+      asOf: today,
+    };
+  }
+
+  const lastStart = starts[starts.length - 1];
+  const lastPeriodDate = getLastPeriodDate(relevant, today);
+  const cycles = getCycles(starts);
+  const result = { cycleCount: cycles.length, lastPeriodDate, asOf: today };
+
+  // Postmenopause: 12 months without bleeding
+  if (addMonths(lastPeriodDate, POSTMENOPAUSE_MONTHS) <= today) {
+    const months = Math.floor(daysBetween(lastPeriodDate, today) / 30.44);
+    return {
+      ...result,
+      stage: 'postmenopause',
+      evidence: [`No period logged for ${months} months, since ${formatDate(lastPeriodDate)}.`],
+    };
+  }
+
+  // Late transition: any gap of 60 days or more, including the current one
+  const longGaps = cycles.filter((c) => c.length >= AMENORRHEA_DAYS);
+  const currentGap = daysBetween(lastStart, today);
+  if (longGaps.length > 0 || currentGap >= AMENORRHEA_DAYS) {
+    const evidence = [];
+    if (currentGap >= AMENORRHEA_DAYS) {
+      evidence.push(`No period for ${currentGap} days, since ${formatDate(lastStart)}.`);
+    }
+    for (const gap of longGaps.slice(-3).reverse()) {
+      evidence.push(`${gap.length} days between periods starting ${formatDate(gap.start)} and ${formatDate(gap.end)}.`);
+    }
+    return { ...result, stage: 'lateTransition', evidence };
+  }
+
+  // Early transition: persistent cycle-to-cycle variability of 7+ days
+  const variability = findPersistentVariability(cycles);
+  if (variability) {
+    return {
+      ...result,
+      stage: 'earlyTransition',
+      evidence: variability.slice(-3).reverse().map(
+        (change) =>
+          `Cycle starting ${formatDate(change.cycle.start)} was ${change.cycle.length} days, ` +
+          `${change.difference} days different from the one before (${change.previous.length} days).`
+      ),
+    };
+  }
+
+  if (cycles.length < MIN_CYCLES_FOR_ESTIMATE) {
+    return {
+      ...result,
+      stage: 'unknown',
+      evidence: [
+        `${cycles.length} complete ${cycles.length === 1 ? 'cycle' : 'cycles'} logged - at least ${MIN_CYCLES_FOR_ESTIMATE} are needed.`,
+      ],
+    };
+  }
+
+  const lengths = cycles.slice(-PERSISTENCE_WINDOW_CYCLES).map((c) => c.length);
+  const shortest = Math.min(...lengths);
+  const longest = Math.max(...lengths);
+  return {
+    ...result,
+    stage: 'reproductive',
+    evidence: [
+      `Your last ${lengths.length} cycles were ` +
+        (shortest === longest ? `all ${shortest} days long.` : `${shortest}-${longest} days long, without persistent changes of 7 days or more.`),
+    ],
+  };
+}
+
+/**
+ * How the estimated stage has changed over time.
+ * Returns [{ stage, since }] oldest first, one entry per change of stage.
+ */
+export function getStageHistory(periods, { today = toDateString(new Date()), finalPeriodDate = null } = {}) {
+  const relevant = (periods || [])
+    .filter((p) => p.start_date <= today)
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+  // Dates on which the stage can change: each new period, the day a gap
+  // reaches 60 days and the day 12 months without a period are reached
+  const checkpoints = new Set([today]);
+  relevant.forEach((period, index) => {
+    const next = relevant[index + 1]?.start_date || today;
+    checkpoints.add(period.start_date);
+    const gapReached = addDays(period.start_date, AMENORRHEA_DAYS);
+    if (gapReached <= next) checkpoints.add(gapReached);
+    const yearReached = addMonths(period.end_date || period.start_date, POSTMENOPAUSE_MONTHS);
+    if (yearReached <= next) checkpoints.add(yearReached);
+  });
+  if (finalPeriodDate) {
+    const confirmed = addMonths(finalPeriodDate, POSTMENOPAUSE_MONTHS);
+    if (confirmed <= today) checkpoints.add(confirmed);
+  }
+
+  const history = [];
+  for (const date of [...checkpoints].sort()) {
+    const { stage } = estimateStage(periods, { today: date, finalPeriodDate });
+    if (stage === 'unknown') continue;
+    if (history.length === 0 || history[history.length - 1].stage !== stage) {
+      history.push({ stage, since: date });
+    }
+  }
+  return history;
+}
+
+/**
+ * Current estimate together with its history, as shown on Insights and in reports
+ */
+export function getStageSummary(periods, options = {}) {
+  return {
+    ...estimateStage(periods, options),
+    history: getStageHistory(periods, options),
+  };
+}
+
+export default {
+  STAGES,
+  findFinalMenstrualPeriod,
+  estimateStage,
+  getStageHistory,
+  getStageSummary,
+};
@@ -0,0 +1,70 @@
+// App lock PIN hashing
+//
+// A PIN has few enough combinations that a fast hash of it can be brute
+// forced in moments by anyone holding the stored record. Hashes are made with
+// scrypt instead, which costs both time and memory for every guess. The cost
+// parameters are stored with each record so they can be raised later without
+// locking anyone out.
+
+import * as Crypto from 'expo-crypto';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { bytesToHex } from '@noble/hashes/utils';
+
+export const PIN_KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1, dkLen: 32 };
+
+const SALT_BYTES = 16;
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two strings without stopping at the first difference, so the time
+ * taken doesn't tell how much of a guess was right
+ */
+export function constantTimeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  let difference = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+  }
+  return difference === 0;
+}
+
+async function hashPin(pin, salt, kdf) {
+  // Records from before scrypt was used have no kdf and a single SHA-256
+  if (!kdf) {
+    return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+  }
+  const { N, r, p, dkLen } = kdf;
+  return bytesToHex(await scryptAsync(pin, salt, { N, r, p, dkLen }));
+}
+
+/**
+ * Salted hash of a new PIN, ready to be kept in the secure store
+ */
+export async function createPinRecord(pin) {
+  const salt = toHex(await Crypto.getRandomBytesAsync(SALT_BYTES));
+  return { salt, hash: await hashPin(pin, salt, PIN_KDF), length: pin.length, kdf: PIN_KDF };
+}
+
+export async function verifyPin(pin, record) {
+  if (!record) return false;
+  return constantTimeEqual(await hashPin(pin, record.salt, record.kdf), record.hash);
+}
+
+/**
+ * Whether a record was made with weaker settings than new ones get, and
+ * should be replaced the next time the PIN is entered
+ */
+export function needsRehash(record) {
+  const { kdf } = record;
+  return !kdf || kdf.name !== PIN_KDF.name || kdf.N < PIN_KDF.N || kdf.r < PIN_KDF.r || kdf.p < PIN_KDF.p;
+}
+
+export default {
+  createPinRecord,
+  verifyPin,
+  needsRehash,
+  constantTimeEqual,
+};
@@ -0,0 +1,181 @@
+// Period and fertile-window forecasting from the cycle_periods history
+//
+// Forecasts are centred on the mean cycle length of recent cycles. The
+// uncertainty of each forecast comes from the spread of those cycles and grows
+// with every cycle further ahead, so irregular perimenopausal cycles give wide
+// ranges instead of a single, falsely precise date.
+
+import { toDateString, addDays, daysBetween } from './dates';
+
+// Gaps shorter than this are treated as data entry errors, not cycles
+const MIN_CYCLE_LENGTH = 15;
+// Gaps longer than this are treated as skipped periods and left out of the average
+const MAX_CYCLE_LENGTH = 120;
+const MAX_CYCLES_USED = 12;
+
+const DEFAULT_PERIOD_LENGTH = 5;
+// ~80% of cycles fall within this many standard deviations of the mean
+const RANGE_Z_SCORE = 1.28;
+const MIN_RANGE_DAYS = 1;
+
+// Ovulation is assumed to happen about 14 days before the next period
+const LUTEAL_PHASE_DAYS = 14;
+const FERTILE_DAYS_BEFORE_OVULATION = 5;
+const FERTILE_DAYS_AFTER_OVULATION = 1;
+
+export const PREDICTION_DAY_TYPES = {
+  period: 'period',       // Most likely period days
+  possible: 'possible',   // Within the confidence range around a forecast period
+  fertile: 'fertile',     // Estimated fertile window
+};
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Lengths of the recent complete cycles (days between period starts), oldest first
+ */
+export function getCycleLengths(periods) {
+  const starts = [...new Set(periods.map((p) => p.start_date))].sort();
+  const lengths = [];
+
+  for (let i = 1; i < starts.length; i++) {
+    const length = daysBetween(starts[i - 1], starts[i]);
+    if (length >= MIN_CYCLE_LENGTH && length <= MAX_CYCLE_LENGTH) {
+      lengths.push(length);
+    }
+  }
+
+  return lengths.slice(-MAX_CYCLES_USED);
+}
+
+function getAveragePeriodLength(periods) {
+  const lengths = periods
+    .filter((p) => p.end_date)
+    .map((p) => p.length || daysBetween(p.start_date, p.end_date) + 1)
+    .filter((length) => length > 0 && length <= 14);
+
+  return lengths.length > 0 ? Math.round(mean(lengths)) : DEFAULT_PERIOD_LENGTH;
+}
+
+/**
+ * How much to trust the forecast given the amount and regularity of history
+ */
+function getConfidence(cycleCount, variability) {
+  if (cycleCount < 3 || variability === null) return 'low';
+  if (variability <= 3 && cycleCount >= 6) return 'high';
+  if (variability <= 7) return 'medium';
+  return 'low';
+}
+
+/**
+ * Forecast upcoming periods from cycle_periods rows.
+ * Returns null when there isn't at least one complete cycle to go on.
+ *
+ * Each prediction has a most likely start date, an earliest/latest start
+ * range, the expected period length and an estimated fertile window.
+ */
+export function predictPeriods(periods, { count = 3, today = toDateString(new Date()) } = {}) {
+  if (!periods || periods.length === 0) return null;
+
+  const cycleLengths = getCycleLengths(periods);
+  if (cycleLengths.length === 0) return null;
+
+  const averageCycleLength = mean(cycleLengths);
+  const variability = standardDeviation(cycleLengths);
+  const periodLength = getAveragePeriodLength(periods);
+
+  // With a single cycle there is no spread to measure, so assume a wide one
+  const cycleSpread = variability ?? averageCycleLength * 0.15;
+
+  const lastStart = periods.map((p) => p.start_date).sort().pop();
+  const predictions = [];
+
+  for (let n = 1; predictions.length < count && n <= count + 12; n++) {
+    const startDate = addDays(lastStart, Math.round(averageCycleLength * n));
+    // Independent cycles: the spread of n cycles grows with sqrt(n)
+    const range = Math.max(
+      MIN_RANGE_DAYS * n,
+      Math.round(RANGE_Z_SCORE * cycleSpread * Math.sqrt(n))
+    );
+    const earliestStart = addDays(startDate, -range);
+    const latestStart = addDays(startDate, range);
+
+    // Skip forecasts that have already passed without a period being logged
+    if (addDays(latestStart, periodLength - 1) < today) continue;
+
+    const ovulationDate = addDays(startDate, -LUTEAL_PHASE_DAYS);
+    predictions.push({
+      cycle: n,
+      startDate,
+      earliestStart,
+      latestStart,
+      rangeDays: range,
+      periodLength,
+      ovulationDate,
+      fertileWindow: {
+        start: addDays(earliestStart, -LUTEAL_PHASE_DAYS - FERTILE_DAYS_BEFORE_OVULATION),
+        end: addDays(latestStart, -LUTEAL_PHASE_DAYS + FERTILE_DAYS_AFTER_OVULATION),
+      },
+    });
+  }
+
+  return {
+    averageCycleLength: Math.round(averageCycleLength),
+    variability: variability === null ? null : Math.round(variability * 10) / 10,
+    averagePeriodLength: periodLength,
+    cyclesUsed: cycleLengths.length,
+    confidence: getConfidence(cycleLengths.length, variability),
+    predictions,
+  };
+}
+
+/**
+ * Map of date string -> PREDICTION_DAY_TYPES value for the calendar.
+ * Only days after `today` are included; period days take priority over
+ * the fertile window where ranges overlap.
+ */
+export function getPredictionDays(forecast, today = toDateString(new Date())) {
+  const days = new Map();
+  if (!forecast) return days;
+
+  const mark = (start, end, type) => {
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      if (date <= today) continue;
+      const current = days.get(date);
+      if (current === PREDICTION_DAY_TYPES.period) continue;
+      if (current === PREDICTION_DAY_TYPES.possible && type === PREDICTION_DAY_TYPES.fertile) continue;
+      days.set(date, type);
+    }
+  };
+
+  for (const prediction of forecast.predictions) {
+    mark(prediction.fertileWindow.start, prediction.fertileWindow.end, PREDICTION_DAY_TYPES.fertile);
+    mark(
+      prediction.earliestStart,
+      addDays(prediction.latestStart, prediction.periodLength - 1),
+      PREDICTION_DAY_TYPES.possible
+    );
+    mark(
+      prediction.startDate,
+      addDays(prediction.startDate, prediction.periodLength - 1),
+      PREDICTION_DAY_TYPES.period
+    );
+  }
+
+  return days;
+}
+
+export default {
+  predictPeriods,
+  getPredictionDays,
+  getCycleLengths,
+};
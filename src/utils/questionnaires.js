@@ -0,0 +1,353 @@
+// Validated questionnaires offered every few weeks alongside daily logging
+//
+// Clinicians know these standard instruments, unlike the app's own 1-5
+// severities:
+//   - Greene Climacteric Scale: 21 symptoms scored 0-3, with psychological
+//     (anxiety and depression), somatic, vasomotor and sexual subscales
+//   - Menopause Rating Scale (MRS): 11 symptoms scored 0-4, with somatic,
+//     psychological and urogenital subscales and published severity bands
+//   - PHQ-9 and GAD-7: depression and anxiety screening over the last two
+//     weeks, scored 0-3 per item. They're optional and off by default.
+// Answers are stored per item, numbered as in the published scales, and
+// scores are always calculated from them. Any answer above 0 to a
+// questionnaire's safetyItem (PHQ-9 item 9, thoughts of self-harm) shows
+// crisis resources straight away and is flagged for the clinician.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { toDateString, addDays } from './dates';
+
+export const QUESTIONNAIRE_SETTINGS_STORAGE_KEY = '@peri_tracker_questionnaire_settings';
+// How long "Not now" puts off a questionnaire that is due
+export const QUESTIONNAIRE_SNOOZE_DAYS = 3;
+
+const GREENE_OPTIONS = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'A little' },
+  { value: 2, label: 'Quite a bit' },
+  { value: 3, label: 'Extremely' },
+];
+
+const FREQUENCY_OPTIONS = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'Several days' },
+  { value: 2, label: 'More than half the days' },
+  { value: 3, label: 'Nearly every day' },
+];
+
+const MRS_OPTIONS = [
+  { value: 0, label: 'None' },
+  { value: 1, label: 'Mild' },
+  { value: 2, label: 'Moderate' },
+  { value: 3, label: 'Severe' },
+  { value: 4, label: 'Very severe' },
+];
+
+// Severity bands list the lowest score of each band
+export const QUESTIONNAIRES = {
+  greene: {
+    id: 'greene',
+    name: 'Greene Climacteric Scale',
+    shortName: 'Greene',
+    icon: 'clipboard-pulse-outline',
+    minutes: 3,
+    intervalDays: 28,
+    enabledByDefault: true,
+    instructions: 'Please indicate the extent to which you are troubled at the moment by any of these symptoms.',
+    reference: 'Greene JG, Maturitas 1998;29:25-31',
+    options: GREENE_OPTIONS,
+    items: [
+      'Heart beating quickly or strongly',
+      'Feeling tense or nervous',
+      'Difficulty in sleeping',
+      'Excitable',
+      'Attacks of panic',
+      'Difficulty in concentrating',
+      'Feeling tired or lacking in energy',
+      'Loss of interest in most things',
+      'Feeling unhappy or depressed',
+      'Crying spells',
+      'Irritability',
+      'Feeling dizzy or faint',
+      'Pressure or tightness in head or body',
+      'Parts of body feel numb or tingling',
+      'Headaches',
+      'Muscle and joint pains',
+      'Loss of feeling in hands or feet',
+      'Breathing difficulties',
+      'Hot flushes',
+      'Sweating at night',
+      'Loss of interest in sex',
+    ],
+    subscales: [
+      { id: 'psychological', name: 'Psychological', items: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+      { id: 'anxiety', name: 'Anxiety', items: [1, 2, 3, 4, 5, 6] },
+      { id: 'depression', name: 'Depression', items: [7, 8, 9, 10, 11] },
+      { id: 'somatic', name: 'Somatic', items: [12, 13, 14, 15, 16, 17, 18] },
+      { id: 'vasomotor', name: 'Vasomotor', items: [19, 20] },
+      { id: 'sexual', name: 'Sexual', items: [21] },
+    ],
+    // The Greene scale has no published severity bands
+    bands: null,
+  },
+  mrs: {
+    id: 'mrs',
+    name: 'Menopause Rating Scale',
+    shortName: 'MRS',
+    icon: 'clipboard-text-outline',
+    minutes: 2,
+    intervalDays: 28,
+    enabledByDefault: true,
+    instructions: 'Which of the following symptoms apply to you at this time?',
+    reference: 'Heinemann K et al, Health Qual Life Outcomes 2004;2:45',
+    options: MRS_OPTIONS,
+    items: [
+      'Hot flushes, sweating (episodes of sweating)',
+      'Heart discomfort (unusual awareness of heart beat, heart skipping, heart racing, tightness)',
+      'Sleep problems (difficulty in falling asleep, difficulty in sleeping through, waking up early)',
+      'Depressive mood (feeling down, sad, on the verge of tears, lack of drive, mood swings)',
+      'Irritability (feeling nervous, inner tension, feeling aggressive)',
+      'Anxiety (inner restlessness, feeling panicky)',
+      'Physical and mental exhaustion (general decrease in performance, impaired memory, decrease in concentration, forgetfulness)',
+      'Sexual problems (change in sexual desire, in sexual activity and satisfaction)',
+      'Bladder problems (difficulty in urinating, increased need to urinate, bladder incontinence)',
+      'Dryness of vagina (sensation of dryness or burning in the vagina, difficulty with sexual intercourse)',
+      'Joint and muscular discomfort (pain in the joints, rheumatoid complaints)',
+    ],
+    subscales: [
+      {
+        id: 'somatic',
+        name: 'Somatic',
+        items: [1, 2, 3, 11],
+        bands: [
+          { min: 0, label: 'None or little', color: '#A5D6A7' },
+          { min: 3, label: 'Mild', color: '#FFF59D' },
+          { min: 5, label: 'Moderate', color: '#FFCC80' },
+          { min: 9, label: 'Severe', color: '#EF9A9A' },
+        ],
+      },
+      {
+        id: 'psychological',
+        name: 'Psychological',
+        items: [4, 5, 6, 7],
+        bands: [
+          { min: 0, label: 'None or little', color: '#A5D6A7' },
+          { min: 2, label: 'Mild', color: '#FFF59D' },
+          { min: 4, label: 'Moderate', color: '#FFCC80' },
+          { min: 7, label: 'Severe', color: '#EF9A9A' },
+        ],
+      },
+      {
+        id: 'urogenital',
+        name: 'Urogenital',
+        items: [8, 9, 10],
+        bands: [
+          { min: 0, label: 'None or little', color: '#A5D6A7' },
+          { min: 1, label: 'Mild', color: '#FFF59D' },
+          { min: 2, label: 'Moderate', color: '#FFCC80' },
+          { min: 4, label: 'Severe', color: '#EF9A9A' },
+        ],
+      },
+    ],
+    // Total score bands 0-4, 5-8, 9-16 and 17+ (Heinemann K et al, 2004)
+    bands: [
+      { min: 0, label: 'None or little', color: '#A5D6A7' },
+      { min: 5, label: 'Mild', color: '#FFF59D' },
+      { min: 9, label: 'Moderate', color: '#FFCC80' },
+      { min: 17, label: 'Severe', color: '#EF9A9A' },
+    ],
+  },
+  phq9: {
+    id: 'phq9',
+    name: 'Patient Health Questionnaire (PHQ-9)',
+    shortName: 'PHQ-9',
+    icon: 'emoticon-sad-outline',
+    minutes: 2,
+    intervalDays: 14,
+    enabledByDefault: false,
+    instructions: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+    reference: 'Kroenke K et al, J Gen Intern Med 2001;16:606-613',
+    options: FREQUENCY_OPTIONS,
+    items: [
+      'Little interest or pleasure in doing things',
+      'Feeling down, depressed, or hopeless',
+      'Trouble falling or staying asleep, or sleeping too much',
+      'Feeling tired or having little energy',
+      'Poor appetite or overeating',
+      'Feeling bad about yourself - or that you are a failure or have let yourself or your family down',
+      'Trouble concentrating on things, such as reading the newspaper or watching television',
+      'Moving or speaking so slowly that other people could have noticed, or the opposite - being so fidgety or restless that you have been moving around a lot more than usual',
+      'Thoughts that you would be better off dead, or of hurting yourself in some way',
+    ],
+    subscales: [],
+    safetyItem: 9,
+    bands: [
+      { min: 0, label: 'Minimal', color: '#A5D6A7' },
+      { min: 5, label: 'Mild', color: '#C5E1A5' },
+      { min: 10, label: 'Moderate', color: '#FFF59D' },
+      { min: 15, label: 'Moderately severe', color: '#FFCC80' },
+      { min: 20, label: 'Severe', color: '#EF9A9A' },
+    ],
+  },
+  gad7: {
+    id: 'gad7',
+    name: 'Generalized Anxiety Disorder Scale (GAD-7)',
+    shortName: 'GAD-7',
+    icon: 'head-heart-outline',
+    minutes: 2,
+    intervalDays: 14,
+    enabledByDefault: false,
+    instructions: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+    reference: 'Spitzer RL et al, Arch Intern Med 2006;166:1092-1097',
+    options: FREQUENCY_OPTIONS,
+    items: [
+      'Feeling nervous, anxious, or on edge',
+      'Not being able to stop or control worrying',
+      'Worrying too much about different things',
+      'Trouble relaxing',
+      'Being so restless that it is hard to sit still',
+      'Becoming easily annoyed or irritable',
+      'Feeling afraid, as if something awful might happen',
+    ],
+    subscales: [],
+    bands: [
+      { min: 0, label: 'Minimal', color: '#A5D6A7' },
+      { min: 5, label: 'Mild', color: '#FFF59D' },
+      { min: 10, label: 'Moderate', color: '#FFCC80' },
+      { min: 15, label: 'Severe', color: '#EF9A9A' },
+    ],
+  },
+};
+
+function maxOption(questionnaire) {
+  return Math.max(...questionnaire.options.map((o) => o.value));
+}
+
+/**
+ * Severity band a score falls in, or null for scales without bands
+ */
+export function getScoreBand(bands, score) {
+  if (!bands) return null;
+  return [...bands].reverse().find((band) => score >= band.min) || bands[0];
+}
+
+/**
+ * Whether an answer to a questionnaire's safety item needs crisis resources
+ */
+export function isSafetyConcern(questionnaireId, item, value) {
+  return QUESTIONNAIRES[questionnaireId]?.safetyItem === Number(item) && value > 0;
+}
+
+/**
+ * Score a set of answers ({ [item number]: value }). Returns
+ * { total, maxTotal, complete, band, safetyFlag, subscales: [{ id, name, score, max, band }] }.
+ * Unanswered items count as 0, so scores are only comparable when complete.
+ */
+export function scoreQuestionnaire(questionnaireId, answers) {
+  const questionnaire = QUESTIONNAIRES[questionnaireId];
+  const highest = maxOption(questionnaire);
+  const sum = (items) => items.reduce((total, item) => total + (answers[item] ?? 0), 0);
+  const allItems = questionnaire.items.map((_, index) => index + 1);
+  const total = sum(allItems);
+
+  return {
+    total,
+    maxTotal: allItems.length * highest,
+    complete: allItems.every((item) => answers[item] !== undefined && answers[item] !== null),
+    band: getScoreBand(questionnaire.bands, total),
+    safetyFlag: isSafetyConcern(questionnaireId, questionnaire.safetyItem, answers[questionnaire.safetyItem]),
+    subscales: questionnaire.subscales.map((subscale) => {
+      const score = sum(subscale.items);
+      return {
+        id: subscale.id,
+        name: subscale.name,
+        score,
+        max: subscale.items.length * highest,
+        band: getScoreBand(subscale.bands, score),
+      };
+    }),
+  };
+}
+
+/**
+ * Scores of a questionnaire's responses, oldest first. responses are rows
+ * from getQuestionnaireResponses(); other questionnaires' are skipped.
+ */
+export function getScoreHistory(responses, questionnaireId) {
+  return responses
+    .filter((r) => r.questionnaire_id === questionnaireId)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id)
+    .map((r) => ({ id: r.id, date: r.date, ...scoreQuestionnaire(questionnaireId, r.answers) }));
+}
+
+/**
+ * Enabled questionnaires that are due on `today`: never taken, or last taken
+ * intervalDays or more ago, and not snoozed. Returns
+ * [{ questionnaire, lastDate, dueDate }].
+ */
+export function getDueQuestionnaires(responses, settings, today = toDateString(new Date())) {
+  return Object.values(QUESTIONNAIRES)
+    .filter((q) => settings.enabled[q.id])
+    .map((q) => {
+      const lastDate = responses
+        .filter((r) => r.questionnaire_id === q.id)
+        .reduce((latest, r) => (latest && latest > r.date ? latest : r.date), null);
+      return {
+        questionnaire: q,
+        lastDate,
+        dueDate: lastDate ? addDays(lastDate, q.intervalDays) : today,
+      };
+    })
+    .filter(({ questionnaire, dueDate }) => {
+      const snoozedUntil = settings.snoozedUntil[questionnaire.id];
+      return dueDate <= today && !(snoozedUntil && snoozedUntil > today);
+    });
+}
+
+/**
+ * Fill in missing questionnaire settings with their defaults
+ */
+export function normalizeQuestionnaireSettings(settings) {
+  const enabled = {};
+  for (const q of Object.values(QUESTIONNAIRES)) {
+    enabled[q.id] = typeof settings?.enabled?.[q.id] === 'boolean'
+      ? settings.enabled[q.id]
+      : q.enabledByDefault;
+  }
+  return { enabled, snoozedUntil: { ...(settings?.snoozedUntil || {}) } };
+}
+
+export async function loadQuestionnaireSettings() {
+  const stored = await AsyncStorage.getItem(QUESTIONNAIRE_SETTINGS_STORAGE_KEY);
+  return normalizeQuestionnaireSettings(stored ? JSON.parse(stored) : null);
+}
+
+export async function saveQuestionnaireSettings(settings) {
+  const next = normalizeQuestionnaireSettings(settings);
+  await AsyncStorage.setItem(QUESTIONNAIRE_SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Put off a due questionnaire for QUESTIONNAIRE_SNOOZE_DAYS
+ */
+export async function snoozeQuestionnaire(questionnaireId, today = toDateString(new Date())) {
+  const settings = await loadQuestionnaireSettings();
+  settings.snoozedUntil[questionnaireId] = addDays(today, QUESTIONNAIRE_SNOOZE_DAYS);
+  return saveQuestionnaireSettings(settings);
+}
+
+export default {
+  QUESTIONNAIRES,
+  QUESTIONNAIRE_SETTINGS_STORAGE_KEY,
+  QUESTIONNAIRE_SNOOZE_DAYS,
+  getScoreBand,
+  isSafetyConcern,
+  scoreQuestionnaire,
+  getScoreHistory,
+  getDueQuestionnaires,
+  normalizeQuestionnaireSettings,
+  loadQuestionnaireSettings,
+  saveQuestionnaireSettings,
+  snoozeQuestionnaire,
+};
@@ -0,0 +1,182 @@
+// Reminder scheduling logic
+//
+// Works out when reminders should fire from the saved settings and each
+// medication's dose times. Nothing here touches the notification system, so it
+// can run and be checked without a device - src/utils/reminders.js turns the
+// results into notifications.
+
+import { DEFAULTS, MEDICATION_FREQUENCIES } from './constants';
+import { toDateString } from './dates';
+
+// Reminders are scheduled one by one for this many days ahead, so a single
+// day can be skipped. The window is refilled every time the app is opened.
+export const REMINDER_WINDOW_DAYS = 14;
+// Shorter for medications, which can have several doses a day
+export const MEDICATION_REMINDER_WINDOW_DAYS = 7;
+// iOS keeps at most 64 pending notifications per app and drops the rest
+export const MAX_SCHEDULED_REMINDERS = 64;
+
+export const WEEKDAYS = [
+  { value: 1, short: 'M', label: 'Monday' },
+  { value: 2, short: 'T', label: 'Tuesday' },
+  { value: 3, short: 'W', label: 'Wednesday' },
+  { value: 4, short: 'T', label: 'Thursday' },
+  { value: 5, short: 'F', label: 'Friday' },
+  { value: 6, short: 'S', label: 'Saturday' },
+  { value: 0, short: 'S', label: 'Sunday' },
+];
+
+// quietDays holds Date.getDay() values (0 = Sunday) with no reminder
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  time: DEFAULTS.reminderTime,
+  quietDays: [],
+};
+
+/**
+ * Parse a 24-hour 'HH:MM' time into { hour, minute }, or null if invalid
+ */
+export function parseReminderTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+/**
+ * Format hour and minute as a 24-hour 'HH:MM' time
+ */
+export function toReminderTime(hour, minute) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Format a 'HH:MM' time for display, e.g. '9:00 AM'
+ */
+export function formatReminderTime(time) {
+  const parsed = parseReminderTime(time);
+  if (!parsed) return time;
+  const period = parsed.hour < 12 ? 'AM' : 'PM';
+  const hour = parsed.hour % 12 === 0 ? 12 : parsed.hour % 12;
+  return `${hour}:${String(parsed.minute).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Fill in defaults and drop invalid values from stored settings
+ */
+export function normalizeReminderSettings(settings) {
+  const merged = { ...DEFAULT_REMINDER_SETTINGS, ...(settings || {}) };
+  return {
+    enabled: !!merged.enabled,
+    time: parseReminderTime(merged.time) ? merged.time : DEFAULT_REMINDER_SETTINGS.time,
+    quietDays: Array.isArray(merged.quietDays)
+      ? [...new Set(merged.quietDays.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b)
+      : [],
+  };
+}
+
+/**
+ * Local times at which the daily logging reminder should fire, soonest first.
+ * Times that have passed, quiet days and today (once today is logged) are skipped.
+ * Logs are stored under the UTC date, so "today" is the UTC date of `now`.
+ */
+export function getDailyReminderDates(
+  settings,
+  { now = new Date(), loggedToday = false, days = REMINDER_WINDOW_DAYS } = {}
+) {
+  const { enabled, time, quietDays } = normalizeReminderSettings(settings);
+  if (!enabled) return [];
+
+  const { hour, minute } = parseReminderTime(time);
+  const dates = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, hour, minute);
+    if (date <= now) continue;
+    if (loggedToday && toDateString(date) === toDateString(now)) continue;
+    if (quietDays.includes(date.getDay())) continue;
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Default dose times for a medication frequency, empty when it has no reminders
+ */
+export function getDefaultReminderTimes(frequency) {
+  return MEDICATION_FREQUENCIES.find((f) => f.value === frequency)?.reminderTimes || [];
+}
+
+/**
+ * Reminder of a medications row as { enabled, times, weekday }.
+ * Dose times follow the frequency: one per default time, falling back to the
+ * defaults for any that haven't been set. Weekly doses default to Monday.
+ */
+export function getMedicationReminder(medication) {
+  const defaults = getDefaultReminderTimes(medication?.frequency);
+  const stored = (medication?.reminder_times || '').split(',').filter((time) => parseReminderTime(time));
+  return {
+    enabled: !!medication?.reminders_enabled && defaults.length > 0,
+    times: defaults.map((time, index) => stored[index] || time),
+    weekday: medication?.frequency === 'weekly' ? medication.reminder_weekday ?? 1 : null,
+  };
+}
+
+/**
+ * Local times of a medication's upcoming dose reminders, soonest first
+ */
+export function getMedicationReminderDates(
+  medication,
+  { now = new Date(), days = MEDICATION_REMINDER_WINDOW_DAYS } = {}
+) {
+  const { enabled, times, weekday } = getMedicationReminder(medication);
+  if (!enabled || medication.active === 0) return [];
+
+  const dates = [];
+  for (let offset = 0; offset < days; offset++) {
+    for (const time of times) {
+      const { hour, minute } = parseReminderTime(time);
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, hour, minute);
+      if (date <= now) continue;
+      if (weekday !== null && date.getDay() !== weekday) continue;
+      dates.push(date);
+    }
+  }
+  return dates.sort((a, b) => a - b);
+}
+
+/**
+ * Daily and dose reminders to schedule as { date, medication }, with a null
+ * medication for the daily reminder. Only the soonest `limit` are kept.
+ */
+export function getReminderPlan(
+  settings,
+  medications,
+  { now = new Date(), loggedToday = false, limit = MAX_SCHEDULED_REMINDERS } = {}
+) {
+  const reminders = [
+    ...getDailyReminderDates(settings, { now, loggedToday }).map((date) => ({ date, medication: null })),
+    ...medications.flatMap((medication) =>
+      getMedicationReminderDates(medication, { now }).map((date) => ({ date, medication }))
+    ),
+  ];
+  return reminders.sort((a, b) => a.date - b.date).slice(0, Math.max(limit, 0));
+}
+
+export default {
+  REMINDER_WINDOW_DAYS,
+  MEDICATION_REMINDER_WINDOW_DAYS,
+  MAX_SCHEDULED_REMINDERS,
+  WEEKDAYS,
+  DEFAULT_REMINDER_SETTINGS,
+  parseReminderTime,
+  toReminderTime,
+  formatReminderTime,
+  normalizeReminderSettings,
+  getDailyReminderDates,
+  getDefaultReminderTimes,
+  getMedicationReminder,
+  getMedicationReminderDates,
+  getReminderPlan,
+};
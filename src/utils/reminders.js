@@ -0,0 +1,314 @@
+// Local notification reminders
+//
+// Daily logging reminder settings are kept in AsyncStorage and dose reminders
+// on each medication. Whenever they change, the app comes to the foreground or
+// today's log is saved, every pending reminder is cancelled and the next few
+// days are scheduled again from scratch.
+//
+// Dose reminders have Taken, Snooze and Skip actions. Each one is recorded
+// with recordMedicationReminderAction() as soon as the database is open.
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { getDailyLog, getMedications, recordMedicationReminderAction } from '../database/database';
+import { getReminderPlan, normalizeReminderSettings, MAX_SCHEDULED_REMINDERS } from './reminderSchedule';
+import { toDateString } from './dates';
+
+export const REMINDER_SETTINGS_STORAGE_KEY = '@peri_tracker_reminder_settings';
+export const SNOOZE_MINUTES = 10;
+
+const REMINDER_CHANNEL_ID = 'reminders';
+const DAILY_LOG_REMINDER_PREFIX = 'daily-log-';
+const MEDICATION_REMINDER_PREFIX = 'medication-';
+// Snoozed reminders don't share the medication prefix, so rescheduling keeps them
+const SNOOZED_REMINDER_PREFIX = 'snoozed-';
+const MEDICATION_CATEGORY_ID = 'medication_dose';
+
+// Notification action identifiers and the reminder event each one records
+const DOSE_ACTIONS = {
+  taken: 'taken',
+  snooze: 'snoozed',
+  skip: 'skipped',
+};
+
+/**
+ * Show reminders that arrive while the app is open. Call once at startup.
+ */
+export function configureNotifications() {
+  if (Platform.OS === 'web') return;
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: false,
+      shouldSetBadge: false,
+    }),
+  });
+}
+
+export async function loadReminderSettings() {
+  const stored = await AsyncStorage.getItem(REMINDER_SETTINGS_STORAGE_KEY);
+  return normalizeReminderSettings(stored ? JSON.parse(stored) : null);
+}
+
+/**
+ * Save reminder settings and reschedule to match them
+ */
+export async function saveReminderSettings(settings) {
+  const next = normalizeReminderSettings(settings);
+  await AsyncStorage.setItem(REMINDER_SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  await rescheduleReminders();
+  return next;
+}
+
+/**
+ * Ask for permission to show notifications. Returns whether it was granted.
+ */
+export async function requestReminderPermission() {
+  if (Platform.OS === 'web') return false;
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+}
+
+// Same day as getDailyReminderDates() checks against
+async function isTodayLogged(now) {
+  try {
+    return !!(await getDailyLog(toDateString(now)));
+  } catch (error) {
+    // The database can still be locked behind its passcode
+    return false;
+  }
+}
+
+async function cancelScheduled(prefix) {
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  await Promise.all(
+    scheduled
+      .filter((request) => request.identifier.startsWith(prefix))
+      .map((request) => Notifications.cancelScheduledNotificationAsync(request.identifier))
+  );
+}
+
+function getDailyLogRequest(date) {
+  return {
+    identifier: `${DAILY_LOG_REMINDER_PREFIX}${date.getTime()}`,
+    content: {
+      title: 'How are you feeling today?',
+      body: 'Take a moment to log your symptoms, mood and sleep.',
+      data: { type: 'daily_log' },
+    },
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date,
+      channelId: REMINDER_CHANNEL_ID,
+    },
+  };
+}
+
+function getDoseContent(medication, data) {
+  return {
+    title: `Time for ${medication.name}`,
+    body: medication.dose ? `${medication.dose} - tap Taken once you've had it.` : "Tap Taken once you've had it.",
+    data,
+    categoryIdentifier: MEDICATION_CATEGORY_ID,
+  };
+}
+
+function getDoseRequest(medication, date) {
+  return {
+    identifier: `${MEDICATION_REMINDER_PREFIX}${medication.id}-${date.getTime()}`,
+    content: getDoseContent(medication, {
+      type: 'medication_dose',
+      medicationId: medication.id,
+      name: medication.name,
+      dose: medication.dose,
+      // Doses are recorded under the UTC date, like daily logs, so adherence lines up
+      date: toDateString(date),
+      scheduledAt: date.toISOString(),
+    }),
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date,
+      channelId: REMINDER_CHANNEL_ID,
+    },
+  };
+}
+
+async function scheduleReminders(settings, granted) {
+  let medications = null;
+  try {
+    medications = await getMedications(true);
+  } catch (error) {
+    // The database can still be locked behind its passcode - keep the dose reminders already scheduled
+  }
+
+  await cancelScheduled(DAILY_LOG_REMINDER_PREFIX);
+  if (medications) await cancelScheduled(MEDICATION_REMINDER_PREFIX);
+  if (!granted) return;
+
+  // Snoozed and kept dose reminders count towards the limit too
+  const pending = await Notifications.getAllScheduledNotificationsAsync();
+  const now = new Date();
+  const plan = getReminderPlan(settings, medications || [], {
+    now,
+    loggedToday: await isTodayLogged(now),
+    limit: MAX_SCHEDULED_REMINDERS - pending.length,
+  });
+  for (const { date, medication } of plan) {
+    await Notifications.scheduleNotificationAsync(
+      medication ? getDoseRequest(medication, date) : getDailyLogRequest(date)
+    );
+  }
+}
+
+async function reschedule() {
+  if (Platform.OS === 'web') return;
+  try {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+        name: 'Reminders',
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+    // Actions open the app so they can be written to the database right away
+    await Notifications.setNotificationCategoryAsync(MEDICATION_CATEGORY_ID, [
+      { identifier: 'taken', buttonTitle: 'Taken', options: { opensAppToForeground: true } },
+      { identifier: 'snooze', buttonTitle: `Snooze ${SNOOZE_MINUTES} min`, options: { opensAppToForeground: true } },
+      { identifier: 'skip', buttonTitle: 'Skip', options: { opensAppToForeground: true, isDestructive: true } },
+    ]);
+
+    const settings = await loadReminderSettings();
+    const { granted } = await Notifications.getPermissionsAsync();
+    await scheduleReminders(settings, granted);
+  } catch (error) {
+    console.error('Error scheduling reminders:', error);
+  }
+}
+
+// Calls are queued so overlapping reschedules can't leave duplicates behind
+let pendingReschedule = Promise.resolve();
+
+/**
+ * Cancel and reschedule all reminders from the saved settings
+ */
+export function rescheduleReminders() {
+  pendingReschedule = pendingReschedule.then(reschedule);
+  return pendingReschedule;
+}
+
+/**
+ * Cancel every pending reminder, snoozed doses included
+ */
+export function cancelAllReminders() {
+  pendingReschedule = pendingReschedule.then(async () => {
+    if (Platform.OS === 'web') return;
+    await Notifications.cancelAllScheduledNotificationsAsync();
+  });
+  return pendingReschedule;
+}
+
+// Dose actions waiting to be written, oldest first
+const pendingDoseActions = [];
+const handledResponses = new Set();
+let pendingProcessing = Promise.resolve();
+
+async function snoozeDose(data) {
+  await Notifications.scheduleNotificationAsync({
+    identifier: `${SNOOZED_REMINDER_PREFIX}${data.medicationId}-${Date.now()}`,
+    content: getDoseContent({ name: data.name, dose: data.dose }, data),
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+      seconds: SNOOZE_MINUTES * 60,
+      channelId: REMINDER_CHANNEL_ID,
+    },
+  });
+}
+
+async function writePendingDoseActions() {
+  while (pendingDoseActions.length > 0) {
+    const { medicationId, date, scheduledAt, action } = pendingDoseActions[0];
+    try {
+      await recordMedicationReminderAction(medicationId, { date, scheduledAt, action });
+    } catch (error) {
+      // Most likely the database is still locked - retried once it's open
+      console.error('Error recording dose reminder action:', error);
+      return;
+    }
+    pendingDoseActions.shift();
+  }
+}
+
+/**
+ * Write any dose actions that arrived while the database was locked
+ */
+export function processNotificationResponses() {
+  pendingProcessing = pendingProcessing.then(writePendingDoseActions);
+  return pendingProcessing;
+}
+
+/**
+ * Handle a tap on a dose reminder action. Tapping the reminder itself just opens the app.
+ */
+export async function handleNotificationResponse(response) {
+  const { request } = response.notification;
+  const data = request.content.data;
+  const action = DOSE_ACTIONS[response.actionIdentifier];
+  if (data?.type !== 'medication_dose' || !action) return;
+
+  // The response that opened the app can be delivered twice
+  const key = `${request.identifier}:${response.actionIdentifier}`;
+  if (handledResponses.has(key)) return;
+  handledResponses.add(key);
+
+  try {
+    await Notifications.dismissNotificationAsync(request.identifier);
+    if (action === 'snoozed') await snoozeDose(data);
+  } catch (error) {
+    console.error('Error handling dose reminder:', error);
+  }
+
+  pendingDoseActions.push({
+    medicationId: data.medicationId,
+    date: data.date,
+    scheduledAt: data.scheduledAt,
+    action,
+  });
+  await processNotificationResponses();
+}
+
+/**
+ * Listen for reminder actions, including the one that launched the app.
+ * Returns a subscription to remove on unmount.
+ */
+export function subscribeToNotificationResponses() {
+  if (Platform.OS === 'web') return { remove: () => {} };
+
+  Notifications.getLastNotificationResponseAsync()
+    .then((response) => {
+      if (!response) return;
+      Notifications.clearLastNotificationResponseAsync();
+      return handleNotificationResponse(response);
+    })
+    .catch((error) => console.error('Error reading notification response:', error));
+
+  return Notifications.addNotificationResponseReceivedListener(handleNotificationResponse);
+}
+
+export default {
+  REMINDER_SETTINGS_STORAGE_KEY,
+  SNOOZE_MINUTES,
+  configureNotifications,
+  loadReminderSettings,
+  saveReminderSettings,
+  requestReminderPermission,
+  rescheduleReminders,
+  cancelAllReminders,
+  processNotificationResponses,
+  handleNotificationResponse,
+  subscribeToNotificationResponses,
+};
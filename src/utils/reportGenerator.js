@@ -1,14 +1,12 @@
-// PDF Report Generator for Perimenopause Tracker
+// PDF and CSV Report Generator for Perimenopause Tracker
 
-import { SYMPTOMS, SEVERITY_LABELS, PERIOD_FLOW_OPTIONS } from './constants';
-
-/**
- * Get symptom name by ID
- */
-function getSymptomName(symptomId) {
-  const symptom = SYMPTOMS.find((s) => s.id === symptomId);
-  return symptom ? symptom.name : symptomId;
-}
+import { SEVERITY_LABELS, PERIOD_FLOW_OPTIONS } from './constants';
+import { STAGES } from './menopauseStage';
+import { getMedicationTimeline } from './medicationHistory';
+import { COMPARISON_WINDOW_DAYS } from './analysis';
+import { getTriggerLabel } from './triggers';
+import { buildSymptomRegistry, getSymptomName } from './symptoms';
+import { QUESTIONNAIRES, getScoreHistory } from './questionnaires';
 
 /**
  * Format date for display
@@ -32,7 +30,13 @@ export function generateReportHTML({
   symptomStats,
   moodStats,
   cycleStats,
-  medicationCompliance,
+  medicationAdherence,
+  medicationEvents = [],
+  medicationComparisons = [],
+  stageEstimate,
+  menopauseStatus,
+  symptomRegistry = buildSymptomRegistry(),
+  questionnaireResponses = [],
 }) {
   const totalDays = Math.ceil(
     (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)
@@ -62,7 +66,7 @@ export function generateReportHTML({
     .map(
       (s) => `
       <tr>
-        <td>${getSymptomName(s.symptom_id)}</td>
+        <td>${getSymptomName(s.symptom_id, symptomRegistry)}</td>
         <td>${s.count}</td>
         <td>${s.avg_severity.toFixed(1)}</td>
         <td>${s.max_severity}</td>
@@ -71,31 +75,161 @@ export function generateReportHTML({
     )
     .join('');
 
-  // Generate medication compliance table
-  const medicationRows = medicationCompliance
-    .filter((m) => m.total_logs > 0)
+  // Generate medication adherence table. Scheduled medications are counted in
+  // days (weeks for weekly ones); as-needed medications only have a dose count.
+  const medicationRows = medicationAdherence
+    .filter((m) => m.periods.length > 0 || m.takenDoses > 0)
     .map((m) => {
-      const compliance = m.total_logs > 0
-        ? Math.round((m.taken_count / m.total_logs) * 100)
-        : 0;
+      const unit = m.periodDays === 7 ? 'wk' : 'd';
       return `
         <tr>
           <td>${m.name}${m.dose ? ` (${m.dose})` : ''}</td>
-          <td>${m.taken_count} / ${m.total_logs}</td>
-          <td>${compliance}%</td>
+          <td>${m.takenDoses}${m.scheduled ? ` / ${m.expectedDoses}` : ''}</td>
+          <td>${m.scheduled ? `${m.taken}${unit}` : '-'}</td>
+          <td>${m.scheduled ? `${m.missed}${unit}` : '-'}</td>
+          <td>${m.scheduled ? `${m.unknown}${unit}` : '-'}</td>
+          <td>${m.adherence !== null ? `${m.adherence}%` : m.scheduled ? '-' : 'As needed'}</td>
+          <td>${m.scheduled ? `${m.longestStreak}${unit}` : '-'}</td>
         </tr>
       `;
     })
     .join('');
+  const lowAdherence = medicationAdherence.filter((m) => m.adherence !== null && m.adherence < 80);
+
+  // Every start, stop and dose change up to the end of the report
+  const medicationHistoryRows = getMedicationTimeline(medicationEvents)
+    .filter((e) => e.date <= endDate)
+    .map(
+      (e) => `
+      <tr>
+        <td>${formatDate(e.date)}</td>
+        <td>${e.description}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  // Symptoms, sleep and mood in the weeks before and after each medication change
+  const formatChange = (before, after, format) =>
+    before !== null && after !== null ? `${format(before)} → ${format(after)}` : '-';
+  const oneDecimal = (value) => value.toFixed(1);
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const comparisonRows = medicationComparisons
+    .map(({ date, description, comparison: c }) => {
+      if (c.confidence === 'insufficient') {
+        return `
+          <tr>
+            <td>${description}</td>
+            <td>${formatDate(date)}</td>
+            <td>${c.before.days} / ${c.after.days}</td>
+            <td colspan="5">Not enough days logged to compare</td>
+          </tr>
+        `;
+      }
+      const symptomNotes = c.symptomChanges
+        .slice(0, 3)
+        .map((s) => `${s.name} ${percent(s.before.frequency)} → ${percent(s.after.frequency)} of days`)
+        .join('; ');
+      return `
+        <tr>
+          <td>${description}${symptomNotes ? `<div class="symptoms-cell">${symptomNotes}</div>` : ''}</td>
+          <td>${formatDate(date)}</td>
+          <td>${c.before.days} / ${c.after.days}${c.confidence === 'low' ? ' (few)' : ''}</td>
+          <td>${formatChange(c.before.symptomsPerDay, c.after.symptomsPerDay, oneDecimal)}</td>
+          <td>${formatChange(c.before.symptomDays, c.after.symptomDays, percent)}</td>
+          <td>${formatChange(c.before.severity, c.after.severity, oneDecimal)}</td>
+          <td>${formatChange(c.before.sleepHours, c.after.sleepHours, (v) => `${v.toFixed(1)}h`)}</td>
+          <td>${formatChange(c.before.mood, c.after.mood, oneDecimal)}</td>
+        </tr>
+      `;
+    })
+    .join('');
+  const comparedChanges = medicationComparisons.filter((m) => m.comparison.confidence !== 'insufficient');
+
+  // Estimated menopause transition stage, with how it was reached
+  const stage = stageEstimate && stageEstimate.stage !== 'unknown'
+    ? STAGES[stageEstimate.stage]
+    : null;
+  const stageEvidenceItems = stage
+    ? stageEstimate.evidence.map((item) => `<li>${item}</li>`).join('')
+    : '';
+  const stageHistoryRows = stage && stageEstimate.history
+    ? stageEstimate.history
+        .slice()
+        .reverse()
+        .map(
+          (entry) => `
+        <tr>
+          <td>${formatDate(entry.since)}</td>
+          <td>${STAGES[entry.stage].name}</td>
+          <td>${STAGES[entry.stage].straw}</td>
+        </tr>
+      `
+        )
+        .join('')
+    : '';
+
+  // One table per questionnaire taken in the report's range, with its subscales
+  const questionnaireTables = Object.values(QUESTIONNAIRES)
+    .map((questionnaire) => ({ questionnaire, history: getScoreHistory(questionnaireResponses, questionnaire.id) }))
+    .filter(({ history }) => history.length > 0);
+  const questionnaireSection = questionnaireTables
+    .map(({ questionnaire, history }) => `
+      <h3 class="table-title">${questionnaire.name}</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Total (0-${history[0].maxTotal})</th>
+            ${questionnaire.subscales.map((subscale) => `<th>${subscale.name}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${history.map((entry) => `
+            <tr>
+              <td>${formatDate(entry.date)}</td>
+              <td>
+                ${entry.total}${entry.band ? ` (${entry.band.label})` : ''}
+                ${entry.safetyFlag ? `<div class="symptoms-cell"><strong>Item ${questionnaire.safetyItem} answered positively</strong></div>` : ''}
+              </td>
+              ${entry.subscales.map((subscale) => `
+                <td>${subscale.score} / ${subscale.max}${subscale.band ? ` (${subscale.band.label})` : ''}</td>
+              `).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="table-note">
+        ${questionnaire.items.length} items scored ${questionnaire.options[0].value}-${questionnaire.options[questionnaire.options.length - 1].value}
+        (${questionnaire.reference}).${questionnaire.bands ? '' : ' The scale has no published severity bands.'}
+      </p>
+    `)
+    .join('');
+  // Thoughts of self-harm on any date, for the clinician to follow up
+  const safetyFlags = questionnaireTables.flatMap(({ questionnaire, history }) =>
+    history.filter((entry) => entry.safetyFlag).map((entry) => ({ questionnaire, date: entry.date }))
+  );
+  const severeQuestionnaires = questionnaireTables.filter(({ questionnaire, history }) => {
+    const { band } = history[history.length - 1];
+    return band && band === questionnaire.bands[questionnaire.bands.length - 1];
+  });
+
+  // After the final menstrual period there are no cycles to report, and
+  // any bleeding since is listed for the clinician to follow up
+  const finalPeriodDate = menopauseStatus?.isPostmenopausal ? menopauseStatus.finalPeriodDate : null;
+  const bleedingDates = finalPeriodDate ? menopauseStatus.bleedingDates : [];
 
   // Generate daily log summary (last 14 days or all if fewer)
   const recentLogs = logs.slice(-14).reverse();
   const dailyLogRows = recentLogs
     .map((log) => {
       const symptoms = log.symptoms
-        ? log.symptoms.map((s) => getSymptomName(s.symptom_id)).join(', ')
+        ? log.symptoms.map((s) => getSymptomName(s.symptom_id, symptomRegistry)).join(', ')
         : '-';
-      const flow = log.period_flow && log.period_flow !== 'none' ? log.period_flow : '-';
+      let flow = log.period_flow && log.period_flow !== 'none' ? log.period_flow : '-';
+      if (flow !== '-' && finalPeriodDate && log.date > finalPeriodDate) {
+        flow += ' (after menopause)';
+      }
 
       return `
         <tr>
@@ -226,6 +360,18 @@ export function generateReportHTML({
           font-size: 10px;
         }
 
+        .table-title {
+          color: #5E3D5F;
+          font-size: 13px;
+          margin-top: 12px;
+        }
+
+        .table-note {
+          font-size: 10px;
+          color: #888;
+          margin-top: 6px;
+        }
+
         .cycle-info {
           background: #FAF8F9;
           border: 1px solid #E8D5E0;
@@ -241,6 +387,10 @@ export function generateReportHTML({
           color: #5E3D5F;
         }
 
+        .cycle-info ul {
+          margin: 6px 0 0 20px;
+        }
+
         .notes-section {
           background: #FFFEF7;
           border: 1px solid #E8D5A0;
@@ -354,7 +504,21 @@ export function generateReportHTML({
         </div>
       </div>
 
-      ${cycleStats && cycleStats.averageCycleLength ? `
+      ${finalPeriodDate ? `
+        <div class="section">
+          <h2 class="section-title">Menopause</h2>
+          <div class="cycle-info">
+            <p><strong>Final Menstrual Period:</strong> ${formatDate(finalPeriodDate)}</p>
+            <p>Confirmed after 12 months without a period.</p>
+            ${bleedingDates.length > 0 ? `
+              <p><strong>Bleeding logged since:</strong></p>
+              <ul>${bleedingDates.map((date) => `<li>${formatDate(date)}</li>`).join('')}</ul>
+            ` : ''}
+          </div>
+        </div>
+      ` : ''}
+
+      ${!finalPeriodDate && cycleStats && cycleStats.averageCycleLength ? `
         <div class="section">
           <h2 class="section-title">Cycle Information</h2>
           <div class="cycle-info">
@@ -368,6 +532,32 @@ export function generateReportHTML({
         </div>
       ` : ''}
 
+      ${stage ? `
+        <div class="section">
+          <h2 class="section-title">Menopause Transition Stage</h2>
+          <div class="cycle-info">
+            <p><strong>Estimated Stage:</strong> ${stage.name} (STRAW+10 stage ${stage.straw})</p>
+            <p>${stage.description}</p>
+            <p><strong>Based on:</strong></p>
+            <ul>${stageEvidenceItems}</ul>
+          </div>
+          ${stageHistoryRows ? `
+            <table>
+              <thead>
+                <tr>
+                  <th>Since</th>
+                  <th>Stage</th>
+                  <th>STRAW+10</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${stageHistoryRows}
+              </tbody>
+            </table>
+          ` : ''}
+        </div>
+      ` : ''}
+
       ${symptomStats.length > 0 ? `
         <div class="section">
           <h2 class="section-title">Symptom Summary</h2>
@@ -389,19 +579,80 @@ export function generateReportHTML({
 
       ${medicationRows ? `
         <div class="section">
-          <h2 class="section-title">Medication Compliance</h2>
+          <h2 class="section-title">Medication Adherence</h2>
           <table>
             <thead>
               <tr>
                 <th>Medication</th>
-                <th>Taken / Logged</th>
-                <th>Compliance</th>
+                <th>Doses Taken / Expected</th>
+                <th>Taken</th>
+                <th>Missed</th>
+                <th>Not Logged</th>
+                <th>Adherence</th>
+                <th>Longest Streak</th>
               </tr>
             </thead>
             <tbody>
               ${medicationRows}
             </tbody>
           </table>
+          <p class="table-note">
+            Missed: other entries were logged that day but not this dose. Not logged: nothing was
+            logged, so whether the dose was taken is unknown.
+          </p>
+        </div>
+      ` : ''}
+
+      ${medicationHistoryRows ? `
+        <div class="section">
+          <h2 class="section-title">Medication History</h2>
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${medicationHistoryRows}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+
+      ${comparisonRows ? `
+        <div class="section">
+          <h2 class="section-title">Before and After Medication Changes</h2>
+          <table>
+            <thead>
+              <tr>
+                <th>Change</th>
+                <th>Date</th>
+                <th>Days Logged (Before / After)</th>
+                <th>Symptoms a Day</th>
+                <th>Days with Symptoms</th>
+                <th>Avg Severity</th>
+                <th>Sleep</th>
+                <th>Mood</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${comparisonRows}
+            </tbody>
+          </table>
+          <p class="table-note">
+            Averages of the ${COMPARISON_WINDOW_DAYS} days before each change and the ${COMPARISON_WINDOW_DAYS} days
+            from it on. Fewer logged days make a comparison less reliable, and other changes at the same
+            time can play a part.
+          </p>
+        </div>
+      ` : ''}
+
+      ${questionnaireSection ? `
+        <div class="section">
+          <h2 class="section-title">Validated Questionnaires</h2>
+          <p class="table-note">Self-completed standard scales. Higher scores mean more troublesome symptoms.</p>
+          ${questionnaireSection}
         </div>
       ` : ''}
 
@@ -429,11 +680,17 @@ export function generateReportHTML({
       <div class="notes-section">
         <h3>Discussion Points for Your Healthcare Provider</h3>
         <ul>
-          ${symptomStats.length > 0 ? `<li>Most frequent symptoms: ${symptomStats.slice(0, 3).map(s => getSymptomName(s.symptom_id)).join(', ')}</li>` : ''}
+          ${symptomStats.length > 0 ? `<li>Most frequent symptoms: ${symptomStats.slice(0, 3).map(s => getSymptomName(s.symptom_id, symptomRegistry)).join(', ')}</li>` : ''}
           ${avgMood !== 'N/A' && parseFloat(avgMood) < 5 ? '<li>Overall mood has been on the lower side</li>' : ''}
           ${avgAnxiety !== 'N/A' && parseFloat(avgAnxiety) > 6 ? '<li>Experiencing elevated anxiety levels</li>' : ''}
           ${avgSleepHours !== 'N/A' && parseFloat(avgSleepHours) < 6 ? '<li>Sleep duration below recommended levels</li>' : ''}
-          ${cycleStats?.cycleLengths && Math.max(...cycleStats.cycleLengths) - Math.min(...cycleStats.cycleLengths) > 10 ? '<li>Significant variation in cycle length</li>' : ''}
+          ${bleedingDates.length > 0 ? `<li><strong>Bleeding after menopause</strong> on ${bleedingDates.length === 1 ? formatDate(bleedingDates[0]) : `${bleedingDates.length} days since ${formatDate(bleedingDates[0])}`} - needs to be checked</li>` : ''}
+          ${!finalPeriodDate && cycleStats?.cycleLengths && Math.max(...cycleStats.cycleLengths) - Math.min(...cycleStats.cycleLengths) > 10 ? '<li>Significant variation in cycle length</li>' : ''}
+          ${comparedChanges.length > 0 ? `<li>How symptoms changed after: ${comparedChanges.map((m) => m.description).join('; ')}</li>` : ''}
+          ${lowAdherence.length > 0 ? `<li>Less than 80% adherence to the medication schedule: ${lowAdherence.map((m) => m.name).join(', ')}</li>` : ''}
+          ${safetyFlags.length > 0 ? `<li><strong>Thoughts of death or self-harm reported</strong> (${safetyFlags.map((flag) => `${flag.questionnaire.shortName} item ${flag.questionnaire.safetyItem}, ${formatDate(flag.date)}`).join('; ')}) - needs follow-up</li>` : ''}
+          ${severeQuestionnaires.length > 0 ? `<li>Latest ${severeQuestionnaires.map(({ questionnaire }) => questionnaire.shortName).join(' and ')} score in the severe range</li>` : ''}
+          ${stage ? `<li>Cycle history suggests the ${stage.name.toLowerCase()} stage</li>` : ''}
           <li>Add your own notes here: _________________________________</li>
         </ul>
       </div>
@@ -452,4 +709,111 @@ export function generateReportHTML({
   `;
 }
 
-export default { generateReportHTML };
+/**
+ * Escape a single CSV field. Text that a spreadsheet would read as a formula,
+ * including text starting with a tab or carriage return, is prefixed with an
+ * apostrophe so it is shown as-is.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Doses of one medication taken in different amounts go in separate columns
+function medicationColumnKey(dose) {
+  return `${dose.medication_id}:${dose.amount || ''}`;
+}
+
+/**
+ * Generate a CSV of daily logs with one row per logged day.
+ * Each symptom that appears in the logs gets a severity column and each
+ * medication and amount taken a column with the number of doses that day,
+ * labelled with the amount each dose was logged with.
+ * Logs after the final menstrual period have no cycle day. customTriggers
+ * (rows of custom_triggers) name the user's own triggers.
+ */
+export function generateReportCSV(
+  logs,
+  { finalPeriodDate = null, customTriggers = [], symptomRegistry = buildSymptomRegistry() } = {}
+) {
+  // Symptom columns in the user's order, then any IDs the registry doesn't know
+  const loggedSymptomIds = new Set();
+  const medicationColumns = new Map();
+  for (const log of logs) {
+    for (const s of log.symptoms || []) {
+      loggedSymptomIds.add(s.symptom_id);
+    }
+    for (const dose of log.medicationDoses || []) {
+      const key = medicationColumnKey(dose);
+      if (!medicationColumns.has(key)) {
+        medicationColumns.set(key, dose.amount ? `${dose.name} ${dose.amount}` : dose.name);
+      }
+    }
+  }
+  const symptomIds = [
+    ...symptomRegistry.filter((s) => loggedSymptomIds.has(s.id)).map((s) => s.id),
+    ...[...loggedSymptomIds].filter((id) => !symptomRegistry.some((s) => s.id === id)),
+  ];
+  const medicationKeys = [...medicationColumns.keys()];
+
+  const header = [
+    'Date',
+    'Cycle Day',
+    'Period Flow',
+    'Mood (1-10)',
+    'Anxiety (1-10)',
+    'Energy (1-10)',
+    'Sleep Hours',
+    'Sleep Quality (1-5)',
+    'Exercise',
+    'Food Quality',
+    'Triggers',
+    ...symptomIds.map((id) => `${getSymptomName(id, symptomRegistry)} Severity (1-5)`),
+    ...medicationKeys.map((key) => `${medicationColumns.get(key)} Doses`),
+    'Notes',
+  ];
+
+  const rows = logs.map((log) => {
+    const severities = {};
+    for (const s of log.symptoms || []) {
+      severities[s.symptom_id] = s.severity;
+    }
+    const doseCounts = {};
+    for (const dose of log.medicationDoses || []) {
+      const key = medicationColumnKey(dose);
+      doseCounts[key] = (doseCounts[key] || 0) + 1;
+    }
+
+    return [
+      log.date,
+      finalPeriodDate && log.date > finalPeriodDate ? null : log.cycle_day,
+      log.period_flow || 'none',
+      log.mood_overall,
+      log.mood_anxiety,
+      log.mood_energy,
+      log.sleep_hours,
+      log.sleep_quality,
+      log.exercise_level,
+      log.food_quality,
+      (log.triggers || []).map((id) => getTriggerLabel(id, customTriggers)).join('; '),
+      ...symptomIds.map((id) => severities[id]),
+      ...medicationKeys.map((key) => doseCounts[key] || 0),
+      log.notes,
+    ];
+  });
+
+  return [header, ...rows]
+    .map((row) => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+export default { generateReportHTML, generateReportCSV };
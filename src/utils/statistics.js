@@ -0,0 +1,223 @@
+// Statistics used by the insight engine: rank correlation and bootstrapped
+// confidence intervals. The bootstrap draws from a seeded generator, so the
+// same logs always give the same intervals and insights don't flicker
+// between visits.
+
+export const BOOTSTRAP_ITERATIONS = 1000;
+export const BOOTSTRAP_SEED = 20240601;
+export const CONFIDENCE_LEVEL = 0.95;
+// Expected share of false findings among those reported from a family of tests
+export const FALSE_DISCOVERY_RATE = 0.05;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+ */
+export function createRandom(seed = BOOTSTRAP_SEED) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Sample standard deviation (n - 1)
+ */
+export function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Ranks starting at 1, with tied values sharing the average of their ranks
+ */
+export function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const shared = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = shared;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+function pearson(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  // A constant series has no correlation with anything
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * Spearman rank correlation of two equally long series, or null when either
+ * is constant or there are fewer than 3 pairs
+ */
+export function spearman(xs, ys) {
+  if (xs.length !== ys.length || xs.length < 3) return null;
+  return pearson(rank(xs), rank(ys));
+}
+
+function percentile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function drawIndices(count, random) {
+  const indices = new Array(count);
+  for (let k = 0; k < count; k++) indices[k] = Math.floor(random() * count);
+  return indices;
+}
+
+function resample(values, random) {
+  return drawIndices(values.length, random).map((i) => values[i]);
+}
+
+/**
+ * Percentile bootstrap interval, plus a two-sided p-value for the statistic
+ * being zero. `statistic(random)` computes the statistic on one resample
+ * drawn with `random`, or null when it can't be computed for that resample;
+ * those are dropped.
+ */
+function bootstrap(
+  statistic,
+  { iterations = BOOTSTRAP_ITERATIONS, level = CONFIDENCE_LEVEL, seed = BOOTSTRAP_SEED } = {}
+) {
+  const random = createRandom(seed);
+  const estimates = [];
+  for (let i = 0; i < iterations; i++) {
+    const estimate = statistic(random);
+    if (estimate !== null && !Number.isNaN(estimate)) estimates.push(estimate);
+  }
+  if (estimates.length < iterations / 2) return null;
+  estimates.sort((a, b) => a - b);
+  const tail = (1 - level) / 2;
+  const below = estimates.filter((e) => e <= 0).length;
+  const above = estimates.filter((e) => e >= 0).length;
+  return {
+    low: percentile(estimates, tail),
+    high: percentile(estimates, 1 - tail),
+    p: Math.min(1, (2 * Math.min(below, above)) / estimates.length),
+  };
+}
+
+// Complementary error function (Abramowitz and Stegun 7.1.26), for x >= 0
+function erfc(x) {
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return poly * Math.exp(-x * x);
+}
+
+/**
+ * Two-sided p-value for a Spearman correlation of n pairs, from Fisher's z
+ * with the variance of Fieller, Hartley and Pearson (1957). A bootstrap
+ * can't tell p-values below 1 / BOOTSTRAP_ITERATIONS apart, which is too
+ * coarse once dozens of correlations are tested together.
+ */
+export function spearmanPValue(estimate, n) {
+  if (n <= 3) return 1;
+  if (Math.abs(estimate) >= 1) return 0;
+  const z = Math.abs(Math.atanh(estimate)) * Math.sqrt((n - 3) / 1.06);
+  return Math.min(1, erfc(z / Math.SQRT2));
+}
+
+/**
+ * Spearman correlation with a bootstrapped confidence interval, resampling
+ * pairs, and its p-value from spearmanPValue(). Returns
+ * { estimate, low, high, p, n } or null when there's no correlation to measure.
+ */
+export function spearmanWithInterval(xs, ys, options = {}) {
+  const estimate = spearman(xs, ys);
+  if (estimate === null) return null;
+  const interval = bootstrap((random) => {
+    const indices = drawIndices(xs.length, random);
+    return spearman(indices.map((i) => xs[i]), indices.map((i) => ys[i]));
+  }, options);
+  if (!interval) return null;
+  return { estimate, ...interval, p: spearmanPValue(estimate, xs.length), n: xs.length };
+}
+
+/**
+ * Difference in means (a minus b) with a bootstrapped confidence interval,
+ * resampling each group separately. Returns { estimate, low, high, p, n } where n
+ * is the size of the smaller group, or null when a group is empty.
+ */
+export function meanDifferenceWithInterval(a, b, options = {}) {
+  if (a.length === 0 || b.length === 0) return null;
+  const estimate = mean(a) - mean(b);
+  const interval = bootstrap(
+    (random) => mean(resample(a, random)) - mean(resample(b, random)),
+    options
+  );
+  if (!interval) return null;
+  return { estimate, ...interval, n: Math.min(a.length, b.length) };
+}
+
+/**
+ * Sample standard deviation with a bootstrapped confidence interval
+ */
+export function standardDeviationWithInterval(values, options = {}) {
+  const estimate = standardDeviation(values);
+  if (estimate === null) return null;
+  const interval = bootstrap((random) => standardDeviation(resample(values, random)), options);
+  if (!interval) return null;
+  return { estimate, ...interval, n: values.length };
+}
+
+/**
+ * Benjamini-Hochberg procedure: which of a family of p-values are
+ * discoveries at the given false discovery rate. Testing many pairs (every
+ * trigger against every symptom) would otherwise turn up chance findings.
+ */
+export function benjaminiHochberg(pValues, rate = FALSE_DISCOVERY_RATE) {
+  const order = pValues.map((p, index) => ({ p, index })).sort((a, b) => a.p - b.p);
+  let cutoff = -1;
+  order.forEach(({ p }, k) => {
+    if (p <= ((k + 1) / order.length) * rate) cutoff = k;
+  });
+  const discoveries = new Array(pValues.length).fill(false);
+  for (let k = 0; k <= cutoff; k++) discoveries[order[k].index] = true;
+  return discoveries;
+}
+
+/**
+ * Whether an interval lies entirely on one side of `value`
+ */
+export function excludes(interval, value = 0) {
+  return interval.low > value || interval.high < value;
+}
+
+export default {
+  createRandom,
+  mean,
+  standardDeviation,
+  rank,
+  spearman,
+  spearmanPValue,
+  spearmanWithInterval,
+  meanDifferenceWithInterval,
+  standardDeviationWithInterval,
+  benjaminiHochberg,
+  excludes,
+};
@@ -0,0 +1,129 @@
+// Symptom registry: the built-in SYMPTOMS plus the user's own, with the
+// user's changes to names, categories, order and which ones are hidden.
+// Every screen and report resolves symptom ids through a registry so custom
+// and renamed symptoms show up the same way everywhere.
+
+import { SYMPTOMS, SYMPTOM_CATEGORIES, SYMPTOM_CATALOG_VERSION } from './constants';
+
+/**
+ * Merge the built-in symptoms with customSymptoms (rows of custom_symptoms)
+ * and symptomSettings (rows of symptom_settings). Returns
+ * [{ id, name, category, icon, description, addedIn, custom, hidden }] in the
+ * user's order; symptoms that were never reordered keep catalog order at the end.
+ * Hidden symptoms are left out of the symptom picker. Built-in ones the user
+ * hasn't shown or hidden are hidden if they were added after catalogVersion,
+ * the catalog version the user's database started with.
+ */
+export function buildSymptomRegistry(
+  customSymptoms = [],
+  symptomSettings = [],
+  catalogVersion = SYMPTOM_CATALOG_VERSION
+) {
+  const settings = Object.fromEntries(symptomSettings.map((s) => [s.symptom_id, s]));
+
+  const symptoms = [
+    ...SYMPTOMS.map((symptom) => ({
+      ...symptom,
+      name: settings[symptom.id]?.name || symptom.name,
+      category: settings[symptom.id]?.category || symptom.category,
+      addedIn: symptom.addedIn || 1,
+      custom: false,
+      hidden: settings[symptom.id]?.hidden != null
+        ? settings[symptom.id].hidden === 1
+        : (symptom.addedIn || 1) > catalogVersion,
+    })),
+    ...customSymptoms.map((symptom) => ({
+      id: symptom.symptom_id,
+      name: symptom.name,
+      category: symptom.category || 'custom',
+      icon: symptom.icon || 'plus',
+      description: null,
+      addedIn: null,
+      custom: true,
+      hidden: symptom.active === 0,
+    })),
+  ];
+
+  const position = (symptom, index) => settings[symptom.id]?.sort_order ?? symptoms.length + index;
+  return symptoms
+    .map((symptom, index) => ({ symptom, order: position(symptom, index) }))
+    .sort((a, b) => a.order - b.order)
+    .map(({ symptom }) => symptom);
+}
+
+// Built-in symptoms only, for callers that don't pass a registry
+const DEFAULT_REGISTRY = buildSymptomRegistry();
+
+/**
+ * Look up a symptom by id. Ids the registry doesn't know, e.g. from a custom
+ * symptom that was never imported, are returned as a hidden custom symptom.
+ */
+export function getSymptom(symptomId, registry = DEFAULT_REGISTRY) {
+  return (
+    registry.find((s) => s.id === symptomId) || {
+      id: symptomId,
+      name: symptomId,
+      category: 'custom',
+      icon: 'help-circle-outline',
+      description: null,
+      addedIn: null,
+      custom: true,
+      hidden: true,
+    }
+  );
+}
+
+/**
+ * Get symptom name by ID
+ */
+export function getSymptomName(symptomId, registry = DEFAULT_REGISTRY) {
+  return getSymptom(symptomId, registry).name;
+}
+
+/**
+ * Category of a symptom, as an entry of SYMPTOM_CATEGORIES
+ */
+export function getSymptomCategory(symptomId, registry = DEFAULT_REGISTRY) {
+  const { category } = getSymptom(symptomId, registry);
+  return (
+    SYMPTOM_CATEGORIES.find((c) => c.id === category) ||
+    SYMPTOM_CATEGORIES.find((c) => c.id === 'custom')
+  );
+}
+
+/**
+ * Symptoms shown in the symptom picker
+ */
+export function getVisibleSymptoms(registry = DEFAULT_REGISTRY) {
+  return registry.filter((s) => !s.hidden);
+}
+
+/**
+ * Whether a built-in symptom came with the latest catalog version
+ */
+export function isNewSymptom(symptom) {
+  return !symptom.custom && symptom.addedIn === SYMPTOM_CATALOG_VERSION && SYMPTOM_CATALOG_VERSION > 1;
+}
+
+/**
+ * Symptom ids in registry order with one symptom moved `offset` places
+ */
+export function moveSymptom(registry, symptomId, offset) {
+  const ids = registry.map((s) => s.id);
+  const from = ids.indexOf(symptomId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= ids.length) return ids;
+  ids.splice(from, 1);
+  ids.splice(to, 0, symptomId);
+  return ids;
+}
+
+export default {
+  buildSymptomRegistry,
+  getSymptom,
+  getSymptomName,
+  getSymptomCategory,
+  getVisibleSymptoms,
+  isNewSymptom,
+  moveSymptom,
+};
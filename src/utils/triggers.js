@@ -0,0 +1,35 @@
+// Trigger catalog: the built-in TRIGGERS plus the ones the user added
+
+import { TRIGGERS } from './constants';
+
+/**
+ * Every trigger that can be logged, as [{ id, label, icon, custom }].
+ * customTriggers are rows of the custom_triggers table; removed ones are left out.
+ */
+export function getTriggerCatalog(customTriggers = []) {
+  return [
+    ...TRIGGERS.map((trigger) => ({ ...trigger, custom: false })),
+    ...customTriggers.filter((trigger) => trigger.active !== 0).map((trigger) => ({
+      id: trigger.trigger_id,
+      label: trigger.name,
+      icon: trigger.icon || 'tag-outline',
+      custom: true,
+    })),
+  ];
+}
+
+/**
+ * Display name of a trigger. Custom triggers that were removed from the
+ * catalog are still found when their rows are passed in.
+ */
+export function getTriggerLabel(triggerId, customTriggers = []) {
+  const builtIn = TRIGGERS.find((t) => t.id === triggerId);
+  if (builtIn) return builtIn.label;
+  const custom = customTriggers.find((t) => t.trigger_id === triggerId);
+  return custom ? custom.name : triggerId;
+}
+
+export default {
+  getTriggerCatalog,
+  getTriggerLabel,
+};
@@ -0,0 +1,180 @@
+// Databases as they were left by each released schema version, with data
+//
+// Version 0 is a database created before versioning (legacy-schema.sql).
+// Version N is one first created by an app whose last migration was N, which
+// is what running migrations 1 to N on an empty database gives. Each fixture
+// is filled with the same records, written the way that version stored them.
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+import { openTestDatabase } from '../sqlite';
+import { MIGRATIONS, runMigrations } from '../../src/database/migrations';
+
+export const LEGACY_VERSION = 0;
+export const FIXTURE_VERSIONS = [LEGACY_VERSION, ...MIGRATIONS.slice(0, -1).map((m) => m.version)];
+
+export const PERIODS = [
+  { start_date: '2024-01-01', end_date: '2024-01-05', length: 5 },
+  { start_date: '2024-01-29', end_date: '2024-02-02', length: 5 },
+];
+
+// cycle_day is what the backfill in migration 4 works out from PERIODS
+export const LOGS = [
+  { date: '2023-12-20', cycle_day: null, period_flow: 'none', mood_overall: 6, sleep_hours: 7, notes: null },
+  { date: '2024-01-03', cycle_day: 3, period_flow: 'heavy', mood_overall: 4, sleep_hours: 5.5, notes: 'Rough night' },
+  { date: '2024-01-30', cycle_day: 2, period_flow: 'medium', mood_overall: 7, sleep_hours: 8, notes: null },
+];
+
+export const SYMPTOMS = [
+  { date: '2024-01-03', symptom_id: 'hot_flashes', severity: 4 },
+  { date: '2024-01-30', symptom_id: 'night_sweats', severity: 2 },
+];
+
+export const MEDICATIONS = [
+  { id: 1, name: 'Estradiol', dose: '1mg', frequency: 'daily', created_at: '2023-12-01 08:00:00' },
+  { id: 2, name: 'Progesterone', dose: '100mg', frequency: 'daily', created_at: '2023-12-15 21:00:00' },
+];
+
+// Days medications were ticked off before doses were logged one by one.
+// Untaken rows were saved too, and aren't doses.
+export const MEDICATION_LOGS = [
+  { date: '2024-01-03', medication_id: 1, taken: 1, notes: 'With breakfast' },
+  { date: '2024-01-03', medication_id: 2, taken: 0, notes: null },
+  { date: '2024-01-30', medication_id: 1, taken: 1, notes: null },
+];
+
+const hasLifestyleColumns = (version) => version === LEGACY_VERSION || version >= 3;
+
+async function insertLogs(db, version) {
+  const logIds = {};
+  for (const log of LOGS) {
+    // Cycle days weren't saved with logs until they were backfilled
+    const cycleDay = version >= 4 ? log.cycle_day : null;
+    const result = hasLifestyleColumns(version)
+      ? await db.runAsync(
+        `INSERT INTO daily_logs (date, cycle_day, period_flow, mood_overall, sleep_hours, notes, exercise_level, food_quality)
+         VALUES (?, ?, ?, ?, ?, ?, 'light', 'good')`,
+        [log.date, cycleDay, log.period_flow, log.mood_overall, log.sleep_hours, log.notes]
+      )
+      : await db.runAsync(
+        `INSERT INTO daily_logs (date, cycle_day, period_flow, mood_overall, sleep_hours, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [log.date, cycleDay, log.period_flow, log.mood_overall, log.sleep_hours, log.notes]
+      );
+    logIds[log.date] = result.lastInsertRowId;
+  }
+  return logIds;
+}
+
+async function seed(db, version) {
+  for (const period of PERIODS) {
+    await db.runAsync(
+      'INSERT INTO cycle_periods (start_date, end_date, length) VALUES (?, ?, ?)',
+      [period.start_date, period.end_date, period.length]
+    );
+  }
+
+  const logIds = await insertLogs(db, version);
+
+  for (const symptom of SYMPTOMS) {
+    await db.runAsync(
+      'INSERT INTO symptoms (log_id, symptom_id, severity) VALUES (?, ?, ?)',
+      [logIds[symptom.date], symptom.symptom_id, symptom.severity]
+    );
+  }
+
+  for (const medication of MEDICATIONS) {
+    await db.runAsync(
+      'INSERT INTO medications (id, name, dose, frequency, created_at) VALUES (?, ?, ?, ?, ?)',
+      [medication.id, medication.name, medication.dose, medication.frequency, medication.created_at]
+    );
+  }
+
+  await db.runAsync(
+    "INSERT INTO custom_symptoms (symptom_id, name, category) VALUES ('custom_brain_zaps', 'Brain zaps', 'custom')"
+  );
+
+  if (version < 7) {
+    for (const entry of MEDICATION_LOGS) {
+      await db.runAsync(
+        'INSERT INTO medication_logs (log_id, medication_id, taken, notes) VALUES (?, ?, ?, ?)',
+        [logIds[entry.date], entry.medication_id, entry.taken, entry.notes]
+      );
+    }
+  }
+
+  if (version >= 5) {
+    await db.runAsync("INSERT INTO milestones (type, date) VALUES ('final_menstrual_period', '2024-01-29')");
+  }
+
+  if (version >= 6) {
+    await db.runAsync("UPDATE medications SET reminders_enabled = 1, reminder_times = '08:00' WHERE id = 1");
+    await db.runAsync(
+      `INSERT INTO medication_reminder_events (medication_id, date, scheduled_at, action)
+       VALUES (1, '2024-01-30', '2024-01-30T08:00:00.000Z', 'taken')`
+    );
+  }
+
+  if (version >= 7) {
+    for (const entry of MEDICATION_LOGS.filter((e) => e.taken)) {
+      await db.runAsync(
+        'INSERT INTO medication_doses (medication_id, date, taken_at, amount, notes) VALUES (?, ?, ?, ?, ?)',
+        [entry.medication_id, entry.date, `${entry.date}T08:05:00.000Z`, '1mg', entry.notes]
+      );
+    }
+  }
+
+  if (version >= 8) {
+    for (const medication of MEDICATIONS) {
+      await db.runAsync(
+        "INSERT INTO medication_events (medication_id, date, type, dose, frequency) VALUES (?, ?, 'started', ?, ?)",
+        [medication.id, medication.created_at.slice(0, 10), medication.dose, medication.frequency]
+      );
+    }
+  }
+
+  if (version >= 9) {
+    await db.runAsync(
+      `INSERT INTO hot_flash_episodes (date, started_at, duration_minutes, intensity, triggers)
+       VALUES ('2024-01-03', '2024-01-03T14:30:00.000Z', 5, 4, 'caffeine,stress')`
+    );
+  }
+
+  if (version >= 10) {
+    await db.runAsync("INSERT INTO custom_triggers (trigger_id, name) VALUES ('custom_red_wine', 'Red wine')");
+    await db.runAsync('INSERT INTO log_triggers (log_id, trigger_id) VALUES (?, ?)', [
+      logIds['2024-01-03'],
+      'custom_red_wine',
+    ]);
+  }
+
+  if (version === 11) {
+    await db.runAsync(
+      `INSERT INTO symptom_settings (symptom_id, name, category, sort_order, archived) VALUES
+       ('hot_flashes', 'Flushes', NULL, 1, 0),
+       ('joint_pain', NULL, NULL, 2, 1)`
+    );
+  } else if (version >= 12) {
+    await db.runAsync(
+      `INSERT INTO symptom_settings (symptom_id, name, category, sort_order, hidden) VALUES
+       ('hot_flashes', 'Flushes', NULL, 1, NULL),
+       ('joint_pain', NULL, NULL, 2, 1)`
+    );
+  }
+}
+
+/**
+ * Open an in-memory database at `version` of the schema, filled with the
+ * records above
+ */
+export async function createFixtureDatabase(version) {
+  const db = await openTestDatabase();
+  if (version === LEGACY_VERSION) {
+    await db.execAsync(readFileSync(join(__dirname, 'legacy-schema.sql'), 'utf8'));
+  } else {
+    await runMigrations(db, MIGRATIONS.filter((m) => m.version <= version));
+  }
+  await seed(db, version);
+  return db;
+}
@@ -0,0 +1,67 @@
+-- Schema created by initDatabase() before the database was versioned. It has
+-- no schema_version table; runMigrations() works out that it is at version 3.
+
+CREATE TABLE IF NOT EXISTS daily_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  date TEXT UNIQUE NOT NULL,
+  cycle_day INTEGER,
+  period_flow TEXT DEFAULT 'none',
+  mood_overall INTEGER,
+  mood_anxiety INTEGER,
+  mood_energy INTEGER,
+  sleep_hours REAL,
+  sleep_quality INTEGER,
+  exercise_level TEXT DEFAULT 'none',
+  food_quality TEXT DEFAULT 'fair',
+  notes TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS symptoms (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  log_id INTEGER NOT NULL,
+  symptom_id TEXT NOT NULL,
+  severity INTEGER NOT NULL CHECK (severity >= 1 AND severity <= 5),
+  FOREIGN KEY (log_id) REFERENCES daily_logs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS medications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  dose TEXT,
+  frequency TEXT,
+  active INTEGER DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS medication_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  log_id INTEGER NOT NULL,
+  medication_id INTEGER NOT NULL,
+  taken INTEGER DEFAULT 0,
+  notes TEXT,
+  FOREIGN KEY (log_id) REFERENCES daily_logs(id) ON DELETE CASCADE,
+  FOREIGN KEY (medication_id) REFERENCES medications(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS cycle_periods (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  start_date TEXT NOT NULL,
+  end_date TEXT,
+  length INTEGER,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS custom_symptoms (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  symptom_id TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  category TEXT DEFAULT 'custom',
+  icon TEXT DEFAULT 'plus',
+  active INTEGER DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_logs_date ON daily_logs(date);
+CREATE INDEX IF NOT EXISTS idx_symptoms_log_id ON symptoms(log_id);
+CREATE INDEX IF NOT EXISTS idx_cycle_periods_dates ON cycle_periods(start_date, end_date);
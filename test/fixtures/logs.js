@@ -0,0 +1,54 @@
+// Synthetic daily logs for testing the insight engine
+//
+// Logs are shaped like getLogsInRange() rows. Each day starts out unremarkable
+// (steady mood and sleep, no symptoms or triggers) and `fill` sets the fields a
+// test cares about, drawing from a seeded generator so every run sees the
+// same logs. Effects are planted by making one field depend on another; null
+// data keeps every field independent.
+
+import { createRandom } from '../../src/utils/statistics';
+import { addDays } from '../../src/utils/dates';
+
+export const START_DATE = '2024-01-01';
+
+/**
+ * `days` consecutive logs from `start`. fill(day) returns the fields to set
+ * on a day, where day is { date, index, random, chance(p), pick(values),
+ * previous } and previous is the log before it.
+ */
+export function createLogs({ days = 90, start = START_DATE, seed = 1, fill = () => ({}) } = {}) {
+  const random = createRandom(seed);
+  const chance = (p) => random() < p;
+  const pick = (values) => values[Math.floor(random() * values.length)];
+
+  const logs = [];
+  for (let index = 0; index < days; index++) {
+    const date = addDays(start, index);
+    logs.push({
+      date,
+      cycle_day: null,
+      period_flow: 'none',
+      mood_overall: 5,
+      mood_anxiety: 5,
+      mood_energy: 5,
+      sleep_hours: 7,
+      sleep_quality: 3,
+      exercise_level: 'light',
+      food_quality: 'good',
+      symptoms: [],
+      triggers: [],
+      ...fill({ date, index, random, chance, pick, previous: logs[index - 1] || null }),
+    });
+  }
+  return logs;
+}
+
+/**
+ * Symptom rows for the ids given as { [symptomId]: severity }, leaving out
+ * falsy severities
+ */
+export function symptoms(severities) {
+  return Object.entries(severities)
+    .filter(([, severity]) => severity)
+    .map(([symptom_id, severity]) => ({ symptom_id, severity }));
+}
@@ -0,0 +1,85 @@
+// In-memory stand-in for an expo-sqlite database, for tests that run in Node
+//
+// Implements the async methods the app uses (execAsync, runAsync,
+// getAllAsync, getFirstAsync, withTransactionAsync, closeAsync) on top of
+// sql.js, a WebAssembly build of SQLite.
+
+import initSqlJs from 'sql.js';
+
+let sqlJs = null;
+
+// expo-sqlite takes parameters as one array, one object or spread arguments
+function toParams(params) {
+  if (params.length === 1 && typeof params[0] === 'object' && params[0] !== null) {
+    return params[0];
+  }
+  return params;
+}
+
+function bindable(params) {
+  if (Array.isArray(params)) {
+    return params.map((value) => (value === undefined ? null : value));
+  }
+  return params;
+}
+
+class TestDatabase {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async execAsync(source) {
+    this.database.exec(source);
+  }
+
+  async runAsync(source, ...params) {
+    const statement = this.database.prepare(source);
+    try {
+      statement.run(bindable(toParams(params)));
+    } finally {
+      statement.free();
+    }
+    const [{ values }] = this.database.exec('SELECT last_insert_rowid()');
+    return { lastInsertRowId: values[0][0], changes: this.database.getRowsModified() };
+  }
+
+  async getAllAsync(source, ...params) {
+    const statement = this.database.prepare(source);
+    const rows = [];
+    try {
+      statement.bind(bindable(toParams(params)));
+      while (statement.step()) rows.push(statement.getAsObject());
+    } finally {
+      statement.free();
+    }
+    return rows;
+  }
+
+  async getFirstAsync(source, ...params) {
+    const rows = await this.getAllAsync(source, ...params);
+    return rows[0] ?? null;
+  }
+
+  async withTransactionAsync(task) {
+    this.database.exec('BEGIN');
+    try {
+      await task();
+      this.database.exec('COMMIT');
+    } catch (error) {
+      this.database.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async closeAsync() {
+    this.database.close();
+  }
+}
+
+/**
+ * Open an empty in-memory database
+ */
+export async function openTestDatabase() {
+  sqlJs = sqlJs || (await initSqlJs());
+  return new TestDatabase(new sqlJs.Database());
+}
@@ -0,0 +1,4 @@
+// Run the tests away from UTC so code that mixes up local and UTC dates fails
+module.exports = () => {
+  process.env.TZ = 'Europe/Berlin';
+};